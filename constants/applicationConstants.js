@@ -19,6 +19,19 @@ const STAGES = {
     DECISION: 'decision'
 };
 
+// Legal stage moves. A stage missing from a list cannot be reached from the key stage.
+const STAGE_TRANSITIONS = {
+    [STAGES.CONSULTATION]: [STAGES.DEPOSIT_PAID],
+    [STAGES.DEPOSIT_PAID]: [STAGES.DOCUMENTS_COMPLETED, STAGES.ADDITIONAL_DOCS_REQUIRED],
+    [STAGES.DOCUMENTS_COMPLETED]: [STAGES.SUBMITTED_TO_INZ, STAGES.ADDITIONAL_DOCS_REQUIRED],
+    [STAGES.ADDITIONAL_DOCS_REQUIRED]: [STAGES.DOCUMENTS_COMPLETED],
+    [STAGES.SUBMITTED_TO_INZ]: [STAGES.INZ_PROCESSING, STAGES.RFI_RECEIVED, STAGES.PPI_RECEIVED, STAGES.DECISION],
+    [STAGES.INZ_PROCESSING]: [STAGES.RFI_RECEIVED, STAGES.PPI_RECEIVED, STAGES.DECISION],
+    [STAGES.RFI_RECEIVED]: [STAGES.INZ_PROCESSING, STAGES.PPI_RECEIVED, STAGES.DECISION],
+    [STAGES.PPI_RECEIVED]: [STAGES.INZ_PROCESSING, STAGES.RFI_RECEIVED, STAGES.DECISION],
+    [STAGES.DECISION]: []
+};
+
 const DOCUMENT_TYPES = {
     PASSPORT: 'passport',
     PHOTO: 'photo',
@@ -31,11 +44,21 @@ const DOCUMENT_TYPES = {
     QUALIFICATION_DOCUMENTS: 'qualification_documents',
     MARRIAGE_CERTIFICATE: 'marriage_certificate',
     BIRTH_CERTIFICATE: 'birth_certificate',
+    HEALTH_EXAMINATION: 'health_examination',
+    BIOMETRICS: 'biometrics',
+    RELATIONSHIP_EVIDENCE: 'relationship_evidence',
+    OFFER_OF_PLACE: 'offer_of_place',
+    CHARACTER_REFERENCES: 'character_references',
+    TRAVEL_ITINERARY: 'travel_itinerary',
+    ACCOMMODATION_PROOF: 'accommodation_proof',
+    BUSINESS_PLAN: 'business_plan',
+    BUSINESS_REGISTRATION: 'business_registration',
     OTHER: 'other'
 };
 
 module.exports = {
     VISA_TYPES,
     STAGES,
+    STAGE_TRANSITIONS,
     DOCUMENT_TYPES
 };
@@ -0,0 +1,61 @@
+// Currency used for consolidated reporting across currencies
+const REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || 'NZD').toUpperCase();
+
+// Currency a client is billed in by default, keyed by ISO 3166-1 alpha-2 country code
+const COUNTRY_CURRENCIES = {
+    NZ: 'NZD',
+    AU: 'AUD',
+    CA: 'CAD',
+    US: 'USD',
+    GB: 'GBP',
+    IE: 'EUR',
+    DE: 'EUR',
+    FR: 'EUR',
+    IN: 'INR',
+    PH: 'PHP',
+    CN: 'CNY',
+    JP: 'JPY',
+    KR: 'KRW',
+    ZA: 'ZAR',
+    FJ: 'FJD',
+    SG: 'SGD'
+};
+
+// Country names accepted in a profile address, mapped to their codes
+const COUNTRY_NAMES = {
+    'NEW ZEALAND': 'NZ',
+    'AUSTRALIA': 'AU',
+    'CANADA': 'CA',
+    'UNITED STATES': 'US',
+    'USA': 'US',
+    'UNITED KINGDOM': 'GB',
+    'UK': 'GB',
+    'IRELAND': 'IE',
+    'GERMANY': 'DE',
+    'FRANCE': 'FR',
+    'INDIA': 'IN',
+    'PHILIPPINES': 'PH',
+    'CHINA': 'CN',
+    'JAPAN': 'JP',
+    'SOUTH KOREA': 'KR',
+    'SOUTH AFRICA': 'ZA',
+    'FIJI': 'FJ',
+    'SINGAPORE': 'SG'
+};
+
+// Stripe charges these in whole units
+const ZERO_DECIMAL_CURRENCIES = [
+    'BIF', 'CLP', 'DJF', 'GNF', 'JPY', 'KMF', 'KRW', 'MGA',
+    'PYG', 'RWF', 'UGX', 'VND', 'VUV', 'XAF', 'XOF', 'XPF'
+];
+
+// Stripe charges these in thousandths, rounded to the nearest ten
+const THREE_DECIMAL_CURRENCIES = ['BHD', 'JOD', 'KWD', 'OMR', 'TND'];
+
+module.exports = {
+    REPORTING_CURRENCY,
+    COUNTRY_CURRENCIES,
+    COUNTRY_NAMES,
+    ZERO_DECIMAL_CURRENCIES,
+    THREE_DECIMAL_CURRENCIES
+};
@@ -0,0 +1,35 @@
+const DEADLINE_TYPES = ['rfi', 'ppi', 'medical', 'document'];
+
+// Days before the due date each reminder goes out, per deadline type. Set
+// REMINDER_OFFSETS_<TYPE> (e.g. REMINDER_OFFSETS_RFI=14,7,3,1) to override.
+const DEFAULT_REMINDER_OFFSETS = {
+    rfi: [14, 7, 3, 1],
+    ppi: [14, 7, 3, 1],
+    medical: [14, 7, 3, 1],
+    document: [7, 3, 1]
+};
+
+const parseOffsets = (value, fallback) => {
+    if (!value) return fallback;
+    const offsets = value.split(',').map(n => parseInt(n, 10)).filter(n => Number.isInteger(n) && n > 0);
+    return offsets.length ? offsets : fallback;
+};
+
+const REMINDER_OFFSETS = Object.fromEntries(DEADLINE_TYPES.map(type => [
+    type,
+    parseOffsets(process.env[`REMINDER_OFFSETS_${type.toUpperCase()}`], DEFAULT_REMINDER_OFFSETS[type])
+        .sort((a, b) => b - a)
+]));
+
+// Deadline types whose overdue escalation also goes to the admins
+const ADMIN_ESCALATION_TYPES = ['rfi'];
+
+// Overdue deadlines older than this are no longer escalated
+const OVERDUE_LOOKBACK_DAYS = parseInt(process.env.OVERDUE_LOOKBACK_DAYS || '30', 10);
+
+module.exports = {
+    DEADLINE_TYPES,
+    REMINDER_OFFSETS,
+    ADMIN_ESCALATION_TYPES,
+    OVERDUE_LOOKBACK_DAYS
+};
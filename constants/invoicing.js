@@ -0,0 +1,27 @@
+// Supplier details, tax and numbering for invoices and credit notes. Each
+// issued document keeps a snapshot of these, so changing them only affects
+// documents issued afterwards.
+const INVOICE_CONFIG = {
+    supplier: {
+        name: process.env.COMPANY_NAME || 'Migrantifly Immigration Services',
+        // Address lines separated by |
+        address: (process.env.COMPANY_ADDRESS || 'Auckland, New Zealand').split('|').map(line => line.trim()),
+        email: process.env.COMPANY_EMAIL || 'info@migrantifly.com',
+        phone: process.env.COMPANY_PHONE || '',
+        website: process.env.COMPANY_WEBSITE || '',
+        // GST/VAT registration number printed on tax invoices
+        taxNumber: process.env.COMPANY_TAX_NUMBER || ''
+    },
+    taxLabel: process.env.TAX_LABEL || 'GST',
+    // Charged amounts include tax at this rate
+    taxRate: parseFloat(process.env.TAX_RATE || '0.15'),
+    invoicePrefix: process.env.INVOICE_PREFIX || 'INV',
+    creditNotePrefix: process.env.CREDIT_NOTE_PREFIX || 'CN',
+    numberPadding: 6,
+    paymentTerms: process.env.INVOICE_PAYMENT_TERMS || 'Payment due on receipt',
+    // Dates on documents are printed in this zone
+    timezone: process.env.INVOICE_TIMEZONE || 'Pacific/Auckland',
+    footer: process.env.INVOICE_FOOTER || 'Thank you for choosing Migrantifly Immigration Services!'
+};
+
+module.exports = { INVOICE_CONFIG };
@@ -0,0 +1,56 @@
+const NOTIFICATION_TYPES = [
+    'document_uploaded',
+    'document_approved',
+    'document_rejected',
+    'payment_due',
+    'payment_received',
+    'payment_failed',
+    'payment_refunded',
+    'stage_updated',
+    'deadline_approaching',
+    'deadline_overdue',
+    'rfi_received',
+    'ppi_received',
+    'decision_received',
+    'security_alert',
+    'general'
+];
+
+// Compliance-critical notifications. Users cannot change how these are
+// delivered, and quiet hours do not hold them back.
+const LOCKED_NOTIFICATION_TYPES = [
+    'rfi_received',
+    'ppi_received',
+    'decision_received',
+    'deadline_approaching',
+    'deadline_overdue',
+    'security_alert'
+];
+const LOCKED_CHANNELS = { inApp: true, email: true, sms: null, digest: true };
+
+// Channels of a type the user has not configured. A null email or sms
+// follows the notification's priority instead of a fixed choice.
+const DEFAULT_CHANNELS = { inApp: true, email: null, sms: null, digest: true };
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const MESSAGING_CHANNELS = ['sms', 'whatsapp'];
+
+// Digests go out at this local hour; weekly ones on this day (0 = Sunday)
+const DIGEST_SEND_HOUR = parseInt(process.env.DIGEST_SEND_HOUR || '8', 10);
+const DIGEST_WEEKLY_DAY = parseInt(process.env.DIGEST_WEEKLY_DAY || '1', 10);
+
+// Quiet hours are read in this zone until the user picks their own
+const DEFAULT_NOTIFICATION_TIMEZONE = process.env.DEFAULT_NOTIFICATION_TIMEZONE || 'Pacific/Auckland';
+
+module.exports = {
+    NOTIFICATION_TYPES,
+    LOCKED_NOTIFICATION_TYPES,
+    LOCKED_CHANNELS,
+    DEFAULT_CHANNELS,
+    DIGEST_FREQUENCIES,
+    MESSAGING_CHANNELS,
+    DIGEST_SEND_HOUR,
+    DIGEST_WEEKLY_DAY,
+    DEFAULT_NOTIFICATION_TIMEZONE
+};
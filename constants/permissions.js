@@ -0,0 +1,94 @@
+// Named permissions. Scoped ones end in .own (the user is the client),
+// .assigned (the user is the adviser) or .all, and decide which records a
+// user can reach. Unscoped ones are actions, checked against records the
+// user can reach.
+const PERMISSIONS = {
+    APPLICATION_READ_OWN: 'application.read.own',
+    APPLICATION_READ_ASSIGNED: 'application.read.assigned',
+    APPLICATION_READ_ALL: 'application.read.all',
+    APPLICATION_CREATE: 'application.create',
+    APPLICATION_UPDATE: 'application.update',
+    APPLICATION_STAGE_OVERRIDE: 'application.stage.override',
+    APPLICATION_ASSIGN: 'application.assign',
+
+    DOCUMENT_UPLOAD: 'document.upload',
+    DOCUMENT_REVIEW: 'document.review',
+    DOCUMENT_DELETE: 'document.delete',
+    DOCUMENT_DELETE_PENDING: 'document.delete.pending',
+    DOCUMENT_ACCESS_LOG: 'document.access_log.view',
+
+    CONSULTATION_READ_OWN: 'consultation.read.own',
+    CONSULTATION_READ_ASSIGNED: 'consultation.read.assigned',
+    CONSULTATION_READ_ALL: 'consultation.read.all',
+    CONSULTATION_MANAGE: 'consultation.manage',
+    CONSULTATION_CANCEL: 'consultation.cancel',
+    CONSULTATION_ASSIGN: 'consultation.assign',
+    AVAILABILITY_MANAGE_OWN: 'availability.manage.own',
+    AVAILABILITY_MANAGE_ALL: 'availability.manage.all',
+
+    PAYMENT_READ_OWN: 'payment.read.own',
+    PAYMENT_READ_ASSIGNED: 'payment.read.assigned',
+    PAYMENT_READ_ALL: 'payment.read.all',
+    PAYMENT_CREATE: 'payment.create',
+    PAYMENT_REFUND: 'payment.refund',
+
+    DASHBOARD_VIEW: 'dashboard.view',
+    CLIENT_PORTAL: 'client_portal.access',
+    USER_READ: 'user.read',
+    USER_MANAGE: 'user.manage',
+    REQUIREMENT_TEMPLATE_MANAGE: 'requirement_template.manage',
+    FEE_SCHEDULE_MANAGE: 'fee_schedule.manage',
+    EXCHANGE_RATE_MANAGE: 'exchange_rate.manage',
+    AGREEMENT_TEMPLATE_MANAGE: 'agreement_template.manage',
+    ROLE_MANAGE: 'role.manage',
+    SYSTEM_HEALTH: 'system.health',
+    WEBHOOK_MANAGE: 'webhook.manage'
+};
+
+const P = PERMISSIONS;
+
+// Narrow permissions that the admin role's broader ones already cover
+const NARROW_PERMISSIONS = [
+    P.APPLICATION_READ_OWN,
+    P.DOCUMENT_DELETE_PENDING,
+    P.CONSULTATION_READ_OWN,
+    P.AVAILABILITY_MANAGE_OWN,
+    P.PAYMENT_READ_OWN,
+    P.PAYMENT_READ_ASSIGNED,
+    P.CLIENT_PORTAL
+];
+
+// Built-in role mappings; admins can replace them per role at runtime
+const DEFAULT_ROLE_PERMISSIONS = {
+    admin: Object.values(PERMISSIONS).filter(p => !NARROW_PERMISSIONS.includes(p)),
+    adviser: [
+        P.APPLICATION_READ_ASSIGNED,
+        P.APPLICATION_UPDATE,
+        P.DOCUMENT_UPLOAD,
+        P.DOCUMENT_REVIEW,
+        P.DOCUMENT_DELETE,
+        P.CONSULTATION_READ_ASSIGNED,
+        P.CONSULTATION_MANAGE,
+        P.CONSULTATION_CANCEL,
+        P.AVAILABILITY_MANAGE_OWN,
+        P.PAYMENT_READ_ASSIGNED,
+        P.DASHBOARD_VIEW,
+        P.USER_READ
+    ],
+    client: [
+        P.APPLICATION_READ_OWN,
+        P.APPLICATION_CREATE,
+        P.DOCUMENT_UPLOAD,
+        P.DOCUMENT_DELETE_PENDING,
+        P.CONSULTATION_READ_OWN,
+        P.CONSULTATION_CANCEL,
+        P.PAYMENT_READ_OWN,
+        P.PAYMENT_CREATE,
+        P.CLIENT_PORTAL
+    ]
+};
+
+module.exports = {
+    PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS
+};
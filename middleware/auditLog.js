@@ -9,10 +9,10 @@ const auditLogger = (action, entityType) => {
             if (res.statusCode < 400) {
                 AuditLog.create({
                     userId: req.user?._id,
-                    applicationId: req.params.applicationId || req.body.applicationId,
+                    applicationId: req.auditApplicationId || req.params.applicationId || req.body.applicationId,
                     action,
                     entityType,
-                    entityId: req.params.id || req.body._id,
+                    entityId: req.auditEntityId || req.params.id || req.body._id,
                     oldValues: req.auditOldValues,
                     newValues: req.auditNewValues,
                     ipAddress: req.ip,
@@ -20,7 +20,8 @@ const auditLogger = (action, entityType) => {
                 }).catch(err => console.error('Audit log error:', err));
             }
 
-            originalSend.call(this, data);
+            // Return the response like send() does, so callers can chain or test the result
+            return originalSend.call(this, data);
         };
 
         next();
@@ -1,8 +1,52 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { touchSession } = require('../utils/sessions');
+const { isTwoFactorRequired } = require('../utils/twoFactor');
 
 const SWAGGER_BYPASS_PATHS = ['/api-docs','/api/docs', '/openapi.json'];
 
+const AUTH_ERROR_MESSAGES = {
+    NO_TOKEN: 'Access denied. No token provided.',
+    INVALID_TOKEN: 'Invalid token.',
+    SESSION_REVOKED: 'Session expired or revoked. Please log in again.',
+    USER_INACTIVE: 'Invalid token or user inactive.',
+    TWO_FACTOR_REQUIRED: 'Two-factor authentication is required for your role. Please log in again.'
+};
+
+const authError = (code) => ({ error: code, message: AUTH_ERROR_MESSAGES[code] });
+
+/**
+ * Resolve an access token to its user and live session. Shared by the HTTP
+ * middleware and the Socket.IO gateway.
+ * @param {string} token - Access token (without the Bearer prefix)
+ * @param {Object} req - Request, or any object with the caller's ip
+ * @returns {Promise<Object>} - { user, session } or { error, message }
+ */
+const authenticateToken = async (token, req) => {
+    if (!token) return authError('NO_TOKEN');
+
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch {
+        return authError('INVALID_TOKEN');
+    }
+    // Download links and 2FA challenges may share the secret, but only access tokens lack these claims
+    if (decoded.purpose || decoded.aud) return authError('INVALID_TOKEN');
+
+    // Every access token belongs to a session; revoked sessions lose access immediately
+    const session = decoded.sid && await touchSession(decoded.sid, req);
+    if (!session) return authError('SESSION_REVOKED');
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) return authError('USER_INACTIVE');
+
+    // Roles that require 2FA cannot use sessions that skipped it (e.g. issued before a promotion)
+    if (isTwoFactorRequired(user) && !session.twoFactorVerified) return authError('TWO_FACTOR_REQUIRED');
+
+    return { user, session };
+};
+
 // Auth middleware with Swagger bypass
 const auth = async (req, res, next) => {
     try {
@@ -12,32 +56,39 @@ const auth = async (req, res, next) => {
         }
 
         const token = req.header('Authorization')?.replace('Bearer ', '');
-        if (!token) {
-            return res.status(401).json({ success: false, message: 'Access denied. No token provided.' });
-        }
-
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        const user = await User.findById(decoded.userId).select('-password');
-
-        if (!user || !user.isActive) {
-            return res.status(401).json({ success: false, message: 'Invalid token or user inactive.' });
+        const result = await authenticateToken(token, req);
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.message,
+                code: result.error === 'TWO_FACTOR_REQUIRED' ? result.error : undefined
+            });
         }
 
-        req.user = user;
+        req.user = result.user;
+        req.authSession = result.session;
         next();
     } catch {
         return res.status(401).json({ success: false, message: 'Invalid token.' });
     }
 };
 
-// Role-based access control
-const authorize = (...roles) => {
-    return (req, res, next) => {
-        if (!req.user || !roles.includes(req.user.role)) {
-            return res.status(403).json({ success: false, message: 'Access denied. Insufficient permissions.' });
-        }
-        next();
-    };
+// Email verification enforcement: 'off', 'clients' (default) or 'all'
+const EMAIL_VERIFICATION_MODE = process.env.REQUIRE_EMAIL_VERIFICATION || 'clients';
+
+// Block unverified accounts; must run after auth
+const requireVerifiedEmail = (req, res, next) => {
+    if (!req.user || req.user.isEmailVerified || EMAIL_VERIFICATION_MODE === 'off') {
+        return next();
+    }
+    if (EMAIL_VERIFICATION_MODE === 'clients' && req.user.role !== 'client') {
+        return next();
+    }
+    return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address to continue.',
+        code: 'EMAIL_NOT_VERIFIED'
+    });
 };
 
-module.exports = { auth, authorize };
\ No newline at end of file
+module.exports = { auth, requireVerifiedEmail, authenticateToken };
\ No newline at end of file
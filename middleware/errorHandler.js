@@ -27,6 +27,11 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Upload limits, e.g. a file over the size limit
+  if (err.name === 'MulterError') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error'
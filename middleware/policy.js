@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const { Application, Document, Consultation, Payment, Agreement } = require('../models');
+const { hasPermission, canAccess } = require('../utils/permissions');
+
+const RESOURCE_LOADERS = {
+    application: (id) => Application.findById(id),
+    document: (id) => Document.findById(id).populate('applicationId', 'clientId adviserId'),
+    consultation: (id) => Consultation.findById(id),
+    payment: (id) => Payment.findById(id),
+    agreement: (id) => Agreement.findById(id)
+};
+
+const RESOURCE_LABELS = {
+    application: 'Application',
+    document: 'Document',
+    consultation: 'Consultation',
+    payment: 'Payment',
+    agreement: 'Agreement'
+};
+
+// Require at least one of the given permissions; must run after auth
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            for (const permission of permissions) {
+                if (await hasPermission(req.user, permission)) {
+                    return next();
+                }
+            }
+            return res.status(403).json({ success: false, message: 'Access denied. Insufficient permissions.' });
+        } catch (error) {
+            return res.status(500).json({ success: false, message: 'Permission check failed', error: error.message });
+        }
+    };
+};
+
+/**
+ * Require a permission on the record named by a route param. The user must
+ * also reach the record (own/assigned/all scope). The loaded record is set
+ * on req.resource.
+ * @param {string|null} permission - Action permission; null to only check reach
+ * @param {'application'|'document'|'consultation'|'payment'|'agreement'} resourceType
+ * @param {Object} [options]
+ * @param {string} [options.param='id'] - Route param holding the record id
+ */
+const policy = (permission, resourceType, { param = 'id' } = {}) => {
+    return async (req, res, next) => {
+        try {
+            if (permission && !(await hasPermission(req.user, permission))) {
+                return res.status(403).json({ success: false, message: 'Access denied. Insufficient permissions.' });
+            }
+
+            const label = RESOURCE_LABELS[resourceType];
+            const id = req.params[param];
+            const resource = mongoose.isValidObjectId(id) ? await RESOURCE_LOADERS[resourceType](id) : null;
+            if (!resource) {
+                return res.status(404).json({ success: false, message: `${label} not found` });
+            }
+
+            if (!(await canAccess(req.user, resourceType, resource))) {
+                return res.status(403).json({ success: false, message: `Access denied to this ${label.toLowerCase()}` });
+            }
+
+            req.resource = resource;
+            next();
+        } catch (error) {
+            return res.status(500).json({ success: false, message: 'Permission check failed', error: error.message });
+        }
+    };
+};
+
+module.exports = { requirePermission, policy };
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const timeWindow = {
+    dayOfWeek: {
+        type: Number,
+        min: 0, // Sunday
+        max: 6
+    },
+    start: {
+        type: String,
+        match: TIME_PATTERN,
+        required: true
+    },
+    end: {
+        type: String,
+        match: TIME_PATTERN,
+        required: true
+    }
+};
+
+// Times and holiday dates are wall-clock values in the adviser's own time zone
+const adviserAvailabilitySchema = new mongoose.Schema({
+    adviserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    timezone: {
+        type: String,
+        required: true,
+        default: 'Pacific/Auckland'
+    },
+    weeklyHours: [{
+        ...timeWindow,
+        dayOfWeek: { ...timeWindow.dayOfWeek, required: true }
+    }],
+    // Breaks without a dayOfWeek apply every day
+    breaks: [timeWindow],
+    holidays: [{
+        date: {
+            type: String,
+            match: DATE_PATTERN,
+            required: true
+        },
+        name: String
+    }],
+    // One-off absolute periods, e.g. training or sick leave
+    blackouts: [{
+        start: {
+            type: Date,
+            required: true
+        },
+        end: {
+            type: Date,
+            required: true
+        },
+        reason: String
+    }],
+    isAcceptingBookings: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports.AdviserAvailability = mongoose.model('AdviserAvailability', adviserAvailabilitySchema);
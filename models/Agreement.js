@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+// An agreement issued to a client for an application. The rendered wording
+// is stored so the PDF the client reviewed can be reproduced byte for byte.
 const agreementSchema = new mongoose.Schema({
     clientId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -15,19 +17,57 @@ const agreementSchema = new mongoose.Schema({
         enum: ['service_agreement', 'privacy_policy', 'terms_conditions'],
         required: true
     },
+    // Template version the wording came from ('default' for the built-in wording)
     version: {
         type: String,
         required: true
     },
-    signedAt: {
-        type: Date,
-        required: true
+    templateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AgreementTemplate'
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'signed', 'superseded'],
+        default: 'pending'
+    },
+    title: String,
+    content: String,
+    issuedAt: Date,
+    // Supplier name and time zone at issue. The PDF is rendered with these, so
+    // later config changes do not alter an issued agreement or break its hash.
+    supplierName: String,
+    timezone: String,
+    // SHA-256 of the PDF presented for review; the client signs against it
+    documentHash: String,
+    signedAt: Date,
+    signature: {
+        method: {
+            type: String,
+            enum: ['typed', 'drawn']
+        },
+        typedName: String,
+        // PNG data URL captured from a signature pad
+        image: String
     },
     ipAddress: String,
+    userAgent: String,
     documentUrl: String,
-    digitalSignature: String
+    // SHA-256 of the signed copy (review PDF plus signature page)
+    signedDocumentHash: String,
+    // Fingerprint binding the signer, document hash, signature and time
+    digitalSignature: String,
+    supersededAt: Date
 }, {
     timestamps: true
 });
 
-module.exports.Agreement = mongoose.model('Agreement', agreementSchema);
\ No newline at end of file
+agreementSchema.index({ applicationId: 1, type: 1, status: 1 });
+// At most one agreement of each type awaits signature per application
+agreementSchema.index(
+    { applicationId: 1, type: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+agreementSchema.index({ clientId: 1, createdAt: -1 });
+
+module.exports.Agreement = mongoose.model('Agreement', agreementSchema);
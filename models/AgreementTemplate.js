@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+const AGREEMENT_TYPES = ['service_agreement', 'privacy_policy', 'terms_conditions'];
+
+// Values filled in when an agreement is issued to a client, e.g. {{clientName}}
+const AGREEMENT_PLACEHOLDERS = [
+    'clientName',
+    'clientEmail',
+    'companyName',
+    'applicationId',
+    'visaType',
+    'destinationCountry',
+    'serviceFee',
+    'feeBreakdown',
+    'issueDate'
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// Each document is one immutable version of an agreement's wording.
+// Versions sharing the same type form its history; one is active at a time.
+const agreementTemplateSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: AGREEMENT_TYPES,
+        required: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'active', 'retired'],
+        default: 'draft'
+    },
+    title: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Plain text; blank lines separate paragraphs
+    body: {
+        type: String,
+        required: true
+    },
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    activatedAt: Date,
+    retiredAt: Date
+}, {
+    timestamps: true
+});
+
+agreementTemplateSchema.index({ type: 1, version: 1 }, { unique: true });
+agreementTemplateSchema.index({ type: 1, status: 1 });
+
+agreementTemplateSchema.pre('validate', function(next) {
+    const unknown = [...(this.body || '').matchAll(PLACEHOLDER_PATTERN)]
+        .map(match => match[1])
+        .filter(name => !AGREEMENT_PLACEHOLDERS.includes(name));
+
+    if (unknown.length > 0) {
+        this.invalidate('body', `Unknown placeholders: ${[...new Set(unknown)].join(', ')}`);
+    }
+    next();
+});
+
+agreementTemplateSchema.statics.PLACEHOLDERS = AGREEMENT_PLACEHOLDERS;
+agreementTemplateSchema.statics.PLACEHOLDER_PATTERN = PLACEHOLDER_PATTERN;
+
+module.exports.AgreementTemplate = mongoose.model('AgreementTemplate', agreementTemplateSchema);
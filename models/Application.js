@@ -51,6 +51,40 @@ const applicationSchema = new mongoose.Schema({
         max: 100,
         default: 0
     },
+    // Requirement template version the document checklist was built from
+    requirementTemplate: {
+        templateId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'RequirementTemplate'
+        },
+        templateKey: String,
+        version: Number
+    },
+    // Fee schedule snapshot taken at creation. Each item is raised as a
+    // pending Payment when the application reaches the item's stage.
+    billingPlan: {
+        feeScheduleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'FeeSchedule'
+        },
+        currency: String,
+        serviceFee: Number,
+        items: [{
+            key: String,
+            type: {
+                type: String,
+                enum: ['deposit', 'additional', 'final']
+            },
+            description: String,
+            stage: String,
+            amount: Number,
+            dueInDays: Number,
+            paymentId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Payment'
+            }
+        }]
+    },
     inzReference: String,
     submissionDate: Date,
     decisionDate: Date,
@@ -69,7 +103,30 @@ const applicationSchema = new mongoose.Schema({
         completed: {
             type: Boolean,
             default: false
-        }
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        completedAt: Date,
+        completedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Evidence the deadline was met: the response sent and the documents supplied
+        response: {
+            note: String,
+            documentIds: [{
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Document'
+            }]
+        },
+        // Reminder stages already sent ('14d', '3d', 'overdue', ...)
+        remindersSent: [{
+            _id: false,
+            stage: String,
+            sentAt: Date
+        }]
     }],
     timeline: [{
         stage: String,
@@ -15,7 +15,7 @@ const auditLogSchema = new mongoose.Schema({
     },
     entityType: {
         type: String,
-        enum: ['user', 'application', 'document', 'payment', 'consultation'],
+        enum: ['user', 'application', 'document', 'payment', 'consultation', 'requirement_template', 'role_permission', 'webhook_event', 'fee_schedule', 'exchange_rate', 'agreement', 'agreement_template', 'deadline'],
         required: true
     },
     entityId: {
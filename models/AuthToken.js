@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Single-use tokens for password reset and email verification.
+// Only a SHA-256 hash of the token is stored.
+const authTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    usedAt: Date,
+    requestedIp: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// TTL index: deletes the token once it expires
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports.AuthToken = mongoose.model('AuthToken', authTokenSchema);
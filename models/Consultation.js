@@ -49,10 +49,19 @@ const consultationSchema = new mongoose.Schema({
         ref: 'Consultation'
     },
     rescheduleReason: String,
+    // "<adviserId>:<ISO time>" for every 5-minute granule this consultation occupies
+    // in the adviser's calendar. The unique index makes reservation atomic and
+    // rejects overlapping bookings; it is unset when the slot is released.
+    slotKey: {
+        type: [String],
+        default: undefined
+    },
     // Auto-delete unpaid reservations after a hold window
     expiresAt: {
         type: Date
-    }
+    },
+    // Set when the paid booking's confirmation email is claimed, so it goes out once
+    confirmationSentAt: Date
 }, {
     timestamps: true
 });
@@ -60,6 +69,9 @@ const consultationSchema = new mongoose.Schema({
 // Index for efficient slot checking
 consultationSchema.index({ scheduledDate: 1, status: 1 });
 
+// One live reservation per adviser slot granule
+consultationSchema.index({ slotKey: 1 }, { unique: true, sparse: true });
+
 // TTL index: deletes the doc when expiresAt < now
 consultationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice and credit note numbers
+const counterSchema = new mongoose.Schema({
+    _id: String,
+    seq: {
+        type: Number,
+        default: 0
+    },
+    // Entry whose number (seq) is taken but not yet saved on it
+    holder: String,
+    heldAt: Date
+}, {
+    versionKey: false
+});
+
+module.exports.Counter = mongoose.model('Counter', counterSchema);
@@ -1,5 +1,76 @@
 const mongoose = require('mongoose');
 
+// Uploads are quarantined until a virus scan passes; infected ones are
+// kept as a record after their file is deleted
+const DOCUMENT_STATUSES = ['quarantined', 'infected', 'pending', 'approved', 'rejected', 'under_review'];
+
+// Latest virus scan of a version's file
+const scanResultSchema = new mongoose.Schema({
+    status: {
+        type: String,
+        enum: ['clean', 'infected', 'error']
+    },
+    scanner: String,
+    // Signatures the file was scanned with; a newer set triggers a rescan
+    signatureVersion: String,
+    threats: [String],
+    scannedAt: Date,
+    error: String
+}, {
+    _id: false
+});
+
+// Legacy file URLs are public and long-lived, so they are never sent to clients;
+// files are served through short-lived download links instead
+const hideFileUrl = {
+    transform: (doc, ret) => {
+        delete ret.fileUrl;
+        return ret;
+    }
+};
+
+// One uploaded file and its review. Versions are kept for compliance and
+// never overwritten; the document's top-level fields mirror the latest one.
+const documentVersionSchema = new mongoose.Schema({
+    version: {
+        type: Number,
+        required: true
+    },
+    originalName: String,
+    // Provider-neutral storage key of the file
+    storageKey: String,
+    // Cloudinary URL of files stored before storage keys were recorded
+    fileUrl: String,
+    fileSize: Number,
+    mimeType: String,
+    // SHA-256 of the uploaded file
+    checksum: String,
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    uploadedAt: {
+        type: Date,
+        default: Date.now
+    },
+    status: {
+        type: String,
+        enum: DOCUMENT_STATUSES,
+        default: 'pending'
+    },
+    reviewNotes: String,
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    expiryDate: Date,
+    scan: scanResultSchema
+}, {
+    _id: false,
+    toJSON: hideFileUrl
+});
+
 const documentSchema = new mongoose.Schema({
     applicationId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -26,6 +97,15 @@ const documentSchema = new mongoose.Schema({
             'qualification_documents',
             'marriage_certificate',
             'birth_certificate',
+            'health_examination',
+            'biometrics',
+            'relationship_evidence',
+            'offer_of_place',
+            'character_references',
+            'travel_itinerary',
+            'accommodation_proof',
+            'business_plan',
+            'business_registration',
             'other'
         ]
     },
@@ -34,12 +114,13 @@ const documentSchema = new mongoose.Schema({
         required: true
     },
     originalName: String,
+    storageKey: String,
     fileUrl: String,
     fileSize: Number,
     mimeType: String,
     status: {
         type: String,
-        enum: ['pending', 'approved', 'rejected', 'under_review'],
+        enum: DOCUMENT_STATUSES,
         default: 'pending'
     },
     reviewNotes: String,
@@ -52,9 +133,126 @@ const documentSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
-    expiryDate: Date
+    expiryDate: Date,
+    // Every upload in order, oldest first
+    versions: [documentVersionSchema],
+    currentVersion: {
+        type: Number,
+        default: 0
+    }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: hideFileUrl
 });
 
+// One document per type on an application, which later uploads add versions to
+documentSchema.index({ applicationId: 1, type: 1 }, { unique: true });
+
+// Fields copied from the latest version onto the document
+const MIRRORED_FIELDS = ['originalName', 'storageKey', 'fileUrl', 'fileSize', 'mimeType', 'status', 'reviewNotes', 'reviewedBy', 'reviewedAt', 'expiryDate'];
+
+// Documents uploaded before versioning hold their only file on the top-level fields
+documentSchema.methods.ensureVersionHistory = function() {
+    if (this.versions.length === 0 && (this.storageKey || this.fileUrl)) {
+        this.versions.push({
+            version: 1,
+            originalName: this.originalName,
+            storageKey: this.storageKey,
+            fileUrl: this.fileUrl,
+            fileSize: this.fileSize,
+            mimeType: this.mimeType,
+            uploadedBy: this.clientId,
+            uploadedAt: this.createdAt,
+            status: this.status,
+            reviewNotes: this.reviewNotes,
+            reviewedBy: this.reviewedBy,
+            reviewedAt: this.reviewedAt,
+            expiryDate: this.expiryDate
+        });
+        this.currentVersion = 1;
+    }
+};
+
+documentSchema.methods.latestVersion = function() {
+    return this.versions[this.versions.length - 1] || null;
+};
+
+documentSchema.methods.getVersion = function(version) {
+    return this.versions.find(v => v.version === version) || null;
+};
+
+/**
+ * Add an upload as the new latest version; it stays quarantined until
+ * recordScan finds it clean
+ * @param {Object} file - { originalName, storageKey, fileSize, mimeType, checksum, uploadedBy, expiryDate }
+ */
+documentSchema.methods.addVersion = function(file) {
+    this.ensureVersionHistory();
+
+    const version = (this.latestVersion()?.version || 0) + 1;
+    this.versions.push({ ...file, version, uploadedAt: new Date(), status: 'quarantined' });
+    this.currentVersion = version;
+    this.name = file.originalName;
+    this.syncLatestVersion();
+    return this.latestVersion();
+};
+
+/**
+ * Withdraw the latest upload; the earlier versions and their reviews stay as they were
+ * @returns {Object|null} - The removed version
+ */
+documentSchema.methods.removeLatestVersion = function() {
+    this.ensureVersionHistory();
+
+    const removed = this.versions.pop() || null;
+    const latest = this.latestVersion();
+    if (latest) {
+        this.currentVersion = latest.version;
+        this.name = latest.originalName;
+        this.syncLatestVersion();
+    }
+    return removed;
+};
+
+// Record a review on the latest version
+documentSchema.methods.reviewLatestVersion = function({ status, reviewNotes, reviewedBy }) {
+    this.ensureVersionHistory();
+
+    const latest = this.latestVersion();
+    if (latest) {
+        Object.assign(latest, { status, reviewNotes, reviewedBy, reviewedAt: new Date() });
+        this.syncLatestVersion();
+    } else {
+        Object.assign(this, { status, reviewNotes, reviewedBy, reviewedAt: new Date() });
+    }
+};
+
+/**
+ * Record a virus scan of a version. A clean scan releases a quarantined
+ * upload for review; a failed scan leaves it quarantined.
+ * @returns {Object|null} - The version, or null when it does not exist
+ */
+documentSchema.methods.recordScan = function(versionNumber, scan) {
+    const version = this.getVersion(versionNumber);
+    if (!version) return null;
+
+    version.scan = scan;
+    if (scan.status === 'infected') {
+        version.status = 'infected';
+    } else if (scan.status === 'clean' && version.status === 'quarantined') {
+        version.status = 'pending';
+    }
+    this.syncLatestVersion();
+    return version;
+};
+
+// Keep the checklist-facing fields in step with the latest version
+documentSchema.methods.syncLatestVersion = function() {
+    const latest = this.latestVersion();
+    if (!latest) return;
+    for (const field of MIRRORED_FIELDS) {
+        this[field] = latest[field];
+    }
+};
+
 module.exports.Document = mongoose.model('Document', documentSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// One delivery of a document's file to a user, for "who accessed this
+// passport" reviews. createdAt is the time of access.
+const documentAccessSchema = new mongoose.Schema({
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Document',
+        required: true
+    },
+    applicationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Application'
+    },
+    version: Number,
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    role: String,
+    // link: through a short-lived download link; stream: streamed to an authenticated request
+    channel: {
+        type: String,
+        enum: ['link', 'stream'],
+        required: true
+    },
+    sessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    },
+    ipAddress: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+documentAccessSchema.index({ documentId: 1, createdAt: -1 });
+documentAccessSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports.DocumentAccess = mongoose.model('DocumentAccess', documentAccessSchema);
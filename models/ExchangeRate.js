@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// Admin-maintained rate for converting a currency into the reporting
+// currency (REPORTING_CURRENCY). Only used for consolidated reporting;
+// clients are always charged in their billing currency.
+const exchangeRateSchema = new mongoose.Schema({
+    currency: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: /^[A-Z]{3}$/,
+        required: true,
+        unique: true
+    },
+    // Units of the reporting currency per one unit of this currency
+    rate: {
+        type: Number,
+        required: true,
+        validate: {
+            validator: (value) => value > 0,
+            message: 'Rate must be greater than zero'
+        }
+    },
+    source: String,
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports.ExchangeRate = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const { VISA_TYPES, STAGES } = require('../constants/applicationConstants');
+
+// Fees for one destination country and visa type. A schedule without a
+// visaType is the country default. Applications copy the schedule into
+// their billingPlan when created, so later edits only affect new applications.
+// Fees are set in the base currency and optionally in others under prices;
+// percentages and stages apply to every currency.
+const feeScheduleSchema = new mongoose.Schema({
+    countryCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: /^[A-Z]{2}$/,
+        required: true
+    },
+    visaType: {
+        type: String,
+        enum: [...Object.values(VISA_TYPES), null],
+        default: null
+    },
+    currency: {
+        type: String,
+        uppercase: true,
+        match: /^[A-Z]{3}$/,
+        default: 'USD'
+    },
+    consultationFee: {
+        type: Number,
+        min: 0,
+        required: true
+    },
+    // Total professional fee, billed as deposit + milestones + final balance
+    serviceFee: {
+        type: Number,
+        min: 0,
+        required: true
+    },
+    // Fees in other currencies, charged to clients billed in that currency
+    prices: [{
+        currency: {
+            type: String,
+            uppercase: true,
+            match: /^[A-Z]{3}$/,
+            required: true
+        },
+        consultationFee: {
+            type: Number,
+            min: 0,
+            required: true
+        },
+        serviceFee: {
+            type: Number,
+            min: 0,
+            required: true
+        }
+    }],
+    depositPercentage: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 10
+    },
+    milestones: [{
+        name: {
+            type: String,
+            required: true
+        },
+        stage: {
+            type: String,
+            enum: Object.values(STAGES),
+            required: true
+        },
+        percentage: {
+            type: Number,
+            min: 0,
+            max: 100,
+            required: true
+        },
+        // Days the client has to pay once the milestone is raised
+        dueInDays: {
+            type: Number,
+            min: 0,
+            default: 14
+        }
+    }],
+    // Stage at which the remaining balance is raised
+    finalBalanceStage: {
+        type: String,
+        enum: Object.values(STAGES),
+        default: STAGES.SUBMITTED_TO_INZ
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: String,
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+feeScheduleSchema.index(
+    { countryCode: 1, visaType: 1 },
+    { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+feeScheduleSchema.pre('validate', function(next) {
+    const scheduled = this.depositPercentage + this.milestones.reduce((sum, m) => sum + m.percentage, 0);
+    if (scheduled > 100) {
+        this.invalidate('milestones', 'Deposit and milestone percentages cannot exceed 100%');
+    }
+    const currencies = [this.currency, ...this.prices.map(p => p.currency)];
+    if (new Set(currencies).size !== currencies.length) {
+        this.invalidate('prices', 'Each currency can only be priced once');
+    }
+    next();
+});
+
+module.exports.FeeSchedule = mongoose.model('FeeSchedule', feeScheduleSchema);
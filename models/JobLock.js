@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Lease held by the server instance running a scheduled job, so a job runs
+// on one instance at a time. An expired lease can be taken over.
+const jobLockSchema = new mongoose.Schema({
+    _id: String,
+    owner: {
+        type: String,
+        required: true
+    },
+    lockedUntil: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+module.exports.JobLock = mongoose.model('JobLock', jobLockSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { NOTIFICATION_TYPES } = require('../constants/notifications');
 
 const notificationSchema = new mongoose.Schema({
     userId: {
@@ -12,18 +13,7 @@ const notificationSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: [
-            'document_uploaded',
-            'document_approved',
-            'document_rejected',
-            'payment_received',
-            'stage_updated',
-            'deadline_approaching',
-            'rfi_received',
-            'ppi_received',
-            'decision_received',
-            'general'
-        ],
+        enum: NOTIFICATION_TYPES,
         required: true
     },
     title: {
@@ -45,9 +35,64 @@ const notificationSchema = new mongoose.Schema({
     },
     readAt: Date,
     actionRequired: Boolean,
-    actionUrl: String
+    actionUrl: String,
+    // How the notification was routed under the user's preferences
+    delivery: {
+        // False when the user turned off in-app notifications of this type
+        inApp: {
+            type: Boolean,
+            default: true
+        },
+        email: {
+            status: {
+                type: String,
+                enum: ['pending', 'deferred', 'sent', 'failed', 'skipped'],
+                default: 'skipped'
+            },
+            // Held back by quiet hours until this time
+            deferredUntil: Date,
+            sentAt: Date,
+            error: String
+        },
+        // SMS or WhatsApp, sent only to a verified phone number
+        sms: {
+            channel: {
+                type: String,
+                enum: ['sms', 'whatsapp']
+            },
+            status: {
+                type: String,
+                enum: ['pending', 'deferred', 'queued', 'sent', 'delivered', 'read', 'undelivered', 'failed', 'skipped'],
+                default: 'skipped'
+            },
+            deferredUntil: Date,
+            to: String,
+            provider: String,
+            providerMessageId: String,
+            sentAt: Date,
+            deliveredAt: Date,
+            // Last status reported by the provider's callback
+            statusUpdatedAt: Date,
+            errorCode: String,
+            error: String
+        }
+    },
+    // Set when a digest email included the notification, so it is sent once
+    digestId: mongoose.Schema.Types.ObjectId,
+    digestedAt: Date
 }, {
     timestamps: true
 });
 
+notificationSchema.index({ 'delivery.email.status': 1, 'delivery.email.deferredUntil': 1 });
+notificationSchema.index({ 'delivery.sms.status': 1, 'delivery.sms.deferredUntil': 1 });
+notificationSchema.index({ 'delivery.sms.providerMessageId': 1 }, { sparse: true });
+notificationSchema.index({ userId: 1, isRead: 1, digestedAt: 1, createdAt: -1 });
+notificationSchema.index({ digestId: 1 }, { sparse: true });
+
+// Filter for a user's notifications shown in the portal
+notificationSchema.statics.inAppFilter = function(userId) {
+    return { userId, 'delivery.inApp': { $ne: false } };
+};
+
 module.exports.Notification = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const {
+    NOTIFICATION_TYPES,
+    DIGEST_FREQUENCIES,
+    MESSAGING_CHANNELS,
+    DEFAULT_NOTIFICATION_TIMEZONE
+} = require('../constants/notifications');
+const { isValidTimeZone } = require('../utils/timezone');
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A user's notification settings: channels per notification type, quiet
+// hours and digest frequency. Types without an entry use the defaults.
+const notificationPreferenceSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    timezone: {
+        type: String,
+        default: DEFAULT_NOTIFICATION_TIMEZONE,
+        validate: {
+            validator: isValidTimeZone,
+            message: props => `${props.value} is not a valid IANA time zone`
+        }
+    },
+    // Email and SMS wait until the end of this local window; may span midnight
+    quietHours: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        start: {
+            type: String,
+            match: TIME_OF_DAY,
+            default: '22:00'
+        },
+        end: {
+            type: String,
+            match: TIME_OF_DAY,
+            default: '07:00'
+        }
+    },
+    digestFrequency: {
+        type: String,
+        enum: DIGEST_FREQUENCIES,
+        default: 'off'
+    },
+    lastDigestAt: Date,
+    // How text messages reach the user's verified phone
+    messagingChannel: {
+        type: String,
+        enum: MESSAGING_CHANNELS,
+        default: 'sms'
+    },
+    types: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+        inApp: Boolean,
+        // null follows the notification's priority
+        email: Boolean,
+        sms: Boolean,
+        digest: Boolean
+    }]
+}, {
+    timestamps: true
+});
+
+notificationPreferenceSchema.pre('validate', function(next) {
+    const seen = new Set();
+    for (const entry of this.types) {
+        if (seen.has(entry.type)) {
+            this.invalidate('types', `Duplicate preferences for ${entry.type}`);
+            break;
+        }
+        seen.add(entry.type);
+    }
+    if (this.quietHours?.enabled && this.quietHours.start === this.quietHours.end) {
+        this.invalidate('quietHours', 'Quiet hours must start and end at different times');
+    }
+    next();
+});
+
+module.exports.NotificationPreference = mongoose.model('NotificationPreference', notificationPreferenceSchema);
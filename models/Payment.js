@@ -20,6 +20,7 @@ const paymentSchema = new mongoose.Schema({
     },
     currency: {
         type: String,
+        uppercase: true,
         default: 'USD'
     },
     type: {
@@ -40,15 +41,65 @@ const paymentSchema = new mongoose.Schema({
     gatewayReference: String,
     invoiceNumber: String,
     invoiceUrl: String,
+    // Storage key of the invoice PDF
+    invoiceKey: String,
+    // Snapshot of the tax invoice (or, on refund entries, credit note) taken
+    // when its number was assigned. The PDF is always rendered from this.
+    invoice: {
+        issuedAt: Date,
+        dueAt: Date,
+        paymentTerms: String,
+        footer: String,
+        // Time zone the invoice's dates are shown in
+        timezone: String,
+        supplier: {
+            name: String,
+            address: [String],
+            email: String,
+            phone: String,
+            website: String,
+            taxNumber: String
+        },
+        billTo: {
+            name: String,
+            email: String,
+            address: [String]
+        },
+        lines: [{
+            description: String,
+            quantity: Number,
+            unitAmount: Number,
+            amount: Number
+        }],
+        taxLabel: String,
+        taxRate: Number,
+        subtotal: Number,
+        taxAmount: Number,
+        total: Number,
+        // Credit notes: the invoice being credited
+        originalInvoiceNumber: String
+    },
     notes: String,
+    // Billing plan item this payment was raised for (deposit, milestone or final)
+    billingItemKey: String,
+    dueDate: Date,
+    checkoutUrl: String,
+    checkoutExpiresAt: Date,
 
-    // Refund tracking
+    // Refund tracking. On a payment, refundAmount is the total of its pending and
+    // completed refunds. Each refund is its own Payment of type 'refund' whose
+    // gatewayReference is the Stripe refund id and whose invoice fields hold the credit note.
     refundAmount: {
         type: Number,
         default: 0
     },
     refundReason: String,
-    refundedAt: Date
+    refundedAt: Date,
+    refundOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+    },
+    idempotencyKey: String
 }, {
     timestamps: true
 });
@@ -58,5 +109,12 @@ paymentSchema.index({ clientId: 1, createdAt: -1 });
 paymentSchema.index({ applicationId: 1 });
 paymentSchema.index({ consultationId: 1 });
 paymentSchema.index({ status: 1 });
+paymentSchema.index({ gatewayReference: 1 });
+paymentSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+// A retried refund request with the same key maps to the same ledger entry
+paymentSchema.index(
+    { refundOf: 1, idempotencyKey: 1 },
+    { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+);
 
 module.exports.Payment = mongoose.model('Payment', paymentSchema);
\ No newline at end of file
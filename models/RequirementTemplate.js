@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { VISA_TYPES, DOCUMENT_TYPES } = require('../constants/applicationConstants');
+
+// Each document is one immutable version of a requirement template.
+// Versions sharing the same templateKey form the history of one rule set.
+const requirementTemplateSchema = new mongoose.Schema({
+    templateKey: {
+        type: String,
+        required: true,
+        index: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'active', 'retired'],
+        default: 'draft'
+    },
+    countryCode: {
+        type: String,
+        uppercase: true,
+        trim: true,
+        match: /^[A-Z]{2}$/,
+        required: true
+    },
+    visaType: {
+        type: String,
+        enum: Object.values(VISA_TYPES),
+        required: true
+    },
+    // Optional applicant attributes; unset means "applies to everyone"
+    criteria: {
+        nationality: {
+            type: String,
+            uppercase: true,
+            trim: true
+        },
+        partnerStatus: {
+            type: String,
+            enum: ['single', 'partnered']
+        }
+    },
+    documents: [{
+        type: {
+            type: String,
+            enum: Object.values(DOCUMENT_TYPES),
+            required: true
+        },
+        name: {
+            type: String,
+            required: true
+        },
+        description: String,
+        required: {
+            type: Boolean,
+            default: true
+        },
+        formats: [String]
+    }],
+    notes: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    activatedAt: Date,
+    retiredAt: Date
+}, {
+    timestamps: true
+});
+
+requirementTemplateSchema.index({ templateKey: 1, version: 1 }, { unique: true });
+requirementTemplateSchema.index({ countryCode: 1, visaType: 1, status: 1 });
+
+requirementTemplateSchema.statics.buildKey = function({ countryCode, visaType, criteria = {} }) {
+    return [
+        (countryCode || '').toUpperCase(),
+        visaType,
+        (criteria.nationality || '*').toUpperCase(),
+        criteria.partnerStatus || '*'
+    ].join(':');
+};
+
+module.exports.RequirementTemplate = mongoose.model('RequirementTemplate', requirementTemplateSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Admin-configured permission set for a role. Roles without a record use
+// DEFAULT_ROLE_PERMISSIONS from constants/permissions.js.
+const rolePermissionSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        enum: ['client', 'admin', 'adviser'],
+        required: true,
+        unique: true
+    },
+    permissions: [{
+        type: String
+    }],
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports.RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
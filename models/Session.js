@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// One session per login. Each session is a refresh token family: the refresh
+// token rotates on every use and only the latest one is valid.
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token secret
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    rotationCount: {
+        type: Number,
+        default: 0
+    },
+    device: {
+        userAgent: String,
+        name: String
+    },
+    ipAddress: String,
+    // Set when the login passed a second factor
+    twoFactorVerified: {
+        type: Boolean,
+        default: false
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenIp: String,
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'revoke_all', 'refresh_token_reuse', 'user_inactive', 'password_reset']
+    }
+}, {
+    timestamps: true
+});
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// Remove sessions a week after they expire; revoked ones stay until then for auditing
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports.Session = mongoose.model('Session', sessionSchema);
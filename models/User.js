@@ -37,9 +37,55 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Set once profile.phone is confirmed with a texted code; SMS goes only to verified numbers
+    isPhoneVerified: {
+        type: Boolean,
+        default: false
+    },
+    phoneVerifiedAt: Date,
+    phoneVerification: {
+        phone: String,
+        codeHash: {
+            type: String,
+            select: false
+        },
+        expiresAt: Date,
+        attempts: Number
+    },
     isActive: {
         type: Boolean,
         default: true
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        // Encrypted TOTP secrets; pendingSecret holds an enrolment until it is verified
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Time step of the last accepted code, so a code cannot be replayed
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                hash: String,
+                usedAt: Date
+            }],
+            select: false
+        },
+        // Wrong codes in the current window; too many lock code checks until it passes
+        failedAttempts: Number,
+        lastFailedAt: Date
     }
 }, {
     timestamps: true
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One record per Stripe event id, so duplicate deliveries are processed once
+const webhookEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    provider: {
+        type: String,
+        enum: ['stripe'],
+        default: 'stripe'
+    },
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    livemode: Boolean,
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'processed', 'failed', 'ignored'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Lease for the worker currently processing the event
+    lockedUntil: Date,
+    lastError: String,
+    errorLog: [{
+        attempt: Number,
+        message: String,
+        at: Date
+    }],
+    processedAt: Date,
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    replayedAt: Date
+}, {
+    timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ type: 1, createdAt: -1 });
+
+module.exports.WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -9,6 +9,19 @@ require('./Consultation');
 require('./Agreement');
 require('./Notification');
 require('./AuditLog');
+require('./RequirementTemplate');
+require('./AdviserAvailability');
+require('./Session');
+require('./AuthToken');
+require('./RolePermission');
+require('./WebhookEvent');
+require('./FeeSchedule');
+require('./ExchangeRate');
+require('./Counter');
+require('./AgreementTemplate');
+require('./NotificationPreference');
+require('./JobLock');
+require('./DocumentAccess');
 
 
 // Export compiled models from mongoose.models
@@ -20,5 +33,18 @@ module.exports = {
   Consultation: mongoose.models.Consultation,
   Agreement: mongoose.models.Agreement,
   Notification: mongoose.models.Notification,
-  AuditLog: mongoose.models.AuditLog
+  AuditLog: mongoose.models.AuditLog,
+  RequirementTemplate: mongoose.models.RequirementTemplate,
+  AdviserAvailability: mongoose.models.AdviserAvailability,
+  Session: mongoose.models.Session,
+  AuthToken: mongoose.models.AuthToken,
+  RolePermission: mongoose.models.RolePermission,
+  WebhookEvent: mongoose.models.WebhookEvent,
+  FeeSchedule: mongoose.models.FeeSchedule,
+  ExchangeRate: mongoose.models.ExchangeRate,
+  Counter: mongoose.models.Counter,
+  AgreementTemplate: mongoose.models.AgreementTemplate,
+  NotificationPreference: mongoose.models.NotificationPreference,
+  JobLock: mongoose.models.JobLock,
+  DocumentAccess: mongoose.models.DocumentAccess
 };
@@ -1,14 +1,23 @@
 const express = require('express');
-const { User, Application, Document, Payment, Consultation, Agreement, Notification } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { User, Application, Document, Payment, Consultation, Agreement, Notification, RequirementTemplate, RolePermission, WebhookEvent, FeeSchedule, ExchangeRate, AgreementTemplate } = require('../models');
+const { auth } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/auditLog');
+const { requirePermission } = require('../middleware/policy');
+const { activateRequirementTemplate } = require('../utils/requirementTemplates');
+const { activateAgreementTemplate } = require('../utils/agreements');
+const { moveSlot } = require('../utils/slotReservation');
+const { isKnownPermission, invalidateRolePermissions } = require('../utils/permissions');
+const { replayEvent } = require('../utils/webhookEvents');
+const { consolidate } = require('../utils/currency');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../constants/permissions');
+const { REPORTING_CURRENCY } = require('../constants/currencies');
 
 const router = express.Router();
 
 // Dashboard statistics
 router.get('/dashboard',
     auth,
-    authorize('admin', 'adviser'),
+    requirePermission('dashboard.view'),
     async (req, res) => {
         try {
             const stats = await Promise.all([
@@ -25,10 +34,10 @@ router.get('/dashboard',
                     { $group: { _id: '$visaType', count: { $sum: 1 } } }
                 ]),
 
-                // Total revenue
+                // Revenue per currency, net of refunds
                 Payment.aggregate([
-                    { $match: { status: 'completed' } },
-                    { $group: { _id: null, total: { $sum: '$amount' } } }
+                    { $match: { type: { $ne: 'refund' }, status: { $in: ['completed', 'partial_refund'] } } },
+                    { $group: { _id: '$currency', total: { $sum: { $subtract: ['$amount', '$refundAmount'] } } } }
                 ]),
 
                 // Recent applications
@@ -58,7 +67,9 @@ router.get('/dashboard',
                 activeClients
             ] = stats;
 
-            const totalRevenue = revenueData[0]?.total || 0;
+            // Amounts in different currencies are only added up after conversion
+            const revenueByCurrency = revenueData.map(item => ({ currency: item._id, total: item.total }));
+            const consolidatedRevenue = await consolidate(revenueByCurrency);
 
             res.status(200).json({
                 success: true,
@@ -68,7 +79,8 @@ router.get('/dashboard',
                         activeClients,
                         pendingConsultations,
                         pendingDocuments,
-                        totalRevenue
+                        revenueByCurrency,
+                        consolidatedRevenue
                     },
                     applicationsByStage: applicationsByStage.reduce((acc, item) => {
                         acc[item._id] = item.count;
@@ -94,7 +106,7 @@ router.get('/dashboard',
 // Get all users
 router.get('/users',
     auth,
-    authorize('admin', 'adviser'),
+    requirePermission('user.read'),
     async (req, res) => {
         try {
             const { role, page = 1, limit = 20, search } = req.query;
@@ -139,7 +151,7 @@ router.get('/users',
 // Create adviser account
 router.post('/create-adviser',
     auth,
-    authorize('admin'),
+    requirePermission('user.manage'),
     auditLogger('create_adviser', 'user'),
     async (req, res) => {
         try {
@@ -201,7 +213,7 @@ router.post('/create-adviser',
 // Assign adviser to application
 router.patch('/applications/:id/assign-adviser',
     auth,
-    authorize('admin'),
+    requirePermission('application.assign'),
     auditLogger('assign_adviser', 'application'),
     async (req, res) => {
         try {
@@ -263,7 +275,7 @@ router.patch('/applications/:id/assign-adviser',
 // Assign adviser to consultation
 router.patch('/consultations/:id/assign-adviser',
   auth,
-  authorize('admin'),
+  requirePermission('consultation.assign'),
   auditLogger('assign_adviser', 'consultation'),
   async (req, res) => {
       try {
@@ -287,7 +299,7 @@ router.patch('/consultations/:id/assign-adviser',
 
           // Fetch consultation basics first
           const consultation = await Consultation.findById(consultationId)
-            .select('_id adviserId clientId status');
+            .select('_id adviserId clientId status scheduledDate');
           if (!consultation) {
               return res.status(404).json({
                   success: false,
@@ -325,12 +337,19 @@ router.patch('/consultations/:id/assign-adviser',
               });
           }
 
-          // Perform atomic update
-          const updated = await Consultation.findByIdAndUpdate(
-            consultationId,
-            { $set: { adviserId } },
-            { new: true, runValidators: true }
-          );
+          // Move the reservation to the new adviser's slot atomically
+          const moved = await moveSlot(consultation, {
+              adviserId,
+              scheduledDate: consultation.scheduledDate
+          });
+          if (!moved) {
+              return res.status(409).json({
+                  success: false,
+                  message: 'Adviser already has a consultation booked at this time',
+                  code: 'SLOT_UNAVAILABLE'
+              });
+          }
+          const updated = await Consultation.findById(consultationId);
 
           // Notify client (do not fail assignment if notification fails)
           try {
@@ -370,7 +389,7 @@ router.patch('/consultations/:id/assign-adviser',
 // System health check
 router.get('/system-health',
     auth,
-    authorize('admin'),
+    requirePermission('system.health'),
     async (req, res) => {
         try {
             const mongoose = require('mongoose');
@@ -399,7 +418,7 @@ router.get('/system-health',
 // Change user role
 router.patch('/users/:id/role',
     auth,
-    authorize('admin'),
+    requirePermission('user.manage'),
     auditLogger('change_user_role', 'user'),
     async (req, res) => {
         try {
@@ -442,102 +461,1623 @@ router.patch('/users/:id/role',
     }
 );
 
-module.exports = router;
+// ============================================
+// DOCUMENT REQUIREMENT TEMPLATES
+// ============================================
 
-/**
- * @openapi
- * tags:
- *   - name: Admin
- *     description: Admin and adviser operations
- *
- * /api/admin/dashboard:
- *   get:
- *     tags: [Admin]
- *     summary: Get admin dashboard statistics
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200: { description: Dashboard stats returned }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden }
- *
- * /api/admin/users:
- *   get:
- *     tags: [Admin]
- *     summary: List users
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: role
- *         schema: { type: string, enum: ["client","adviser","admin"] }
- *       - in: query
- *         name: page
- *         schema: { type: integer, default: 1, minimum: 1 }
- *       - in: query
- *         name: limit
- *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
- *       - in: query
- *         name: search
- *         schema: { type: string }
- *     responses:
- *       200: { description: Users returned }
- *       401: { description: Unauthorized }
- *       403: { description: Forbidden }
- *
- * /api/admin/create-adviser:
- *   post:
- *     tags: [Admin]
- *     summary: Create a new adviser account
- *     security:
- *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email: { type: string, format: email }
- *               password: { type: string, format: password, minLength: 8 }
- *               profile:
- *                 type: object
- *                 additionalProperties: true
- *             required: [email, password, profile]
- *     responses:
- *       201: { description: Adviser created }
- *       400: { description: User exists or validation error }
- *
- * /api/admin/applications/{id}/assign-adviser:
- *   patch:
- *     tags: [Admin]
- *     summary: Assign an adviser to an application
- *     security:
- *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema: { type: string }
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               adviserId: { type: string }
- *             required: [adviserId]
- *     responses:
- *       200: { description: Adviser assigned }
- *       404: { description: Application or adviser not found }
- *
- * /api/admin/system-health:
- *   get:
- *     tags: [Admin]
- *     summary: System health details
- *     security:
- *       - bearerAuth: []
- *     responses:
- *       200: { description: Health details returned }
+// List requirement templates
+router.get('/requirement-templates',
+    auth,
+    requirePermission('requirement_template.manage'),
+    async (req, res) => {
+        try {
+            const { countryCode, visaType, status, templateKey } = req.query;
+
+            const filter = {};
+            if (countryCode) filter.countryCode = countryCode.toUpperCase();
+            if (visaType) filter.visaType = visaType;
+            if (status) filter.status = status;
+            if (templateKey) filter.templateKey = templateKey;
+
+            const templates = await RequirementTemplate.find(filter)
+                .populate('createdBy', 'email profile')
+                .sort({ templateKey: 1, version: -1 });
+
+            res.status(200).json({
+                success: true,
+                data: templates
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching requirement templates',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Get a requirement template version with its version history
+router.get('/requirement-templates/:id',
+    auth,
+    requirePermission('requirement_template.manage'),
+    async (req, res) => {
+        try {
+            const template = await RequirementTemplate.findById(req.params.id)
+                .populate('createdBy', 'email profile');
+
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Requirement template not found'
+                });
+            }
+
+            const [versions, pinnedApplications] = await Promise.all([
+                RequirementTemplate.find({ templateKey: template.templateKey })
+                    .select('version status activatedAt retiredAt createdAt')
+                    .sort({ version: -1 }),
+                Application.countDocuments({ 'requirementTemplate.templateId': template._id })
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    template,
+                    versions,
+                    pinnedApplications
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching requirement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Template versions are numbered from the latest one, so two saves at once can take the same number
+const requirementTemplateError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid requirement template',
+            error: error.message
+        });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: 'Another version of this requirement template was saved at the same time. Please try again.'
+        });
+    }
+    return null;
+};
+
+// Create a requirement template (a new version if the key already exists)
+router.post('/requirement-templates',
+    auth,
+    requirePermission('requirement_template.manage'),
+    auditLogger('create_requirement_template', 'requirement_template'),
+    async (req, res) => {
+        try {
+            const { countryCode, visaType, criteria = {}, documents, notes, activate = false } = req.body;
+
+            if (!countryCode || !visaType || !Array.isArray(documents) || documents.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'countryCode, visaType and at least one document are required'
+                });
+            }
+
+            const templateKey = RequirementTemplate.buildKey({ countryCode, visaType, criteria });
+            const latest = await RequirementTemplate.findOne({ templateKey }).sort({ version: -1 });
+
+            const template = new RequirementTemplate({
+                templateKey,
+                version: latest ? latest.version + 1 : 1,
+                countryCode,
+                visaType,
+                criteria,
+                documents,
+                notes,
+                createdBy: req.user._id
+            });
+            await template.save();
+
+            if (activate) {
+                await activateRequirementTemplate(template);
+            }
+
+            req.auditEntityId = template._id;
+            req.auditNewValues = { templateKey, version: template.version, status: template.status };
+
+            res.status(201).json({
+                success: true,
+                message: 'Requirement template created successfully',
+                data: template
+            });
+        } catch (error) {
+            if (requirementTemplateError(res, error)) return;
+            res.status(500).json({
+                success: false,
+                message: 'Error creating requirement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Update a requirement template. Versions are immutable, so this publishes a new version.
+router.put('/requirement-templates/:id',
+    auth,
+    requirePermission('requirement_template.manage'),
+    auditLogger('update_requirement_template', 'requirement_template'),
+    async (req, res) => {
+        try {
+            const { documents, notes, activate = false } = req.body;
+
+            const source = await RequirementTemplate.findById(req.params.id);
+            if (!source) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Requirement template not found'
+                });
+            }
+
+            const latest = await RequirementTemplate.findOne({ templateKey: source.templateKey })
+                .sort({ version: -1 });
+
+            const template = new RequirementTemplate({
+                templateKey: source.templateKey,
+                version: latest.version + 1,
+                countryCode: source.countryCode,
+                visaType: source.visaType,
+                criteria: source.criteria,
+                documents: Array.isArray(documents) ? documents : source.documents,
+                notes: notes !== undefined ? notes : source.notes,
+                createdBy: req.user._id
+            });
+            await template.save();
+
+            if (activate) {
+                await activateRequirementTemplate(template);
+            }
+
+            req.auditOldValues = { version: source.version };
+            req.auditNewValues = { version: template.version, status: template.status };
+
+            res.status(201).json({
+                success: true,
+                message: `Requirement template version ${template.version} created`,
+                data: template
+            });
+        } catch (error) {
+            if (requirementTemplateError(res, error)) return;
+            res.status(500).json({
+                success: false,
+                message: 'Error updating requirement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Activate a requirement template version
+router.patch('/requirement-templates/:id/activate',
+    auth,
+    requirePermission('requirement_template.manage'),
+    auditLogger('activate_requirement_template', 'requirement_template'),
+    async (req, res) => {
+        try {
+            const template = await RequirementTemplate.findById(req.params.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Requirement template not found'
+                });
+            }
+
+            req.auditOldValues = { status: template.status };
+            await activateRequirementTemplate(template);
+            req.auditNewValues = { status: template.status, version: template.version };
+
+            res.status(200).json({
+                success: true,
+                message: 'Requirement template activated',
+                data: template
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error activating requirement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Delete a requirement template. Versions pinned by applications are retired instead.
+router.delete('/requirement-templates/:id',
+    auth,
+    requirePermission('requirement_template.manage'),
+    auditLogger('delete_requirement_template', 'requirement_template'),
+    async (req, res) => {
+        try {
+            const template = await RequirementTemplate.findById(req.params.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Requirement template not found'
+                });
+            }
+
+            const pinned = await Application.exists({ 'requirementTemplate.templateId': template._id });
+
+            if (pinned || template.status !== 'draft') {
+                template.status = 'retired';
+                template.retiredAt = new Date();
+                await template.save();
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Requirement template retired',
+                    data: template
+                });
+            }
+
+            await RequirementTemplate.findByIdAndDelete(template._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Requirement template deleted'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting requirement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// ============================================
+// AGREEMENT TEMPLATES
+// ============================================
+
+// List agreement templates
+router.get('/agreement-templates',
+    auth,
+    requirePermission('agreement_template.manage'),
+    async (req, res) => {
+        try {
+            const { type, status } = req.query;
+
+            const filter = {};
+            if (type) filter.type = type;
+            if (status) filter.status = status;
+
+            const templates = await AgreementTemplate.find(filter)
+                .select('-body')
+                .populate('createdBy', 'email profile')
+                .sort({ type: 1, version: -1 });
+
+            res.status(200).json({
+                success: true,
+                data: templates
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching agreement templates',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Get an agreement template version with the number of agreements issued from it
+router.get('/agreement-templates/:id',
+    auth,
+    requirePermission('agreement_template.manage'),
+    async (req, res) => {
+        try {
+            const template = await AgreementTemplate.findById(req.params.id)
+                .populate('createdBy', 'email profile');
+
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Agreement template not found'
+                });
+            }
+
+            const [issued, signed] = await Promise.all([
+                Agreement.countDocuments({ templateId: template._id }),
+                Agreement.countDocuments({ templateId: template._id, status: 'signed' })
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    template,
+                    placeholders: AgreementTemplate.PLACEHOLDERS,
+                    agreements: { issued, signed }
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching agreement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Publish a new version of an agreement type. Versions are immutable once created.
+router.post('/agreement-templates',
+    auth,
+    requirePermission('agreement_template.manage'),
+    auditLogger('create_agreement_template', 'agreement_template'),
+    async (req, res) => {
+        try {
+            const { type, title, body, notes, activate = false } = req.body;
+
+            if (!type || !title || !body) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'type, title and body are required'
+                });
+            }
+
+            const latest = await AgreementTemplate.findOne({ type }).sort({ version: -1 });
+
+            const template = new AgreementTemplate({
+                type,
+                version: latest ? latest.version + 1 : 1,
+                title,
+                body,
+                notes,
+                createdBy: req.user._id
+            });
+            await template.save();
+
+            if (activate) {
+                await activateAgreementTemplate(template);
+            }
+
+            req.auditEntityId = template._id;
+            req.auditNewValues = { type, version: template.version, status: template.status };
+
+            res.status(201).json({
+                success: true,
+                message: `Agreement template version ${template.version} created`,
+                data: template
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid agreement template',
+                    error: error.message
+                });
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Error creating agreement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Activate an agreement template version. Pending agreements on older versions
+// are superseded the next time they are issued.
+router.patch('/agreement-templates/:id/activate',
+    auth,
+    requirePermission('agreement_template.manage'),
+    auditLogger('activate_agreement_template', 'agreement_template'),
+    async (req, res) => {
+        try {
+            const template = await AgreementTemplate.findById(req.params.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Agreement template not found'
+                });
+            }
+
+            req.auditOldValues = { status: template.status };
+            await activateAgreementTemplate(template);
+            req.auditNewValues = { status: template.status, version: template.version };
+
+            res.status(200).json({
+                success: true,
+                message: 'Agreement template activated',
+                data: template
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error activating agreement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Delete a draft agreement template. Versions that were active or issued are retired instead.
+router.delete('/agreement-templates/:id',
+    auth,
+    requirePermission('agreement_template.manage'),
+    auditLogger('delete_agreement_template', 'agreement_template'),
+    async (req, res) => {
+        try {
+            const template = await AgreementTemplate.findById(req.params.id);
+            if (!template) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Agreement template not found'
+                });
+            }
+
+            const issued = await Agreement.exists({ templateId: template._id });
+
+            if (issued || template.status !== 'draft') {
+                template.status = 'retired';
+                template.retiredAt = new Date();
+                await template.save();
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Agreement template retired',
+                    data: template
+                });
+            }
+
+            await AgreementTemplate.findByIdAndDelete(template._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Agreement template deleted'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting agreement template',
+                error: error.message
+            });
+        }
+    }
+);
+
+// ============================================
+// FEE SCHEDULES
+// ============================================
+
+const FEE_SCHEDULE_FIELDS = ['currency', 'consultationFee', 'serviceFee', 'prices', 'depositPercentage', 'milestones', 'finalBalanceStage', 'isActive', 'notes'];
+
+// Map fee schedule save errors to a response, or null for unexpected ones
+const feeScheduleError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid fee schedule',
+            error: error.message
+        });
+    }
+    if (error.code === 11000) {
+        return res.status(409).json({
+            success: false,
+            message: 'An active fee schedule already exists for this country and visa type'
+        });
+    }
+    return null;
+};
+
+// List fee schedules
+router.get('/fee-schedules',
+    auth,
+    requirePermission('fee_schedule.manage'),
+    async (req, res) => {
+        try {
+            const { countryCode, visaType, isActive } = req.query;
+
+            const filter = {};
+            if (countryCode) filter.countryCode = countryCode.toUpperCase();
+            if (visaType) filter.visaType = visaType;
+            if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+            const schedules = await FeeSchedule.find(filter)
+                .populate('updatedBy', 'email profile')
+                .sort({ countryCode: 1, visaType: 1 });
+
+            res.status(200).json({
+                success: true,
+                data: schedules
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching fee schedules',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Create a fee schedule. Leave visaType empty for the country default.
+router.post('/fee-schedules',
+    auth,
+    requirePermission('fee_schedule.manage'),
+    auditLogger('create_fee_schedule', 'fee_schedule'),
+    async (req, res) => {
+        try {
+            const { countryCode, visaType } = req.body;
+
+            const schedule = new FeeSchedule({
+                countryCode,
+                visaType: visaType || null,
+                updatedBy: req.user._id
+            });
+            FEE_SCHEDULE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) schedule[field] = req.body[field];
+            });
+            await schedule.save();
+
+            req.auditEntityId = schedule._id;
+            req.auditNewValues = schedule.toObject();
+
+            res.status(201).json({
+                success: true,
+                message: 'Fee schedule created successfully',
+                data: schedule
+            });
+        } catch (error) {
+            if (feeScheduleError(res, error)) return;
+            res.status(500).json({
+                success: false,
+                message: 'Error creating fee schedule',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Update a fee schedule. Existing applications keep the billing plan they were created with.
+router.put('/fee-schedules/:id',
+    auth,
+    requirePermission('fee_schedule.manage'),
+    auditLogger('update_fee_schedule', 'fee_schedule'),
+    async (req, res) => {
+        try {
+            const schedule = await FeeSchedule.findById(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Fee schedule not found'
+                });
+            }
+
+            req.auditOldValues = schedule.toObject();
+
+            FEE_SCHEDULE_FIELDS.forEach(field => {
+                if (req.body[field] !== undefined) schedule[field] = req.body[field];
+            });
+            schedule.updatedBy = req.user._id;
+            await schedule.save();
+
+            req.auditNewValues = schedule.toObject();
+
+            res.status(200).json({
+                success: true,
+                message: 'Fee schedule updated successfully',
+                data: schedule
+            });
+        } catch (error) {
+            if (feeScheduleError(res, error)) return;
+            res.status(500).json({
+                success: false,
+                message: 'Error updating fee schedule',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Delete a fee schedule. Schedules that billing plans were built from are deactivated instead.
+router.delete('/fee-schedules/:id',
+    auth,
+    requirePermission('fee_schedule.manage'),
+    auditLogger('delete_fee_schedule', 'fee_schedule'),
+    async (req, res) => {
+        try {
+            const schedule = await FeeSchedule.findById(req.params.id);
+            if (!schedule) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Fee schedule not found'
+                });
+            }
+
+            const pinned = await Application.exists({ 'billingPlan.feeScheduleId': schedule._id });
+
+            if (pinned) {
+                schedule.isActive = false;
+                schedule.updatedBy = req.user._id;
+                await schedule.save();
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Fee schedule deactivated',
+                    data: schedule
+                });
+            }
+
+            await FeeSchedule.findByIdAndDelete(schedule._id);
+
+            res.status(200).json({
+                success: true,
+                message: 'Fee schedule deleted'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting fee schedule',
+                error: error.message
+            });
+        }
+    }
+);
+
+// ============================================
+// EXCHANGE RATES
+// ============================================
+
+// List exchange rates into the reporting currency
+router.get('/exchange-rates',
+    auth,
+    requirePermission('exchange_rate.manage'),
+    async (req, res) => {
+        try {
+            const rates = await ExchangeRate.find()
+                .populate('updatedBy', 'email profile')
+                .sort({ currency: 1 });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    reportingCurrency: REPORTING_CURRENCY,
+                    rates
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching exchange rates',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Set the rate for a currency
+router.put('/exchange-rates/:currency',
+    auth,
+    requirePermission('exchange_rate.manage'),
+    auditLogger('update_exchange_rate', 'exchange_rate'),
+    async (req, res) => {
+        try {
+            const currency = req.params.currency.toUpperCase();
+            const { rate, source } = req.body;
+
+            if (currency === REPORTING_CURRENCY) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${REPORTING_CURRENCY} is the reporting currency and always has a rate of 1`
+                });
+            }
+
+            const existing = await ExchangeRate.findOne({ currency });
+            // Read before the document is changed below
+            const previousRate = existing?.rate;
+            const exchangeRate = existing || new ExchangeRate({ currency });
+            exchangeRate.rate = rate;
+            exchangeRate.source = source;
+            exchangeRate.updatedBy = req.user._id;
+            await exchangeRate.save();
+
+            req.auditEntityId = exchangeRate._id;
+            req.auditOldValues = existing ? { rate: previousRate } : undefined;
+            req.auditNewValues = { currency, rate: exchangeRate.rate, source };
+
+            res.status(200).json({
+                success: true,
+                message: 'Exchange rate saved',
+                data: exchangeRate
+            });
+        } catch (error) {
+            if (error.name === 'ValidationError') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid exchange rate',
+                    error: error.message
+                });
+            }
+            if (error.code === 11000) {
+                return res.status(409).json({
+                    success: false,
+                    message: `The ${req.params.currency.toUpperCase()} rate was set at the same time. Please try again.`
+                });
+            }
+            res.status(500).json({
+                success: false,
+                message: 'Error saving exchange rate',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Remove a currency's rate; it is then left out of consolidated totals
+router.delete('/exchange-rates/:currency',
+    auth,
+    requirePermission('exchange_rate.manage'),
+    auditLogger('delete_exchange_rate', 'exchange_rate'),
+    async (req, res) => {
+        try {
+            const exchangeRate = await ExchangeRate.findOneAndDelete({ currency: req.params.currency.toUpperCase() });
+            if (!exchangeRate) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Exchange rate not found'
+                });
+            }
+
+            req.auditEntityId = exchangeRate._id;
+            req.auditOldValues = { currency: exchangeRate.currency, rate: exchangeRate.rate };
+
+            res.status(200).json({
+                success: true,
+                message: 'Exchange rate deleted'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error deleting exchange rate',
+                error: error.message
+            });
+        }
+    }
+);
+
+// ============================================
+// ROLE PERMISSIONS
+// ============================================
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+// List each role's permission set and the permission catalog
+router.get('/roles',
+    auth,
+    requirePermission('role.manage'),
+    async (req, res) => {
+        try {
+            const records = await RolePermission.find({ role: { $in: ROLES } });
+
+            const roles = ROLES.map(role => {
+                const record = records.find(r => r.role === role);
+                return {
+                    role,
+                    permissions: record ? record.permissions : DEFAULT_ROLE_PERMISSIONS[role],
+                    isDefault: !record,
+                    updatedBy: record?.updatedBy,
+                    updatedAt: record?.updatedAt
+                };
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    roles,
+                    availablePermissions: Object.values(PERMISSIONS)
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching role permissions',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Replace a role's permission set
+router.put('/roles/:role',
+    auth,
+    requirePermission('role.manage'),
+    auditLogger('update_role_permissions', 'role_permission'),
+    async (req, res) => {
+        try {
+            const { role } = req.params;
+            const { permissions } = req.body;
+
+            if (!ROLES.includes(role)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Role not found'
+                });
+            }
+
+            if (!Array.isArray(permissions)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'permissions must be an array of permission names'
+                });
+            }
+
+            const unknown = permissions.filter(p => !isKnownPermission(p));
+            if (unknown.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unknown permissions',
+                    unknownPermissions: unknown
+                });
+            }
+
+            // Without this admins could lock everyone out of permission management
+            if (role === 'admin' && !permissions.includes('role.manage')) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The admin role must keep the role.manage permission'
+                });
+            }
+
+            const existing = await RolePermission.findOne({ role });
+            const oldPermissions = existing ? existing.permissions : DEFAULT_ROLE_PERMISSIONS[role];
+
+            const record = await RolePermission.findOneAndUpdate(
+                { role },
+                { permissions: [...new Set(permissions)], updatedBy: req.user._id },
+                { new: true, upsert: true, runValidators: true }
+            );
+            invalidateRolePermissions(role);
+
+            req.auditEntityId = record._id;
+            req.auditOldValues = { role, permissions: oldPermissions };
+            req.auditNewValues = { role, permissions: record.permissions };
+
+            res.status(200).json({
+                success: true,
+                message: 'Role permissions updated successfully',
+                data: record
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error updating role permissions',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Reset a role to its built-in permission set
+router.delete('/roles/:role',
+    auth,
+    requirePermission('role.manage'),
+    auditLogger('reset_role_permissions', 'role_permission'),
+    async (req, res) => {
+        try {
+            const { role } = req.params;
+
+            const record = await RolePermission.findOneAndDelete({ role });
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'This role already uses the default permissions'
+                });
+            }
+            invalidateRolePermissions(role);
+
+            req.auditEntityId = record._id;
+            req.auditOldValues = { role, permissions: record.permissions };
+            req.auditNewValues = { role, permissions: DEFAULT_ROLE_PERMISSIONS[role] };
+
+            res.status(200).json({
+                success: true,
+                message: 'Role permissions reset to defaults',
+                data: {
+                    role,
+                    permissions: DEFAULT_ROLE_PERMISSIONS[role],
+                    isDefault: true
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error resetting role permissions',
+                error: error.message
+            });
+        }
+    }
+);
+
+// ============================================
+// WEBHOOK EVENTS
+// ============================================
+
+// List stored webhook events (failed ones by default)
+router.get('/webhook-events',
+    auth,
+    requirePermission('webhook.manage'),
+    async (req, res) => {
+        try {
+            const { status = 'failed', type, page = 1, limit = 20 } = req.query;
+
+            const filter = {};
+            if (status !== 'all') filter.status = status;
+            if (type) filter.type = type;
+
+            const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+            const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+
+            const [events, total] = await Promise.all([
+                WebhookEvent.find(filter)
+                    .select('-payload')
+                    .sort({ createdAt: -1 })
+                    .limit(pageSize)
+                    .skip((pageNum - 1) * pageSize),
+                WebhookEvent.countDocuments(filter)
+            ]);
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    events,
+                    totalPages: Math.ceil(total / pageSize),
+                    currentPage: pageNum,
+                    total
+                }
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching webhook events',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Get a webhook event including its payload
+router.get('/webhook-events/:id',
+    auth,
+    requirePermission('webhook.manage'),
+    async (req, res) => {
+        try {
+            const event = await WebhookEvent.findById(req.params.id);
+            if (!event) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Webhook event not found'
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                data: event
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error fetching webhook event',
+                error: error.message
+            });
+        }
+    }
+);
+
+// Reprocess a failed webhook event now
+router.post('/webhook-events/:id/replay',
+    auth,
+    requirePermission('webhook.manage'),
+    auditLogger('replay_webhook_event', 'webhook_event'),
+    async (req, res) => {
+        try {
+            const result = await replayEvent(req.params.id, req.user._id);
+            if (result.error) {
+                return res.status(result.error === 'NOT_FOUND' ? 404 : 409).json({
+                    success: false,
+                    message: result.message,
+                    code: result.error
+                });
+            }
+
+            const { event } = result;
+            req.auditNewValues = { eventId: event.eventId, type: event.type, status: event.status };
+
+            res.status(200).json({
+                success: true,
+                message: event.status === 'processed'
+                    ? 'Webhook event replayed successfully'
+                    : 'Webhook event replay failed; it will be retried',
+                data: event
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error replaying webhook event',
+                error: error.message
+            });
+        }
+    }
+);
+
+module.exports = router;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Admin
+ *     description: Admin and adviser operations
+ *
+ * /api/admin/dashboard:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get admin dashboard statistics
+ *     description: |
+ *       Revenue is net of refunds. `revenueByCurrency` lists totals per currency; `consolidatedRevenue`
+ *       converts them to the reporting currency using the admin-maintained exchange rates, and lists
+ *       currencies without a rate in `missingRates`.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Dashboard stats returned }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *
+ * /api/admin/users:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List users
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema: { type: string, enum: ["client","adviser","admin"] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1, minimum: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20, minimum: 1, maximum: 100 }
+ *       - in: query
+ *         name: search
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Users returned }
+ *       401: { description: Unauthorized }
+ *       403: { description: Forbidden }
+ *
+ * /api/admin/create-adviser:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create a new adviser account
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string, format: email }
+ *               password: { type: string, format: password, minLength: 8 }
+ *               profile:
+ *                 type: object
+ *                 additionalProperties: true
+ *             required: [email, password, profile]
+ *     responses:
+ *       201: { description: Adviser created }
+ *       400: { description: User exists or validation error }
+ *
+ * /api/admin/applications/{id}/assign-adviser:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Assign an adviser to an application
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               adviserId: { type: string }
+ *             required: [adviserId]
+ *     responses:
+ *       200: { description: Adviser assigned }
+ *       404: { description: Application or adviser not found }
+ *
+ * /api/admin/requirement-templates:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List document requirement templates (admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: countryCode
+ *         schema: { type: string, pattern: '^[A-Z]{2}$' }
+ *       - in: query
+ *         name: visaType
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, active, retired] }
+ *       - in: query
+ *         name: templateKey
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Templates returned }
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create a requirement template (new version when the key already exists)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               countryCode: { type: string, example: NZ }
+ *               visaType: { type: string, enum: [work, partner, student, residence, visitor, business] }
+ *               criteria:
+ *                 type: object
+ *                 properties:
+ *                   nationality: { type: string, example: IN }
+ *                   partnerStatus: { type: string, enum: [single, partnered] }
+ *               documents:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type: { type: string }
+ *                     name: { type: string }
+ *                     description: { type: string }
+ *                     required: { type: boolean }
+ *                     formats: { type: array, items: { type: string } }
+ *               notes: { type: string }
+ *               activate: { type: boolean, default: false }
+ *             required: [countryCode, visaType, documents]
+ *     responses:
+ *       201: { description: Template created }
+ *       400: { description: Validation error }
+ *       409: { description: Another version of the template was saved at the same time }
+ *
+ * /api/admin/requirement-templates/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a requirement template version with its history
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Template returned }
+ *       404: { description: Not found }
+ *   put:
+ *     tags: [Admin]
+ *     summary: Publish a new version of a requirement template
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documents: { type: array, items: { type: object } }
+ *               notes: { type: string }
+ *               activate: { type: boolean, default: false }
+ *     responses:
+ *       201: { description: New version created }
+ *       400: { description: Validation error }
+ *       404: { description: Not found }
+ *       409: { description: Another version of the template was saved at the same time }
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete a draft template, or retire one that is active or pinned by applications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Deleted or retired }
+ *       404: { description: Not found }
+ *
+ * /api/admin/requirement-templates/{id}/activate:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Make this version the active one for its template key
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Activated }
+ *       404: { description: Not found }
+ *
+ * /api/admin/agreement-templates:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List agreement template versions (admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [service_agreement, privacy_policy, terms_conditions] }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [draft, active, retired] }
+ *     responses:
+ *       200: { description: Templates returned }
+ *   post:
+ *     tags: [Admin]
+ *     summary: Publish a new agreement template version
+ *     description: |
+ *       The body is plain text with blank lines between paragraphs. Placeholders such as
+ *       `{{clientName}}`, `{{visaType}}`, `{{serviceFee}}` and `{{feeBreakdown}}` are filled in
+ *       when the agreement is issued; unknown placeholders are rejected.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type: { type: string, enum: [service_agreement, privacy_policy, terms_conditions] }
+ *               title: { type: string }
+ *               body: { type: string }
+ *               notes: { type: string }
+ *               activate: { type: boolean, default: false }
+ *             required: [type, title, body]
+ *     responses:
+ *       201: { description: Template version created }
+ *       400: { description: Validation error }
+ *
+ * /api/admin/agreement-templates/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get an agreement template version with its placeholders and usage
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Template returned }
+ *       404: { description: Not found }
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete a draft template, or retire one that was active or issued
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Deleted or retired }
+ *       404: { description: Not found }
+ *
+ * /api/admin/agreement-templates/{id}/activate:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Make this version the active wording for its agreement type
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Activated }
+ *       404: { description: Not found }
+ *
+ * /api/admin/fee-schedules:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List fee schedules (admin)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: countryCode
+ *         schema: { type: string }
+ *       - in: query
+ *         name: visaType
+ *         schema: { type: string }
+ *       - in: query
+ *         name: isActive
+ *         schema: { type: boolean }
+ *     responses:
+ *       200: { description: Fee schedules returned }
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create a fee schedule for a country and visa type
+ *     description: |
+ *       The service fee is billed as a deposit when the application is created, one instalment per
+ *       milestone when the application reaches the milestone's stage, and the remaining balance at
+ *       `finalBalanceStage`. Omit `visaType` for the country default.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               countryCode: { type: string, example: NZ }
+ *               visaType: { type: string, nullable: true }
+ *               currency: { type: string, default: USD }
+ *               consultationFee: { type: number, example: 50 }
+ *               serviceFee: { type: number, example: 3000 }
+ *               prices:
+ *                 type: array
+ *                 description: Fees in other currencies, used for clients billed in that currency
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     currency: { type: string, example: NZD }
+ *                     consultationFee: { type: number }
+ *                     serviceFee: { type: number }
+ *               depositPercentage: { type: number, default: 10 }
+ *               milestones:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name: { type: string, example: Documents approved }
+ *                     stage: { type: string, example: documents_completed }
+ *                     percentage: { type: number, example: 40 }
+ *                     dueInDays: { type: number, default: 14 }
+ *               finalBalanceStage: { type: string, default: submitted_to_inz }
+ *               notes: { type: string }
+ *             required: [countryCode, consultationFee, serviceFee]
+ *     responses:
+ *       201: { description: Created }
+ *       400: { description: Invalid fee schedule }
+ *       409: { description: An active schedule already exists for the country and visa type }
+ *
+ * /api/admin/fee-schedules/{id}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Update a fee schedule (applies to applications created afterwards)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Updated }
+ *       400: { description: Invalid fee schedule }
+ *       404: { description: Not found }
+ *       409: { description: An active schedule already exists for the country and visa type }
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete a fee schedule, or deactivate it if applications were billed from it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Deleted or deactivated }
+ *       404: { description: Not found }
+ *
+ * /api/admin/exchange-rates:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List exchange rates into the reporting currency (admin)
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Reporting currency and rates returned }
+ *
+ * /api/admin/exchange-rates/{currency}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Set a currency's rate into the reporting currency
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema: { type: string, example: USD }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rate: { type: number, example: 1.68, description: Units of the reporting currency per unit of this currency }
+ *               source: { type: string, example: RBNZ 2025-01-31 }
+ *             required: [rate]
+ *     responses:
+ *       200: { description: Saved }
+ *       400: { description: Invalid rate, or the reporting currency itself }
+ *       409: { description: The same rate was set concurrently }
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Remove a currency's rate
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Deleted }
+ *       404: { description: Not found }
+ *
+ * /api/admin/system-health:
+ *   get:
+ *     tags: [Admin]
+ *     summary: System health details
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Health details returned }
+ *
+ * /api/admin/roles:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List each role's permissions and the available permission names
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Role permissions returned }
+ *       403: { description: Forbidden }
+ *
+ * /api/admin/roles/{role}:
+ *   put:
+ *     tags: [Admin]
+ *     summary: Replace a role's permission set
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema: { type: string, enum: ["client","adviser","admin"] }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items: { type: string }
+ *                 example: ["application.read.assigned", "application.update", "document.review"]
+ *     responses:
+ *       200: { description: Role permissions updated }
+ *       400: { description: Unknown permission, or admin would lose role.manage }
+ *       404: { description: Role not found }
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Reset a role to its default permissions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: role
+ *         required: true
+ *         schema: { type: string, enum: ["client","adviser","admin"] }
+ *     responses:
+ *       200: { description: Role reset to defaults }
+ *       404: { description: Role already uses the defaults }
+ *
+ * /api/admin/webhook-events:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List stored Stripe webhook events (failed ones by default)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: ["failed","pending","processing","processed","ignored","all"], default: failed }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, example: "checkout.session.completed" }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 20 }
+ *     responses:
+ *       200: { description: Events returned without payloads }
+ *       403: { description: Forbidden }
+ *
+ * /api/admin/webhook-events/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a webhook event with its payload, attempts and errors
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Event returned }
+ *       404: { description: Not found }
+ *
+ * /api/admin/webhook-events/{id}/replay:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Reprocess a failed or waiting webhook event now, with a fresh retry budget
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Replayed; data.status shows whether it succeeded }
+ *       404: { description: Not found }
+ *       409: { description: Event is processed, ignored or being processed }
  */
\ No newline at end of file
@@ -0,0 +1,352 @@
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+const { Agreement, Application } = require('../models');
+const { auth } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/auditLog');
+const { policy } = require('../middleware/policy');
+const { canAccess, scopeFilter } = require('../utils/permissions');
+const { issueAgreement, renderAgreementPdf, signAgreement } = require('../utils/agreements');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const AGREEMENT_TYPES = ['service_agreement', 'privacy_policy', 'terms_conditions'];
+const AGREEMENT_STATUSES = ['pending', 'signed', 'superseded'];
+
+const SIGN_ERROR_STATUS = {
+    AGREEMENT_NOT_PENDING: 409,
+    DOCUMENT_MISMATCH: 409,
+    INVALID_SIGNATURE: 400
+};
+
+// List agreements the user can reach
+router.get('/',
+  auth,
+  async (req, res) => {
+      try {
+          const { applicationId, type, status } = req.query;
+
+          // Only plain values reach the filter, so no query operators can be passed in
+          if ((applicationId !== undefined && !(typeof applicationId === 'string' && mongoose.isValidObjectId(applicationId)))
+              || (type !== undefined && !AGREEMENT_TYPES.includes(type))
+              || (status !== undefined && !AGREEMENT_STATUSES.includes(status))) {
+              return res.status(400).json({
+                  success: false,
+                  message: `applicationId must be a valid id, type one of ${AGREEMENT_TYPES.join(', ')} and status one of ${AGREEMENT_STATUSES.join(', ')}`
+              });
+          }
+
+          const scope = await scopeFilter(req.user, 'agreement');
+          if (!scope) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Access denied. Insufficient permissions.'
+              });
+          }
+
+          const conditions = [scope];
+          if (applicationId !== undefined) conditions.push({ applicationId });
+          if (type !== undefined) conditions.push({ type });
+          if (status !== undefined) conditions.push({ status });
+
+          const agreements = await Agreement.find({ $and: conditions })
+            .select('-content -signature.image')
+            .sort({ createdAt: -1 });
+
+          res.status(200).json({
+              success: true,
+              data: agreements
+          });
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error fetching agreements',
+              error: error.message
+          });
+      }
+  }
+);
+
+// Issue an agreement for an application, or return the one awaiting signature
+router.post('/',
+  auth,
+  async (req, res) => {
+      try {
+          const { applicationId, type = 'service_agreement' } = req.body;
+
+          if (!mongoose.isValidObjectId(applicationId) || !AGREEMENT_TYPES.includes(type)) {
+              return res.status(400).json({
+                  success: false,
+                  message: `A valid applicationId and a type of ${AGREEMENT_TYPES.join(', ')} are required`
+              });
+          }
+
+          const application = await Application.findById(applicationId);
+          if (!application) {
+              return res.status(404).json({ success: false, message: 'Application not found' });
+          }
+          if (!(await canAccess(req.user, 'application', application))) {
+              return res.status(403).json({ success: false, message: 'Access denied to this application' });
+          }
+
+          const agreement = await issueAgreement(application, { type });
+          if (!agreement) {
+              return res.status(400).json({
+                  success: false,
+                  message: `No active ${type.replace('_', ' ')} template is published`
+              });
+          }
+
+          res.status(200).json({
+              success: true,
+              data: agreement
+          });
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error issuing agreement',
+              error: error.message
+          });
+      }
+  }
+);
+
+// Review an agreement: its wording and the hash of the PDF to sign against
+router.get('/:id',
+  auth,
+  policy(null, 'agreement'),
+  async (req, res) => {
+      res.status(200).json({
+          success: true,
+          data: req.resource
+      });
+  }
+);
+
+// Download the agreement as a PDF; signed agreements include the signature page.
+// The PDF is rendered from the stored wording and checked against the recorded hash.
+router.get('/:id/document',
+  auth,
+  policy(null, 'agreement'),
+  async (req, res) => {
+      try {
+          const agreement = req.resource;
+          const signed = agreement.status === 'signed';
+
+          const pdf = await renderAgreementPdf(agreement, { signed });
+          const hash = crypto.createHash('sha256').update(pdf).digest('hex');
+          const expected = signed ? agreement.signedDocumentHash : agreement.documentHash;
+
+          if (expected && hash !== expected) {
+              logger.error(`Agreement ${agreement._id} no longer renders to its recorded hash`);
+              return res.status(500).json({
+                  success: false,
+                  message: 'Agreement document failed its integrity check'
+              });
+          }
+
+          res.set({
+              'Content-Type': 'application/pdf',
+              'Content-Disposition': `attachment; filename="${agreement.type}-${agreement._id}${signed ? '-signed' : ''}.pdf"`,
+              'X-Document-SHA256': hash
+          });
+          res.status(200).send(pdf);
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error generating agreement document',
+              error: error.message
+          });
+      }
+  }
+);
+
+// Sign an agreement as its client, recording the signature, time, IP and user agent
+router.post('/:id/sign',
+  auth,
+  policy(null, 'agreement'),
+  auditLogger('sign_agreement', 'agreement'),
+  async (req, res) => {
+      try {
+          const agreement = req.resource;
+          const { documentHash, signature, accept } = req.body;
+
+          if (agreement.clientId.toString() !== req.user._id.toString()) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Only the client can sign their agreement'
+              });
+          }
+          if (accept !== true) {
+              return res.status(400).json({
+                  success: false,
+                  message: 'You must accept the agreement to sign it'
+              });
+          }
+
+          const result = await signAgreement(agreement, {
+              documentHash,
+              signature,
+              ipAddress: req.ip,
+              userAgent: req.get('User-Agent')
+          });
+
+          if (result.error) {
+              return res.status(SIGN_ERROR_STATUS[result.error] || 400).json({
+                  success: false,
+                  message: result.message,
+                  code: result.error
+              });
+          }
+
+          req.auditOldValues = { status: agreement.status };
+          req.auditNewValues = {
+              status: result.agreement.status,
+              version: result.agreement.version,
+              documentHash: result.agreement.documentHash,
+              signatureMethod: result.agreement.signature.method
+          };
+
+          res.status(200).json({
+              success: true,
+              message: 'Agreement signed successfully',
+              data: result.agreement
+          });
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error signing agreement',
+              error: error.message
+          });
+      }
+  }
+);
+
+module.exports = router;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Agreements
+ *     description: Service agreement review and electronic signing
+ *
+ * /api/agreements:
+ *   get:
+ *     tags: [Agreements]
+ *     summary: List agreements the user can reach
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: applicationId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: type
+ *         schema: { type: string, enum: [service_agreement, privacy_policy, terms_conditions] }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [pending, signed, superseded] }
+ *     responses:
+ *       200: { description: Agreements returned }
+ *       400: { description: Invalid applicationId, type or status }
+ *   post:
+ *     tags: [Agreements]
+ *     summary: Issue an agreement for an application
+ *     description: |
+ *       Renders the active template for the client and application. A signed agreement, or a
+ *       pending one using the active template version, is returned instead of issuing a new one;
+ *       a pending agreement on an older version is superseded.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               applicationId: { type: string }
+ *               type: { type: string, enum: [service_agreement, privacy_policy, terms_conditions], default: service_agreement }
+ *             required: [applicationId]
+ *     responses:
+ *       200: { description: Agreement returned }
+ *       400: { description: Invalid input or no template for the type }
+ *       403: { description: Access denied }
+ *       404: { description: Application not found }
+ *
+ * /api/agreements/{id}:
+ *   get:
+ *     tags: [Agreements]
+ *     summary: Review an agreement's wording and document hash
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Agreement returned }
+ *       403: { description: Access denied }
+ *       404: { description: Agreement not found }
+ *
+ * /api/agreements/{id}/document:
+ *   get:
+ *     tags: [Agreements]
+ *     summary: Download the agreement PDF (the signed copy once signed)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: PDF returned; the X-Document-SHA256 header carries its hash
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *       403: { description: Access denied }
+ *       404: { description: Agreement not found }
+ *
+ * /api/agreements/{id}/sign:
+ *   post:
+ *     tags: [Agreements]
+ *     summary: Sign a pending agreement as its client
+ *     description: |
+ *       `documentHash` must be the SHA-256 of the PDF the client reviewed. The signature, time,
+ *       IP address and user agent are recorded and a signed copy with a signature page is produced.
+ *       The deposit can only be paid once the service agreement is signed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               documentHash: { type: string }
+ *               accept: { type: boolean, enum: [true] }
+ *               signature:
+ *                 type: object
+ *                 properties:
+ *                   method: { type: string, enum: [typed, drawn] }
+ *                   typedName: { type: string, example: Jane Doe }
+ *                   image: { type: string, description: PNG data URL, required for drawn signatures }
+ *                 required: [method, typedName]
+ *             required: [documentHash, accept, signature]
+ *     responses:
+ *       200: { description: Agreement signed }
+ *       400: { description: Invalid signature or agreement not accepted }
+ *       403: { description: Access denied or not the client }
+ *       404: { description: Agreement not found }
+ *       409: { description: Agreement already signed or superseded, or the reviewed document changed }
+ */
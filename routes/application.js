@@ -1,22 +1,36 @@
 const express = require('express');
 const { Application, Document, Payment, Agreement, Notification } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/auditLog');
+const { requirePermission, policy } = require('../middleware/policy');
+const { hasPermission, scopeFilter } = require('../utils/permissions');
 const { generateProgressUpdate, calculateProgress } = require('../utils/progressCalculator');
 const { sendNotification } = require('../utils/notifications');
+const { isKnownStage, validateStageTransition } = require('../utils/stageWorkflow');
+const { getChecklist, DEFAULT_REQUIREMENT_TEMPLATE } = require('../utils/requirementTemplates');
+const { attachBillingPlan, raiseStagePayments, getBillingSummary } = require('../utils/billing');
+const { issueAgreement } = require('../utils/agreements');
+const { emitApplicationUpdate } = require('../utils/realtime');
 const { VISA_TYPES, STAGES } = require('../constants/applicationConstants');
 
 const router = express.Router();
 
-// Get all applications (admin/adviser view)
+// Get all applications the user can reach (all for admins, assigned ones for advisers)
 router.get('/',
   auth,
-  authorize('admin', 'adviser'),
   async (req, res) => {
       try {
           const { stage, visaType, countryCode, page = 1, limit = 20 } = req.query;
 
-          const filter = {};
+          const scope = await scopeFilter(req.user, 'application');
+          if (!scope) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Access denied. Insufficient permissions.'
+              });
+          }
+
+          const filter = { ...scope };
           if (stage) filter.stage = stage;
           if (visaType) filter.visaType = visaType;
           if (countryCode) filter['destinationCountry.code'] = countryCode.toUpperCase();
@@ -72,10 +86,11 @@ router.get('/my-applications', auth, async (req, res) => {
 // Create new application
 router.post('/',
   auth,
+  requirePermission('application.create'),
   auditLogger('create', 'application'),
   async (req, res) => {
       try {
-          const { visaType, consultationId, destinationCountry } = req.body;
+          const { visaType, consultationId, destinationCountry, partnerStatus, currency } = req.body;
 
           // Validate destination country if provided
           if (destinationCountry && destinationCountry.code) {
@@ -120,10 +135,17 @@ router.post('/',
               }]
           });
 
-          await application.save();
+          // Pins the requirement template version, saves the application and creates its documents
+          await createDocumentChecklist(application, {
+              nationality: req.user.profile?.nationality,
+              partnerStatus
+          });
 
-          // Create initial document checklist
-          await createDocumentChecklist(application._id, visaType, destination.code);
+          // Pin the fee schedule in the client's currency, issue the service
+          // agreement quoting it, then raise the deposit
+          await attachBillingPlan(application, { user: req.user, currency });
+          await issueServiceAgreement(application);
+          await raiseBillingPayments(application);
 
           res.status(201).json({
               success: true,
@@ -143,22 +165,27 @@ router.post('/',
 // Update application stage
 router.patch('/:id/stage',
   auth,
-  authorize('admin', 'adviser'),
+  policy('application.update', 'application'),
   auditLogger('update_stage', 'application'),
   async (req, res) => {
       try {
           const { stage, notes } = req.body;
-          const applicationId = req.params.id;
 
-          const application = await Application.findById(applicationId);
-          if (!application) {
-              return res.status(404).json({
+          if (!isKnownStage(stage)) {
+              return res.status(400).json({
                   success: false,
-                  message: 'Application not found'
+                  message: 'Invalid stage',
+                  code: 'UNKNOWN_STAGE'
               });
           }
 
+          const application = req.resource;
+
           const oldStage = application.stage;
+
+          const change = await authorizeStageChange(req, res, application, stage);
+          if (!change) return;
+
           application.stage = stage;
           application.progress = calculateProgress(stage);
 
@@ -166,11 +193,15 @@ router.patch('/:id/stage',
           application.timeline.push({
               stage,
               date: new Date(),
-              notes,
+              notes: stageChangeNotes(change, oldStage, stage, notes),
               updatedBy: req.user._id
           });
 
           await application.save();
+          emitApplicationUpdate(application);
+          await raiseBillingPayments(application);
+
+          auditStageChange(req, change, oldStage, stage);
 
           // Send notification to client
           await sendNotification({
@@ -200,51 +231,37 @@ router.patch('/:id/stage',
 // Submit to Immigration Authority
 router.patch('/:id/submit-to-inz',
   auth,
-  authorize('admin', 'adviser'),
+  policy('application.update', 'application'),
   auditLogger('submit_to_immigration', 'application'),
   async (req, res) => {
       try {
           const { inzReference } = req.body;
-          const applicationId = req.params.id;
-
-          const application = await Application.findById(applicationId);
-          if (!application) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Application not found'
-              });
-          }
 
-          // Check if all required documents are approved
-          const requiredDocs = await Document.find({
-              applicationId,
-              isRequired: true,
-              status: { $ne: 'approved' }
-          });
+          const application = req.resource;
+          const oldStage = application.stage;
 
-          if (requiredDocs.length > 0) {
-              return res.status(400).json({
-                  success: false,
-                  message: 'Cannot submit to immigration authority. Some required documents are not approved.',
-                  pendingDocuments: requiredDocs.map(doc => doc.type)
-              });
-          }
+          // The workflow requires approved documents and checks the reference being submitted
+          application.inzReference = inzReference;
+          const change = await authorizeStageChange(req, res, application, STAGES.SUBMITTED_TO_INZ);
+          if (!change) return;
 
           const countryName = application.destinationCountry?.name || 'Immigration Authority';
 
-          application.stage = 'submitted_to_inz';
-          application.progress = calculateProgress('submitted_to_inz');
-          application.inzReference = inzReference;
+          application.stage = STAGES.SUBMITTED_TO_INZ;
+          application.progress = calculateProgress(STAGES.SUBMITTED_TO_INZ);
           application.submissionDate = new Date();
 
           application.timeline.push({
-              stage: 'submitted_to_inz',
+              stage: STAGES.SUBMITTED_TO_INZ,
               date: new Date(),
-              notes: `Application submitted to ${countryName} with reference: ${inzReference}`,
+              notes: stageChangeNotes(change, oldStage, STAGES.SUBMITTED_TO_INZ, `Application submitted to ${countryName} with reference: ${inzReference}`),
               updatedBy: req.user._id
           });
 
           await application.save();
+          emitApplicationUpdate(application);
+          await raiseBillingPayments(application);
+          auditStageChange(req, change, oldStage, STAGES.SUBMITTED_TO_INZ);
 
           // Send notification to client
           await sendNotification({
@@ -274,38 +291,43 @@ router.patch('/:id/submit-to-inz',
 // Add RFI (Request for Information)
 router.post('/:id/rfi',
   auth,
-  authorize('admin', 'adviser'),
+  policy('application.update', 'application'),
   auditLogger('add_rfi', 'application'),
   async (req, res) => {
       try {
           const { description, dueDate } = req.body;
-          const applicationId = req.params.id;
 
-          const application = await Application.findById(applicationId);
-          if (!application) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Application not found'
-              });
-          }
+          const application = req.resource;
+          const oldStage = application.stage;
+
+          // A further RFI while one is open keeps the stage, so only a move is checked
+          const change = oldStage === STAGES.RFI_RECEIVED
+            ? { override: false }
+            : await authorizeStageChange(req, res, application, STAGES.RFI_RECEIVED);
+          if (!change) return;
 
           // Add deadline for RFI
           application.deadlines.push({
               type: 'rfi',
               description,
               dueDate: new Date(dueDate),
-              completed: false
+              completed: false,
+              createdBy: req.user._id
           });
 
-          application.stage = 'rfi_received';
+          application.stage = STAGES.RFI_RECEIVED;
+          application.progress = calculateProgress(STAGES.RFI_RECEIVED);
           application.timeline.push({
-              stage: 'rfi_received',
+              stage: STAGES.RFI_RECEIVED,
               date: new Date(),
-              notes: `RFI received: ${description}`,
+              notes: stageChangeNotes(change, oldStage, STAGES.RFI_RECEIVED, `RFI received: ${description}`),
               updatedBy: req.user._id
           });
 
           await application.save();
+          emitApplicationUpdate(application);
+          await raiseBillingPayments(application);
+          auditStageChange(req, change, oldStage, STAGES.RFI_RECEIVED);
 
           const countryName = application.destinationCountry?.name || 'Immigration Authority';
 
@@ -338,38 +360,43 @@ router.post('/:id/rfi',
 // Add PPI (Potentially Prejudicial Information)
 router.post('/:id/ppi',
   auth,
-  authorize('admin', 'adviser'),
+  policy('application.update', 'application'),
   auditLogger('add_ppi', 'application'),
   async (req, res) => {
       try {
           const { description, dueDate } = req.body;
-          const applicationId = req.params.id;
 
-          const application = await Application.findById(applicationId);
-          if (!application) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Application not found'
-              });
-          }
+          const application = req.resource;
+          const oldStage = application.stage;
+
+          // A further PPI while one is open keeps the stage, so only a move is checked
+          const change = oldStage === STAGES.PPI_RECEIVED
+            ? { override: false }
+            : await authorizeStageChange(req, res, application, STAGES.PPI_RECEIVED);
+          if (!change) return;
 
           // Add deadline for PPI
           application.deadlines.push({
               type: 'ppi',
               description,
               dueDate: new Date(dueDate),
-              completed: false
+              completed: false,
+              createdBy: req.user._id
           });
 
-          application.stage = 'ppi_received';
+          application.stage = STAGES.PPI_RECEIVED;
+          application.progress = calculateProgress(STAGES.PPI_RECEIVED);
           application.timeline.push({
-              stage: 'ppi_received',
+              stage: STAGES.PPI_RECEIVED,
               date: new Date(),
-              notes: `PPI received: ${description}`,
+              notes: stageChangeNotes(change, oldStage, STAGES.PPI_RECEIVED, `PPI received: ${description}`),
               updatedBy: req.user._id
           });
 
           await application.save();
+          emitApplicationUpdate(application);
+          await raiseBillingPayments(application);
+          auditStageChange(req, change, oldStage, STAGES.PPI_RECEIVED);
 
           const countryName = application.destinationCountry?.name || 'Immigration Authority';
 
@@ -402,35 +429,35 @@ router.post('/:id/ppi',
 // Record final decision
 router.patch('/:id/decision',
   auth,
-  authorize('admin', 'adviser'),
+  policy('application.update', 'application'),
   auditLogger('record_decision', 'application'),
   async (req, res) => {
       try {
           const { outcome, decisionLetter, notes } = req.body;
-          const applicationId = req.params.id;
 
-          const application = await Application.findById(applicationId);
-          if (!application) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Application not found'
-              });
-          }
+          const application = req.resource;
+          const oldStage = application.stage;
 
-          application.stage = 'decision';
+          const change = await authorizeStageChange(req, res, application, STAGES.DECISION);
+          if (!change) return;
+
+          application.stage = STAGES.DECISION;
           application.progress = 100;
           application.outcome = outcome;
           application.decisionDate = new Date();
           application.decisionLetter = decisionLetter;
 
           application.timeline.push({
-              stage: 'decision',
+              stage: STAGES.DECISION,
               date: new Date(),
-              notes: notes || `Application ${outcome}`,
+              notes: stageChangeNotes(change, oldStage, STAGES.DECISION, notes || `Application ${outcome}`),
               updatedBy: req.user._id
           });
 
           await application.save();
+          emitApplicationUpdate(application);
+          await raiseBillingPayments(application);
+          auditStageChange(req, change, oldStage, STAGES.DECISION);
 
           // Send notification to client
           const notificationTitle = outcome === 'approved' ?
@@ -466,26 +493,15 @@ router.patch('/:id/decision',
 );
 
 // Get application dashboard data
-router.get('/:id/dashboard', auth, async (req, res) => {
+router.get('/:id/dashboard', auth, policy(null, 'application'), async (req, res) => {
     try {
         const applicationId = req.params.id;
 
-        // Check if user has access to this application
-        const filter = { _id: applicationId };
-        if (req.user.role === 'client') {
-            filter.clientId = req.user._id;
-        }
-
-        const application = await Application.findOne(filter)
-          .populate('clientId', 'email profile')
-          .populate('adviserId', 'email profile');
-
-        if (!application) {
-            return res.status(404).json({
-                success: false,
-                message: 'Application not found'
-            });
-        }
+        const application = await req.resource
+          .populate([
+              { path: 'clientId', select: 'email profile' },
+              { path: 'adviserId', select: 'email profile' }
+          ]);
 
         // Get documents with status
         const documents = await Document.find({ applicationId })
@@ -498,7 +514,7 @@ router.get('/:id/dashboard', auth, async (req, res) => {
 
         // Get recent notifications
         const notifications = await Notification.find({
-            userId: req.user.role === 'client' ? req.user._id : application.clientId,
+            ...Notification.inAppFilter(application.clientId),
             applicationId
         })
           .sort({ createdAt: -1 })
@@ -527,14 +543,135 @@ router.get('/:id/dashboard', auth, async (req, res) => {
     }
 });
 
-// Helper function to create document checklist based on visa type and country
-async function createDocumentChecklist(applicationId, visaType, countryCode = 'NZ') {
-    const documentTypes = getRequiredDocuments(visaType, countryCode);
+// Get the application's billing plan with payment status and outstanding balance
+router.get('/:id/billing', auth, policy(null, 'application'), async (req, res) => {
+    try {
+        const summary = await getBillingSummary(req.resource);
+
+        res.status(200).json({
+            success: true,
+            data: summary
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching billing summary',
+            error: error.message
+        });
+    }
+});
 
+/**
+ * Check a stage change against the workflow, sending the refusal when it is not
+ * allowed. With `override: true` in the body, users holding
+ * application.stage.override may skip the workflow by giving a reason.
+ * @returns {Promise<Object|null>} - { override, reason }, or null once a refusal was sent
+ */
+async function authorizeStageChange(req, res, application, stage) {
+    const { override = false, reason } = req.body;
+
+    // Only a JSON true starts an override; "false" or 0 from a form must not
+    if (typeof override !== 'boolean') {
+        res.status(400).json({
+            success: false,
+            message: 'override must be true or false'
+        });
+        return null;
+    }
+
+    // Overrides skip the workflow rules, so they need their own permission and a reason
+    if (override) {
+        if (!(await hasPermission(req.user, 'application.stage.override'))) {
+            res.status(403).json({
+                success: false,
+                message: 'You are not allowed to override the stage workflow'
+            });
+            return null;
+        }
+        if (typeof reason !== 'string' || !reason.trim()) {
+            res.status(400).json({
+                success: false,
+                message: 'A reason is required to override the stage workflow'
+            });
+            return null;
+        }
+        return { override: true, reason: reason.trim() };
+    }
+
+    const transition = await validateStageTransition(application, stage);
+    if (!transition.isValid) {
+        res.status(409).json({
+            success: false,
+            message: transition.error,
+            code: transition.code,
+            currentStage: application.stage,
+            requestedStage: stage,
+            allowedStages: transition.allowedStages,
+            unmetRequirements: transition.unmetRequirements
+        });
+        return null;
+    }
+    return { override: false };
+}
+
+// Timeline notes for a stage change; overrides record who skipped the workflow and why
+function stageChangeNotes(change, fromStage, stage, notes) {
+    if (!change.override) return notes;
+    return `Stage override from ${fromStage} to ${stage}: ${change.reason}${notes ? ` (${notes})` : ''}`;
+}
+
+function auditStageChange(req, change, fromStage, stage) {
+    req.auditOldValues = { stage: fromStage };
+    req.auditNewValues = change.override
+      ? { stage, override: true, overrideReason: change.reason }
+      : { stage };
+}
+
+// Raise payments for billing plan items due at the application's stage. A
+// billing failure must not undo the stage change; the next change retries it.
+async function raiseBillingPayments(application) {
+    try {
+        await raiseStagePayments(application);
+    } catch (err) {
+        console.error(`Raising stage payments failed for application ${application._id}:`, err?.message);
+    }
+}
+
+// Issue the service agreement for the client to sign. The client can have it
+// issued again from the agreements API if this fails.
+async function issueServiceAgreement(application) {
+    try {
+        await issueAgreement(application, { type: 'service_agreement' });
+    } catch (err) {
+        console.error(`Issuing the service agreement failed for application ${application._id}:`, err?.message);
+    }
+}
+
+// Helper function to create the document checklist from the matching requirement template.
+// Applications built from the built-in defaults pin those, so later templates do not apply to them.
+async function createDocumentChecklist(application, { nationality, partnerStatus } = {}) {
+    const checklist = await getChecklist({
+        visaType: application.visaType,
+        countryCode: application.destinationCountry?.code || 'NZ',
+        nationality,
+        partnerStatus
+    });
+
+    application.requirementTemplate = checklist.template
+        ? {
+            templateId: checklist.template.id,
+            templateKey: checklist.template.templateKey,
+            version: checklist.template.version
+        }
+        : { ...DEFAULT_REQUIREMENT_TEMPLATE };
+    await application.save();
+
+    // An application has one document per type, so a type listed twice is created once
+    const documentTypes = checklist.documents.filter((docType, index, all) => all.findIndex(other => other.type === docType.type) === index);
     const documentPromises = documentTypes.map(docType => {
         return Document.create({
-            applicationId,
-            clientId: null, // Will be set when uploaded
+            applicationId: application._id,
+            clientId: application.clientId,
             type: docType.type,
             name: docType.name,
             status: 'pending',
@@ -545,69 +682,6 @@ async function createDocumentChecklist(applicationId, visaType, countryCode = 'N
     await Promise.all(documentPromises);
 }
 
-// Helper function to get required documents by visa type and country
-function getRequiredDocuments(visaType, countryCode = 'NZ') {
-    // Common documents across all countries
-    const commonDocs = [
-        { type: 'passport', name: 'Passport Copy', required: true },
-        { type: 'photo', name: 'Passport Photos', required: true }
-    ];
-
-    // Country-specific common requirements
-    const countrySpecificCommon = {
-        'NZ': [
-            { type: 'police_clearance', name: 'Police Clearance Certificate', required: true }
-        ],
-        'AU': [
-            { type: 'police_clearance', name: 'Police Clearance Certificate', required: true },
-            { type: 'health_examination', name: 'Health Examination', required: true }
-        ],
-        'CA': [
-            { type: 'police_clearance', name: 'Police Certificate', required: true },
-            { type: 'biometrics', name: 'Biometrics', required: true }
-        ]
-    };
-
-    // Visa-specific documents
-    const visaSpecificDocs = {
-        work: [
-            { type: 'job_offer', name: 'Job Offer Letter', required: true },
-            { type: 'employment_contract', name: 'Employment Contract', required: true },
-            { type: 'qualification_documents', name: 'Qualification Documents', required: true }
-        ],
-        partner: [
-            { type: 'marriage_certificate', name: 'Marriage/Partnership Certificate', required: true },
-            { type: 'relationship_evidence', name: 'Relationship Evidence', required: true },
-            { type: 'financial_records', name: 'Financial Evidence', required: true }
-        ],
-        student: [
-            { type: 'offer_of_place', name: 'Offer of Place', required: true },
-            { type: 'qualification_documents', name: 'Academic Qualifications', required: true },
-            { type: 'financial_records', name: 'Financial Evidence', required: true }
-        ],
-        residence: [
-            { type: 'financial_records', name: 'Financial Evidence', required: true },
-            { type: 'medical_certificate', name: 'Medical Certificate', required: true },
-            { type: 'character_references', name: 'Character References', required: false }
-        ],
-        visitor: [
-            { type: 'travel_itinerary', name: 'Travel Itinerary', required: true },
-            { type: 'financial_records', name: 'Financial Evidence', required: true },
-            { type: 'accommodation_proof', name: 'Accommodation Proof', required: false }
-        ],
-        business: [
-            { type: 'business_plan', name: 'Business Plan', required: true },
-            { type: 'financial_records', name: 'Financial Evidence', required: true },
-            { type: 'business_registration', name: 'Business Registration', required: true }
-        ]
-    };
-
-    const countryDocs = countrySpecificCommon[countryCode] || [];
-    const visaDocs = visaSpecificDocs[visaType] || [];
-
-    return [...commonDocs, ...countryDocs, ...visaDocs];
-}
-
 // Helper functions (stubs - implement based on your business logic)
 function calculateStageCompletion(application, documents) {
     // Implementation for calculating completion of each stage
@@ -672,6 +746,9 @@ module.exports = router;
  *   post:
  *     tags: [Applications]
  *     summary: Create a new application for current client
+ *     description: |
+ *       Pins the matching document requirement template and fee schedule, then raises the
+ *       deposit as a pending payment with a Stripe Checkout link.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -686,6 +763,14 @@ module.exports = router;
  *                 enum: [work, partner, student, residence, visitor, business]
  *               consultationId:
  *                 type: string
+ *               partnerStatus:
+ *                 type: string
+ *                 enum: [single, partnered]
+ *                 description: Used to pick a matching document requirement template
+ *               currency:
+ *                 type: string
+ *                 example: NZD
+ *                 description: Preferred billing currency; otherwise chosen from the client's profile country or the destination
  *               destinationCountry:
  *                 type: object
  *                 properties:
@@ -715,6 +800,10 @@ module.exports = router;
  *   patch:
  *     tags: [Applications]
  *     summary: Update application stage (admin/adviser)
+ *     description: >
+ *       Moves the application along the stage workflow. Only legal transitions are accepted and
+ *       each target stage's requirements (deposit paid, required documents approved, INZ reference)
+ *       must be met. Admins may force any stage with `override: true` and a mandatory `reason`.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -731,15 +820,22 @@ module.exports = router;
  *             properties:
  *               stage: { type: string }
  *               notes: { type: string }
+ *               override: { type: boolean, default: false, description: Admin only }
+ *               reason: { type: string, description: Required when override is true }
  *             required: [stage]
  *     responses:
  *       200: { description: Stage updated }
+ *       400: { description: Unknown stage, non-boolean override or missing override reason }
+ *       403: { description: Override attempted by non-admin }
  *       404: { description: Application not found }
+ *       409: { description: Illegal transition or unmet requirements; lists allowedStages and unmetRequirements }
  *
  * /api/applications/{id}/submit-to-inz:
  *   patch:
  *     tags: [Applications]
  *     summary: Submit application to immigration authority (admin/adviser)
+ *     description: >
+ *       Only from `documents_completed`, with every required document approved, unless overridden.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -755,15 +851,22 @@ module.exports = router;
  *             type: object
  *             properties:
  *               inzReference: { type: string }
+ *               override: { type: boolean, default: false, description: Skip the stage workflow (application.stage.override) }
+ *               reason: { type: string, description: Required when override is true }
  *             required: [inzReference]
  *     responses:
  *       200: { description: Submitted to immigration authority }
- *       400: { description: Pending required documents }
+ *       400: { description: Non-boolean override or missing override reason }
+ *       403: { description: Override attempted without application.stage.override }
+ *       409: { description: Illegal transition or unmet requirements; lists allowedStages and unmetRequirements }
  *
  * /api/applications/{id}/rfi:
  *   post:
  *     tags: [Applications]
  *     summary: Add Request for Information (RFI)
+ *     description: >
+ *       Moves the application to `rfi_received` through the stage workflow, as
+ *       `PATCH /api/applications/{id}/stage` does. A further RFI while one is open keeps the stage.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -780,14 +883,22 @@ module.exports = router;
  *             properties:
  *               description: { type: string }
  *               dueDate: { type: string, format: date-time }
+ *               override: { type: boolean, default: false, description: Skip the stage workflow (application.stage.override) }
+ *               reason: { type: string, description: Required when override is true }
  *             required: [description, dueDate]
  *     responses:
  *       200: { description: RFI added }
+ *       400: { description: Non-boolean override or missing override reason }
+ *       403: { description: Override attempted without application.stage.override }
+ *       409: { description: Illegal transition or unmet requirements; lists allowedStages and unmetRequirements }
  *
  * /api/applications/{id}/ppi:
  *   post:
  *     tags: [Applications]
  *     summary: Add Potentially Prejudicial Information (PPI)
+ *     description: >
+ *       Moves the application to `ppi_received` through the stage workflow. A further PPI
+ *       while one is open keeps the stage.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -804,14 +915,20 @@ module.exports = router;
  *             properties:
  *               description: { type: string }
  *               dueDate: { type: string, format: date-time }
+ *               override: { type: boolean, default: false, description: Skip the stage workflow (application.stage.override) }
+ *               reason: { type: string, description: Required when override is true }
  *             required: [description, dueDate]
  *     responses:
  *       200: { description: PPI added }
+ *       400: { description: Non-boolean override or missing override reason }
+ *       403: { description: Override attempted without application.stage.override }
+ *       409: { description: Illegal transition or unmet requirements; lists allowedStages and unmetRequirements }
  *
  * /api/applications/{id}/decision:
  *   patch:
  *     tags: [Applications]
  *     summary: Record final decision
+ *     description: Only once the application is with the immigration authority, unless overridden.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -829,9 +946,14 @@ module.exports = router;
  *               outcome: { type: string, enum: [approved, declined] }
  *               decisionLetter: { type: string }
  *               notes: { type: string }
+ *               override: { type: boolean, default: false, description: Skip the stage workflow (application.stage.override) }
+ *               reason: { type: string, description: Required when override is true }
  *             required: [outcome]
  *     responses:
  *       200: { description: Decision recorded }
+ *       400: { description: Non-boolean override or missing override reason }
+ *       403: { description: Override attempted without application.stage.override }
+ *       409: { description: Illegal transition or unmet requirements; lists allowedStages and unmetRequirements }
  *
  * /api/applications/{id}/dashboard:
  *   get:
@@ -847,4 +969,24 @@ module.exports = router;
  *     responses:
  *       200: { description: Dashboard data returned }
  *       404: { description: Application not found }
+ *
+ * /api/applications/{id}/billing:
+ *   get:
+ *     tags: [Applications]
+ *     summary: Get the application's billing plan and outstanding balance
+ *     description: |
+ *       Lists the deposit, milestone and final balance items pinned from the fee schedule when the
+ *       application was created. Items are raised as pending payments, with a checkout link, when
+ *       the application reaches their stage; items not yet raised have status `scheduled`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Billing summary returned }
+ *       403: { description: Access denied }
+ *       404: { description: Application not found }
  */
\ No newline at end of file
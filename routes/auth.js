@@ -1,12 +1,34 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
-const { User, Application, Document, Payment, Consultation, Agreement, Notification } = require('../models');
+const { User, Application, Document, Payment, Consultation, Agreement, Notification, Session } = require('../models');
 const { auth } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/auditLog');
 const { sendEmail } = require('../utils/email');
 const { generateToken } = require('../utils/tokenGenerator');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions
+} = require('../utils/sessions');
+const { consumeAuthToken, sendPasswordResetEmail, sendVerificationEmail } = require('../utils/authTokens');
+const { getRolePermissions } = require('../utils/permissions');
+const { maskPhone, startPhoneVerification, confirmPhoneVerification } = require('../utils/phone');
+const {
+    isTwoFactorRequired,
+    signChallengeToken,
+    verifyChallengeToken,
+    startEnrolment,
+    completeEnrolment,
+    verifySecondFactor,
+    secondFactorLockedUntil,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    getTwoFactorStatus
+} = require('../utils/twoFactor');
 
 const router = express.Router();
 // Rate limiting
@@ -16,15 +38,56 @@ const authLimiter = rateLimit({
 });
 
 // Validation middleware
+const passwordValidation = body('password')
+    .isLength({ min: 8 })
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/)
+    .withMessage('Password must be at least 8 characters long and contain letters, numbers, and special characters');
+
 const setupAccountValidation = [
-    body('password')
-        .isLength({ min: 8 })
-        .matches(/^(?=.*[A-Za-z])(?=.*\d)(?=.*[@$!%*#?&])[A-Za-z\d@$!%*#?&]{8,}$/)
-        .withMessage('Password must be at least 8 characters long and contain letters, numbers, and special characters'),
+    passwordValidation,
     body('token').notEmpty().withMessage('Token is required'),
     body('profile').notEmpty().withMessage('Profile information is required')
 ];
 
+const resetPasswordValidation = [
+    passwordValidation,
+    body('token').notEmpty().withMessage('Token is required')
+];
+
+// User fields returned with a new session
+const toAuthUser = (user) => ({
+    id: user._id,
+    email: user.email,
+    role: user.role,
+    profile: user.profile,
+    isEmailVerified: user.isEmailVerified,
+    isPhoneVerified: Boolean(user.isPhoneVerified),
+    twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+});
+
+// 2FA enrolment is reachable with a normal session or, for roles that must
+// enrol before signing in, with the challenge token returned by /login
+const enrolmentAuth = async (req, res, next) => {
+    if (!req.body?.challengeToken) return auth(req, res, next);
+
+    try {
+        const userId = verifyChallengeToken(req.body.challengeToken, '2fa_enrol');
+        const user = userId && await User.findById(userId).select('-password');
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge. Please log in again.'
+            });
+        }
+
+        req.user = user;
+        req.enrolmentChallenge = true;
+        next();
+    } catch {
+        return res.status(401).json({ success: false, message: 'Invalid challenge.' });
+    }
+};
+
 // Generate client token after consultation
 router.post('/generate-token', async (req, res) => {
     try {
@@ -100,23 +163,15 @@ router.post('/setup-account', setupAccountValidation, async (req, res) => {
         user.isEmailVerified = true;
         await user.save();
 
-        // Generate JWT with shorter expiration
-        const jwtToken = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRE }  // 7days
-        );
+        const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
         res.status(200).json({
             success: true,
             message: 'Account setup completed',
-            token: jwtToken,
-            user: {
-                id: user._id,
-                email: user.email,
-                role: user.role,
-                profile: user.profile
-            }
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+            user: toAuthUser(user)
         });
     } catch (error) {
         res.status(500).json({
@@ -157,23 +212,36 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: user._id, role: user.role },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRE }
-        );
+        // Second step: the client exchanges the challenge token at /login/2fa
+        if (user.twoFactor?.enabled) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: signChallengeToken(user, '2fa_login')
+            });
+        }
+
+        // Roles that must use 2FA enrol before they get a session
+        if (isTwoFactorRequired(user)) {
+            return res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication must be set up before signing in',
+                twoFactorSetupRequired: true,
+                challengeToken: signChallengeToken(user, '2fa_enrol')
+            });
+        }
+
+        // Short-lived access token plus a rotating refresh token for this device
+        const { accessToken, refreshToken, expiresIn } = await createSession(user, req);
 
         res.status(200).json({
             success: true,
             message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                role: user.role,
-                profile: user.profile
-            }
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+            user: toAuthUser(user)
         });
     } catch (error) {
         res.status(500).json({
@@ -184,71 +252,609 @@ router.post('/login', async (req, res) => {
     }
 });
 
-// Get current user
+// Login step two: verify a TOTP or recovery code against the challenge token
+router.post('/login/2fa', authLimiter, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyChallengeToken(challengeToken, '2fa_login');
+        const user = userId && await User.findById(userId);
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge. Please log in again.'
+            });
+        }
+
+        // Too many wrong codes end the challenge, whichever IPs they came from
+        const lockedUntil = secondFactorLockedUntil(user);
+        if (lockedUntil) {
+            return res.status(429).json({
+                success: false,
+                message: 'Too many invalid authentication codes. Please log in again later.',
+                code: 'TWO_FACTOR_LOCKED',
+                retryAfter: lockedUntil
+            });
+        }
+
+        const factor = await verifySecondFactor(user._id, { code, recoveryCode });
+        if (!factor) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const { accessToken, refreshToken, expiresIn } = await createSession(user, req, { twoFactorVerified: true });
+
+        res.status(200).json({
+            success: true,
+            message: factor === 'recovery_code'
+                ? 'Login successful. A recovery code was used; consider generating new ones.'
+                : 'Login successful',
+            token: accessToken,
+            refreshToken,
+            expiresIn,
+            user: toAuthUser(user)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying authentication code',
+            error: error.message
+        });
+    }
+});
+
+// Request a password reset link. Always responds the same way so emails can't be enumerated.
+router.post('/forgot-password', authLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (user && user.isActive) {
+            await sendPasswordResetEmail(user, { ip: req.ip });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If an account exists for this email, a password reset link has been sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', authLimiter, resetPasswordValidation, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                errors: errors.array()
+            });
+        }
+
+        const { token, password } = req.body;
+
+        const userId = await consumeAuthToken(token, 'password_reset');
+        const user = userId && await User.findById(userId);
+        if (!user || !user.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        user.password = password;
+        // Following the emailed link proves ownership of the address
+        user.isEmailVerified = true;
+        await user.save();
+
+        // Anyone holding the old password loses access
+        await revokeAllSessions(user._id, { reason: 'password_reset' });
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please log in with your new password.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+});
+
+// Confirm an email address with a verification token
+router.post('/verify-email', authLimiter, async (req, res) => {
+    try {
+        const userId = await consumeAuthToken(req.body.token, 'email_verification');
+        const user = userId && await User.findByIdAndUpdate(
+            userId,
+            { isEmailVerified: true },
+            { new: true }
+        );
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying email',
+            error: error.message
+        });
+    }
+});
+
+// Send a new verification link. Always responds the same way so emails can't be enumerated.
+router.post('/resend-verification', authLimiter, async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email || typeof email !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is required'
+            });
+        }
+
+        const user = await User.findOne({ email: email.toLowerCase() });
+        if (user && user.isActive && !user.isEmailVerified) {
+            await sendVerificationEmail(user, { ip: req.ip });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'If this email needs verification, a new link has been sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error sending verification email',
+            error: error.message
+        });
+    }
+});
+
+// Text a code to a phone number; it becomes the profile phone once verified
+router.post('/phone/send-code', authLimiter, auth, async (req, res) => {
+    try {
+        const result = await startPhoneVerification(req.user, req.body.phone);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                code: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Verification code sent to ${maskPhone(result.phone)}`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error sending verification code',
+            error: error.message
+        });
+    }
+});
+
+// Confirm the texted code and mark the phone as verified
+router.post('/phone/verify', authLimiter, auth, async (req, res) => {
+    try {
+        const result = await confirmPhoneVerification(req.user._id, req.body.code);
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                code: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Phone number verified',
+            user: toAuthUser(result.user)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying phone number',
+            error: error.message
+        });
+    }
+});
+
+// Get current user and the permissions their role grants
 router.get('/me', auth, async (req, res) => {
-    res.status(200).json({
-        success: true,
-        user: req.user
-    });
+    try {
+        const permissions = await getRolePermissions(req.user.role);
+
+        res.status(200).json({
+            success: true,
+            user: req.user,
+            permissions: [...permissions]
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching current user',
+            error: error.message
+        });
+    }
 });
 
-// Logout (client-side token removal, but we can blacklist tokens if needed)
-router.post('/logout', auth, (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Logged out successfully'
-    });
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', authLimiter, async (req, res) => {
+    try {
+        const result = await rotateRefreshToken(req.body.refreshToken, req);
+
+        if (result.error) {
+            return res.status(401).json({
+                success: false,
+                message: result.message,
+                code: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: result.accessToken,
+            refreshToken: result.refreshToken,
+            expiresIn: result.expiresIn
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token',
+            error: error.message
+        });
+    }
 });
 
-module.exports = router;
+// Logout: revoke the current session so its tokens stop working
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, 'logout');
 
-/**
- * @openapi
- * tags:
- *   - name: Auth
- *     description: Authentication endpoints
- *
- * /api/auth/generate-token:
- *   post:
- *     tags: [Auth]
- *     summary: Generate client setup token after consultation
- *     security: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email: { type: string, format: email }
- *               consultationId: { type: string }
- *             required: [email]
- *     responses:
- *       200:
- *         description: Setup link sent
- *       500:
- *         description: Error generating token
- *
- * /api/auth/setup-account:
- *   post:
- *     tags: [Auth]
- *     summary: Complete account setup with token
- *     security: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               token: { type: string }
- *               password: { type: string, format: password, minLength: 8 }
- *               profile:
- *                 type: object
- *                 additionalProperties: true
- *             required: [token, password, profile]
- *     responses:
- *       200: { description: Account setup completed }
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out',
+            error: error.message
+        });
+    }
+});
+
+// List the current user's active sessions
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id);
+        const currentId = req.authSession._id.toString();
+
+        res.status(200).json({
+            success: true,
+            data: sessions.map(session => ({
+                id: session._id,
+                device: session.device,
+                ipAddress: session.ipAddress,
+                lastSeenAt: session.lastSeenAt,
+                lastSeenIp: session.lastSeenIp,
+                createdAt: session.createdAt,
+                expiresAt: session.expiresAt,
+                current: session._id.toString() === currentId
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching sessions',
+            error: error.message
+        });
+    }
+});
+
+// Revoke all sessions (optionally keeping the current one)
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const keepCurrent = req.query.keepCurrent === 'true';
+        const revoked = await revokeAllSessions(req.user._id, {
+            exceptSessionId: keepCurrent ? req.authSession._id : undefined
+        });
+
+        res.status(200).json({
+            success: true,
+            message: keepCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+            data: { revoked }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking sessions',
+            error: error.message
+        });
+    }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, userId: req.user._id });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(session._id, 'revoked');
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking session',
+            error: error.message
+        });
+    }
+});
+
+// ============================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================
+
+// Current user's 2FA status
+router.get('/2fa/status', auth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await getTwoFactorStatus(req.user)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching two-factor status',
+            error: error.message
+        });
+    }
+});
+
+// Start enrolment: returns the secret and otpauth:// URI to render as a QR code
+router.post('/2fa/setup', authLimiter, enrolmentAuth, async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const { secret, otpauthUrl } = await startEnrolment(req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: { secret, otpauthUrl }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error starting two-factor setup',
+            error: error.message
+        });
+    }
+});
+
+// Finish enrolment with the first code; recovery codes are only shown here
+router.post('/2fa/enable', authLimiter, enrolmentAuth, async (req, res) => {
+    try {
+        if (req.user.twoFactor?.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const recoveryCodes = await completeEnrolment(req.user._id, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const data = { recoveryCodes };
+
+        if (req.enrolmentChallenge) {
+            // Enrolment was the second login step, so sign the user in now
+            const { accessToken, refreshToken, expiresIn } = await createSession(req.user, req, { twoFactorVerified: true });
+            Object.assign(data, { token: accessToken, refreshToken, expiresIn, user: toAuthUser(req.user) });
+        } else {
+            await Session.updateOne({ _id: req.authSession._id }, { twoFactorVerified: true });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error enabling two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/2fa/recovery-codes', authLimiter, auth, async (req, res) => {
+    try {
+        const factor = await verifySecondFactor(req.user._id, { code: req.body.code });
+        if (!factor) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated. Previous codes no longer work.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error generating recovery codes',
+            error: error.message
+        });
+    }
+});
+
+// Disable 2FA; requires the password plus a TOTP or recovery code
+router.post('/2fa/disable',
+    authLimiter,
+    auth,
+    auditLogger('disable_2fa', 'user'),
+    async (req, res) => {
+        try {
+            const { password, code, recoveryCode } = req.body;
+
+            if (isTwoFactorRequired(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is mandatory for your role'
+                });
+            }
+
+            if (!req.user.twoFactor?.enabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not enabled'
+                });
+            }
+
+            const user = await User.findById(req.user._id).select('+password');
+            if (!password || !(await user.comparePassword(password))) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid password'
+                });
+            }
+
+            const factor = await verifySecondFactor(req.user._id, { code, recoveryCode });
+            if (!factor) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Invalid authentication code'
+                });
+            }
+
+            await disableTwoFactor(req.user._id);
+
+            req.auditEntityId = req.user._id;
+            req.auditOldValues = { twoFactorEnabled: true };
+            req.auditNewValues = { twoFactorEnabled: false, verifiedWith: factor };
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: 'Error disabling two-factor authentication',
+                error: error.message
+            });
+        }
+    }
+);
+
+module.exports = router;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Auth
+ *     description: Authentication endpoints
+ *
+ * /api/auth/generate-token:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Generate client setup token after consultation
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string, format: email }
+ *               consultationId: { type: string }
+ *             required: [email]
+ *     responses:
+ *       200:
+ *         description: Setup link sent
+ *       500:
+ *         description: Error generating token
+ *
+ * /api/auth/setup-account:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Complete account setup with token
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: { type: string }
+ *               password: { type: string, format: password, minLength: 8 }
+ *               profile:
+ *                 type: object
+ *                 additionalProperties: true
+ *             required: [token, password, profile]
+ *     responses:
+ *       200: { description: Account setup completed }
  *       400: { description: Validation error or invalid token }
  *
  * /api/auth/login:
@@ -265,27 +871,323 @@ module.exports = router;
  *             properties:
  *               email: { type: string, format: email }
  *               password: { type: string, format: password }
+ *               deviceName: { type: string, description: Optional label shown in the session list }
  *             required: [email, password]
  *     responses:
- *       200: { description: Login successful }
+ *       200: { description: Login successful, or a challengeToken when twoFactorRequired / twoFactorSetupRequired }
  *       401: { description: Invalid credentials }
  *
+ * /api/auth/login/2fa:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Complete a login with a TOTP or recovery code
+ *     description: >
+ *       When 2FA is enabled, /login returns twoFactorRequired with a 5 minute
+ *       challengeToken instead of a session. Exchange it here for the real tokens.
+ *       After 5 wrong codes within 15 minutes the challenge stops working and codes
+ *       are refused until 15 minutes after the last attempt.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken: { type: string }
+ *               code: { type: string, example: "123456" }
+ *               recoveryCode: { type: string, example: "a1b2c-3d4e5" }
+ *             required: [challengeToken]
+ *     responses:
+ *       200: { description: Login successful }
+ *       401: { description: Invalid challenge or code }
+ *       429: { description: Too many wrong codes (code TWO_FACTOR_LOCKED) }
+ *
+ * /api/auth/2fa/status:
+ *   get:
+ *     tags: [Auth]
+ *     summary: Get the current user's 2FA status
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Enabled flag, policy requirement and remaining recovery codes }
+ *
+ * /api/auth/2fa/setup:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Start 2FA enrolment
+ *     description: >
+ *       Returns the TOTP secret and an otpauth:// URI for a QR code. Advisers and admins
+ *       without 2FA call this with the challengeToken from /login instead of a bearer token.
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken: { type: string }
+ *     responses:
+ *       200: { description: Secret and otpauth URI }
+ *       400: { description: Already enabled }
+ *       401: { description: Unauthorized }
+ *
+ * /api/auth/2fa/enable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm enrolment with the first code
+ *     description: >
+ *       Returns one-time recovery codes. When called with an enrolment challengeToken,
+ *       also returns session tokens.
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *               challengeToken: { type: string }
+ *             required: [code]
+ *     responses:
+ *       200: { description: 2FA enabled }
+ *       400: { description: Invalid code or already enabled }
+ *
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Replace recovery codes
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string, example: "123456" }
+ *             required: [code]
+ *     responses:
+ *       200: { description: New recovery codes }
+ *       401: { description: Invalid code }
+ *
+ * /api/auth/2fa/disable:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Disable 2FA (not allowed for roles where it is mandatory)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password: { type: string, format: password }
+ *               code: { type: string }
+ *               recoveryCode: { type: string }
+ *             required: [password]
+ *     responses:
+ *       200: { description: 2FA disabled }
+ *       401: { description: Invalid password or code }
+ *       403: { description: 2FA is mandatory for this role }
+ *
+ * /api/auth/forgot-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Email a single-use password reset link
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string, format: email }
+ *             required: [email]
+ *     responses:
+ *       200: { description: Reset link sent if the account exists }
+ *       400: { description: Email is required }
+ *
+ * /api/auth/reset-password:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Set a new password with a reset token
+ *     description: Signs the user out of every session.
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: { type: string }
+ *               password: { type: string, format: password, minLength: 8 }
+ *             required: [token, password]
+ *     responses:
+ *       200: { description: Password reset }
+ *       400: { description: Validation error or invalid/expired token }
+ *
+ * /api/auth/verify-email:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Verify an email address with a verification token
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               token: { type: string }
+ *             required: [token]
+ *     responses:
+ *       200: { description: Email verified }
+ *       400: { description: Invalid or expired token }
+ *
+ * /api/auth/resend-verification:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Email a new verification link
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string, format: email }
+ *             required: [email]
+ *     responses:
+ *       200: { description: Verification link sent if the account needs one }
+ *       400: { description: Email is required }
+ *
+ * /api/auth/phone/send-code:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Text a verification code to a phone number
+ *     description: |
+ *       The number is normalised to E.164; national numbers use DEFAULT_PHONE_COUNTRY_CODE.
+ *       SMS and WhatsApp notifications are only sent to a verified number.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               phone: { type: string, example: '+64 21 123 4567' }
+ *             required: [phone]
+ *     responses:
+ *       200: { description: Code sent }
+ *       400: { description: Invalid phone number (INVALID_PHONE) }
+ *
+ * /api/auth/phone/verify:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Confirm a texted code and verify the phone number
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code: { type: string, example: '123456' }
+ *             required: [code]
+ *     responses:
+ *       200: { description: Phone verified and saved to the profile }
+ *       400: { description: Invalid or expired code, or too many attempts (INVALID_CODE, VERIFICATION_EXPIRED, TOO_MANY_ATTEMPTS) }
+ *
  * /api/auth/me:
  *   get:
  *     tags: [Auth]
- *     summary: Get current authenticated user
+ *     summary: Get current authenticated user and their role's permissions
  *     security:
  *       - bearerAuth: []
  *     responses:
- *       200: { description: Current user data }
+ *       200: { description: Current user data and permission names }
  *       401: { description: Unauthorized }
  *
+ * /api/auth/refresh:
+ *   post:
+ *     tags: [Auth]
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: >
+ *       Refresh tokens rotate on every use. Presenting an already-used refresh token
+ *       revokes the whole session (code REFRESH_TOKEN_REUSED).
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken: { type: string }
+ *             required: [refreshToken]
+ *     responses:
+ *       200: { description: New access and refresh tokens }
+ *       401: { description: Invalid, revoked or reused refresh token }
+ *
  * /api/auth/logout:
  *   post:
  *     tags: [Auth]
- *     summary: Logout current user
+ *     summary: Logout and revoke the current session
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200: { description: Logged out successfully }
+ *
+ * /api/auth/sessions:
+ *   get:
+ *     tags: [Auth]
+ *     summary: List the current user's active sessions
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Sessions with device, IP and last-seen data }
+ *       401: { description: Unauthorized }
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke all of the current user's sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keepCurrent
+ *         schema: { type: boolean, default: false }
+ *     responses:
+ *       200: { description: Sessions revoked }
+ *       401: { description: Unauthorized }
+ *
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     tags: [Auth]
+ *     summary: Revoke one of the current user's sessions
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Session revoked }
+ *       404: { description: Session not found }
  */
\ No newline at end of file
@@ -1,12 +1,15 @@
 
 const express = require('express');
 const { Application, Document, Payment, Agreement, Notification, User } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/policy');
+const { getOutstandingBalance } = require('../utils/billing');
+const { normalizePhone } = require('../utils/phone');
 
 const router = express.Router();
 
 // Get client dashboard
-router.get('/dashboard', auth, authorize('client'), async (req, res) => {
+router.get('/dashboard', auth, requirePermission('client_portal.access'), async (req, res) => {
     try {
         const clientId = req.user._id;
 
@@ -15,13 +18,13 @@ router.get('/dashboard', auth, authorize('client'), async (req, res) => {
             .populate('adviserId', 'email profile')
             .sort({ createdAt: -1 });
 
-        // Get pending notifications
-        const notifications = await Notification.find({
-            userId: clientId,
-            isRead: false
-        })
-            .sort({ createdAt: -1 })
-            .limit(5);
+        // Get pending notifications; the count stays live over the realtime gateway
+        const [notifications, unreadNotifications] = await Promise.all([
+            Notification.find({ ...Notification.inAppFilter(clientId), isRead: false })
+                .sort({ createdAt: -1 })
+                .limit(5),
+            Notification.countDocuments({ ...Notification.inAppFilter(clientId), isRead: false })
+        ]);
 
         // Get upcoming deadlines
         const upcomingDeadlines = [];
@@ -40,6 +43,9 @@ router.get('/dashboard', auth, authorize('client'), async (req, res) => {
             .sort({ createdAt: -1 })
             .limit(3);
 
+        // Amounts due now and still to be billed, per currency
+        const outstandingBalance = await getOutstandingBalance(clientId);
+
         res.status(200).json({
             success: true,
             data: {
@@ -47,10 +53,11 @@ router.get('/dashboard', auth, authorize('client'), async (req, res) => {
                 notifications,
                 upcomingDeadlines: upcomingDeadlines.slice(0, 3),
                 recentPayments: payments,
+                outstandingBalance,
                 summary: {
                     totalApplications: applications.length,
                     activeApplications: applications.filter(app => app.stage !== 'decision').length,
-                    unreadNotifications: notifications.length,
+                    unreadNotifications,
                     pendingDeadlines: upcomingDeadlines.length
                 }
             }
@@ -68,10 +75,26 @@ router.get('/dashboard', auth, authorize('client'), async (req, res) => {
 router.patch('/profile', auth, async (req, res) => {
     try {
         const { profile } = req.body;
+        const update = { profile };
+
+        // Phone numbers are stored in E.164; a new number must be verified again
+        if (profile?.phone) {
+            profile.phone = normalizePhone(profile.phone);
+            if (!profile.phone) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Enter a valid phone number including the country code'
+                });
+            }
+        }
+        if ((profile?.phone || null) !== (req.user.profile?.phone || null)) {
+            update.isPhoneVerified = false;
+            update.phoneVerifiedAt = null;
+        }
 
         const user = await User.findByIdAndUpdate(
           req.user._id,
-          { profile },
+          update,
           { new: true, runValidators: true }
         ).select('-password');
 
@@ -101,6 +124,7 @@ module.exports = router;
  *   get:
  *     tags: [Client]
  *     summary: Get client dashboard data
+ *     description: Includes `outstandingBalance`, the amounts due, overdue and still to be billed per currency.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -111,6 +135,9 @@ module.exports = router;
  *   patch:
  *     tags: [Client]
  *     summary: Update client profile
+ *     description: |
+ *       `profile.phone` is normalised to E.164. Changing it clears the phone's verification;
+ *       verify the new number with /api/auth/phone/send-code.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -126,5 +153,6 @@ module.exports = router;
  *             required: [profile]
  *     responses:
  *       200: { description: Profile updated }
+ *       400: { description: Invalid phone number }
  *       401: { description: Unauthorized }
  */
\ No newline at end of file
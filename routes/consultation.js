@@ -1,72 +1,38 @@
 const express = require('express');
 const crypto = require('crypto');
-const { Consultation, User, Payment } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { Consultation, User, Payment, AdviserAvailability } = require('../models');
+const { auth } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/auditLog');
+const { requirePermission, policy } = require('../middleware/policy');
+const { hasPermission, scopeFilter } = require('../utils/permissions');
 const { sendEmail } = require('../utils/email');
-const { generateClientToken } = require('../utils/tokenGenerator');
+const { generateToken, generateClientToken } = require('../utils/tokenGenerator');
+const { SLOT_DURATION, getAvailableSlots, findAvailableAdviser } = require('../utils/availability');
+const { isValidTimeZone, zonedTimeToUtc, formatInTimeZone } = require('../utils/timezone');
+const { reserveSlot, moveSlot, releaseSlot, confirmHold, refundLostSlotPayment } = require('../utils/slotReservation');
+const { issueRefund } = require('../utils/refunds');
+const { getConsultationFee } = require('../utils/billing');
 
 const router = express.Router();
 
 // Configuration
-const CONSULTATION_FEE = 50; // USD
-const SLOT_DURATION = 60; // minutes
 // Hold window for unpaid consultations before auto-delete (TTL)
 const HOLD_MINUTES = parseInt(process.env.CONSULTATION_HOLD_MINUTES || '30', 10);
+// Advisers to try when a concurrent booking takes the first pick
+const BOOKING_ATTEMPTS = 3;
 
-/**
- * Check if a slot is available
- * @param {Date} startTime - Slot start time
- * @param {Date} endTime - Slot end time
- * @returns {Promise<boolean>}
- */
-async function isSlotAvailable(startTime, endTime) {
-    const existingConsultation = await Consultation.findOne({
-        scheduledDate: {
-            $gte: startTime,
-            $lt: endTime
-        },
-        status: { $in: ['scheduled', 'completed'] }
-    });
-    return !existingConsultation;
-}
-
-/**
- * Get available slots for a specific date
- * @param {string} date - Format: YYYY-MM-DD
- * @returns {Promise<Array>} - Array of available hours (0-23)
- */
-async function getAvailableSlotsForDate(date) {
-    const dayStart = new Date(`${date}T00:00:00Z`);
-    const dayEnd = new Date(`${date}T23:59:59Z`);
-
-    const consultations = await Consultation.find({
-        scheduledDate: {
-            $gte: dayStart,
-            $lte: dayEnd
-        },
-        status: { $in: ['scheduled', 'completed'] }
-    });
-
-    const bookedHours = new Set(
-      consultations.map(c => new Date(c.scheduledDate).getUTCHours())
-    );
-
-    // Available hours: 8 AM to 6 PM (business hours)
-    const availableSlots = [];
-    for (let hour = 8; hour < 18; hour++) {
-        if (!bookedHours.has(hour)) {
-            availableSlots.push(hour);
-        }
-    }
+const isValidCountryCode = (code) => typeof code === 'string' && /^[A-Z]{2}$/i.test(code);
 
-    return availableSlots;
-}
+// Admins manage every adviser's availability; advisers only their own
+const canManageAvailability = async (user, adviserId) => {
+    if (await hasPermission(user, 'availability.manage.all')) return true;
+    return user._id.toString() === adviserId && hasPermission(user, 'availability.manage.own');
+};
 
 // Get available consultation slots
 router.get('/available-slots', async (req, res) => {
     try {
-        const { date } = req.query;
+        const { date, timezone = 'UTC', adviserId, view = 'pooled', countryCode, visaType, currency } = req.query;
 
         if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
             return res.status(400).json({
@@ -75,27 +41,81 @@ router.get('/available-slots', async (req, res) => {
             });
         }
 
-        // Prevent booking in the past
-        const requestedDate = new Date(date);
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timezone. Use an IANA time zone such as Pacific/Auckland'
+            });
+        }
+
+        if (!['pooled', 'adviser'].includes(view)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid view. Use pooled or adviser'
+            });
+        }
+
+        if (countryCode !== undefined && !isValidCountryCode(countryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid country code format. Must be 2 letters (e.g., NZ, AU, CA).'
+            });
+        }
 
-        if (requestedDate < today) {
+        // Prevent booking in the past (compared in the client's zone)
+        const today = formatInTimeZone(new Date(), timezone).date;
+        if (date < today) {
             return res.status(400).json({
                 success: false,
                 message: 'Cannot book consultations in the past'
             });
         }
 
-        const availableSlots = await getAvailableSlotsForDate(date);
+        const advisers = await getAvailableSlots({ date, timezone, adviserId });
+
+        const toClientSlot = (slot) => {
+            const local = formatInTimeZone(slot.start, timezone);
+            return {
+                start: slot.start,
+                end: slot.end,
+                localDate: local.date,
+                localTime: local.time
+            };
+        };
+
+        let availableSlots;
+        if (view === 'adviser') {
+            availableSlots = advisers.map(adviser => ({
+                adviserId: adviser.adviserId,
+                adviserName: adviser.name,
+                adviserTimezone: adviser.timezone,
+                slots: adviser.slots.map(toClientSlot)
+            }));
+        } else {
+            // Merge every adviser's slots; a slot is listed once with the advisers free for it
+            const pooled = new Map();
+            for (const adviser of advisers) {
+                for (const slot of adviser.slots) {
+                    const key = slot.start.getTime();
+                    if (!pooled.has(key)) pooled.set(key, { ...toClientSlot(slot), adviserIds: [] });
+                    pooled.get(key).adviserIds.push(adviser.adviserId);
+                }
+            }
+            availableSlots = [...pooled.values()].sort((a, b) => a.start - b.start);
+        }
+
+        const fee = await getConsultationFee({ countryCode, visaType, currency });
 
         res.status(200).json({
             success: true,
             data: {
                 date,
+                view,
                 availableSlots,
-                consultationFee: CONSULTATION_FEE,
-                timezone: 'UTC'
+                slotDuration: SLOT_DURATION,
+                consultationFee: fee.amount,
+                currency: fee.currency,
+                timezone
             }
         });
     } catch (error) {
@@ -117,7 +137,12 @@ router.post('/book', async (req, res) => {
             preferredDate,
             preferredTime,
             method,
-            message
+            message,
+            adviserId,
+            timezone = 'UTC',
+            countryCode,
+            visaType,
+            currency
         } = req.body;
 
         // Validate required fields
@@ -144,6 +169,20 @@ router.post('/book', async (req, res) => {
             });
         }
 
+        if (!isValidTimeZone(timezone)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid timezone. Use an IANA time zone such as Pacific/Auckland'
+            });
+        }
+
+        if (countryCode !== undefined && !isValidCountryCode(countryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid country code format. Must be 2 letters (e.g., NZ, AU, CA).'
+            });
+        }
+
         // Normalize method from public API to schema values
         const methodMap = {
             'online': 'zoom',
@@ -158,9 +197,8 @@ router.post('/book', async (req, res) => {
             });
         }
 
-        // Create scheduled date object
-        const scheduledDateTime = new Date(`${preferredDate}T${preferredTime}:00Z`);
-        const slotEndTime = new Date(scheduledDateTime.getTime() + SLOT_DURATION * 60000);
+        // Create scheduled date object (preferred date/time are in the client's zone)
+        const scheduledDateTime = zonedTimeToUtc(preferredDate, preferredTime, timezone);
 
         // Prevent booking in the past
         if (scheduledDateTime < new Date()) {
@@ -170,23 +208,14 @@ router.post('/book', async (req, res) => {
             });
         }
 
-        // Check slot availability
-        const slotAvailable = await isSlotAvailable(scheduledDateTime, slotEndTime);
-        if (!slotAvailable) {
-            return res.status(409).json({
-                success: false,
-                message: 'This time slot is already booked. Please select another time.',
-                code: 'SLOT_UNAVAILABLE'
-            });
-        }
-
         // Find or create client user record
         let client = await User.findOne({ email: clientEmail });
         if (!client) {
             const [firstName, ...rest] = (clientName || '').trim().split(/\s+/);
             client = new User({
                 email: clientEmail,
-                password: "password123", // temporary; to be changed during setup
+                // Unguessable placeholder; the client sets a real password during setup or via reset
+                password: generateToken(),
                 profile: {
                     firstName: firstName || 'Client',
                     lastName: rest.join(' '),
@@ -197,25 +226,44 @@ router.post('/book', async (req, res) => {
             await client.save();
         }
 
-        // Create consultation record (status: pending_payment)
-        const consultation = new Consultation({
-            clientId: client._id,
-            scheduledDate: scheduledDateTime,
-            duration: SLOT_DURATION,
-            method: normalizedMethod,
-            status: 'pending_payment',
-            notes: message,
-            // Set TTL expiration for unpaid booking
-            expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
-        });
-        await consultation.save();
+        // Reserve the slot against a specific adviser. The unique slot key makes the
+        // reservation atomic; if another booking wins the race, try the next free adviser.
+        let consultation = null;
+        for (let attempt = 0; attempt < BOOKING_ATTEMPTS && !consultation; attempt++) {
+            const assignedAdviserId = await findAvailableAdviser(scheduledDateTime, { adviserId });
+            if (!assignedAdviserId) break;
+
+            // Create consultation record (status: pending_payment)
+            consultation = await reserveSlot({
+                clientId: client._id,
+                adviserId: assignedAdviserId,
+                scheduledDate: scheduledDateTime,
+                duration: SLOT_DURATION,
+                method: normalizedMethod,
+                status: 'pending_payment',
+                notes: message,
+                // Set TTL expiration for unpaid booking
+                expiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000)
+            });
+        }
 
-        // Create payment record for consultation fee
+        if (!consultation) {
+            return res.status(409).json({
+                success: false,
+                message: adviserId
+                    ? 'This adviser is not available at the selected time. Please select another time.'
+                    : 'This time slot is already booked. Please select another time.',
+                code: 'SLOT_UNAVAILABLE'
+            });
+        }
+
+        // Create payment record for the destination's consultation fee, in the client's currency
+        const fee = await getConsultationFee({ countryCode, visaType, currency, user: client });
         const payment = new Payment({
             clientId: client._id,
             type: 'consultation_fee',
-            amount: CONSULTATION_FEE,
-            currency: 'USD',
+            amount: fee.amount,
+            currency: fee.currency,
             status: 'pending',
             notes: `Consultation fee for ${preferredDate} at ${preferredTime}`
         });
@@ -231,8 +279,11 @@ router.post('/book', async (req, res) => {
             data: {
                 consultationId: consultation._id,
                 paymentId: payment._id,
+                adviserId: consultation.adviserId,
                 scheduledDate: consultation.scheduledDate,
-                consultationFee: CONSULTATION_FEE,
+                expiresAt: consultation.expiresAt,
+                consultationFee: fee.amount,
+                currency: fee.currency,
                 status: 'pending_payment',
                 nextStep: 'Complete payment to confirm your booking'
             }
@@ -270,13 +321,6 @@ router.patch('/:id/confirm-booking', async (req, res) => {
             });
         }
 
-        if (consultation.status === 'pending_payment') {
-            return res.status(400).json({
-                success: false,
-                message: 'Payment not completed yet'
-            });
-        }
-
         if (consultation.status === 'cancelled') {
             return res.status(400).json({
                 success: false,
@@ -284,9 +328,27 @@ router.patch('/:id/confirm-booking', async (req, res) => {
             });
         }
 
-        // Update status
-        consultation.status = 'scheduled';
-        await consultation.save();
+        if (consultation.status === 'pending_payment') {
+            const payment = consultation.paymentId && await Payment.findById(consultation.paymentId);
+            if (!payment || payment.status !== 'completed') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Payment not completed yet'
+                });
+            }
+
+            // Payment landed before the webhook confirmed the hold: re-validate it now
+            const hold = await confirmHold(consultation._id);
+            if (!hold.confirmed) {
+                await refundLostSlotPayment(payment);
+                return res.status(409).json({
+                    success: false,
+                    message: 'This time slot was taken before your payment completed. Your payment has been refunded; please book another time.',
+                    code: hold.code
+                });
+            }
+            consultation.status = hold.consultation.status;
+        }
 
         // Send confirmation email
         try {
@@ -311,7 +373,7 @@ router.patch('/:id/confirm-booking', async (req, res) => {
             message: 'Consultation confirmed successfully',
             data: {
                 consultationId: consultation._id,
-                status: 'scheduled',
+                status: consultation.status,
                 scheduledDate: consultation.scheduledDate
             }
         });
@@ -327,26 +389,10 @@ router.patch('/:id/confirm-booking', async (req, res) => {
 // Cancel consultation (within 24 hours before = no refund)
 router.patch('/:id/cancel',
   auth,
+  policy('consultation.cancel', 'consultation'),
   async (req, res) => {
       try {
-          const consultationId = req.params.id;
-          const consultation = await Consultation.findById(consultationId)
-            .populate('clientId');
-
-          if (!consultation) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Consultation not found'
-              });
-          }
-
-          if (consultation.clientId._id.toString() !== req.user._id.toString() &&
-            req.user.role !== 'admin' && req.user.role !== 'adviser') {
-              return res.status(403).json({
-                  success: false,
-                  message: 'Unauthorized'
-              });
-          }
+          const consultation = req.resource;
 
           if (!['scheduled', 'pending_payment'].includes(consultation.status)) {
               return res.status(400).json({
@@ -359,16 +405,22 @@ router.patch('/:id/cancel',
           const hoursUntilConsultation = (consultation.scheduledDate - new Date()) / (1000 * 60 * 60);
           const canRefund = hoursUntilConsultation > 24;
 
-          // Update consultation status
-          consultation.status = 'cancelled';
-          await consultation.save();
+          // Update consultation status and free the adviser's slot
+          await releaseSlot(consultation, { status: 'cancelled' });
 
-          // Handle refund if applicable
+          // Refund the fee through Stripe if applicable
+          let refundStatus = canRefund ? 'no_payment' : 'no_refund_within_24_hours';
           if (consultation.paymentId && canRefund) {
               const payment = await Payment.findById(consultation.paymentId);
               if (payment && payment.status === 'completed') {
-                  payment.status = 'refunded';
-                  await payment.save();
+                  const result = await issueRefund(payment, {
+                      reason: 'Consultation cancelled more than 24 hours in advance',
+                      idempotencyKey: `consultation-cancel-${consultation._id}`
+                  });
+                  if (result.error) {
+                      console.error(`Cancellation refund failed for consultation ${consultation._id}:`, result.message);
+                  }
+                  refundStatus = result.error ? 'refund_failed' : 'refund_processed';
               }
           }
 
@@ -377,7 +429,7 @@ router.patch('/:id/cancel',
               message: 'Consultation cancelled',
               data: {
                   consultationId: consultation._id,
-                  refundStatus: canRefund ? 'refund_processed' : 'no_refund_within_24_hours',
+                  refundStatus,
                   refundReason: canRefund ? null : 'Cancellation within 24 hours of scheduled time'
               }
           });
@@ -429,15 +481,22 @@ router.get('/my-consultations',
   }
 );
 
-// Get consultations (admin/adviser view)
+// Get consultations the user can reach (all for admins, assigned ones for advisers)
 router.get('/',
   auth,
-  authorize('admin', 'adviser'),
   async (req, res) => {
       try {
           const { status, date, page = 1, limit = 20 } = req.query;
 
-          const filter = {};
+          const scope = await scopeFilter(req.user, 'consultation');
+          if (!scope) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Access denied. Insufficient permissions.'
+              });
+          }
+
+          const filter = { ...scope };
           if (status) filter.status = status;
           if (date) {
               const targetDate = new Date(date);
@@ -480,22 +539,13 @@ router.get('/',
 // Complete consultation
 router.patch('/:id/complete',
   auth,
-  authorize('admin', 'adviser'),
+  policy('consultation.manage', 'consultation'),
   auditLogger('complete_consultation', 'consultation'),
   async (req, res) => {
       try {
           const { notes, visaPathways, proceedWithApplication } = req.body;
-          const consultationId = req.params.id;
 
-          const consultation = await Consultation.findById(consultationId)
-            .populate('clientId');
-
-          if (!consultation) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Consultation not found'
-              });
-          }
+          const consultation = await req.resource.populate('clientId');
 
           consultation.status = 'completed';
           consultation.notes = notes;
@@ -543,14 +593,14 @@ router.patch('/:id/complete',
 // Edit consultation details (admin/adviser only)
 router.patch('/:id/edit',
   auth,
-  authorize('admin', 'adviser'),
+  policy('consultation.manage', 'consultation'),
   async (req, res) => {
       try {
-          const consultationId = req.params.id;
-
           const {
               preferredDate,   // YYYY-MM-DD
               preferredTime,   // HH:MM
+              timezone = 'UTC',
+              adviserId,
               duration,
               method,
               type,
@@ -559,14 +609,7 @@ router.patch('/:id/edit',
               rescheduleReason
           } = req.body;
 
-          let consultation = await Consultation.findById(consultationId);
-
-          if (!consultation) {
-              return res.status(404).json({
-                  success: false,
-                  message: 'Consultation not found'
-              });
-          }
+          const consultation = req.resource;
 
           // Cannot edit completed/cancelled consultations
           if (['completed', 'cancelled'].includes(consultation.status)) {
@@ -581,6 +624,7 @@ router.patch('/:id/edit',
           // ================================
 
           let newScheduledDate = null;
+          let newAdviserId = null;
           if (preferredDate && preferredTime) {
 
               // Validate formats
@@ -598,7 +642,14 @@ router.patch('/:id/edit',
                   });
               }
 
-              newScheduledDate = new Date(`${preferredDate}T${preferredTime}:00Z`);
+              if (!isValidTimeZone(timezone)) {
+                  return res.status(400).json({
+                      success: false,
+                      message: 'Invalid timezone. Use an IANA time zone such as Pacific/Auckland'
+                  });
+              }
+
+              newScheduledDate = zonedTimeToUtc(preferredDate, preferredTime, timezone);
 
               if (newScheduledDate < new Date()) {
                   return res.status(400).json({
@@ -607,11 +658,13 @@ router.patch('/:id/edit',
                   });
               }
 
-              const endTime = new Date(newScheduledDate.getTime() + (duration || consultation.duration) * 60000);
-
-              // Check slot availability
-              const slotAvailable = await isSlotAvailable(newScheduledDate, endTime);
-              if (!slotAvailable) {
+              // Check slot availability for the same (or newly requested) adviser
+              newAdviserId = await findAvailableAdviser(newScheduledDate, {
+                  adviserId: adviserId || consultation.adviserId,
+                  duration: duration || consultation.duration,
+                  excludeConsultationId: consultation._id
+              });
+              if (!newAdviserId) {
                   return res.status(409).json({
                       success: false,
                       message: 'This new slot is already booked',
@@ -624,11 +677,28 @@ router.patch('/:id/edit',
           // UPDATE FIELDS
           // ================================
           let wasRescheduled = false;
+          const newDuration = duration || consultation.duration;
+          const lengthChanged = newDuration !== consultation.duration && Boolean(consultation.adviserId);
+
+          if (newScheduledDate || lengthChanged) {
+              // Claim the new (or longer) slot atomically before touching anything else
+              const moved = await moveSlot(consultation, {
+                  adviserId: newAdviserId || consultation.adviserId,
+                  scheduledDate: newScheduledDate || consultation.scheduledDate,
+                  duration: newDuration
+              });
+              if (!moved) {
+                  return res.status(409).json({
+                      success: false,
+                      message: 'This new slot is already booked',
+                      code: 'SLOT_UNAVAILABLE'
+                  });
+              }
+          }
 
           if (newScheduledDate) {
               consultation.rescheduledFrom = consultation._id;
               consultation.rescheduleReason = rescheduleReason || 'Schedule updated';
-              consultation.scheduledDate = newScheduledDate;
               wasRescheduled = true;
           }
 
@@ -661,6 +731,125 @@ router.patch('/:id/edit',
 );
 
 
+// Get an adviser's availability profile (admin, or the adviser themselves)
+router.get('/availability/:adviserId',
+  auth,
+  requirePermission('availability.manage.own', 'availability.manage.all'),
+  async (req, res) => {
+      try {
+          const { adviserId } = req.params;
+
+          if (!(await canManageAvailability(req.user, adviserId))) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Advisers can only view their own availability'
+              });
+          }
+
+          const availability = await AdviserAvailability.findOne({ adviserId });
+
+          res.status(200).json({
+              success: true,
+              data: availability,
+              message: availability ? undefined : 'No availability profile set; default working hours apply'
+          });
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error fetching availability',
+              error: error.message
+          });
+      }
+  }
+);
+
+// Create or replace an adviser's availability profile (admin, or the adviser themselves)
+router.put('/availability/:adviserId',
+  auth,
+  requirePermission('availability.manage.own', 'availability.manage.all'),
+  auditLogger('update_availability', 'user'),
+  async (req, res) => {
+      try {
+          const { adviserId } = req.params;
+          const { timezone, weeklyHours, breaks, holidays, blackouts, isAcceptingBookings } = req.body;
+
+          if (!(await canManageAvailability(req.user, adviserId))) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Advisers can only update their own availability'
+              });
+          }
+
+          if (!isValidTimeZone(timezone)) {
+              return res.status(400).json({
+                  success: false,
+                  message: 'Invalid timezone. Use an IANA time zone such as Pacific/Auckland'
+              });
+          }
+
+          const adviser = await User.findOne({ _id: adviserId, role: 'adviser' });
+          if (!adviser) {
+              return res.status(404).json({
+                  success: false,
+                  message: 'Adviser not found'
+              });
+          }
+
+          const invalidWindow = [...(weeklyHours || []), ...(breaks || [])]
+            .find(w => !w.start || !w.end || w.start >= w.end);
+          if (invalidWindow) {
+              return res.status(400).json({
+                  success: false,
+                  message: `Invalid time window ${invalidWindow.start}-${invalidWindow.end}. Start must be before end`
+              });
+          }
+
+          const invalidBlackout = (blackouts || [])
+            .find(b => !(new Date(b.start) < new Date(b.end)));
+          if (invalidBlackout) {
+              return res.status(400).json({
+                  success: false,
+                  message: 'Invalid blackout period. Start must be before end'
+              });
+          }
+
+          req.auditEntityId = adviserId;
+          const availability = await AdviserAvailability.findOneAndUpdate(
+            { adviserId },
+            {
+                adviserId,
+                timezone,
+                weeklyHours: weeklyHours || [],
+                breaks: breaks || [],
+                holidays: holidays || [],
+                blackouts: blackouts || [],
+                isAcceptingBookings: isAcceptingBookings !== false
+            },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+          );
+
+          res.status(200).json({
+              success: true,
+              message: 'Availability updated successfully',
+              data: availability
+          });
+      } catch (error) {
+          if (error.name === 'ValidationError') {
+              return res.status(400).json({
+                  success: false,
+                  message: 'Invalid availability profile',
+                  error: error.message
+              });
+          }
+          res.status(500).json({
+              success: false,
+              message: 'Error updating availability',
+              error: error.message
+          });
+      }
+  }
+);
+
 module.exports = router;
 
 /**
@@ -669,6 +858,45 @@ module.exports = router;
  *   - name: Consultations
  *     description: Consultation booking and management
  *
+ * /api/consultation/available-slots:
+ *   get:
+ *     tags: [Consultations]
+ *     summary: List free consultation slots for a date (public)
+ *     description: >
+ *       Slots come from each adviser's working hours in their own time zone, minus breaks,
+ *       holidays, blackouts and existing bookings. Times are returned in UTC plus the
+ *       client's local date and time.
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema: { type: string, example: "2025-01-31" }
+ *         description: Calendar date in the client's time zone
+ *       - in: query
+ *         name: timezone
+ *         schema: { type: string, default: UTC, example: Pacific/Auckland }
+ *       - in: query
+ *         name: adviserId
+ *         schema: { type: string }
+ *       - in: query
+ *         name: view
+ *         schema: { type: string, enum: [pooled, adviser], default: pooled }
+ *       - in: query
+ *         name: countryCode
+ *         schema: { type: string, example: NZ }
+ *         description: Destination country; selects the fee schedule for consultationFee
+ *       - in: query
+ *         name: visaType
+ *         schema: { type: string }
+ *       - in: query
+ *         name: currency
+ *         schema: { type: string, example: NZD }
+ *         description: Preferred currency; used when the fee schedule is priced in it
+ *     responses:
+ *       200: { description: Slots returned with the consultation fee and currency }
+ *       400: { description: Invalid date, time zone, view or country code }
+ *
  * /api/consultation/book:
  *   post:
  *     tags: [Consultations]
@@ -686,13 +914,119 @@ module.exports = router;
  *               clientPhone: { type: string }
  *               preferredDate: { type: string, example: "2025-01-31" }
  *               preferredTime: { type: string, example: "10:00" }
+ *               timezone: { type: string, default: UTC, description: Time zone of preferredDate/preferredTime }
+ *               adviserId: { type: string, description: Book a specific adviser; otherwise one is assigned }
  *               method: { type: string, enum: ["online","phone","in_person"] }
  *               message: { type: string }
+ *               countryCode: { type: string, example: NZ, description: Destination country; selects the consultation fee }
+ *               visaType: { type: string }
+ *               currency: { type: string, example: NZD, description: Preferred currency; otherwise chosen from the client's profile country or the destination }
  *             required: [clientEmail, clientName, preferredDate, preferredTime, method]
  *     responses:
- *       201: { description: Consultation booked }
+ *       201: { description: Slot held as pending_payment until expiresAt }
+ *       409: { description: Slot unavailable (code SLOT_UNAVAILABLE) }
  *       500: { description: Error booking consultation }
  *
+ * /api/consultation/{id}/confirm-booking:
+ *   patch:
+ *     tags: [Consultations]
+ *     summary: Confirm a consultation after payment (public)
+ *     description: >
+ *       Re-validates the reservation hold. If the slot was taken by another booking
+ *       before the payment completed, the payment is refunded automatically.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email: { type: string, format: email }
+ *             required: [email]
+ *     responses:
+ *       200: { description: Consultation confirmed }
+ *       400: { description: Payment not completed or consultation cancelled }
+ *       403: { description: Email does not match consultation record }
+ *       404: { description: Consultation not found }
+ *       409: { description: Slot lost before payment completed; payment refunded (code SLOT_LOST) }
+ *
+ * /api/consultation/availability/{adviserId}:
+ *   get:
+ *     tags: [Consultations]
+ *     summary: Get an adviser's availability profile (admin or the adviser)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adviserId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Availability returned (null when defaults apply) }
+ *       403: { description: Forbidden }
+ *   put:
+ *     tags: [Consultations]
+ *     summary: Replace an adviser's availability profile (admin or the adviser)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: adviserId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone: { type: string, example: Pacific/Auckland }
+ *               weeklyHours:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek: { type: integer, minimum: 0, maximum: 6 }
+ *                     start: { type: string, example: "09:00" }
+ *                     end: { type: string, example: "17:00" }
+ *               breaks:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dayOfWeek: { type: integer, minimum: 0, maximum: 6, description: Omit for every day }
+ *                     start: { type: string, example: "12:00" }
+ *                     end: { type: string, example: "13:00" }
+ *               holidays:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date: { type: string, example: "2025-12-25" }
+ *                     name: { type: string }
+ *               blackouts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     start: { type: string, format: date-time }
+ *                     end: { type: string, format: date-time }
+ *                     reason: { type: string }
+ *               isAcceptingBookings: { type: boolean, default: true }
+ *             required: [timezone]
+ *     responses:
+ *       200: { description: Availability saved }
+ *       400: { description: Validation error }
+ *       403: { description: Forbidden }
+ *       404: { description: Adviser not found }
+ *
  * /api/consultation:
  *   get:
  *     tags: [Consultations]
@@ -815,13 +1149,15 @@ module.exports = router;
  *       200:
  *         description: Consultation updated successfully
  *       400:
- *         description: Invalid data or unavailable time slot
+ *         description: Invalid data
  *       401:
  *         description: Unauthorized
  *       403:
  *         description: Forbidden
  *       404:
  *         description: Consultation not found
+ *       409:
+ *         description: New time slot is already booked (code SLOT_UNAVAILABLE)
  */
 
 //
@@ -1,26 +1,43 @@
 const express = require('express');
-const { query, param, validationResult } = require('express-validator');
+const { query, param, body, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
 const { Application } = require('../models/Application');
+const { Document } = require('../models/Document');
 const { auth } = require('../middleware/auth');
+const { auditLogger } = require('../middleware/auditLog');
+const { requirePermission } = require('../middleware/policy');
+const { canAccess, scopeFilter } = require('../utils/permissions');
+const { sendNotification } = require('../utils/notifications');
+const { validateStageTransition } = require('../utils/stageWorkflow');
+const { calculateProgress } = require('../utils/progressCalculator');
+const { raiseStagePayments } = require('../utils/billing');
+const { emitApplicationUpdate } = require('../utils/realtime');
+const { DEADLINE_TYPES } = require('../constants/deadlines');
+const { STAGES } = require('../constants/applicationConstants');
 
 const router = express.Router();
 
 // Apply auth once for this router
 router.use(auth);
 
+// Staff views: deadlines on assigned applications, or on all of them
+const requireStaffScope = requirePermission('application.read.assigned', 'application.read.all');
 
-// Simple role guard
-function requireRole(...allowed) {
-  return (req, res, next) => {
-    if (!req.user || !allowed.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Forbidden' });
-    }
-    next();
-  };
-}
+// Adding, changing and completing deadlines
+const requireDeadlineManage = requirePermission('application.update');
 
-const DEADLINE_TYPES = ['rfi', 'ppi', 'medical', 'document'];
+// Deadline types that hold the application in a stage until all are answered
+const RESPONSE_STAGES = {
+  rfi: STAGES.RFI_RECEIVED,
+  ppi: STAGES.PPI_RECEIVED
+};
+
+const DEADLINE_LABELS = {
+  rfi: 'RFI',
+  ppi: 'PPI',
+  medical: 'Medical',
+  document: 'Document'
+};
 
 function parseBool(val, def = undefined) {
   if (val === undefined) return def;
@@ -216,7 +233,7 @@ const validateCommonQuery = [
 // GET /api/deadlines (adviser/admin)
 router.get(
   '/deadlines',
-  requireRole('adviser', 'admin'),
+  requireStaffScope,
   validateCommonQuery,
   async (req, res) => {
     const errors = validationResult(req);
@@ -243,13 +260,10 @@ router.get(
       completed: parseBool(completed, undefined)
     });
 
-    const baseMatch = {};
-    if (req.user.role === 'adviser') {
-      baseMatch.adviserId = toObjectId(req.user._id);
-    }
-    // admin: no restriction
-
     try {
+      // Admins see every application; advisers only those assigned to them
+      const baseMatch = await scopeFilter(req.user, 'application');
+
       const { data, total, summary } = await runDeadlineAggregation({
         baseMatch,
         deadlineFilters,
@@ -276,7 +290,7 @@ router.get(
 // GET /api/deadlines/client/:clientId (adviser/admin)
 router.get(
   '/deadlines/client/:clientId',
-  requireRole('adviser', 'admin'),
+  requireStaffScope,
   [
     param('clientId').custom((val) => mongoose.Types.ObjectId.isValid(val)).withMessage('Invalid clientId'),
     ...validateCommonQuery
@@ -306,18 +320,15 @@ router.get(
       completed: parseBool(completed, undefined)
     });
 
-    const baseMatch = { clientId: toObjectId(clientId) };
-
     try {
-      if (req.user.role === 'adviser') {
-        const count = await Application.countDocuments({
-          clientId: toObjectId(clientId),
-          adviserId: toObjectId(req.user._id)
-        });
+      const scope = await scopeFilter(req.user, 'application');
+      const baseMatch = { ...scope, clientId: toObjectId(clientId) };
+
+      if (Object.keys(scope).length > 0) {
+        const count = await Application.countDocuments(baseMatch);
         if (count === 0) {
           return res.status(403).json({ message: 'You are not assigned to this client' });
         }
-        baseMatch.adviserId = toObjectId(req.user._id);
       }
 
       const { data, total, summary } = await runDeadlineAggregation({
@@ -345,7 +356,7 @@ router.get(
 // GET /api/deadlines/me (client)
 router.get(
   '/deadlines/me',
-  requireRole('client'),
+  requirePermission('application.read.own'),
   validateCommonQuery,
   async (req, res) => {
     const errors = validationResult(req);
@@ -396,6 +407,442 @@ router.get(
   }
 );
 
+// Load the application holding the deadline in :id and check the user can reach it
+async function loadDeadline(req, res, next) {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Deadline not found' });
+    }
+
+    const application = await Application.findOne({ 'deadlines._id': req.params.id });
+    if (!application) {
+      return res.status(404).json({ message: 'Deadline not found' });
+    }
+    if (!(await canAccess(req.user, 'application', application))) {
+      return res.status(403).json({ message: 'You are not assigned to this application' });
+    }
+
+    req.application = application;
+    req.deadline = application.deadlines.id(req.params.id);
+    req.auditApplicationId = application._id;
+    next();
+  } catch (err) {
+    res.status(500).json({ message: 'Failed to load deadline', error: err.message });
+  }
+}
+
+function snapshotDeadline(deadline) {
+  return {
+    type: deadline.type,
+    description: deadline.description,
+    dueDate: deadline.dueDate,
+    completed: deadline.completed
+  };
+}
+
+function describeDeadline(deadline) {
+  const label = `${DEADLINE_LABELS[deadline.type] || 'Application'} deadline`;
+  return deadline.description ? `${label} "${deadline.description}"` : label;
+}
+
+function timelineEntry(stage, user, notes) {
+  return {
+    stage,
+    date: new Date(),
+    notes,
+    updatedBy: user._id
+  };
+}
+
+// Write one change to the loaded deadline. It is matched by id rather than array
+// position, and `state` guards transitions, so overlapping requests cannot apply
+// the same change twice or write to a deadline removed in the meantime.
+// Resolves to the updated application, or null when the deadline no longer matches.
+function updateDeadline(req, { state = {}, set = {}, unset = [], notes }) {
+  const update = { $push: { timeline: timelineEntry(req.application.stage, req.user, notes) } };
+  if (Object.keys(set).length) {
+    update.$set = Object.fromEntries(Object.entries(set).map(([key, value]) => [`deadlines.$.${key}`, value]));
+  }
+  if (unset.length) {
+    update.$unset = Object.fromEntries(unset.map(key => [`deadlines.$.${key}`, '']));
+  }
+
+  return Application.findOneAndUpdate(
+    { _id: req.application._id, deadlines: { $elemMatch: { _id: req.deadline._id, ...state } } },
+    update,
+    { new: true, runValidators: true }
+  );
+}
+
+// Once every RFI (or PPI) deadline is answered, or the open ones are removed, the
+// application goes back to processing.
+// Resolves to the moved application, or null when it stays where it is.
+async function resumeProcessingIfAnswered(application, type, user, notes = `All ${DEADLINE_LABELS[type]} deadlines answered; application back in processing`) {
+  const waitingStage = RESPONSE_STAGES[type];
+  if (!waitingStage || application.stage !== waitingStage) return null;
+  if (application.deadlines.some(d => d.type === type && !d.completed)) return null;
+
+  const transition = await validateStageTransition(application, STAGES.INZ_PROCESSING);
+  if (!transition.isValid) return null;
+
+  // Answers completed together each see the others; only one of them moves the stage
+  return Application.findOneAndUpdate(
+    {
+      _id: application._id,
+      stage: waitingStage,
+      deadlines: { $not: { $elemMatch: { type, completed: false } } }
+    },
+    {
+      $set: { stage: STAGES.INZ_PROCESSING, progress: calculateProgress(STAGES.INZ_PROCESSING) },
+      $push: { timeline: timelineEntry(STAGES.INZ_PROCESSING, user, notes) }
+    },
+    { new: true }
+  );
+}
+
+// Reopening an RFI (or PPI) deadline after the application went back to processing
+// puts it back to waiting on the response.
+// Resolves to the moved application, or null when it stays where it is.
+async function awaitResponseAgain(application, type, user) {
+  const waitingStage = RESPONSE_STAGES[type];
+  if (!waitingStage || application.stage !== STAGES.INZ_PROCESSING) return null;
+
+  const transition = await validateStageTransition(application, waitingStage);
+  if (!transition.isValid) return null;
+
+  return Application.findOneAndUpdate(
+    {
+      _id: application._id,
+      stage: STAGES.INZ_PROCESSING,
+      deadlines: { $elemMatch: { type, completed: false } }
+    },
+    {
+      $set: { stage: waitingStage, progress: calculateProgress(waitingStage) },
+      $push: { timeline: timelineEntry(waitingStage, user, `${DEADLINE_LABELS[type]} deadline reopened; waiting on the response again`) }
+    },
+    { new: true }
+  );
+}
+
+async function notifyResumedProcessing(application) {
+  emitApplicationUpdate(application);
+
+  try {
+    await raiseStagePayments(application);
+  } catch (err) {
+    console.error(`Raising stage payments failed for application ${application._id}:`, err?.message);
+  }
+
+  await sendNotification({
+    userId: application.clientId,
+    applicationId: application._id,
+    type: 'stage_updated',
+    title: 'Response Received',
+    message: 'Your response has been recorded and your application is back in processing.',
+    priority: 'medium'
+  });
+}
+
+// Tell the client about a new or moved due date
+async function notifyDueDate(application, deadline, title) {
+  await sendNotification({
+    userId: application.clientId,
+    applicationId: application._id,
+    type: 'general',
+    title,
+    message: `${describeDeadline(deadline)} is due on ${deadline.dueDate.toLocaleDateString()}.`,
+    priority: 'high',
+    actionRequired: true,
+    actionUrl: `/applications/${application._id}/documents`
+  });
+}
+
+const validateDeadlineFields = [
+  body('description').optional({ nullable: true }).isString().trim().isLength({ max: 1000 }),
+  body('dueDate').optional().isISO8601().toDate()
+];
+
+// POST /api/deadlines (adviser/admin)
+router.post(
+  '/deadlines',
+  requireDeadlineManage,
+  [
+    body('applicationId').custom((val) => mongoose.Types.ObjectId.isValid(val)).withMessage('Invalid applicationId'),
+    body('type').isIn(DEADLINE_TYPES),
+    body('dueDate').exists().withMessage('dueDate is required'),
+    ...validateDeadlineFields
+  ],
+  auditLogger('create_deadline', 'deadline'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { applicationId, type, description, dueDate } = req.body;
+
+      const application = await Application.findById(applicationId);
+      if (!application) {
+        return res.status(404).json({ message: 'Application not found' });
+      }
+      if (!(await canAccess(req.user, 'application', application))) {
+        return res.status(403).json({ message: 'You are not assigned to this application' });
+      }
+
+      application.deadlines.push({
+        type,
+        description,
+        dueDate,
+        completed: false,
+        createdBy: req.user._id
+      });
+      const deadline = application.deadlines[application.deadlines.length - 1];
+
+      application.timeline.push(timelineEntry(application.stage, req.user, `${describeDeadline(deadline)} added, due ${dueDate.toISOString().slice(0, 10)}`));
+      await application.save();
+      emitApplicationUpdate(application);
+
+      req.auditEntityId = deadline._id;
+      req.auditNewValues = snapshotDeadline(deadline);
+
+      await notifyDueDate(application, deadline, 'New Deadline');
+
+      res.status(201).json({ message: 'Deadline added', data: deadline });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to add deadline', error: err.message });
+    }
+  }
+);
+
+// PATCH /api/deadlines/:id (adviser/admin)
+router.patch(
+  '/deadlines/:id',
+  requireDeadlineManage,
+  [
+    body('type').optional().isIn(DEADLINE_TYPES),
+    ...validateDeadlineFields
+  ],
+  loadDeadline,
+  auditLogger('update_deadline', 'deadline'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { deadline } = req;
+      const { type, description, dueDate } = req.body;
+      const oldValues = snapshotDeadline(deadline);
+
+      const set = {};
+      if (type !== undefined) set.type = type;
+      if (description !== undefined) set.description = description;
+
+      const dueDateChanged = dueDate !== undefined && dueDate.getTime() !== deadline.dueDate?.getTime();
+      if (dueDateChanged) {
+        set.dueDate = dueDate;
+        // Reminders restart from the new due date
+        set.remindersSent = [];
+      }
+
+      const changed = { ...oldValues, ...set };
+      const application = await updateDeadline(req, {
+        set,
+        notes: dueDateChanged
+          ? `${describeDeadline(changed)} moved to ${dueDate.toISOString().slice(0, 10)}`
+          : `${describeDeadline(changed)} updated`
+      });
+      if (!application) {
+        return res.status(404).json({ message: 'Deadline not found' });
+      }
+      emitApplicationUpdate(application);
+
+      const updated = application.deadlines.id(deadline._id);
+      req.auditOldValues = oldValues;
+      req.auditNewValues = snapshotDeadline(updated);
+
+      if (dueDateChanged && !updated.completed) {
+        await notifyDueDate(application, updated, 'Deadline Changed');
+      }
+
+      res.json({ message: 'Deadline updated', data: updated });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to update deadline', error: err.message });
+    }
+  }
+);
+
+// POST /api/deadlines/:id/complete (adviser/admin)
+router.post(
+  '/deadlines/:id/complete',
+  requireDeadlineManage,
+  [
+    body('note').optional({ nullable: true }).isString().trim().isLength({ max: 5000 }),
+    body('documentIds').optional().isArray({ max: 50 }),
+    body('documentIds.*').custom((val) => mongoose.Types.ObjectId.isValid(val)).withMessage('Invalid document id')
+  ],
+  loadDeadline,
+  auditLogger('complete_deadline', 'deadline'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { application, deadline } = req;
+      const { note } = req.body;
+      const documentIds = [...new Set((req.body.documentIds || []).map(String))];
+
+      if (deadline.completed) {
+        return res.status(409).json({ message: 'Deadline is already completed' });
+      }
+
+      // Evidence must be documents of this application
+      const found = await Document.countDocuments({ _id: { $in: documentIds }, applicationId: application._id });
+      if (found !== documentIds.length) {
+        return res.status(400).json({ message: 'Evidence documents must belong to this application' });
+      }
+
+      const oldStage = application.stage;
+      const completed = await updateDeadline(req, {
+        state: { completed: false },
+        set: {
+          completed: true,
+          completedAt: new Date(),
+          completedBy: req.user._id,
+          response: { note, documentIds }
+        },
+        notes: `${describeDeadline(deadline)} completed${note ? `: ${note}` : ''}`
+      });
+      if (!completed) {
+        return res.status(409).json({ message: 'Deadline is already completed' });
+      }
+
+      const resumed = await resumeProcessingIfAnswered(completed, deadline.type, req.user);
+      const current = resumed || completed;
+      emitApplicationUpdate(current);
+
+      req.auditOldValues = { completed: false, stage: oldStage };
+      req.auditNewValues = { completed: true, stage: current.stage, note, documentIds };
+
+      if (resumed) {
+        await notifyResumedProcessing(resumed);
+      }
+
+      res.json({
+        message: resumed ? 'Deadline completed; application is back in processing' : 'Deadline completed',
+        data: { deadline: current.deadlines.id(deadline._id), stage: current.stage }
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to complete deadline', error: err.message });
+    }
+  }
+);
+
+// POST /api/deadlines/:id/reopen (adviser/admin)
+router.post(
+  '/deadlines/:id/reopen',
+  requireDeadlineManage,
+  [
+    body('dueDate').optional().isISO8601().toDate(),
+    body('reason').optional({ nullable: true }).isString().trim().isLength({ max: 1000 })
+  ],
+  loadDeadline,
+  auditLogger('reopen_deadline', 'deadline'),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
+
+    try {
+      const { deadline } = req;
+      const { dueDate, reason } = req.body;
+
+      if (!deadline.completed) {
+        return res.status(409).json({ message: 'Deadline is not completed' });
+      }
+
+      const oldValues = { ...snapshotDeadline(deadline), response: deadline.response };
+
+      const set = { completed: false };
+      if (dueDate) {
+        set.dueDate = dueDate;
+        set.remindersSent = [];
+      }
+
+      const application = await updateDeadline(req, {
+        state: { completed: true },
+        set,
+        unset: ['completedAt', 'completedBy', 'response'],
+        notes: `${describeDeadline(deadline)} reopened${reason ? `: ${reason}` : ''}`
+      });
+      if (!application) {
+        return res.status(409).json({ message: 'Deadline is not completed' });
+      }
+
+      const waiting = await awaitResponseAgain(application, deadline.type, req.user);
+      const current = waiting || application;
+      emitApplicationUpdate(current);
+
+      const reopened = current.deadlines.id(deadline._id);
+      req.auditOldValues = { ...oldValues, stage: req.application.stage };
+      req.auditNewValues = { ...snapshotDeadline(reopened), reason, stage: current.stage };
+
+      await notifyDueDate(current, reopened, 'Deadline Reopened');
+
+      res.json({
+        message: waiting ? 'Deadline reopened; application is waiting on the response again' : 'Deadline reopened',
+        data: reopened
+      });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to reopen deadline', error: err.message });
+    }
+  }
+);
+
+// DELETE /api/deadlines/:id (adviser/admin)
+router.delete(
+  '/deadlines/:id',
+  requireDeadlineManage,
+  loadDeadline,
+  auditLogger('delete_deadline', 'deadline'),
+  async (req, res) => {
+    try {
+      const { deadline } = req;
+      const oldValues = snapshotDeadline(deadline);
+
+      const application = await Application.findOneAndUpdate(
+        { _id: req.application._id, 'deadlines._id': deadline._id },
+        {
+          $pull: { deadlines: { _id: deadline._id } },
+          $push: { timeline: timelineEntry(req.application.stage, req.user, `${describeDeadline(deadline)} removed`) }
+        },
+        { new: true }
+      );
+      if (!application) {
+        return res.status(404).json({ message: 'Deadline not found' });
+      }
+
+      // Removing the last open RFI (or PPI) deadline leaves nothing to wait on
+      const resumed = await resumeProcessingIfAnswered(
+        application,
+        deadline.type,
+        req.user,
+        `No ${DEADLINE_LABELS[deadline.type]} deadlines left open; application back in processing`
+      );
+      const current = resumed || application;
+      emitApplicationUpdate(current);
+
+      req.auditOldValues = { ...oldValues, stage: req.application.stage };
+      req.auditNewValues = { stage: current.stage };
+
+      if (resumed) {
+        await notifyResumedProcessing(resumed);
+      }
+
+      res.json({ message: resumed ? 'Deadline deleted; application is back in processing' : 'Deadline deleted' });
+    } catch (err) {
+      res.status(500).json({ message: 'Failed to delete deadline', error: err.message });
+    }
+  }
+);
+
 module.exports = router;
 
 
@@ -483,6 +930,29 @@ module.exports = router;
  *       401: { description: Unauthorized }
  *       403: { description: Forbidden }
  *       500: { description: Server error }
+ *   post:
+ *     tags: [Deadlines]
+ *     summary: Add a deadline to an application (adviser/admin)
+ *     description: The client is notified and the deadline is added to the application timeline.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               applicationId: { type: string }
+ *               type: { type: string, enum: [rfi, ppi, medical, document] }
+ *               description: { type: string }
+ *               dueDate: { type: string, format: date-time }
+ *             required: [applicationId, type, dueDate]
+ *     responses:
+ *       201: { description: Deadline added }
+ *       400: { description: Validation error }
+ *       403: { description: Not assigned to the application }
+ *       404: { description: Application not found }
  *
  * /api/deadlines/client/{clientId}:
  *   get:
@@ -593,6 +1063,111 @@ module.exports = router;
  *       401: { description: Unauthorized }
  *       500: { description: Server error }
  *
+ * /api/deadlines/{id}:
+ *   patch:
+ *     tags: [Deadlines]
+ *     summary: Update a deadline (adviser/admin)
+ *     description: Moving the due date restarts its reminders and notifies the client.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               type: { type: string, enum: [rfi, ppi, medical, document] }
+ *               description: { type: string }
+ *               dueDate: { type: string, format: date-time }
+ *     responses:
+ *       200: { description: Deadline updated }
+ *       400: { description: Validation error }
+ *       403: { description: Not assigned to the application }
+ *       404: { description: Deadline not found }
+ *   delete:
+ *     tags: [Deadlines]
+ *     summary: Delete a deadline (adviser/admin)
+ *     description: |
+ *       Deleting the last open RFI (or PPI) deadline of an application waiting in rfi_received
+ *       (or ppi_received) moves it back to inz_processing.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Deadline deleted }
+ *       403: { description: Not assigned to the application }
+ *       404: { description: Deadline not found }
+ *
+ * /api/deadlines/{id}/complete:
+ *   post:
+ *     tags: [Deadlines]
+ *     summary: Complete a deadline with evidence (adviser/admin)
+ *     description: |
+ *       Records the response note and the application documents supplied. Once every RFI (or PPI)
+ *       deadline is completed, an application waiting in rfi_received (or ppi_received) moves back
+ *       to inz_processing.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note: { type: string }
+ *               documentIds:
+ *                 type: array
+ *                 items: { type: string }
+ *     responses:
+ *       200: { description: Deadline completed; returns the deadline and the application stage }
+ *       400: { description: Validation error or documents from another application }
+ *       403: { description: Not assigned to the application }
+ *       404: { description: Deadline not found }
+ *       409: { description: Deadline already completed }
+ *
+ * /api/deadlines/{id}/reopen:
+ *   post:
+ *     tags: [Deadlines]
+ *     summary: Reopen a completed deadline (adviser/admin)
+ *     description: |
+ *       Reopening an RFI (or PPI) deadline of an application back in inz_processing moves it to
+ *       rfi_received (or ppi_received) again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dueDate: { type: string, format: date-time }
+ *               reason: { type: string }
+ *     responses:
+ *       200: { description: Deadline reopened }
+ *       403: { description: Not assigned to the application }
+ *       404: { description: Deadline not found }
+ *       409: { description: Deadline is not completed }
+ *
  * components:
  *   schemas:
  *     Deadline:
@@ -609,6 +1184,21 @@ module.exports = router;
  *           format: date-time
  *         completed:
  *           type: boolean
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         completedBy:
+ *           type: string
+ *           nullable: true
+ *         response:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             note: { type: string }
+ *             documentIds:
+ *               type: array
+ *               items: { type: string }
  *     DeadlineItem:
  *       type: object
  *       properties:
@@ -1,14 +1,22 @@
+const crypto = require('crypto');
 const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const os = require('os');
 const fs = require('fs').promises;
-const { Document, Application, Notification } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { Document, Application, Notification, DocumentAccess } = require('../models');
+const { auth } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/auditLog');
-const { uploadToCloudStorage, deleteFromCloudStorage } = require('../utils/fileStorage');
+const { requirePermission, policy } = require('../middleware/policy');
+const { hasPermission, canAccess, scopeFilter } = require('../utils/permissions');
+const { storeFile, deleteFile, sendStoredFile } = require('../utils/fileStorage');
 const { sendNotification } = require('../utils/notifications');
-const { validateFile, scanForVirus } = require('../utils/fileValidation');
+const { emitDocumentReviewed } = require('../utils/realtime');
+const { validateFile, sanitizeFile } = require('../utils/fileValidation');
+const { scanFile } = require('../utils/scanning');
+const { reportInfectedFile } = require('../utils/documentScanning');
+const { versionStorageKey, fileUnavailable, issueDownloadLink, recordDocumentAccess } = require('../utils/documentDownloads');
+const { getChecklist } = require('../utils/requirementTemplates');
 
 const router = express.Router();
 
@@ -39,6 +47,7 @@ const upload = multer({
     limits: {
         fileSize: 10 * 1024 * 1024, // 10MB
     },
+    // A first pass on the name and declared type; validateFile confirms the content after upload
     fileFilter: (req, file, cb) => {
         const ext = path.extname(file.originalname).toLowerCase();
         const isExtOk = ALLOWED_EXTS.has(ext);
@@ -50,33 +59,18 @@ const upload = multer({
         if (isExtOk && (isMimeOk || isOctetWithValidExt)) {
             return cb(null, true);
         }
-        cb(new Error('Invalid file type. Only JPEG, PNG, PDF, DOC, and DOCX files are allowed.'));
+        const error = new Error('Invalid file type. Only JPEG, PNG, PDF, DOC, and DOCX files are allowed.');
+        error.statusCode = 400;
+        cb(error);
     },
 });
 
 
 // Get documents for an application
-router.get('/application/:applicationId', auth, async (req, res) => {
+router.get('/application/:applicationId', auth, policy(null, 'application', { param: 'applicationId' }), async (req, res) => {
     try {
         const { applicationId } = req.params;
 
-        // Verify user has access to this application
-        const application = await Application.findById(applicationId);
-        if (!application) {
-            return res.status(404).json({
-                success: false,
-                message: 'Application not found'
-            });
-        }
-
-        // Check permissions
-        if (req.user.role === 'client' && application.clientId.toString() !== req.user._id.toString()) {
-            return res.status(403).json({
-                success: false,
-                message: 'Access denied'
-            });
-        }
-
         const documents = await Document.find({ applicationId })
             .populate('reviewedBy', 'email profile')
             .sort({ createdAt: -1 });
@@ -97,6 +91,7 @@ router.get('/application/:applicationId', auth, async (req, res) => {
 // Upload document
 router.post('/upload',
     auth,
+    requirePermission('document.upload'),
     upload.single('document'),
     auditLogger('upload', 'document'),
     async (req, res) => {
@@ -122,7 +117,7 @@ router.post('/upload',
                 });
             }
 
-            if (req.user.role === 'client' && application.clientId.toString() !== req.user._id.toString()) {
+            if (!(await canAccess(req.user, 'application', application))) {
                 // Clean up uploaded file
                 await fs.unlink(file.path).catch(() => {});
                 return res.status(403).json({
@@ -131,86 +126,89 @@ router.post('/upload',
                 });
             }
 
-            // Validate file
+            // Confirm the real file type from its content and check it for active content
             const validationResult = await validateFile(file.path);
             if (!validationResult.isValid) {
                 // Clean up uploaded file
                 await fs.unlink(file.path).catch(() => {});
                 return res.status(400).json({
                     success: false,
-                    message: validationResult.error
+                    message: validationResult.error,
+                    reason: validationResult.reason
                 });
             }
 
-            // Scan for viruses (if virus scanner is configured)
-            const virusScanResult = await scanForVirus(file.path);
-            if (!virusScanResult.isClean) {
-                // Clean up uploaded file
+            // Scan before the file reaches cloud storage. Infected files are
+            // rejected; if the scanner is unavailable the upload is stored
+            // quarantined and the rescan job scans it later.
+            const scan = await scanFile(file.path);
+            if (scan.status === 'infected') {
                 await fs.unlink(file.path).catch(() => {});
+                await reportInfectedFile({
+                    applicationId,
+                    documentType,
+                    originalName: file.originalname,
+                    threats: scan.threats,
+                    detectedOn: 'upload'
+                });
                 return res.status(400).json({
                     success: false,
                     message: 'File failed security scan'
                 });
             }
 
-            // Upload to secure cloud storage
-            const fileUrl = await uploadToCloudStorage(file.path, {
+            // Images are stored without their EXIF and GPS metadata
+            await sanitizeFile(file.path, validationResult.fileType);
+            const { size: fileSize } = await fs.stat(file.path);
+
+            // Upload to file storage
+            const { key: storageKey } = await storeFile(file.path, {
                 folder: `applications/${applicationId}/documents`,
-                filename: `${documentType}-${Date.now()}${path.extname(file.originalname)}`
+                filename: `${documentType}-${Date.now()}${path.extname(file.originalname).toLowerCase()}`,
+                contentType: validationResult.mimeType
             });
 
-            // Check if document of this type already exists
-            let document = await Document.findOne({
+            // A resubmission becomes a new version; earlier files and reviews are kept
+            const { document, version } = await addUploadedVersion({
                 applicationId,
-                type: documentType
-            });
-
-            if (document) {
-                // Update existing document
-                if (document.fileUrl) {
-                    await deleteFromCloudStorage(document.fileUrl);
-                }
-
-                document.name = file.originalname;
-                document.originalName = file.originalname;
-                document.fileUrl = fileUrl;
-                document.fileSize = file.size;
-                document.mimeType = file.mimetype;
-                document.status = 'pending';
-                document.reviewNotes = '';
-                document.reviewedBy = null;
-                document.reviewedAt = null;
-                document.expiryDate = expiryDate ? new Date(expiryDate) : null;
-                document.updatedAt = new Date();
-            } else {
-                // Create new document record
-                document = new Document({
-                    applicationId,
-                    clientId: req.user._id,
-                    type: documentType,
-                    name: file.originalname,
+                documentType,
+                user: req.user,
+                scan,
+                file: {
                     originalName: file.originalname,
-                    fileUrl,
-                    fileSize: file.size,
-                    mimeType: file.mimetype,
-                    status: 'pending',
+                    storageKey,
+                    fileSize,
+                    mimeType: validationResult.mimeType,
+                    checksum: await fileChecksum(file.path),
+                    uploadedBy: req.user._id,
                     expiryDate: expiryDate ? new Date(expiryDate) : null
-                });
-            }
+                }
+            });
 
-            await document.save();
+            req.auditEntityId = document._id;
+            req.auditNewValues = { type: documentType, version: version.version, fileSize, scan: scan.status };
 
             // Clean up temp file
             await fs.unlink(file.path).catch(() => {});
 
+            if (version.status === 'quarantined') {
+                return res.status(202).json({
+                    success: true,
+                    message: 'Document uploaded and awaiting a virus scan',
+                    data: document
+                });
+            }
+
             // Notify admin/adviser about new document upload
             if (application.adviserId) {
                 await sendNotification({
                     userId: application.adviserId,
                     applicationId,
                     type: 'document_uploaded',
-                    title: 'New Document Uploaded',
-                    message: `${req.user.profile.firstName} uploaded a new ${documentType.replace('_', ' ')} document`,
+                    title: version.version > 1 ? 'Document Resubmitted' : 'New Document Uploaded',
+                    message: version.version > 1
+                        ? `${req.user.profile.firstName} uploaded version ${version.version} of the ${documentType.replace('_', ' ')} document`
+                        : `${req.user.profile.firstName} uploaded a new ${documentType.replace('_', ' ')} document`,
                     priority: 'medium'
                 });
             }
@@ -238,30 +236,39 @@ router.post('/upload',
 // Review document (admin/adviser only)
 router.patch('/:id/review',
     auth,
-    authorize('admin', 'adviser'),
+    policy('document.review', 'document'),
     auditLogger('review', 'document'),
     async (req, res) => {
         try {
             const { status, reviewNotes } = req.body;
-            const documentId = req.params.id;
-
-            const document = await Document.findById(documentId)
-                .populate('applicationId');
+            const document = req.resource;
 
-            if (!document) {
-                return res.status(404).json({
+            if (['quarantined', 'infected'].includes(document.status)) {
+                return res.status(409).json({
                     success: false,
-                    message: 'Document not found'
+                    message: 'Document cannot be reviewed until it passes its virus scan'
                 });
             }
 
             const oldStatus = document.status;
-            document.status = status;
-            document.reviewNotes = reviewNotes;
-            document.reviewedBy = req.user._id;
-            document.reviewedAt = new Date();
+            // Reviews apply to the latest version; earlier reviews stay in the history
+            document.reviewLatestVersion({ status, reviewNotes, reviewedBy: req.user._id });
+            // The save fails if a new version was uploaded since the document was loaded
+            document.increment();
+
+            try {
+                await document.save();
+            } catch (error) {
+                if (error.name !== 'VersionError') throw error;
+                return res.status(409).json({
+                    success: false,
+                    message: 'A new version was uploaded while you were reviewing. Please review the latest version.'
+                });
+            }
+            emitDocumentReviewed(document);
 
-            await document.save();
+            req.auditOldValues = { status: oldStatus };
+            req.auditNewValues = { status, reviewNotes, version: document.currentVersion };
 
             // Send notification to client
             const notificationType = status === 'approved' ? 'document_approved' : 'document_rejected';
@@ -299,41 +306,70 @@ router.patch('/:id/review',
 // Delete document
 router.delete('/:id',
     auth,
+    policy(null, 'document'),
     auditLogger('delete', 'document'),
     async (req, res) => {
         try {
             const documentId = req.params.id;
+            const document = req.resource;
 
-            const document = await Document.findById(documentId)
-                .populate('applicationId');
+            // Other roles may only withdraw the latest upload before it is reviewed;
+            // earlier versions and their reviews are kept
+            const canDeleteAll = await hasPermission(req.user, 'document.delete');
+            const canDelete = canDeleteAll ||
+                (UNREVIEWED_STATUSES.includes(document.status) && await hasPermission(req.user, 'document.delete.pending'));
 
-            if (!document) {
-                return res.status(404).json({
+            if (!canDelete) {
+                return res.status(403).json({
                     success: false,
-                    message: 'Document not found'
+                    message: 'Access denied. Cannot delete approved documents.'
                 });
             }
 
-            // Check permissions
-            const canDelete = req.user.role === 'admin' ||
-                req.user.role === 'adviser' ||
-                (req.user.role === 'client' &&
-                    document.applicationId.clientId.toString() === req.user._id.toString() &&
-                    document.status === 'pending');
+            document.ensureVersionHistory();
+            const conflict = () => res.status(409).json({
+                success: false,
+                message: 'The document changed while you were deleting it. Please try again.'
+            });
 
-            if (!canDelete) {
-                return res.status(403).json({
-                    success: false,
-                    message: 'Access denied. Cannot delete approved documents.'
+            if (!canDeleteAll && document.versions.length > 1) {
+                const removed = document.removeLatestVersion();
+                // The save fails if a version was uploaded or reviewed since the document was loaded
+                document.increment();
+                try {
+                    await document.save();
+                } catch (error) {
+                    if (error.name !== 'VersionError') throw error;
+                    return conflict();
+                }
+
+                const storageKey = versionStorageKey(removed);
+                if (storageKey) await deleteFile(storageKey);
+
+                req.auditOldValues = { version: removed.version };
+                req.auditNewValues = { currentVersion: document.currentVersion };
+
+                return res.status(200).json({
+                    success: true,
+                    message: 'Latest version deleted. Earlier versions were kept.',
+                    data: { currentVersion: document.currentVersion }
                 });
             }
 
-            // Delete from cloud storage
-            if (document.fileUrl) {
-                await deleteFromCloudStorage(document.fileUrl);
+            // Unless the document may be deleted outright, it must still be as checked above
+            const filter = canDeleteAll ? { _id: documentId } : { _id: documentId, __v: document.__v ?? null };
+            const { deletedCount } = await Document.deleteOne(filter);
+            if (!deletedCount) {
+                return canDeleteAll
+                    ? res.status(404).json({ success: false, message: 'Document not found' })
+                    : conflict();
             }
 
-            await Document.findByIdAndDelete(documentId);
+            // Delete every version's file from storage
+            const storageKeys = new Set(document.versions.map(versionStorageKey).filter(Boolean));
+            for (const storageKey of storageKeys) {
+                await deleteFile(storageKey);
+            }
 
             res.status(200).json({
                 success: true,
@@ -349,43 +385,137 @@ router.delete('/:id',
     }
 );
 
-// Download document
-router.get('/:id/download', auth, async (req, res) => {
+// Short-lived download link for the latest version, bound to the requesting user
+router.get('/:id/download', auth, policy(null, 'document'), async (req, res) => {
     try {
-        const documentId = req.params.id;
+        const document = req.resource;
+        document.ensureVersionHistory();
+        const version = document.latestVersion();
 
-        const document = await Document.findById(documentId)
-            .populate('applicationId');
+        const unavailable = fileUnavailable(version || document);
+        if (unavailable) {
+            return res.status(unavailable.status).json({
+                success: false,
+                message: unavailable.message
+            });
+        }
+
+        const { downloadUrl, expiresIn } = issueDownloadLink(req, document, version);
 
-        if (!document) {
+        res.status(200).json({
+            success: true,
+            data: {
+                downloadUrl,
+                filename: version.originalName,
+                version: version.version,
+                expiresIn
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error generating download URL',
+            error: error.message
+        });
+    }
+});
+
+// Version history, oldest first
+router.get('/:id/versions', auth, policy(null, 'document'), async (req, res) => {
+    try {
+        const document = req.resource;
+        document.ensureVersionHistory();
+        await document.populate([
+            { path: 'versions.uploadedBy', select: 'email profile' },
+            { path: 'versions.reviewedBy', select: 'email profile' }
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                documentId: document._id,
+                type: document.type,
+                currentVersion: document.currentVersion,
+                versions: document.versions
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching document versions',
+            error: error.message
+        });
+    }
+});
+
+// Metadata differences between two versions (defaults to the latest and the one before)
+router.get('/:id/versions/diff', auth, policy('document.review', 'document'), async (req, res) => {
+    try {
+        const document = req.resource;
+        document.ensureVersionHistory();
+
+        const latest = document.latestVersion()?.version || 0;
+        const to = parseInt(req.query.to, 10) || latest;
+        const from = parseInt(req.query.from, 10) || to - 1;
+
+        const fromVersion = document.getVersion(from);
+        const toVersion = document.getVersion(to);
+        if (!fromVersion || !toVersion) {
             return res.status(404).json({
                 success: false,
-                message: 'Document not found'
+                message: `Versions ${from} and ${to} must both exist; this document has ${latest}`
             });
         }
 
-        // Check permissions
-        const hasAccess = req.user.role === 'admin' ||
-            req.user.role === 'adviser' ||
-            (req.user.role === 'client' &&
-                document.applicationId.clientId.toString() === req.user._id.toString());
+        res.status(200).json({
+            success: true,
+            data: {
+                from,
+                to,
+                sameFile: Boolean(fromVersion.checksum) && fromVersion.checksum === toVersion.checksum,
+                changes: diffVersions(fromVersion, toVersion)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error comparing document versions',
+            error: error.message
+        });
+    }
+});
+
+// Download a past version
+router.get('/:id/versions/:version/download', auth, policy(null, 'document'), async (req, res) => {
+    try {
+        const document = req.resource;
+        document.ensureVersionHistory();
+
+        const version = document.getVersion(parseInt(req.params.version, 10));
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
 
-        if (!hasAccess) {
-            return res.status(403).json({
+        const unavailable = fileUnavailable(version);
+        if (unavailable) {
+            return res.status(unavailable.status).json({
                 success: false,
-                message: 'Access denied'
+                message: unavailable.message
             });
         }
 
-        // Generate secure download URL (implementation depends on your cloud storage)
-        const downloadUrl = await generateSecureDownloadUrl(document.fileUrl);
+        const { downloadUrl, expiresIn } = issueDownloadLink(req, document, version);
 
         res.status(200).json({
             success: true,
             data: {
                 downloadUrl,
-                filename: document.originalName,
-                expiresIn: 3600 // URL expires in 1 hour
+                filename: version.originalName,
+                version: version.version,
+                expiresIn
             }
         });
     } catch (error) {
@@ -397,11 +527,142 @@ router.get('/:id/download', auth, async (req, res) => {
     }
 });
 
+// Stream a version's file to the authenticated caller (defaults to the latest)
+router.get('/:id/content', auth, policy(null, 'document'), async (req, res) => {
+    try {
+        const document = req.resource;
+        document.ensureVersionHistory();
+
+        const version = req.query.version
+            ? document.getVersion(parseInt(req.query.version, 10))
+            : document.latestVersion();
+        if (!version) {
+            return res.status(404).json({
+                success: false,
+                message: 'Version not found'
+            });
+        }
+
+        const unavailable = fileUnavailable(version);
+        if (unavailable) {
+            return res.status(unavailable.status).json({
+                success: false,
+                message: unavailable.message
+            });
+        }
+
+        await recordDocumentAccess({ document, version, user: req.user, session: req.authSession, channel: 'stream', req });
+
+        const sent = await sendStoredFile(res, versionStorageKey(version), {
+            filename: version.originalName,
+            attachment: req.query.disposition !== 'inline'
+        });
+        if (!sent) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading document',
+            error: error.message
+        });
+    }
+});
+
+// Who downloaded this document, newest first, with a per-user summary (admin)
+router.get('/:id/access-log', auth, policy('document.access_log.view', 'document'), async (req, res) => {
+    try {
+        const document = req.resource;
+        const pageNum = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+
+        const filter = { documentId: document._id };
+        const [entries, total, users] = await Promise.all([
+            DocumentAccess.find(filter)
+              .populate('userId', 'email profile role')
+              .sort({ createdAt: -1 })
+              .limit(pageSize)
+              .skip((pageNum - 1) * pageSize),
+            DocumentAccess.countDocuments(filter),
+            DocumentAccess.aggregate([
+                { $match: filter },
+                { $sort: { createdAt: 1 } },
+                {
+                    $group: {
+                        _id: '$userId',
+                        role: { $last: '$role' },
+                        accessCount: { $sum: 1 },
+                        firstAccessedAt: { $min: '$createdAt' },
+                        lastAccessedAt: { $max: '$createdAt' }
+                    }
+                },
+                { $sort: { lastAccessedAt: -1 } }
+            ])
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                documentId: document._id,
+                type: document.type,
+                users: users.map(({ _id, ...summary }) => ({ userId: _id, ...summary })),
+                entries,
+                total,
+                totalPages: Math.ceil(total / pageSize),
+                currentPage: pageNum
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching document access log',
+            error: error.message
+        });
+    }
+});
+
 // Get document checklist for visa type
 router.get('/checklist/:visaType', auth, async (req, res) => {
     try {
         const { visaType } = req.params;
-        const checklist = getDocumentChecklist(visaType);
+        const { countryCode = 'NZ', nationality, partnerStatus, applicationId } = req.query;
+
+        let checklist;
+        if (applicationId) {
+            // Existing applications keep the template version they were created under
+            const application = await Application.findById(applicationId);
+            if (!application) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Application not found'
+                });
+            }
+
+            if (!(await canAccess(req.user, 'application', application))) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Access denied'
+                });
+            }
+
+            checklist = await getChecklist({
+                visaType: application.visaType,
+                countryCode: application.destinationCountry?.code || 'NZ',
+                requirementTemplate: application.requirementTemplate,
+                nationality,
+                partnerStatus
+            });
+        } else {
+            checklist = await getChecklist({
+                visaType,
+                countryCode: countryCode.toUpperCase(),
+                nationality: nationality || req.user.profile?.nationality,
+                partnerStatus
+            });
+        }
 
         res.status(200).json({
             success: true,
@@ -416,10 +677,9 @@ router.get('/checklist/:visaType', auth, async (req, res) => {
     }
 });
 
-// List all documents (admin/adviser)
+// List documents on applications the user can reach
 router.get('/',
   auth,
-  authorize('admin', 'adviser'),
   async (req, res) => {
       try {
           const {
@@ -432,6 +692,14 @@ router.get('/',
               limit = 20
           } = req.query;
 
+          const scope = await scopeFilter(req.user, 'document');
+          if (!scope) {
+              return res.status(403).json({
+                  success: false,
+                  message: 'Access denied. Insufficient permissions.'
+              });
+          }
+
           const filter = {};
           if (applicationId) filter.applicationId = applicationId;
           if (clientId) filter.clientId = clientId;
@@ -444,6 +712,9 @@ router.get('/',
                   { originalName: { $regex: search, $options: 'i' } }
               ];
           }
+          if (Object.keys(scope).length > 0) {
+              filter.$and = [scope];
+          }
 
           const pageNum = Math.max(parseInt(page, 10) || 1, 1);
           const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
@@ -478,94 +749,74 @@ router.get('/',
   }
 );
 
-// Helper function to get document checklist
-function getDocumentChecklist(visaType) {
-    const commonDocs = [
-        {
-            type: 'passport',
-            name: 'Passport Copy',
-            description: 'Clear copy of passport information page',
-            required: true,
-            formats: ['PDF', 'JPG', 'PNG']
-        },
-        {
-            type: 'photo',
-            name: 'Passport Photos',
-            description: 'Recent passport-sized photographs',
-            required: true,
-            formats: ['JPG', 'PNG']
-        },
-        {
-            type: 'police_clearance',
-            name: 'Police Clearance Certificate',
-            description: 'Police clearance from all countries lived in for 12+ months',
-            required: true,
-            formats: ['PDF']
+const UNREVIEWED_STATUSES = ['quarantined', 'infected', 'pending'];
+
+// SHA-256 of an uploaded file, so identical resubmissions can be spotted
+async function fileChecksum(filePath) {
+    return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Add an upload as the next version of the application's document of this type,
+ * creating the document on its first upload. The save is checked against the
+ * history the version was numbered from, so a concurrent upload makes this one
+ * start over and take the following number; a concurrent first upload makes it
+ * start over as a version of the document that upload created.
+ * @returns {Promise<Object>} - { document, version }
+ */
+async function addUploadedVersion({ applicationId, documentType, user, file, scan }) {
+    let document = await Document.findOne({
+        applicationId,
+        type: documentType
+    });
+
+    const isFirstUpload = !document;
+    if (isFirstUpload) {
+        document = new Document({
+            applicationId,
+            clientId: user._id,
+            type: documentType,
+            name: file.originalName
+        });
+    }
+
+    const version = document.addVersion(file);
+    document.recordScan(version.version, scan);
+    document.increment();
+
+    try {
+        await document.save();
+    } catch (error) {
+        if (error.name === 'VersionError' || (isFirstUpload && error.code === 11000)) {
+            return addUploadedVersion({ applicationId, documentType, user, file, scan });
         }
-    ];
-
-    const visaSpecificDocs = {
-        work: [
-            {
-                type: 'job_offer',
-                name: 'Job Offer Letter',
-                description: 'Official job offer from NZ employer',
-                required: true,
-                formats: ['PDF', 'DOC', 'DOCX']
-            },
-            {
-                type: 'employment_contract',
-                name: 'Employment Contract',
-                description: 'Signed employment agreement',
-                required: true,
-                formats: ['PDF', 'DOC', 'DOCX']
-            },
-            {
-                type: 'qualification_documents',
-                name: 'Qualification Documents',
-                description: 'Educational certificates and transcripts',
-                required: true,
-                formats: ['PDF']
-            }
-        ],
-        partner: [
-            {
-                type: 'marriage_certificate',
-                name: 'Marriage/Partnership Certificate',
-                description: 'Official marriage or civil union certificate',
-                required: true,
-                formats: ['PDF']
-            },
-            {
-                type: 'financial_records',
-                name: 'Financial Evidence',
-                description: 'Bank statements, employment letters, tax returns',
-                required: true,
-                formats: ['PDF']
-            }
-        ],
-        student: [
-            {
-                type: 'qualification_documents',
-                name: 'Academic Qualifications',
-                description: 'Certificates, diplomas, transcripts',
-                required: true,
-                formats: ['PDF']
-            },
-            {
-                type: 'financial_records',
-                name: 'Financial Evidence',
-                description: 'Proof of funds for study and living costs',
-                required: true,
-                formats: ['PDF']
-            }
-        ]
-    };
+        throw error;
+    }
+
+    return { document, version };
+}
 
-    return {
-        visaType,
-        documents: [...commonDocs, ...(visaSpecificDocs[visaType] || [])]
-    };
+const DIFF_FIELDS = [
+    'originalName',
+    'fileSize',
+    'mimeType',
+    'checksum',
+    'uploadedBy',
+    'uploadedAt',
+    'status',
+    'reviewNotes',
+    'reviewedBy',
+    'reviewedAt',
+    'expiryDate'
+];
+
+// Fields whose values differ between two versions
+function diffVersions(from, to) {
+    const comparable = (value) => (value instanceof Date ? value.toISOString() : value?.toString() ?? null);
+
+    return DIFF_FIELDS
+        .filter(field => comparable(from[field]) !== comparable(to[field]))
+        .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
 }
 
 module.exports = router;
@@ -579,7 +830,7 @@ module.exports = router;
  * /api/documents:
  *     get:
  *       tags: [Documents]
- *       summary: Get all documents (admin/adviser)
+ *       summary: Get documents on applications the user can reach
  *       security:
  *         - bearerAuth: []
  *       parameters:
@@ -593,7 +844,7 @@ module.exports = router;
  *           name: status
  *           schema:
  *             type: string
- *             enum: [pending, approved, rejected, under_review]
+ *             enum: [quarantined, infected, pending, approved, rejected, under_review]
  *         - in: query
  *           name: type
  *           schema:
@@ -637,6 +888,16 @@ module.exports = router;
  *   post:
  *     tags: [Documents]
  *     summary: Upload a document
+ *     description: |
+ *       Uploading a type the application already has adds a new version. Each upload is virus
+ *       scanned before it is stored: infected files are rejected and reported to the admins, and
+ *       clean ones are pending review. If the scanner is unavailable the version is stored
+ *       quarantined and cannot be downloaded or reviewed until a later scan passes.
+ *       Earlier versions, with their files and reviews, are kept.
+ *
+ *       The file type is taken from the content, not the name or declared mime type, and must
+ *       match the extension. PDFs with JavaScript, launch actions or encryption and Word documents
+ *       with macros are rejected. EXIF and GPS metadata are stripped from images before storage.
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -654,13 +915,26 @@ module.exports = router;
  *                 format: binary
  *             required: [applicationId, documentType, document]
  *     responses:
- *       200: { description: Document uploaded }
- *       400: { description: Validation error }
+ *       200: { description: Document uploaded and pending review }
+ *       202: { description: Document stored quarantined until a virus scan passes }
+ *       400:
+ *         description: Validation error, or the file failed the virus scan
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean }
+ *                 message: { type: string }
+ *                 reason:
+ *                   type: string
+ *                   enum: [FILE_TOO_LARGE, FILE_EMPTY, FILE_TYPE_NOT_ALLOWED, FILE_CONTENT_MISMATCH, FILE_UNREADABLE, PDF_ENCRYPTED, PDF_JAVASCRIPT, PDF_LAUNCH_ACTION, DOCUMENT_MACROS]
  *
  * /api/documents/{id}/review:
  *   patch:
  *     tags: [Documents]
  *     summary: Review a document (admin/adviser)
+ *     description: The review is recorded on the latest version.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -681,11 +955,16 @@ module.exports = router;
  *     responses:
  *       200: { description: Review saved }
  *       404: { description: Document not found }
+ *       409: { description: Latest version is quarantined or infected, or a new version was uploaded during the review }
  *
  * /api/documents/{id}:
  *   delete:
  *     tags: [Documents]
  *     summary: Delete a document
+ *     description: |
+ *       Users with `document.delete` delete the document and every version. Users with only
+ *       `document.delete.pending` may withdraw the latest version while it is unreviewed; earlier
+ *       versions are kept, and the document itself is deleted only when that was its one version.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -694,14 +973,20 @@ module.exports = router;
  *         required: true
  *         schema: { type: string }
  *     responses:
- *       200: { description: Document deleted }
+ *       200: { description: Document or its latest version deleted }
  *       403: { description: Access denied }
  *       404: { description: Not found }
+ *       409: { description: A version was uploaded or reviewed during the delete }
  *
  * /api/documents/{id}/download:
  *   get:
  *     tags: [Documents]
- *     summary: Get a secure download URL for a document
+ *     summary: Get a short-lived download link for a document's latest version
+ *     description: |
+ *       The link goes to `/api/downloads/{token}`, expires after `expiresIn` seconds
+ *       (DOWNLOAD_LINK_EXPIRE_SECONDS, default 300) and only works while the requesting user's
+ *       session is active and they can still reach the document. The file is streamed by the
+ *       backend, and each download is recorded in the document's access log.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -713,11 +998,135 @@ module.exports = router;
  *       200: { description: Download info returned }
  *       403: { description: Access denied }
  *       404: { description: Not found }
+ *       410: { description: File failed a virus scan and was deleted }
+ *       423: { description: File is awaiting a virus scan }
+ *
+ * /api/documents/{id}/versions:
+ *   get:
+ *     tags: [Documents]
+ *     summary: List a document's versions with their files and reviews
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Versions returned, oldest first }
+ *       403: { description: Access denied }
+ *       404: { description: Not found }
+ *
+ * /api/documents/{id}/versions/diff:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Compare the metadata of two versions (admin/adviser)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: from
+ *         schema: { type: integer }
+ *         description: Defaults to the version before `to`
+ *       - in: query
+ *         name: to
+ *         schema: { type: integer }
+ *         description: Defaults to the latest version
+ *     responses:
+ *       200: { description: Changed fields, and whether both versions hold the same file }
+ *       403: { description: Access denied }
+ *       404: { description: Document or version not found }
+ *
+ * /api/documents/{id}/versions/{version}/download:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Get a short-lived download link for a past version
+ *     description: Same link rules as `/api/documents/{id}/download`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema: { type: integer }
+ *     responses:
+ *       200: { description: Download info returned }
+ *       403: { description: Access denied }
+ *       404: { description: Document or version not found }
+ *       410: { description: File failed a virus scan and was deleted }
+ *       423: { description: File is awaiting a virus scan }
+ *
+ * /api/documents/{id}/content:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Stream a document's file
+ *     description: Streams the file to the authenticated caller and records the download in the access log.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: version
+ *         schema: { type: integer }
+ *         description: Defaults to the latest version
+ *       - in: query
+ *         name: disposition
+ *         schema: { type: string, enum: [attachment, inline], default: attachment }
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema: { type: string, format: binary }
+ *       403: { description: Access denied }
+ *       404: { description: Document, version or file not found }
+ *       410: { description: File failed a virus scan and was deleted }
+ *       423: { description: File is awaiting a virus scan }
+ *
+ * /api/documents/{id}/access-log:
+ *   get:
+ *     tags: [Documents]
+ *     summary: Who downloaded a document (admin)
+ *     description: |
+ *       Every download through a link or stream, newest first, with the user, IP address and time.
+ *       `users` summarises the downloads per user. Requires `document.access_log.view`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, minimum: 1, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, minimum: 1, maximum: 100, default: 50 }
+ *     responses:
+ *       200: { description: Access log returned }
+ *       403: { description: Access denied }
+ *       404: { description: Document not found }
  *
  * /api/documents/checklist/{visaType}:
  *   get:
  *     tags: [Documents]
  *     summary: Get document checklist for a visa type
+ *     description: >
+ *       Resolved from the active requirement template for the destination country, visa type and
+ *       applicant attributes. With `applicationId`, the template version pinned to that application is used,
+ *       or the built-in defaults when it was created from those.
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -725,6 +1134,18 @@ module.exports = router;
  *         name: visaType
  *         required: true
  *         schema: { type: string, example: work }
+ *       - in: query
+ *         name: countryCode
+ *         schema: { type: string, pattern: '^[A-Z]{2}$', default: NZ }
+ *       - in: query
+ *         name: nationality
+ *         schema: { type: string }
+ *       - in: query
+ *         name: partnerStatus
+ *         schema: { type: string, enum: [single, partnered] }
+ *       - in: query
+ *         name: applicationId
+ *         schema: { type: string }
  *     responses:
  *       200: { description: Checklist returned }
  */
\ No newline at end of file
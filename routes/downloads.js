@@ -0,0 +1,81 @@
+const express = require('express');
+const { sendStoredFile } = require('../utils/fileStorage');
+const { versionStorageKey, redeemDownloadToken, recordDocumentAccess } = require('../utils/documentDownloads');
+
+const router = express.Router();
+
+/**
+ * Redeem a short-lived document download link. The link stands in for the
+ * access token, so this router is mounted without auth. The file is streamed
+ * through the backend and the storage location is never exposed.
+ */
+router.get('/:token', async (req, res) => {
+    try {
+        const result = await redeemDownloadToken(req.params.token, req);
+        if (result.error) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const { document, version, user, session } = result;
+        await recordDocumentAccess({ document, version, user, session, channel: 'link', req });
+
+        const sent = await sendStoredFile(res, versionStorageKey(version), {
+            filename: version.originalName,
+            attachment: req.query.disposition !== 'inline'
+        });
+        if (!sent) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error downloading document',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Downloads
+ *     description: Short-lived document download links
+ *
+ * /api/downloads/{token}:
+ *   get:
+ *     tags: [Downloads]
+ *     summary: Download a document through a short-lived link
+ *     description: |
+ *       Links are issued by `GET /api/documents/{id}/download` and its per-version counterpart.
+ *       They expire after DOWNLOAD_LINK_EXPIRE_SECONDS (default 300) and stop working as soon
+ *       as the requesting user's session is revoked or they lose access to the document.
+ *       Every download is recorded in the document's access log. Links are signed for this
+ *       endpoint only and are rejected as Bearer tokens.
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: disposition
+ *         schema: { type: string, enum: [attachment, inline], default: attachment }
+ *     responses:
+ *       200:
+ *         description: File contents
+ *         content:
+ *           application/octet-stream:
+ *             schema: { type: string, format: binary }
+ *       403: { description: Link is invalid, expired or no longer valid for the user }
+ *       404: { description: Document, version or file not found }
+ *       410: { description: File failed a virus scan and was deleted }
+ *       423: { description: File is awaiting a virus scan }
+ */
@@ -0,0 +1,82 @@
+const express = require('express');
+const { getMessagingProvider, getStatusCallbackUrl, recordDeliveryStatus } = require('../utils/messaging');
+
+const router = express.Router();
+
+/**
+ * Delivery status callback from the messaging provider. Requests are
+ * verified with the provider's signature; callbacks for unknown messages or
+ * older statuses are acknowledged and ignored.
+ */
+router.post('/status', async (req, res) => {
+    try {
+        const provider = getMessagingProvider();
+        if (!provider.verifyCallback(req, getStatusCallbackUrl())) {
+            console.error('Messaging status callback failed signature verification');
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid signature'
+            });
+        }
+
+        const update = provider.parseStatusCallback(req.body);
+        if (!update.providerMessageId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Message id is required'
+            });
+        }
+
+        const notification = update.status ? await recordDeliveryStatus(update) : null;
+
+        res.status(200).json({
+            success: true,
+            recorded: Boolean(notification)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error recording message status',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Messaging
+ *     description: SMS and WhatsApp provider callbacks
+ *
+ * /api/messaging/status:
+ *   post:
+ *     tags: [Messaging]
+ *     summary: Delivery status callback from the messaging provider
+ *     description: |
+ *       Called by the provider as a text message is queued, sent, delivered or fails. The status is
+ *       recorded on the notification's SMS delivery; earlier statuses arriving late are ignored.
+ *     security: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Twilio-Signature
+ *         schema: { type: string }
+ *         description: Provider signature used to verify the callback
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               MessageSid: { type: string }
+ *               MessageStatus: { type: string, enum: [queued, sending, sent, delivered, read, undelivered, failed] }
+ *               ErrorCode: { type: string }
+ *               ErrorMessage: { type: string }
+ *             required: [MessageSid, MessageStatus]
+ *     responses:
+ *       200: { description: Callback acknowledged }
+ *       400: { description: Missing message id }
+ *       403: { description: Invalid signature }
+ */
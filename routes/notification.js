@@ -1,6 +1,12 @@
 const express = require('express');
 const { Notification } = require('../models');
 const { auth } = require('../middleware/auth');
+const { pushUnreadCount } = require('../utils/realtime');
+const {
+    getNotificationPreferences,
+    formatPreferences,
+    updateNotificationPreferences
+} = require('../utils/notificationPreferences');
 
 const router = express.Router();
 
@@ -9,7 +15,7 @@ router.get('/', auth, async (req, res) => {
     try {
         const { page = 1, limit = 20, unreadOnly = false } = req.query;
 
-        const filter = { userId: req.user._id };
+        const filter = Notification.inAppFilter(req.user._id);
         if (unreadOnly === 'true') {
             filter.isRead = false;
         }
@@ -21,7 +27,7 @@ router.get('/', auth, async (req, res) => {
 
         const total = await Notification.countDocuments(filter);
         const unreadCount = await Notification.countDocuments({
-            userId: req.user._id,
+            ...Notification.inAppFilter(req.user._id),
             isRead: false
         });
 
@@ -44,6 +50,51 @@ router.get('/', auth, async (req, res) => {
     }
 });
 
+// Get the user's notification preferences for every notification type
+router.get('/preferences', auth, async (req, res) => {
+    try {
+        const preferences = await getNotificationPreferences(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: formatPreferences(preferences)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching notification preferences',
+            error: error.message
+        });
+    }
+});
+
+// Update notification preferences. Compliance-critical types cannot be changed.
+router.put('/preferences', auth, async (req, res) => {
+    try {
+        const result = await updateNotificationPreferences(req.user._id, req.body);
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.message,
+                code: result.error
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated',
+            data: formatPreferences(result.preferences)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notification preferences',
+            error: error.message
+        });
+    }
+});
+
 // Mark notification as read
 router.patch('/:id/read', auth, async (req, res) => {
     try {
@@ -60,6 +111,8 @@ router.patch('/:id/read', auth, async (req, res) => {
             });
         }
 
+        await pushUnreadCount(req.user._id);
+
         res.status(200).json({
             success: true,
             data: notification
@@ -81,6 +134,8 @@ router.patch('/mark-all-read', auth, async (req, res) => {
             { isRead: true, readAt: new Date() }
         );
 
+        await pushUnreadCount(req.user._id);
+
         res.status(200).json({
             success: true,
             message: 'All notifications marked as read'
@@ -109,6 +164,10 @@ router.delete('/:id', auth, async (req, res) => {
             });
         }
 
+        if (!notification.isRead) {
+            await pushUnreadCount(req.user._id);
+        }
+
         res.status(200).json({
             success: true,
             message: 'Notification deleted'
@@ -164,6 +223,56 @@ module.exports = router;
  *       200: { description: Marked as read }
  *       404: { description: Not found }
  *
+ * /api/notifications/preferences:
+ *   get:
+ *     tags: [Notifications]
+ *     summary: Get notification preferences for every notification type
+ *     description: |
+ *       A null `email` or `sms` follows the notification's priority: high, urgent and
+ *       action-required notifications are emailed, urgent ones are sent by SMS. Locked types
+ *       are compliance-critical; they are always delivered and ignore quiet hours. Text messages
+ *       go to the user's verified phone by SMS or WhatsApp, per `messagingChannel`.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200: { description: Preferences returned }
+ *   put:
+ *     tags: [Notifications]
+ *     summary: Update notification preferences
+ *     description: Type entries are merged into the stored ones; a null channel returns it to the default.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               timezone: { type: string, example: Pacific/Auckland }
+ *               quietHours:
+ *                 type: object
+ *                 properties:
+ *                   enabled: { type: boolean }
+ *                   start: { type: string, example: '22:00' }
+ *                   end: { type: string, example: '07:00' }
+ *               digestFrequency: { type: string, enum: [off, daily, weekly] }
+ *               messagingChannel: { type: string, enum: [sms, whatsapp] }
+ *               types:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type: { type: string, example: document_approved }
+ *                     inApp: { type: boolean }
+ *                     email: { type: boolean, nullable: true }
+ *                     sms: { type: boolean, nullable: true }
+ *                     digest: { type: boolean }
+ *                   required: [type]
+ *     responses:
+ *       200: { description: Preferences updated }
+ *       400: { description: Invalid preferences, or a locked type (LOCKED_NOTIFICATION_TYPE) }
+ *
  * /api/notifications/mark-all-read:
  *   patch:
  *     tags: [Notifications]
@@ -3,11 +3,20 @@ const mongoose = require('mongoose');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
 const { body, validationResult } = require('express-validator');
 const { Payment, Consultation, Application, Agreement } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { auth } = require('../middleware/auth');
 const { auditLogger } = require('../middleware/auditLog');
-const { generateInvoice } = require('../utils/invoiceGenerator');
-const { sendNotification } = require('../utils/notifications');
+const { requirePermission, policy } = require('../middleware/policy');
+const { scopeFilter } = require('../utils/permissions');
+const { issueInvoice, issueCreditNote, renderInvoicePdf } = require('../utils/invoiceGenerator');
 const { sendEmail } = require('../utils/email');
+const { confirmHold, refundLostSlotPayment } = require('../utils/slotReservation');
+const { issueRefund } = require('../utils/refunds');
+const { createCheckoutForPayment, raiseStagePayments } = require('../utils/billing');
+const { isAgreementSigned } = require('../utils/agreements');
+const { emitApplicationUpdate } = require('../utils/realtime');
+const { toMinorUnits, fromMinorUnits } = require('../utils/currency');
+const { recordEvent, processEvent } = require('../utils/webhookEvents');
+const { completePayment } = require('../utils/stripeWebhooks');
 
 const router = express.Router();
 
@@ -30,28 +39,26 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
         return res.status(400).send(`Webhook Error: ${err.message}`);
     }
 
-    // Handle the event
-    switch (event.type) {
-        case 'payment_intent.succeeded':
-            const paymentIntent = event.data.object;
-            await handlePaymentSuccess(paymentIntent);
-            break;
-
-        case 'payment_intent.payment_failed':
-            const failedPayment = event.data.object;
-            await handlePaymentFailure(failedPayment);
-            break;
-
-        case 'checkout.session.completed':
-            const session = event.data.object;
-            await handleCheckoutSessionCompleted(session);
-            break;
-
-        default:
-            console.log(`Unhandled event type ${event.type}`);
+    // Persist before acknowledging so a failed write makes Stripe retry the delivery
+    let stored;
+    try {
+        stored = await recordEvent(event);
+    } catch (err) {
+        console.error('Failed to store webhook event:', err.message);
+        return res.status(500).json({ received: false });
     }
 
-    res.json({ received: true });
+    res.json({ received: true, duplicate: !stored.isNew });
+
+    // Process after responding; duplicates of a processed event are no-ops and
+    // failures are retried by the scheduled job with backoff
+    if (stored.event.status === 'pending') {
+        setImmediate(() => {
+            processEvent(stored.event.eventId).catch(err => {
+                console.error(`Webhook event ${stored.event.eventId} processing error:`, err.message);
+            });
+        });
+    }
 });
 
 /**
@@ -63,10 +70,10 @@ router.post('/create-consultation-payment', async (req, res) => {
         const { consultationId, paymentId, amount, email } = req.body;
 
         // Validate input
-        if (!consultationId || !paymentId || !amount || !email) {
+        if (!consultationId || !paymentId || !email) {
             return res.status(400).json({
                 success: false,
-                message: 'Missing required fields: consultationId, paymentId, amount, email'
+                message: 'Missing required fields: consultationId, paymentId, email'
             });
         }
 
@@ -79,14 +86,6 @@ router.post('/create-consultation-payment', async (req, res) => {
             });
         }
 
-        // Validate amount
-        if (typeof amount !== 'number' || amount <= 0 || amount > 10000) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid payment amount'
-            });
-        }
-
         // Verify consultation exists and matches email
         const consultation = await Consultation.findById(consultationId)
           .populate('clientId');
@@ -113,6 +112,14 @@ router.post('/create-consultation-payment', async (req, res) => {
             });
         }
 
+        if (consultation.expiresAt && consultation.expiresAt <= new Date()) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your reservation hold has expired. Please book the consultation again.',
+                code: 'HOLD_EXPIRED'
+            });
+        }
+
         // Verify payment record
         const payment = await Payment.findById(paymentId);
         if (!payment) {
@@ -129,6 +136,14 @@ router.post('/create-consultation-payment', async (req, res) => {
             });
         }
 
+        // The fee was fixed from the fee schedule at booking; the client's figure is only a cross-check
+        if (amount !== undefined && amount !== payment.amount) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment amount'
+            });
+        }
+
         // Ensure DB linkage for easier admin queries
         if (!payment.consultationId) {
             payment.consultationId = consultationId;
@@ -143,13 +158,13 @@ router.post('/create-consultation-payment', async (req, res) => {
             line_items: [
                 {
                     price_data: {
-                        currency: 'usd',
+                        currency: payment.currency.toLowerCase(),
                         product_data: {
                             name: 'Migrantifly Consultation',
                             description: `Initial consultation scheduled for ${consultation.scheduledDate.toLocaleDateString()} at ${consultation.scheduledDate.toLocaleTimeString()}`,
                             images: ['https://migrantifly.com/logo.png'],
                         },
-                        unit_amount: Math.round(amount * 100), // Amount in cents
+                        unit_amount: toMinorUnits(payment.amount, payment.currency), // Smallest currency unit
                     },
                     quantity: 1,
                 },
@@ -213,29 +228,31 @@ router.post('/verify-checkout-session', async (req, res) => {
         const type = meta.type;
         const paymentId = meta.paymentId || null;
         let payment = null;
-
-
+        let slotLost = false;
 
         if (paid) {
             const metaConsultationId = session.metadata?.consultationId || null;
 
             try {
                 if (paymentId) {
-                    payment = await Payment.findById(paymentId);
-                    if (payment && payment.status !== 'completed') {
-                        payment.status = 'completed';
-                        payment.transactionId = session.id;
-                        payment.gatewayReference = session.payment_intent?.toString() || payment.gatewayReference;
-                        if (!payment.consultationId && metaConsultationId) {
-                            payment.consultationId = metaConsultationId;
-                        }
+                    const gatewayReference = session.payment_intent?.id || session.payment_intent;
+                    ({ payment } = await completePayment(
+                        { _id: paymentId },
+                        { transactionId: session.id, ...(gatewayReference && { gatewayReference }) }
+                    ));
+                    if (payment && !payment.consultationId && metaConsultationId) {
+                        payment.consultationId = metaConsultationId;
                         await payment.save();
                     }
                 }
 
-                // If deposit, update application + invoice (in case webhook hasn’t run yet)
-                if (type === 'deposit' && meta.applicationId) {
-                    const application = await Application.findById(meta.applicationId);
+                // A payment refunded since it completed was already processed; verifying
+                // again must not redo anything. Completed ones go on: the steps are idempotent.
+                const processed = payment && payment.status !== 'completed';
+
+                // For application payments, update application + invoice (in case webhook hasn’t run yet)
+                if (!processed && ['deposit', 'additional', 'final'].includes(type) && meta.applicationId) {
+                    const application = type === 'deposit' && await Application.findById(meta.applicationId);
                     if (application && application.stage === 'consultation') {
                         application.stage = 'deposit_paid';
                         application.progress = 20;
@@ -247,48 +264,50 @@ router.post('/verify-checkout-session', async (req, res) => {
                             updatedBy: (payment && payment.clientId) || meta.clientId || application.clientId
                         });
                         await application.save();
+                        emitApplicationUpdate(application);
+                    }
+                    if (application) {
+                        await raiseStagePayments(application);
                     }
 
                     if (payment && !payment.invoiceUrl) {
-                        const invoiceNumber = `INV-${Date.now()}`;
                         try {
-                            const invoiceUrl = await generateInvoice({
-                                payment,
-                                client: {
-                                    _id: payment.clientId,
-                                    email: session.customer_details?.email || session.customer_email
-                                },
-                                invoiceNumber
-                            });
-                            payment.invoiceUrl = invoiceUrl;
-                            payment.invoiceNumber = invoiceNumber;
-                            await payment.save();
+                            await issueInvoice(payment);
                         } catch (invErr) {
                             console.error('Invoice generation failed after verify:', invErr?.message);
                         }
                     }
                 }
 
-                // Idempotently schedule the consultation and unset TTL expiry
-                if (metaConsultationId) {
-                    await Consultation.findOneAndUpdate(
-                      { _id: metaConsultationId, status: { $ne: 'scheduled' } },
-                      { $set: { status: 'scheduled' }, $unset: { expiresAt: "" } },
-                      { new: true }
-                    );
+                // Idempotently schedule the consultation, re-validating the hold first
+                if (!processed && metaConsultationId && type !== 'deposit') {
+                    const hold = await confirmHold(metaConsultationId);
+                    if (!hold.confirmed) {
+                        slotLost = true;
+                        if (payment) await refundLostSlotPayment(payment);
+                    }
                 }
             } catch (finalizeErr) {
                 console.error('Finalize after verify failed:', finalizeErr?.message);
             }
         }
 
+        if (slotLost) {
+            return res.status(409).json({
+                success: false,
+                message: 'This time slot was taken before your payment completed. Your payment has been refunded; please book another time.',
+                code: 'SLOT_LOST'
+            });
+        }
+
         res.status(200).json({
             success: true,
             data: {
                 paid,
                 email,
-                amount: session.amount_total ?? null,
-                currency: session.currency ?? 'usd',
+                // In major units (dollars, yen), not Stripe's minor units
+                amount: session.amount_total != null ? fromMinorUnits(session.amount_total, session.currency) : null,
+                currency: (session.currency ?? 'usd').toUpperCase(),
                 // applicationId: session.metadata?.applicationId || null,
                 consultationId: session.metadata?.consultationId || session.metadata?.applicationId || null,
                 paymentId: session.metadata?.paymentId || null,
@@ -417,8 +436,16 @@ const paymentValidation = [
 //   });
 
 
+// The deposit is only taken once the client has signed the service agreement
+const AGREEMENT_REQUIRED = {
+    success: false,
+    message: 'Please review and sign your service agreement before paying the deposit',
+    code: 'AGREEMENT_NOT_SIGNED'
+};
+
 router.post('/create-deposit-checkout',
   auth,
+  requirePermission('payment.create'),
   paymentValidation, // validates applicationId and amount
   async (req, res) => {
       try {
@@ -429,6 +456,37 @@ router.post('/create-deposit-checkout',
           if (!application) {
               return res.status(404).json({ success: false, message: 'Application not found' });
           }
+
+          if (!(await isAgreementSigned(application._id))) {
+              return res.status(409).json(AGREEMENT_REQUIRED);
+          }
+
+          // Applications with a billing plan pay the deposit raised from their fee schedule
+          const depositItem = application.billingPlan?.items?.find(item => item.type === 'deposit');
+          if (depositItem) {
+              await raiseStagePayments(application);
+              const deposit = await Payment.findById(depositItem.paymentId);
+              if (!deposit) {
+                  return res.status(404).json({ success: false, message: 'Deposit payment not found' });
+              }
+              if (amount !== deposit.amount) {
+                  return res.status(400).json({ success: false, message: 'Invalid deposit amount' });
+              }
+              if (deposit.status !== 'pending') {
+                  return res.status(400).json({
+                      success: false,
+                      message: `Deposit has already been processed. Current status: ${deposit.status}`
+                  });
+              }
+
+              await createCheckoutForPayment(deposit, { customerEmail: req.user.email });
+
+              return res.status(200).json({
+                  success: true,
+                  data: { url: deposit.checkoutUrl, sessionId: deposit.transactionId, paymentId: deposit._id }
+              });
+          }
+
           if (amount !== 500) {
               return res.status(400).json({ success: false, message: 'Invalid deposit amount' });
           }
@@ -452,12 +510,12 @@ router.post('/create-deposit-checkout',
               line_items: [
                   {
                       price_data: {
-                          currency: 'usd',
+                          currency: payment.currency.toLowerCase(),
                           product_data: {
                               name: 'Application Deposit',
                               description: `Deposit for application ${applicationId}`,
                           },
-                          unit_amount: Math.round(amount * 100),
+                          unit_amount: toMinorUnits(amount, payment.currency),
                       },
                       quantity: 1,
                   },
@@ -494,12 +552,13 @@ router.post('/create-deposit-checkout',
 // Confirm payment
 router.post('/confirm-payment',
   auth,
+  requirePermission('payment.create'),
   auditLogger('confirm_payment', 'payment'),
   async (req, res) => {
       try {
           const { paymentId, paymentIntentId } = req.body;
 
-          const payment = await Payment.findOne({
+          let payment = await Payment.findOne({
               _id: paymentId,
               clientId: req.user._id
           });
@@ -515,20 +574,17 @@ router.post('/confirm-payment',
           const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
           if (paymentIntent.status === 'succeeded') {
-              payment.status = 'completed';
-              payment.gatewayReference = paymentIntent.id;
-              await payment.save();
-
-              // Generate invoice
-              const invoiceUrl = await generateInvoice({
-                  payment,
-                  client: req.user,
-                  invoiceNumber: `INV-${Date.now()}`
-              });
+              const result = await completePayment({ _id: payment._id }, { gatewayReference: paymentIntent.id });
+              if (!result.completed) {
+                  return res.status(409).json({
+                      success: false,
+                      message: `Payment has already been processed. Current status: ${result.payment.status}`
+                  });
+              }
+              payment = result.payment;
 
-              payment.invoiceUrl = invoiceUrl;
-              payment.invoiceNumber = `INV-${Date.now()}`;
-              await payment.save();
+              // Issue the tax invoice
+              const { invoiceUrl } = await issueInvoice(payment);
 
               // Update application stage if this is deposit payment
               if (payment.type === 'deposit') {
@@ -543,6 +599,7 @@ router.post('/confirm-payment',
                           updatedBy: req.user._id
                       });
                       await application.save();
+                      emitApplicationUpdate(application);
                   }
               }
 
@@ -569,8 +626,7 @@ router.post('/confirm-payment',
                   }
               });
           } else {
-              payment.status = 'failed';
-              await payment.save();
+              await Payment.updateOne({ _id: payment._id, status: 'pending' }, { $set: { status: 'failed' } });
 
               res.status(400).json({
                   success: false,
@@ -590,9 +646,15 @@ router.post('/confirm-payment',
 // Get payment history
 router.get('/history', auth, async (req, res) => {
     try {
-        const filter = req.user.role === 'client'
-          ? { clientId: req.user._id }
-          : {};
+        // Clients see their own payments, advisers those of their applications and
+        // consultations; roles with payment.read.all see every payment
+        const filter = await scopeFilter(req.user, 'payment');
+        if (!filter) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Insufficient permissions.'
+            });
+        }
 
         const payments = await Payment.find(filter)
           .populate('clientId', 'email profile')
@@ -612,197 +674,220 @@ router.get('/history', auth, async (req, res) => {
     }
 });
 
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
+// Get a checkout link for a pending application payment, creating a new one if the last expired
+router.post('/:id/checkout',
+  auth,
+  policy('payment.create', 'payment'),
+  async (req, res) => {
+      try {
+          const payment = req.resource;
 
-// Helper function to handle successful payments
-async function handlePaymentSuccess(paymentIntent) {
-    try {
-        const payment = await Payment.findOne({
-            $or: [
-                { transactionId: paymentIntent.id },     // PaymentIntent flow
-                { gatewayReference: paymentIntent.id }    // Checkout flow: stored here
-            ]
-        });
+          if (!payment.applicationId || !['deposit', 'additional', 'final'].includes(payment.type)) {
+              return res.status(400).json({
+                  success: false,
+                  message: 'Only application payments can be paid through this link'
+              });
+          }
+          if (payment.status !== 'pending') {
+              return res.status(400).json({
+                  success: false,
+                  message: `Payment has already been processed. Current status: ${payment.status}`
+              });
+          }
+          if (payment.type === 'deposit' && !(await isAgreementSigned(payment.applicationId))) {
+              return res.status(409).json(AGREEMENT_REQUIRED);
+          }
 
-        if (payment && payment.status !== 'completed') {
-            payment.status = 'completed';
-            payment.gatewayReference = paymentIntent.id;
-            await payment.save();
+          await createCheckoutForPayment(payment);
 
-            // Send notification
-            await sendNotification({
-                userId: payment.clientId,
-                applicationId: payment.applicationId,
-                type: 'payment_received',
-                title: 'Payment Received',
-                message: `Your ${payment.type} payment of ${payment.currency} ${payment.amount} has been processed successfully`,
-                priority: 'medium'
-            });
-        }
-    } catch (error) {
-        console.error('Error handling payment success:', error);
-    }
-}
+          res.status(200).json({
+              success: true,
+              data: {
+                  url: payment.checkoutUrl,
+                  sessionId: payment.transactionId,
+                  expiresAt: payment.checkoutExpiresAt,
+                  paymentId: payment._id
+              }
+          });
+      } catch (error) {
+          console.error('Create checkout link failed:', error);
+          res.status(500).json({
+              success: false,
+              message: 'Failed to create checkout link',
+              error: process.env.NODE_ENV === 'development' ? error.message : undefined
+          });
+      }
+  }
+);
 
-// Helper function to handle successful checkout
-async function handleCheckoutSessionCompleted(session) {
-    try {
-        const paymentType = session.metadata.type;
-
-        if (paymentType === 'deposit') {
-            const paymentId = session.metadata.paymentId;
-            const applicationId = session.metadata.applicationId;
-
-            // Update payment status
-            const payment = await Payment.findByIdAndUpdate(
-              paymentId,
-              {
-                  status: 'completed',
-                  transactionId: session.id,
-                  gatewayReference: session.payment_intent,
-              },
-              { new: true }
-            );
+const REFUND_ERROR_STATUS = {
+    PAYMENT_NOT_REFUNDABLE: 400,
+    NO_GATEWAY_REFERENCE: 400,
+    INVALID_REFUND_AMOUNT: 400,
+    REFUND_CONFLICT: 409,
+    STRIPE_REFUND_FAILED: 502
+};
 
-            if (!payment) {
-                console.error('Deposit payment not found:', paymentId);
-                return;
-            }
+const refundValidation = [
+    body('amount')
+      .optional()
+      .isFloat({ min: 0.01, max: 1000000 })
+      .withMessage('Invalid refund amount'),
+    body('reason')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters')
+];
 
-            // Update application stage
-            const application = await Application.findById(applicationId);
-            if (application && application.stage === 'consultation') {
-                application.stage = 'deposit_paid';
-                application.progress = 20;
-                application.timeline.push({
-                    stage: 'deposit_paid',
-                    date: new Date(),
-                    notes: 'Deposit payment received (Checkout)',
-                    updatedBy: payment.clientId
-                });
-                await application.save();
-            }
+// Refund all or part of a payment. Retries must reuse the same idempotency key.
+router.post('/:id/refund',
+  auth,
+  policy('payment.refund', 'payment'),
+  refundValidation,
+  auditLogger('refund_payment', 'payment'),
+  async (req, res) => {
+      try {
+          const errors = validationResult(req);
+          if (!errors.isEmpty()) {
+              return res.status(400).json({
+                  success: false,
+                  errors: errors.array()
+              });
+          }
 
-            // Generate invoice (fetch client for email/name)
-            const client = { _id: payment.clientId, email: session.customer_details?.email || session.customer_email };
-            const invoiceUrl = await generateInvoice({
-                payment,
-                client,
-                invoiceNumber: `INV-${Date.now()}`
-            });
+          const idempotencyKey = req.get('Idempotency-Key') || req.body.idempotencyKey;
+          if (!idempotencyKey || idempotencyKey.length > 255) {
+              return res.status(400).json({
+                  success: false,
+                  message: 'An Idempotency-Key header (up to 255 characters) is required'
+              });
+          }
 
-            payment.invoiceUrl = invoiceUrl;
-            payment.invoiceNumber = `INV-${Date.now()}`;
-            await payment.save();
+          const { amount, reason } = req.body;
+          const result = await issueRefund(req.resource, {
+              amount: amount !== undefined ? Number(amount) : undefined,
+              reason,
+              idempotencyKey
+          });
 
-            // Optional: send confirmation email using your existing email util
-            try {
-                await sendEmail({
-                    to: client.email,
-                    subject: 'Payment Confirmation - Migrantifly',
-                    template: 'payment-confirmation',
-                    data: {
-                        clientName: session.customer_details?.name || 'Client',
-                        amount: payment.amount,
-                        currency: payment.currency,
-                        invoiceUrl,
-                        paymentType: payment.type
-                    }
-                });
-            } catch (emailErr) {
-                console.error('Failed to send deposit confirmation email:', emailErr?.message);
-            }
+          if (result.error) {
+              return res.status(REFUND_ERROR_STATUS[result.error] || 400).json({
+                  success: false,
+                  message: result.message,
+                  code: result.error,
+                  data: result.refund ? { refund: result.refund } : undefined
+              });
+          }
 
-            console.log(`✅ Deposit completed for application ${applicationId}`);
-            return;
-        }
+          req.auditOldValues = { status: req.resource.status, refundAmount: req.resource.refundAmount };
+          req.auditNewValues = {
+              status: result.payment.status,
+              refundAmount: result.payment.refundAmount,
+              refundId: result.refund._id
+          };
 
-        const paymentId = session.metadata.paymentId;
-        const consultationId = session.metadata.consultationId;
-        const email = session.metadata.clientEmail;
-
-        // Update payment status
-        const payment = await Payment.findByIdAndUpdate(
-          paymentId,
-          {
-              status: 'completed',
-              transactionId: session.id,
-              gatewayReference: session.payment_intent,
-          },
-          { new: true }
-        );
+          res.status(result.duplicate ? 200 : 201).json({
+              success: true,
+              message: result.duplicate ? 'Refund already requested with this idempotency key' : 'Refund issued',
+              data: {
+                  refund: result.refund,
+                  payment: result.payment
+              }
+          });
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error issuing refund',
+              error: error.message
+          });
+      }
+  }
+);
 
-        if (!payment) {
-            console.error('Payment not found:', paymentId);
-            return;
-        }
+// List the refund entries recorded against a payment
+router.get('/:id/refunds',
+  auth,
+  policy(null, 'payment'),
+  async (req, res) => {
+      try {
+          const refunds = await Payment.find({ refundOf: req.resource._id })
+            .sort({ createdAt: -1 });
 
-        // Confirm consultation booking
-        const consultation = await Consultation.findByIdAndUpdate(
-          consultationId,
-          { status: 'scheduled' },
-          { new: true }
-        ).populate('clientId');
+          res.status(200).json({
+              success: true,
+              data: {
+                  payment: req.resource,
+                  refunds
+              }
+          });
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error fetching refunds',
+              error: error.message
+          });
+      }
+  }
+);
 
-        if (!consultation) {
-            console.error('Consultation not found:', consultationId);
-            return;
-        }
+const INVOICEABLE_STATUSES = ['completed', 'partial_refund', 'refunded'];
 
-        // Send confirmation emails
-        try {
-            await sendEmail({
-                to: email,
-                subject: 'Payment Confirmed - Your Consultation is Booked!',
-                template: 'consultation-payment-confirmed',
-                data: {
-                    clientName: consultation.clientId.profile.firstName,
-                    consultationDate: consultation.scheduledDate.toLocaleString(),
-                    consultationTime: consultation.scheduledDate.toLocaleTimeString(),
-                    method: consultation.method,
-                    consultationId: consultation._id,
-                    amount: payment.amount,
-                    meetingLink: consultation.meetingLink || 'Will be sent 24 hours before consultation'
-                }
-            });
-        } catch (emailErr) {
-            console.error('Failed to send confirmation email:', emailErr.message);
-        }
+// Download the tax invoice (or, for a refund entry, the credit note) as a PDF.
+// The PDF is rendered from the stored snapshot, so it is identical on every download.
+router.get('/:id/invoice',
+  auth,
+  policy(null, 'payment'),
+  async (req, res) => {
+      try {
+          let payment = req.resource;
+          const isRefund = payment.type === 'refund';
 
-        console.log(`✅ Payment completed for consultation ${consultationId}`);
-    } catch (error) {
-        console.error('Error handling checkout session completed:', error);
-    }
-}
+          if (isRefund ? payment.status !== 'completed' : !INVOICEABLE_STATUSES.includes(payment.status)) {
+              return res.status(400).json({
+                  success: false,
+                  message: `No ${isRefund ? 'credit note' : 'invoice'} is issued for a ${payment.status} payment`
+              });
+          }
 
-// Helper function to handle failed payments
-async function handlePaymentFailure(paymentIntent) {
-    try {
-        const payment = await Payment.findOne({
-            transactionId: paymentIntent.id
-        });
+          // Payments completed before invoicing was automatic, or whose issuing
+          // was interrupted, get their document now
+          if (payment.invoice?.total === undefined) {
+              try {
+                  if (isRefund) {
+                      await issueCreditNote(payment, await Payment.findById(payment.refundOf));
+                  } else {
+                      await issueInvoice(payment);
+                  }
+              } catch (issueErr) {
+                  console.error('Invoice publishing failed on download:', issueErr?.message);
+              }
+              payment = await Payment.findById(payment._id);
+          }
 
-        if (payment) {
-            payment.status = 'failed';
-            await payment.save();
+          if (!payment.invoiceNumber || payment.invoice?.total === undefined) {
+              return res.status(409).json({
+                  success: false,
+                  message: 'The invoice is being issued. Please try again shortly.'
+              });
+          }
 
-            // Send notification
-            await sendNotification({
-                userId: payment.clientId,
-                applicationId: payment.applicationId,
-                type: 'payment_failed',
-                title: 'Payment Failed',
-                message: `Your ${payment.type} payment could not be processed. Please try again.`,
-                priority: 'high',
-                actionRequired: true
-            });
-        }
-    } catch (error) {
-        console.error('Error handling payment failure:', error);
-    }
-}
+          const pdf = await renderInvoicePdf(payment);
+
+          res.set({
+              'Content-Type': 'application/pdf',
+              'Content-Disposition': `attachment; filename="${payment.invoiceNumber}.pdf"`
+          });
+          res.status(200).send(pdf);
+      } catch (error) {
+          res.status(500).json({
+              success: false,
+              message: 'Error generating invoice',
+              error: error.message
+          });
+      }
+  }
+);
 
 module.exports = router;
 
@@ -817,10 +902,10 @@ module.exports = router;
  *   schemas:
  *     PaymentType:
  *       type: string
- *       enum: [deposit, consultation_fee]
+ *       enum: [deposit, additional, final, consultation_fee, refund]
  *     PaymentStatus:
  *       type: string
- *       enum: [pending, completed, failed]
+ *       enum: [pending, completed, failed, refunded, partial_refund]
  *     Payment:
  *       type: object
  *       properties:
@@ -854,9 +939,34 @@ module.exports = router;
  *           type: string
  *           format: uri
  *           nullable: true
+ *           description: The authenticated invoice download, /api/payments/{id}/invoice
  *         invoiceNumber:
  *           type: string
  *           nullable: true
+ *           description: Sequential number, e.g. INV-000042 (credit notes CN-000007)
+ *         refundAmount:
+ *           type: number
+ *           description: Total of pending and completed refunds against this payment
+ *         refundOf:
+ *           type: string
+ *           nullable: true
+ *           description: On refund entries, the payment that was refunded
+ *         billingItemKey:
+ *           type: string
+ *           nullable: true
+ *           description: Billing plan item (deposit, milestone-N or final) the payment was raised for
+ *         dueDate:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         checkoutUrl:
+ *           type: string
+ *           format: uri
+ *           nullable: true
+ *         checkoutExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -879,7 +989,9 @@ module.exports = router;
  *   post:
  *     tags: [Payments]
  *     summary: Create a Stripe Checkout Session for a consultation payment
- *     description: Public endpoint to initialize a Checkout Session for consultation fees.
+ *     description: |
+ *       Public endpoint to initialize a Checkout Session for consultation fees. The amount charged is the
+ *       fee recorded on the payment at booking; `amount`, if sent, must match it.
  *     security: []  # Overrides global security; this endpoint is public
  *     requestBody:
  *       required: true
@@ -898,11 +1010,12 @@ module.exports = router;
  *                 type: number
  *                 minimum: 0.01
  *                 example: 49.99
+ *                 description: Optional cross-check against the booked fee
  *               email:
  *                 type: string
  *                 format: email
  *                 example: "client@example.com"
- *             required: [consultationId, paymentId, amount, email]
+ *             required: [consultationId, paymentId, email]
  *     responses:
  *       200:
  *         description: Checkout session created
@@ -942,6 +1055,12 @@ module.exports = router;
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Reservation hold expired (code HOLD_EXPIRED)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1045,6 +1164,12 @@ module.exports = router;
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       409:
+ *         description: Payment was already completed or refunded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1056,6 +1181,9 @@ module.exports = router;
  *   get:
  *     tags: [Payments]
  *     summary: Get payment history
+ *     description: >
+ *       Clients see their own payments, advisers the payments of their assigned applications
+ *       and consultations, and admins every payment.
  *     security:
  *       - bearerAuth: []
  *     responses:
@@ -1082,7 +1210,10 @@ module.exports = router;
  *   post:
  *     tags: [Payments]
  *     summary: Stripe webhook endpoint
- *     description: This endpoint is called by Stripe. Do not add authentication.
+ *     description: |
+ *       This endpoint is called by Stripe. Do not add authentication.
+ *       Events are stored by Stripe event id and acknowledged before processing;
+ *       processing happens once per event, with failures retried in the background.
  *     security: []
  *     parameters:
  *       - name: Stripe-Signature
@@ -1108,6 +1239,12 @@ module.exports = router;
  *                 received:
  *                   type: boolean
  *                   example: true
+ *                 duplicate:
+ *                   type: boolean
+ *                   description: The event id was already received
+ *                   example: false
+ *       500:
+ *         description: The event could not be stored; Stripe will redeliver it
  *       400:
  *         description: Invalid signature
  *         content:
@@ -1115,4 +1252,106 @@ module.exports = router;
  *             schema:
  *               type: string
  *               example: "Webhook Error: Signature verification failed"
+ *
+ * /api/payments/{id}/checkout:
+ *   post:
+ *     tags: [Payments]
+ *     summary: Get a Stripe Checkout link for a pending deposit, milestone or final balance payment
+ *     description: Returns the current link while it is valid, otherwise creates a new Checkout Session.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Checkout link returned }
+ *       400: { description: Payment is not pending or not an application payment }
+ *       403: { description: Access denied }
+ *       404: { description: Payment not found }
+ *       409: { description: The deposit is blocked until the service agreement is signed (AGREEMENT_NOT_SIGNED) }
+ *
+ * /api/payments/{id}/invoice:
+ *   get:
+ *     tags: [Payments]
+ *     summary: Download the tax invoice, or for a refund entry the credit note, as a PDF
+ *     description: |
+ *       Rendered from the details stored when the number was assigned, so repeated downloads are
+ *       identical. Completed payments without an invoice are issued one on first download.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema: { type: string, format: binary }
+ *       400: { description: Payment is not completed }
+ *       403: { description: Access denied }
+ *       404: { description: Payment not found }
+ *       409: { description: Invoice is being issued concurrently; retry }
+ *
+ * /api/payments/{id}/refund:
+ *   post:
+ *     tags: [Payments]
+ *     summary: Refund all or part of a payment (requires payment.refund)
+ *     description: |
+ *       Each refund is recorded as its own payment entry of type `refund`, with a
+ *       credit note issued once Stripe confirms it. Retrying with the same
+ *       Idempotency-Key returns the original refund instead of refunding again.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: header
+ *         name: Idempotency-Key
+ *         required: true
+ *         schema: { type: string, maxLength: 255 }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the remaining refundable amount
+ *                 example: 25
+ *               reason:
+ *                 type: string
+ *                 example: "Service cancelled by client"
+ *     responses:
+ *       201: { description: Refund issued }
+ *       200: { description: Refund already requested with this idempotency key }
+ *       400: { description: Invalid amount, missing key, or payment not refundable }
+ *       403: { description: Forbidden }
+ *       404: { description: Payment not found }
+ *       409: { description: Payment changed while refunding; retry }
+ *       502: { description: Stripe rejected the refund }
+ *
+ * /api/payments/{id}/refunds:
+ *   get:
+ *     tags: [Payments]
+ *     summary: List refund entries recorded against a payment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Payment and its refund entries
+ *       403: { description: Forbidden }
+ *       404: { description: Payment not found }
  */
\ No newline at end of file
@@ -0,0 +1,90 @@
+const express = require('express');
+const { getStorageProvider } = require('../utils/storage');
+const { sendStoredFile } = require('../utils/fileStorage');
+
+const router = express.Router();
+
+/**
+ * Serve a file from local disk storage through a signed link. The link's
+ * signature is the only access check, as with S3 and Cloudinary links.
+ */
+router.get('/files', async (req, res) => {
+    try {
+        const provider = getStorageProvider();
+        if (provider.name !== 'local') {
+            return res.status(404).json({
+                success: false,
+                message: 'Not found'
+            });
+        }
+
+        const link = provider.verifySignedUrl(req.query);
+        if (!link) {
+            return res.status(403).json({
+                success: false,
+                message: 'Download link is invalid or has expired'
+            });
+        }
+
+        const sent = await sendStoredFile(res, link.key, {
+            filename: link.filename,
+            attachment: link.disposition === 'attachment'
+        });
+        if (!sent) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error serving file',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
+
+/**
+ * @openapi
+ * tags:
+ *   - name: Storage
+ *     description: Signed file downloads from local disk storage
+ *
+ * /api/storage/files:
+ *   get:
+ *     tags: [Storage]
+ *     summary: Download a file through a signed link
+ *     description: |
+ *       Only used when STORAGE_PROVIDER is `local`. Links are issued by `getDownloadUrl` and
+ *       expire; S3 and Cloudinary serve their own signed links instead. Document downloads use
+ *       `/api/downloads/{token}` instead.
+ *     security: []
+ *     parameters:
+ *       - in: query
+ *         name: key
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: expires
+ *         required: true
+ *         schema: { type: integer }
+ *         description: Unix time the link expires
+ *       - in: query
+ *         name: disposition
+ *         required: true
+ *         schema: { type: string, enum: [attachment, inline] }
+ *       - in: query
+ *         name: filename
+ *         schema: { type: string }
+ *       - in: query
+ *         name: signature
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: File contents }
+ *       403: { description: Invalid or expired link }
+ *       404: { description: File not found, or local storage is not in use }
+ */
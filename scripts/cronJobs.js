@@ -1,15 +1,22 @@
 
 const cron = require('node-cron');
-const { sendDeadlineReminders } = require('../utils/notifications');
+const { deliverDeferredNotifications } = require('../utils/notifications');
+const { sendDeadlineReminders } = require('../utils/deadlineReminders');
+const { sendDueDigests } = require('../utils/notificationDigests');
+const { rescanDocuments } = require('../utils/documentScanning');
+const { processDueEvents } = require('../utils/webhookEvents');
 const { Application } = require('../models');
 const logger = require('../utils/logger');
 
-// Run deadline reminders every day at 9 AM
-cron.schedule('0 9 * * *', async () => {
-    logger.info('Running deadline reminder job');
+// Deadline reminders and overdue escalations, hourly; one instance runs it at a time
+cron.schedule('15 * * * *', async () => {
     try {
-        await sendDeadlineReminders();
-        logger.info('Deadline reminders sent successfully');
+        const sent = await sendDeadlineReminders();
+        if (sent === null) {
+            logger.info('Deadline reminder job already running on another instance');
+        } else if (sent > 0) {
+            logger.info(`Sent ${sent} deadline reminder(s)`);
+        }
     } catch (error) {
         logger.error('Error sending deadline reminders:', error);
     }
@@ -37,4 +44,54 @@ cron.schedule('0 0 * * *', async () => {
     }
 });
 
+// Retry webhook events whose backoff has elapsed, every minute
+cron.schedule('* * * * *', async () => {
+    try {
+        const attempted = await processDueEvents();
+        if (attempted > 0) {
+            logger.info(`Retried ${attempted} webhook event(s)`);
+        }
+    } catch (error) {
+        logger.error('Error retrying webhook events:', error);
+    }
+});
+
+// Email and text notifications held back by quiet hours, every five minutes
+cron.schedule('*/5 * * * *', async () => {
+    try {
+        const delivered = await deliverDeferredNotifications();
+        if (delivered > 0) {
+            logger.info(`Delivered ${delivered} deferred notification(s)`);
+        }
+    } catch (error) {
+        logger.error('Error delivering deferred notifications:', error);
+    }
+});
+
+// Daily and weekly notification digests, checked hourly against each user's local send time
+cron.schedule('0 * * * *', async () => {
+    try {
+        const sent = await sendDueDigests();
+        if (sent > 0) {
+            logger.info(`Sent ${sent} notification digest(s)`);
+        }
+    } catch (error) {
+        logger.error('Error sending notification digests:', error);
+    }
+});
+
+// Scan quarantined uploads, and rescan stored files once the virus signatures update, hourly
+cron.schedule('30 * * * *', async () => {
+    try {
+        const result = await rescanDocuments();
+        if (result === null) {
+            logger.info('Document rescan already running on another instance');
+        } else if (result.scanned > 0) {
+            logger.info(`Scanned ${result.scanned} stored file(s): ${result.infected} infected, ${result.released} released from quarantine`);
+        }
+    } catch (error) {
+        logger.error('Error rescanning documents:', error);
+    }
+});
+
 console.log('Cron jobs initialized');
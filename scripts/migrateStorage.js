@@ -0,0 +1,206 @@
+// scripts/migrateStorage.js
+//
+// Copy stored files from one storage provider to another, verifying each copy
+// by checksum. Files keep their keys, so once a migration completes set
+// STORAGE_PROVIDER to the destination.
+//
+//   node scripts/migrateStorage.js --from cloudinary --to s3 [--dry-run] [--delete-source]
+//
+// Documents and invoices stored before keys were recorded only have a
+// Cloudinary URL. Record their keys first with:
+//
+//   node scripts/migrateStorage.js --backfill-keys [--dry-run]
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+const { Document, Payment } = require('../models');
+const { getStorageProvider } = require('../utils/storage');
+const { invoiceLink } = require('../utils/invoiceGenerator');
+
+const parseArgs = (argv) => {
+    const args = { dryRun: false, deleteSource: false, backfillKeys: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--from': args.from = argv[++i]; break;
+            case '--to': args.to = argv[++i]; break;
+            case '--dry-run': args.dryRun = true; break;
+            case '--delete-source': args.deleteSource = true; break;
+            case '--backfill-keys': args.backfillKeys = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return args;
+};
+
+const sha256OfStream = async (stream) => {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of stream) hash.update(chunk);
+    return hash.digest('hex');
+};
+
+// Copy a stored file to a local path, returning its SHA-256
+const downloadWithChecksum = async (provider, key, localPath) => {
+    const hash = crypto.createHash('sha256');
+    await pipeline(
+        await provider.createReadStream(key),
+        new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                callback(null, chunk);
+            }
+        }),
+        fs.createWriteStream(localPath)
+    );
+    return hash.digest('hex');
+};
+
+// Every stored file with the checksum recorded at upload, where there is one
+const collectFiles = async () => {
+    const files = new Map();
+    const add = (key, checksum) => {
+        if (key && !files.get(key)?.checksum) files.set(key, { key, checksum });
+    };
+
+    for await (const document of Document.find({ $or: [{ storageKey: { $nin: [null, ''] } }, { 'versions.storageKey': { $nin: [null, ''] } }] }).cursor()) {
+        add(document.storageKey);
+        for (const version of document.versions) add(version.storageKey, version.checksum);
+    }
+    for await (const payment of Payment.find({ invoiceKey: { $nin: [null, ''] } }).select('invoiceKey').cursor()) {
+        add(payment.invoiceKey);
+    }
+    return [...files.values()];
+};
+
+/**
+ * Copy one file and verify the copy
+ * @returns {Promise<string>} - copied, unchanged, missing, mismatch or failed
+ */
+const migrateFile = async (source, destination, { key, checksum }, { dryRun, deleteSource }) => {
+    const sourceInfo = await source.head(key);
+    if (!sourceInfo) return 'missing';
+
+    const localPath = path.join(os.tmpdir(), `migrate-${crypto.randomBytes(8).toString('hex')}${path.extname(key)}`);
+    try {
+        const sourceChecksum = await downloadWithChecksum(source, key, localPath);
+        if (checksum && checksum !== sourceChecksum) {
+            console.error(`  ${key}: source does not match the checksum recorded at upload`);
+            return 'mismatch';
+        }
+
+        if (await destination.head(key)) {
+            const existing = await sha256OfStream(await destination.createReadStream(key));
+            if (existing === sourceChecksum) return 'unchanged';
+        }
+        if (dryRun) return 'copied';
+
+        await destination.upload(localPath, key, { contentType: sourceInfo.contentType });
+
+        const copied = await sha256OfStream(await destination.createReadStream(key));
+        if (copied !== sourceChecksum) {
+            console.error(`  ${key}: copy does not match the source`);
+            return 'failed';
+        }
+
+        if (deleteSource) await source.delete(key);
+        return 'copied';
+    } finally {
+        await fs.promises.unlink(localPath).catch(() => {});
+    }
+};
+
+const migrate = async ({ from, to, dryRun, deleteSource }) => {
+    if (!from || !to || from === to) {
+        throw new Error('Give different --from and --to providers, e.g. --from cloudinary --to s3');
+    }
+    const source = getStorageProvider(from);
+    const destination = getStorageProvider(to);
+
+    const files = await collectFiles();
+    console.log(`${dryRun ? 'Checking' : 'Copying'} ${files.length} file(s) from ${from} to ${to}`);
+
+    const totals = { copied: 0, unchanged: 0, missing: 0, mismatch: 0, failed: 0 };
+    // Keys whose file is verified in the destination
+    const verified = new Set();
+    for (const file of files) {
+        let outcome;
+        try {
+            outcome = await migrateFile(source, destination, file, { dryRun, deleteSource });
+        } catch (error) {
+            console.error(`  ${file.key}: ${error.message}`);
+            outcome = 'failed';
+        }
+        totals[outcome]++;
+        if (outcome === 'copied' || outcome === 'unchanged') verified.add(file.key);
+        if (outcome !== 'unchanged') console.log(`  ${outcome.padEnd(9)} ${file.key}`);
+    }
+
+    // Invoices published before links went through the API still link to the source
+    // provider; those stay until their file is verified in the destination
+    if (!dryRun) {
+        for await (const payment of Payment.find({ invoiceKey: { $in: [...verified] } }).select('invoiceKey').cursor()) {
+            await Payment.updateOne({ _id: payment._id }, { $set: { invoiceUrl: invoiceLink(payment) } });
+        }
+    }
+
+    console.log(`Done: ${Object.entries(totals).map(([outcome, count]) => `${count} ${outcome}`).join(', ')}`);
+    return totals.missing + totals.mismatch + totals.failed === 0;
+};
+
+// Keys for files stored on Cloudinary before keys were recorded
+const backfillKeys = async ({ dryRun }) => {
+    const cloudinary = getStorageProvider('cloudinary');
+    let documents = 0;
+    let invoices = 0;
+
+    const legacy = { fileUrl: { $nin: [null, ''] }, storageKey: { $in: [null, ''] } };
+    for await (const document of Document.find({ $or: [legacy, { versions: { $elemMatch: legacy } }] }).cursor()) {
+        document.ensureVersionHistory();
+        for (const version of document.versions) {
+            if (version.fileUrl && !version.storageKey) {
+                version.storageKey = cloudinary.keyFromUrl(version.fileUrl, path.extname(version.originalName || '').toLowerCase());
+            }
+        }
+        document.syncLatestVersion();
+        console.log(`  document ${document._id}: ${document.versions.map(v => v.storageKey).filter(Boolean).join(', ')}`);
+        if (!dryRun) await document.save();
+        documents++;
+    }
+
+    for await (const payment of Payment.find({ invoiceUrl: /cloudinary\.com/, invoiceKey: { $in: [null, ''] } }).select('invoiceUrl').cursor()) {
+        const invoiceKey = cloudinary.keyFromUrl(payment.invoiceUrl, '.pdf');
+        console.log(`  invoice ${payment._id}: ${invoiceKey}`);
+        if (!dryRun) await Payment.updateOne({ _id: payment._id }, { $set: { invoiceKey } });
+        invoices++;
+    }
+
+    console.log(`${dryRun ? 'Would record' : 'Recorded'} keys for ${documents} document(s) and ${invoices} invoice(s)`);
+    return true;
+};
+
+const main = async () => {
+    let ok = false;
+    try {
+        const args = parseArgs(process.argv.slice(2));
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/migrantifly');
+        ok = args.backfillKeys ? await backfillKeys(args) : await migrate(args);
+    } catch (error) {
+        console.error('Storage migration failed:', error.message);
+    } finally {
+        await mongoose.disconnect();
+        process.exit(ok ? 0 : 1);
+    }
+};
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, migrateFile, migrate, backfillKeys };
@@ -319,7 +319,7 @@ const seedDatabase = async () => {
                 type: 'passport',
                 name: 'passport-copy.pdf',
                 originalName: 'john_passport.pdf',
-                fileUrl: 'https://example.com/documents/passport-copy.pdf',
+                storageKey: 'seed/documents/passport-copy.pdf',
                 fileSize: 2048000,
                 mimeType: 'application/pdf',
                 status: 'approved',
@@ -334,7 +334,7 @@ const seedDatabase = async () => {
                 type: 'job_offer',
                 name: 'job-offer-letter.pdf',
                 originalName: 'abc_company_offer.pdf',
-                fileUrl: 'https://example.com/documents/job-offer-letter.pdf',
+                storageKey: 'seed/documents/job-offer-letter.pdf',
                 fileSize: 1024000,
                 mimeType: 'application/pdf',
                 status: 'approved',
@@ -1,3 +1,4 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
@@ -23,11 +24,16 @@ const paymentRoutes = require('./routes/payment');
 const applicationRoutes = require('./routes/application');
 const notificationRoutes = require('./routes/notification');
 const deadlinesRouter = require('./routes/deadlines');
+const agreementRoutes = require('./routes/agreement');
+const messagingRoutes = require('./routes/messaging');
+const storageRoutes = require('./routes/storage');
+const downloadRoutes = require('./routes/downloads');
 
 // Import middleware
-const { auth } = require('./middleware/auth');
+const { auth, requireVerifiedEmail } = require('./middleware/auth');
 const errorHandler = require('./middleware/errorHandler');
 const logger = require('./utils/logger');
+const { initRealtime } = require('./utils/realtime');
 
 const app = express();
 const swaggerOptions = {
@@ -114,6 +120,11 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/migrantif
 })
     .then(() => {
         logger.info('Connected to MongoDB');
+
+        // Scheduled jobs (reminders, webhook retries); set ENABLE_CRON_JOBS=false to run them elsewhere
+        if (process.env.ENABLE_CRON_JOBS !== 'false') {
+            require('./scripts/cronJobs');
+        }
     })
     .catch((error) => {
         logger.error('MongoDB connection error:', error);
@@ -134,10 +145,14 @@ app.use('/api/auth',assertMiddleware('authRoutes', authRoutes));
 app.use('/api/client', auth,assertMiddleware('clientRoutes', clientRoutes));
 app.use('/api/admin', auth,assertMiddleware('adminRoutes', adminRoutes));
 app.use('/api/consultation', assertMiddleware('consultationRoutes',consultationRoutes));
-app.use('/api/documents', auth,assertMiddleware('documentRoutes', documentRoutes));
+app.use('/api/documents', auth, requireVerifiedEmail, assertMiddleware('documentRoutes', documentRoutes));
 app.use('/api/payments', assertMiddleware('paymentRoutes', paymentRoutes));
-app.use('/api/applications', auth, assertMiddleware('applicationRoutes',applicationRoutes));
+app.use('/api/applications', auth, requireVerifiedEmail, assertMiddleware('applicationRoutes',applicationRoutes));
 app.use('/api/notifications', auth,assertMiddleware('notificationRoutes', notificationRoutes));
+app.use('/api/agreements', auth, requireVerifiedEmail, assertMiddleware('agreementRoutes', agreementRoutes));
+app.use('/api/messaging', assertMiddleware('messagingRoutes', messagingRoutes));
+app.use('/api/storage', assertMiddleware('storageRoutes', storageRoutes));
+app.use('/api/downloads', assertMiddleware('downloadRoutes', downloadRoutes));
 app.use('/api', deadlinesRouter);
 
 // Error handling middleware
@@ -192,7 +207,12 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 5000;
 
-app.listen(PORT, () => {
+const server = http.createServer(app);
+
+// Socket.IO gateway for live notifications and application updates
+initRealtime(server);
+
+server.listen(PORT, () => {
     logger.info(`Server running on port ${PORT}`);
 });
 
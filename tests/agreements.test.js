@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { Agreement, AgreementTemplate, Application, AuditLog, User } = require('../models');
+const { INVOICE_CONFIG } = require('../constants/invoicing');
+const { issueAgreement, renderAgreementPdf, signAgreement, isAgreementSigned } = require('../utils/agreements');
+const logger = require('../utils/logger');
+const agreementRoutes = require('../routes/agreement');
+const { buildApp, buildUser, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+useDefaultRoles();
+
+const agreements = useMemoryModel(Agreement, {
+    unique: [{ paths: ['applicationId', 'type'], partial: { status: 'pending' } }]
+});
+const applications = useMemoryModel(Application);
+
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const client = buildUser('client');
+
+const seedApplication = (fields = {}) => applications.insert({
+    clientId: client._id,
+    adviserId: objectId(),
+    visaType: 'work',
+    destinationCountry: { code: 'NZ', name: 'New Zealand' },
+    stage: 'consultation',
+    billingPlan: { currency: 'NZD', serviceFee: 1000, items: [{ key: 'deposit', description: 'Application deposit', amount: 1000 }] },
+    ...fields
+});
+
+let template;
+
+beforeEach(() => {
+    template = null;
+    jest.spyOn(AgreementTemplate, 'findOne').mockImplementation(async () => template);
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(client) });
+});
+
+describe('issueAgreement', () => {
+    it('issues one pending agreement when requests race', async () => {
+        const application = seedApplication();
+
+        const [first, second] = await Promise.all([issueAgreement(application), issueAgreement(application)]);
+
+        expect(String(first._id)).toBe(String(second._id));
+        expect(agreements.docs()).toHaveLength(1);
+        expect(first).toMatchObject({ status: 'pending', version: 'default', title: 'Immigration Services Agreement' });
+        expect(first.content).toContain('Test client');
+        expect(first.content).toContain('- Application deposit: NZD');
+    });
+
+    it('records the hash of the PDF the client will review', async () => {
+        const agreement = await issueAgreement(seedApplication());
+
+        expect(sha256(await renderAgreementPdf(agreement))).toBe(agreement.documentHash);
+    });
+
+    it('supersedes a pending agreement when the wording changes', async () => {
+        const application = seedApplication();
+        const old = await issueAgreement(application);
+        template = { _id: objectId(), version: 2, title: 'Services Agreement v2', body: 'Between {{companyName}} and {{clientName}}. {{unknown}}' };
+
+        const current = await issueAgreement(application);
+
+        expect(current).toMatchObject({ status: 'pending', version: '2', content: 'Between Migrantifly Immigration Services and Test client. {{unknown}}' });
+        expect(agreements.get(old._id)).toMatchObject({ status: 'superseded' });
+        await expect(issueAgreement(application)).resolves.toMatchObject({ _id: current._id });
+    });
+
+    it('returns the signed agreement instead of issuing a new one', async () => {
+        const application = seedApplication();
+        const signed = agreements.insert({ clientId: client._id, applicationId: application._id, type: 'service_agreement', status: 'signed', version: '1', title: 'x', content: 'x' });
+
+        await expect(issueAgreement(application)).resolves.toMatchObject({ _id: signed._id });
+        await expect(isAgreementSigned(application._id)).resolves.toBe(true);
+    });
+
+    it('has no wording for types without a template', async () => {
+        await expect(issueAgreement(seedApplication(), { type: 'privacy_policy' })).resolves.toBeNull();
+    });
+});
+
+describe('signAgreement', () => {
+    const typed = { method: 'typed', typedName: ' Test Client ' };
+
+    it('signs once when submissions race', async () => {
+        const agreement = await issueAgreement(seedApplication());
+        const options = { documentHash: agreement.documentHash, signature: typed, ipAddress: '203.0.113.5', userAgent: 'jest' };
+
+        const results = await Promise.all([signAgreement(agreement, options), signAgreement(agreement, options)]);
+
+        expect(results.filter(result => result.agreement)).toHaveLength(1);
+        expect(results.find(result => result.error).error).toBe('AGREEMENT_NOT_PENDING');
+        const signed = agreements.get(agreement._id);
+        expect(signed).toMatchObject({ status: 'signed', signature: { method: 'typed', typedName: 'Test Client' }, ipAddress: '203.0.113.5' });
+        expect(sha256(await renderAgreementPdf(Agreement.hydrate(signed), { signed: true }))).toBe(signed.signedDocumentHash);
+    });
+
+    it('refuses a signature against a different document', async () => {
+        const agreement = await issueAgreement(seedApplication());
+
+        await expect(signAgreement(agreement, { documentHash: sha256('other'), signature: typed }))
+            .resolves.toMatchObject({ error: 'DOCUMENT_MISMATCH' });
+        expect(agreements.get(agreement._id).status).toBe('pending');
+    });
+
+    it('accepts drawn PNG signatures and refuses anything else', async () => {
+        const agreement = await issueAgreement(seedApplication());
+        const sign = (signature) => signAgreement(agreement, { documentHash: agreement.documentHash, signature });
+
+        await expect(sign({ method: 'drawn', typedName: 'Test Client', image: 'data:image/png;base64,R0lGODlhAQABAAAAACw=' }))
+            .resolves.toMatchObject({ error: 'INVALID_SIGNATURE', message: 'signature.image is not a valid PNG' });
+        await expect(sign({ method: 'stamp', typedName: 'Test Client' })).resolves.toMatchObject({ error: 'INVALID_SIGNATURE' });
+        await expect(sign({ method: 'typed', typedName: 'x'.repeat(101) })).resolves.toMatchObject({ error: 'INVALID_SIGNATURE' });
+
+        await expect(sign({ method: 'drawn', typedName: 'Test Client', image: PNG })).resolves.toHaveProperty('agreement.status', 'signed');
+    });
+});
+
+describe('agreement routes', () => {
+    const app = buildApp('/api/agreements', agreementRoutes, client);
+
+    it('lists only agreements on the client\'s applications', async () => {
+        const own = seedApplication();
+        const other = seedApplication({ clientId: objectId() });
+        agreements.insert({ clientId: client._id, applicationId: own._id, type: 'service_agreement', status: 'pending', version: '1', title: 'x', content: 'secret wording' });
+        agreements.insert({ clientId: other.clientId, applicationId: other._id, type: 'service_agreement', status: 'pending', version: '1', title: 'x', content: 'x' });
+
+        const res = await request(app).get('/api/agreements').query({ status: 'pending' }).expect(200);
+
+        expect(res.body.data.map(agreement => agreement.applicationId)).toEqual([String(own._id)]);
+        expect(res.body.data[0].content).toBeUndefined();
+    });
+
+    it.each([
+        ['an operator in status', 'status[$ne]=signed'],
+        ['an operator in applicationId', 'applicationId[$gt]='],
+        ['an invalid applicationId', 'applicationId=abc'],
+        ['an unknown type', 'type=lease']
+    ])('refuses %s', async (label, query) => {
+        jest.spyOn(Agreement, 'find');
+
+        await request(app).get(`/api/agreements?${query}`).expect(400);
+        expect(Agreement.find).not.toHaveBeenCalled();
+    });
+
+    it('signs as the client, audits it and serves the signed PDF', async () => {
+        const agreement = await issueAgreement(seedApplication());
+
+        await request(app).post(`/api/agreements/${agreement._id}/sign`)
+            .send({ documentHash: agreement.documentHash, signature: { method: 'typed', typedName: 'Test Client' } })
+            .expect(400);
+        const res = await request(app).post(`/api/agreements/${agreement._id}/sign`)
+            .send({ documentHash: agreement.documentHash, signature: { method: 'typed', typedName: 'Test Client' }, accept: true })
+            .expect(200);
+        await request(app).post(`/api/agreements/${agreement._id}/sign`)
+            .send({ documentHash: agreement.documentHash, signature: { method: 'typed', typedName: 'Test Client' }, accept: true })
+            .expect(409);
+
+        expect(AuditLog.create).toHaveBeenCalledTimes(1);
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'sign_agreement', oldValues: { status: 'pending' } }));
+        const pdf = await request(app).get(`/api/agreements/${agreement._id}/document`).expect(200);
+        expect(pdf.headers['x-document-sha256']).toBe(res.body.data.signedDocumentHash);
+    });
+
+    it('serves issued and signed agreements unchanged after the company name or time zone changes', async () => {
+        const pending = await issueAgreement(seedApplication());
+        const signed = await issueAgreement(seedApplication());
+        await request(app).post(`/api/agreements/${signed._id}/sign`)
+            .send({ documentHash: signed.documentHash, signature: { method: 'typed', typedName: 'Test Client' }, accept: true })
+            .expect(200);
+
+        const { name } = INVOICE_CONFIG.supplier;
+        const { timezone } = INVOICE_CONFIG;
+        INVOICE_CONFIG.supplier.name = 'Renamed Immigration Ltd';
+        INVOICE_CONFIG.timezone = 'Europe/London';
+        try {
+            const review = await request(app).get(`/api/agreements/${pending._id}/document`).expect(200);
+            const signedCopy = await request(app).get(`/api/agreements/${signed._id}/document`).expect(200);
+
+            expect(review.headers['x-document-sha256']).toBe(pending.documentHash);
+            expect(signedCopy.headers['x-document-sha256']).toBe(agreements.get(signed._id).signedDocumentHash);
+            await request(app).post(`/api/agreements/${pending._id}/sign`)
+                .send({ documentHash: pending.documentHash, signature: { method: 'typed', typedName: 'Test Client' }, accept: true })
+                .expect(200);
+        } finally {
+            INVOICE_CONFIG.supplier.name = name;
+            INVOICE_CONFIG.timezone = timezone;
+        }
+        expect(agreements.get(pending._id)).toMatchObject({ supplierName: name, timezone });
+    });
+
+    it('refuses to serve an agreement whose stored wording was altered', async () => {
+        const agreement = await issueAgreement(seedApplication());
+        await Agreement.updateOne({ _id: agreement._id }, { $set: { content: 'Different wording' } });
+
+        const res = await request(app).get(`/api/agreements/${agreement._id}/document`).expect(500);
+
+        expect(res.body.message).toBe('Agreement document failed its integrity check');
+        expect(logger.error).toHaveBeenCalledWith(`Agreement ${agreement._id} no longer renders to its recorded hash`);
+    });
+
+    it('lets only the client sign', async () => {
+        const agreement = await issueAgreement(seedApplication());
+        const admin = buildApp('/api/agreements', agreementRoutes, buildUser('admin'));
+
+        await request(admin).post(`/api/agreements/${agreement._id}/sign`)
+            .send({ documentHash: agreement.documentHash, signature: { method: 'typed', typedName: 'Admin' }, accept: true })
+            .expect(403);
+        expect(agreements.get(agreement._id).status).toBe('pending');
+    });
+});
@@ -0,0 +1,238 @@
+const request = require('supertest');
+const { Application, Payment, Agreement, Document } = require('../models');
+const { STAGES } = require('../constants/applicationConstants');
+const { validateStageTransition } = require('../utils/stageWorkflow');
+const { objectId, buildUser, buildApp, useDefaultRoles } = require('./helpers');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/billing');
+
+const router = require('../routes/application');
+
+useDefaultRoles();
+
+const buildApplication = (fields = {}) => {
+    const application = new Application({
+        clientId: objectId(),
+        adviserId: objectId(),
+        visaType: 'work_visa',
+        stage: STAGES.CONSULTATION,
+        ...fields
+    });
+    jest.spyOn(application, 'save').mockResolvedValue(application);
+    return application;
+};
+
+describe('validateStageTransition', () => {
+    beforeEach(() => {
+        jest.spyOn(Payment, 'exists').mockResolvedValue({ _id: objectId() });
+        jest.spyOn(Agreement, 'exists').mockResolvedValue({ _id: objectId() });
+    });
+
+    it('rejects an unknown stage', async () => {
+        const result = await validateStageTransition(buildApplication(), 'approved');
+        expect(result).toMatchObject({ isValid: false, code: 'UNKNOWN_STAGE' });
+    });
+
+    it('rejects a stage that cannot be reached from the current one', async () => {
+        const result = await validateStageTransition(buildApplication(), STAGES.DECISION);
+        expect(result).toMatchObject({
+            isValid: false,
+            code: 'INVALID_STAGE_TRANSITION',
+            allowedStages: [STAGES.DEPOSIT_PAID]
+        });
+    });
+
+    it('lists every unmet requirement of the target stage', async () => {
+        Payment.exists.mockResolvedValue(null);
+        Agreement.exists.mockResolvedValue(null);
+
+        const result = await validateStageTransition(buildApplication(), STAGES.DEPOSIT_PAID);
+        expect(result.code).toBe('STAGE_REQUIREMENTS_NOT_MET');
+        expect(result.unmetRequirements).toEqual([
+            'Service agreement has not been signed',
+            'Deposit payment has not been completed'
+        ]);
+    });
+
+    it('names the required documents that are not approved', async () => {
+        jest.spyOn(Document, 'find').mockReturnValue({
+            select: jest.fn().mockResolvedValue([{ type: 'passport' }, { type: 'photo' }])
+        });
+
+        const result = await validateStageTransition(
+            buildApplication({ stage: STAGES.DEPOSIT_PAID }),
+            STAGES.DOCUMENTS_COMPLETED
+        );
+        expect(result.unmetRequirements).toEqual(['Required documents not approved: passport, photo']);
+    });
+
+    it('allows a legal move whose requirements are met', async () => {
+        const result = await validateStageTransition(buildApplication(), STAGES.DEPOSIT_PAID);
+        expect(result).toEqual({ isValid: true });
+    });
+});
+
+describe('PATCH /api/applications/:id/stage', () => {
+    let application;
+
+    beforeEach(() => {
+        application = buildApplication();
+        jest.spyOn(Application, 'findById').mockResolvedValue(application);
+        jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+        jest.spyOn(Agreement, 'exists').mockResolvedValue(null);
+    });
+
+    const patchStage = (user, body) => request(buildApp('/api/applications', router, user))
+        .patch(`/api/applications/${application._id}/stage`)
+        .send(body);
+
+    it('refuses a move whose requirements are not met', async () => {
+        const res = await patchStage(buildUser('admin'), { stage: STAGES.DEPOSIT_PAID });
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe('STAGE_REQUIREMENTS_NOT_MET');
+        expect(res.body.unmetRequirements).toHaveLength(2);
+        expect(application.save).not.toHaveBeenCalled();
+    });
+
+    it('refuses a move the workflow does not allow', async () => {
+        const res = await patchStage(buildUser('admin'), { stage: STAGES.DECISION });
+
+        expect(res.status).toBe(409);
+        expect(res.body).toMatchObject({ code: 'INVALID_STAGE_TRANSITION', currentStage: STAGES.CONSULTATION });
+    });
+
+    it.each(['true', 1, 'false'])('rejects the non-boolean override flag %p', async (override) => {
+        const res = await patchStage(buildUser('admin'), { stage: STAGES.DECISION, override, reason: 'Manual fix' });
+
+        expect(res.status).toBe(400);
+        expect(application.save).not.toHaveBeenCalled();
+    });
+
+    it('only lets users with the override permission skip the workflow', async () => {
+        const adviser = buildUser('adviser');
+        application.adviserId = adviser._id;
+
+        const res = await patchStage(adviser, { stage: STAGES.DECISION, override: true, reason: 'Manual fix' });
+
+        expect(res.status).toBe(403);
+        expect(application.save).not.toHaveBeenCalled();
+    });
+
+    it('requires a reason for an override', async () => {
+        const res = await patchStage(buildUser('admin'), { stage: STAGES.DECISION, override: true, reason: '  ' });
+
+        expect(res.status).toBe(400);
+        expect(application.save).not.toHaveBeenCalled();
+    });
+
+    it('moves the stage on an override and records the reason', async () => {
+        const res = await patchStage(buildUser('admin'), { stage: STAGES.DECISION, override: true, reason: 'Migrated case' });
+
+        expect(res.status).toBe(200);
+        expect(application.stage).toBe(STAGES.DECISION);
+        expect(application.timeline.at(-1).notes).toBe('Stage override from consultation to decision: Migrated case');
+        expect(Payment.exists).not.toHaveBeenCalled();
+    });
+
+    it('treats an explicit false override as a normal move', async () => {
+        const res = await patchStage(buildUser('admin'), { stage: STAGES.DECISION, override: false });
+
+        expect(res.status).toBe(409);
+    });
+});
+
+describe('Routes that move the stage', () => {
+    let application;
+    const admin = buildUser('admin');
+
+    beforeEach(() => {
+        application = buildApplication({ stage: STAGES.DOCUMENTS_COMPLETED });
+        jest.spyOn(Application, 'findById').mockResolvedValue(application);
+        jest.spyOn(Document, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+    });
+
+    const send = (method, path, body) => request(buildApp('/api/applications', router, admin))[method](`/api/applications/${application._id}/${path}`).send(body);
+
+    it('submits to INZ only from documents_completed', async () => {
+        application.stage = STAGES.CONSULTATION;
+
+        const res = await send('patch', 'submit-to-inz', { inzReference: 'INZ-1' });
+
+        expect(res.status).toBe(409);
+        expect(res.body).toMatchObject({ code: 'INVALID_STAGE_TRANSITION', allowedStages: [STAGES.DEPOSIT_PAID] });
+        expect(application.save).not.toHaveBeenCalled();
+    });
+
+    it('does not submit to INZ with required documents unapproved or no reference', async () => {
+        Document.find.mockReturnValue({ select: jest.fn().mockResolvedValue([{ type: 'passport' }]) });
+
+        const res = await send('patch', 'submit-to-inz', {});
+
+        expect(res.status).toBe(409);
+        expect(res.body.unmetRequirements).toEqual([
+            'Required documents not approved: passport',
+            'Immigration reference (inzReference) is missing'
+        ]);
+        expect(application.save).not.toHaveBeenCalled();
+    });
+
+    it('submits to INZ once the workflow allows it', async () => {
+        const res = await send('patch', 'submit-to-inz', { inzReference: 'INZ-1' });
+
+        expect(res.status).toBe(200);
+        expect(application).toMatchObject({ stage: STAGES.SUBMITTED_TO_INZ, inzReference: 'INZ-1' });
+    });
+
+    it('records a decision only once the application is with INZ', async () => {
+        const refused = await send('patch', 'decision', { outcome: 'approved' });
+        expect(refused.status).toBe(409);
+        expect(application.outcome).toBeUndefined();
+
+        application.stage = STAGES.INZ_PROCESSING;
+        application.inzReference = 'INZ-1';
+        const recorded = await send('patch', 'decision', { outcome: 'approved' });
+        expect(recorded.status).toBe(200);
+        expect(application).toMatchObject({ stage: STAGES.DECISION, outcome: 'approved' });
+    });
+
+    it('lets an override record a decision out of turn, with the reason on the timeline', async () => {
+        const res = await send('patch', 'decision', { outcome: 'declined', override: true, reason: 'Decided before migration' });
+
+        expect(res.status).toBe(200);
+        expect(application.timeline.at(-1).notes)
+            .toBe('Stage override from documents_completed to decision: Decided before migration (Application declined)');
+    });
+
+    it('refuses an RFI or PPI before the application is with INZ', async () => {
+        const rfi = await send('post', 'rfi', { description: 'Bank statements', dueDate: '2026-11-01' });
+        const ppi = await send('post', 'ppi', { description: 'Character', dueDate: '2026-11-01' });
+
+        expect([rfi.status, ppi.status]).toEqual([409, 409]);
+        expect(application.deadlines).toHaveLength(0);
+    });
+
+    it('adds a further RFI while one is open without a stage move', async () => {
+        application.stage = STAGES.RFI_RECEIVED;
+        application.inzReference = 'INZ-1';
+
+        const res = await send('post', 'rfi', { description: 'Payslips', dueDate: '2026-11-01' });
+
+        expect(res.status).toBe(200);
+        expect(application.stage).toBe(STAGES.RFI_RECEIVED);
+        expect(application.deadlines.map(deadline => deadline.type)).toEqual(['rfi']);
+    });
+
+    it('moves from an open RFI to a PPI', async () => {
+        application.stage = STAGES.RFI_RECEIVED;
+        application.inzReference = 'INZ-1';
+
+        const res = await send('post', 'ppi', { description: 'Character', dueDate: '2026-11-01' });
+
+        expect(res.status).toBe(200);
+        expect(application.stage).toBe(STAGES.PPI_RECEIVED);
+    });
+});
@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { AuthToken, Session, User } = require('../models');
+const { sendEmail } = require('../utils/email');
+const { issueAuthToken, consumeAuthToken } = require('../utils/authTokens');
+const { objectId, buildApp, useDefaultRoles } = require('./helpers');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/email');
+jest.mock('../utils/realtime');
+
+const router = require('../routes/auth');
+
+useDefaultRoles();
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Auth tokens kept in memory. The consuming write yields once before
+ * matching, so concurrent redemptions interleave as they would in the database.
+ */
+const useTokenStore = () => {
+    const store = [];
+
+    beforeEach(() => {
+        store.length = 0;
+        jest.spyOn(AuthToken, 'deleteMany').mockImplementation(async ({ userId, purpose }) => {
+            const kept = store.filter(t => !(String(t.userId) === String(userId) && t.purpose === purpose && !t.usedAt));
+            const deletedCount = store.length - kept.length;
+            store.splice(0, store.length, ...kept);
+            return { deletedCount };
+        });
+        jest.spyOn(AuthToken, 'create').mockImplementation(async (data) => {
+            store.push({ ...data });
+            return data;
+        });
+        jest.spyOn(AuthToken, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            await null;
+            const record = store.find(t => t.tokenHash === filter.tokenHash && t.purpose === filter.purpose
+                && !t.usedAt && t.expiresAt > filter.expiresAt.$gt);
+            if (!record) return null;
+            const before = { ...record };
+            Object.assign(record, update.$set);
+            return before;
+        });
+    });
+
+    return store;
+};
+
+describe('single-use auth tokens', () => {
+    const store = useTokenStore();
+    const userId = objectId();
+
+    it('stores only the hash of the emailed token', async () => {
+        const token = await issueAuthToken(userId, 'password_reset');
+
+        expect(store).toHaveLength(1);
+        expect(store[0].tokenHash).toBe(hash(token));
+        expect(JSON.stringify(store)).not.toContain(token);
+    });
+
+    it('invalidates the earlier unused token when a new one is issued', async () => {
+        const first = await issueAuthToken(userId, 'password_reset');
+        const second = await issueAuthToken(userId, 'password_reset');
+
+        await expect(consumeAuthToken(first, 'password_reset')).resolves.toBeNull();
+        await expect(consumeAuthToken(second, 'password_reset')).resolves.toBe(userId);
+    });
+
+    it('redeems a token once even when two requests race', async () => {
+        const token = await issueAuthToken(userId, 'email_verification');
+
+        const results = await Promise.all([
+            consumeAuthToken(token, 'email_verification'),
+            consumeAuthToken(token, 'email_verification')
+        ]);
+
+        expect(results.filter(Boolean)).toEqual([userId]);
+    });
+
+    it('does not accept a token for another purpose or after it expires', async () => {
+        const token = await issueAuthToken(userId, 'email_verification');
+        await expect(consumeAuthToken(token, 'password_reset')).resolves.toBeNull();
+
+        store[0].expiresAt = new Date(Date.now() - 1000);
+        await expect(consumeAuthToken(token, 'email_verification')).resolves.toBeNull();
+    });
+
+    it('rejects non-string tokens before querying', async () => {
+        await expect(consumeAuthToken({ $ne: null }, 'password_reset')).resolves.toBeNull();
+        expect(AuthToken.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
+
+describe('password reset and email verification routes', () => {
+    const store = useTokenStore();
+    const app = () => buildApp('/api/auth', router);
+    let user;
+
+    beforeEach(() => {
+        user = new User({ email: 'client@migrantifly.test', password: 'Secret123!', role: 'client', isEmailVerified: false });
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+        jest.spyOn(User, 'findOne').mockImplementation(async ({ email }) => (email === user.email ? user : null));
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue(user);
+        jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+    });
+
+    it('answers forgot-password the same way whether or not the account exists', async () => {
+        const known = await request(app()).post('/api/auth/forgot-password').send({ email: 'CLIENT@migrantifly.test' });
+        const unknown = await request(app()).post('/api/auth/forgot-password').send({ email: 'nobody@migrantifly.test' });
+
+        expect(known.status).toBe(200);
+        expect(unknown.body).toEqual(known.body);
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('sets the new password, verifies the email and signs out every session', async () => {
+        const token = await issueAuthToken(user._id, 'password_reset');
+
+        const res = await request(app()).post('/api/auth/reset-password').send({ token, password: 'NewSecret1!' });
+
+        expect(res.status).toBe(200);
+        expect(user.isEmailVerified).toBe(true);
+        expect(user.save).toHaveBeenCalled();
+        expect(Session.updateMany).toHaveBeenCalledWith(
+            { userId: user._id, revokedAt: { $exists: false } },
+            { $set: expect.objectContaining({ revokedReason: 'password_reset' }) }
+        );
+    });
+
+    it('refuses a reset token that was already used', async () => {
+        const token = await issueAuthToken(user._id, 'password_reset');
+        await request(app()).post('/api/auth/reset-password').send({ token, password: 'NewSecret1!' });
+
+        const res = await request(app()).post('/api/auth/reset-password').send({ token, password: 'Another1!' });
+
+        expect(res.status).toBe(400);
+        expect(user.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('refuses a weak password without using up the token', async () => {
+        const token = await issueAuthToken(user._id, 'password_reset');
+
+        const res = await request(app()).post('/api/auth/reset-password').send({ token, password: 'short' });
+
+        expect(res.status).toBe(400);
+        expect(store[0].usedAt).toBeUndefined();
+    });
+
+    it('verifies an email once per token', async () => {
+        const token = await issueAuthToken(user._id, 'email_verification');
+
+        const first = await request(app()).post('/api/auth/verify-email').send({ token });
+        const second = await request(app()).post('/api/auth/verify-email').send({ token });
+
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(400);
+    });
+});
+
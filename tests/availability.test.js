@@ -0,0 +1,162 @@
+const request = require('supertest');
+const { AdviserAvailability, AuditLog, Consultation, User } = require('../models');
+const { getAvailableSlots, findAvailableAdviser } = require('../utils/availability');
+const { objectId, buildUser, buildApp, useDefaultRoles } = require('./helpers');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+
+const router = require('../routes/consultation');
+
+useDefaultRoles();
+
+// Monday 6 January 2031; Auckland is on daylight time (UTC+13)
+const MONDAY = '2031-01-06';
+
+const chain = (result) => ({ select: jest.fn().mockResolvedValue(result) });
+
+const stubCalendar = ({ advisers, profiles = [], booked = [] }) => {
+    jest.spyOn(User, 'find').mockReturnValue(chain(advisers));
+    jest.spyOn(AdviserAvailability, 'find').mockResolvedValue(profiles);
+    jest.spyOn(Consultation, 'find').mockReturnValue(chain(booked));
+};
+
+const profileFor = (adviser, fields = {}) => new AdviserAvailability({
+    adviserId: adviser._id,
+    timezone: 'Pacific/Auckland',
+    weeklyHours: [{ dayOfWeek: 1, start: '09:00', end: '17:00' }],
+    ...fields
+});
+
+const startTimes = (adviserSlots) => adviserSlots.slots.map(slot => slot.start.toISOString());
+
+describe('getAvailableSlots', () => {
+    const adviser = buildUser('adviser');
+
+    it('builds slots from the adviser working hours in their own time zone', async () => {
+        stubCalendar({ advisers: [adviser], profiles: [profileFor(adviser)] });
+
+        const [slots] = await getAvailableSlots({ date: MONDAY, timezone: 'Pacific/Auckland' });
+
+        expect(slots.slots).toHaveLength(8);
+        expect(startTimes(slots)[0]).toBe('2031-01-05T20:00:00.000Z');
+        expect(startTimes(slots).at(-1)).toBe('2031-01-06T03:00:00.000Z');
+    });
+
+    it('leaves out breaks, blackouts and booked or held consultations', async () => {
+        stubCalendar({
+            advisers: [adviser],
+            profiles: [profileFor(adviser, {
+                breaks: [{ start: '12:00', end: '13:00' }],
+                blackouts: [{ start: new Date('2031-01-05T20:00:00Z'), end: new Date('2031-01-05T21:30:00Z') }]
+            })],
+            booked: [{ adviserId: adviser._id, scheduledDate: new Date('2031-01-06T02:00:00Z'), duration: 30 }]
+        });
+
+        const [slots] = await getAvailableSlots({ date: MONDAY, timezone: 'Pacific/Auckland' });
+
+        expect(startTimes(slots)).toEqual([
+            '2031-01-05T22:00:00.000Z',
+            '2031-01-06T00:00:00.000Z',
+            '2031-01-06T01:00:00.000Z',
+            '2031-01-06T03:00:00.000Z'
+        ]);
+    });
+
+    it('offers nothing on holidays or while bookings are paused', async () => {
+        const paused = buildUser('adviser');
+        stubCalendar({
+            advisers: [adviser, paused],
+            profiles: [
+                profileFor(adviser, { holidays: [{ date: MONDAY, name: 'Holiday' }] }),
+                profileFor(paused, { isAcceptingBookings: false })
+            ]
+        });
+
+        const advisers = await getAvailableSlots({ date: MONDAY, timezone: 'Pacific/Auckland' });
+
+        expect(advisers).toHaveLength(1);
+        expect(advisers[0].slots).toEqual([]);
+    });
+
+    it('counts pending payment holds only until they expire', async () => {
+        stubCalendar({ advisers: [adviser], profiles: [profileFor(adviser)] });
+
+        await getAvailableSlots({ date: MONDAY, timezone: 'Pacific/Auckland' });
+
+        const filter = Consultation.find.mock.calls[0][0];
+        expect(filter.$or).toEqual([
+            { status: { $in: ['scheduled', 'completed', 'rescheduled'] } },
+            { status: 'pending_payment', expiresAt: { $gt: expect.any(Date) } }
+        ]);
+    });
+});
+
+describe('findAvailableAdviser', () => {
+    it('picks the free adviser with the fewest bookings that day', async () => {
+        const busy = buildUser('adviser');
+        const quiet = buildUser('adviser');
+        stubCalendar({
+            advisers: [busy, quiet],
+            profiles: [profileFor(busy), profileFor(quiet)],
+            booked: [{ adviserId: busy._id, scheduledDate: new Date('2031-01-06T01:00:00Z'), duration: 60 }]
+        });
+
+        const adviserId = await findAvailableAdviser(new Date('2031-01-05T22:00:00Z'));
+        expect(adviserId).toBe(quiet._id);
+    });
+
+    it('returns null when nobody works at that time', async () => {
+        const adviser = buildUser('adviser');
+        stubCalendar({ advisers: [adviser], profiles: [profileFor(adviser)] });
+
+        await expect(findAvailableAdviser(new Date('2031-01-06T10:00:00Z'))).resolves.toBeNull();
+    });
+});
+
+describe('PUT /api/consultations/availability/:adviserId', () => {
+    const adviser = buildUser('adviser');
+    const app = (user) => buildApp('/api/consultations', router, user);
+    const body = { timezone: 'Pacific/Auckland', weeklyHours: [{ dayOfWeek: 1, start: '09:00', end: '17:00' }] };
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(adviser);
+        jest.spyOn(AdviserAvailability, 'findOneAndUpdate').mockImplementation((filter, update) => Promise.resolve(update));
+    });
+
+    it('lets advisers change only their own calendar', async () => {
+        const res = await request(app(buildUser('adviser'))).put(`/api/consultations/availability/${adviser._id}`).send(body);
+
+        expect(res.status).toBe(403);
+        expect(AdviserAvailability.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('rejects an unknown time zone', async () => {
+        const res = await request(app(adviser))
+            .put(`/api/consultations/availability/${adviser._id}`)
+            .send({ ...body, timezone: 'Mars/Olympus' });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('rejects a window that ends before it starts', async () => {
+        const res = await request(app(adviser))
+            .put(`/api/consultations/availability/${adviser._id}`)
+            .send({ ...body, breaks: [{ start: '13:00', end: '12:00' }] });
+
+        expect(res.status).toBe(400);
+        expect(AdviserAvailability.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('saves the profile and audits it against the adviser', async () => {
+        const res = await request(app(buildUser('admin'))).put(`/api/consultations/availability/${adviser._id}`).send(body);
+
+        expect(res.status).toBe(200);
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'update_availability',
+            entityId: String(adviser._id)
+        }));
+    });
+});
+
@@ -0,0 +1,222 @@
+const stripe = require('stripe')();
+const { Application, FeeSchedule, Payment, User } = require('../models');
+const { isAgreementSigned } = require('../utils/agreements');
+const { sendNotification } = require('../utils/notifications');
+const {
+    DEFAULT_FEE_SCHEDULE,
+    getFeeSchedule,
+    resolvePricing,
+    buildBillingPlan,
+    createCheckoutForPayment,
+    raiseStagePayments,
+    getBillingSummary
+} = require('../utils/billing');
+const { objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('stripe', () => {
+    const client = { checkout: { sessions: { create: jest.fn() } } };
+    return jest.fn(() => client);
+});
+jest.mock('../utils/agreements');
+jest.mock('../utils/notifications');
+jest.mock('../utils/email');
+
+useDefaultRoles();
+
+const payments = useMemoryModel(Payment);
+
+const schedule = {
+    _id: objectId(),
+    currency: 'NZD',
+    serviceFee: 100,
+    depositPercentage: 33.33,
+    milestones: [{ name: 'Documents lodged', stage: 'documents_completed', percentage: 33.33 }],
+    finalBalanceStage: 'submitted_to_inz',
+    prices: [{ currency: 'AUD', consultationFee: 45, serviceFee: 90 }]
+};
+
+// Each caller works on its own copy of the application, as separate requests would
+const buildApplication = (stage, timeline = []) => ({
+    _id: objectId(),
+    clientId: objectId(),
+    stage,
+    timeline: timeline.map(entry => ({ stage: entry })),
+    billingPlan: buildBillingPlan(schedule)
+});
+const copyOf = (application) => ({
+    ...application,
+    billingPlan: { ...application.billingPlan, items: application.billingPlan.items.map(item => ({ ...item })) }
+});
+
+let claims;
+
+beforeEach(() => {
+    // Item claims keyed by billing item, applied atomically like the positional update
+    claims = new Map();
+    jest.spyOn(Application, 'updateOne').mockImplementation(async (filter, update) => {
+        await null;
+        if (update.$set) {
+            const { key } = filter['billingPlan.items'].$elemMatch;
+            if (claims.has(key)) return { modifiedCount: 0 };
+            claims.set(key, update.$set['billingPlan.items.$.paymentId']);
+            return { modifiedCount: 1 };
+        }
+        claims.delete(filter['billingPlan.items.key']);
+        return { modifiedCount: 1 };
+    });
+    jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ email: 'client@example.com' }) });
+    stripe.checkout.sessions.create.mockImplementation(async () => ({
+        id: `cs_${claims.size}`,
+        url: 'https://checkout.stripe.com/pay',
+        expires_at: Math.floor(Date.now() / 1000) + 24 * 60 * 60
+    }));
+    isAgreementSigned.mockResolvedValue(true);
+});
+
+describe('fee schedules', () => {
+    it('prefers a visa specific schedule, then the country default, then the built-in one', async () => {
+        const countryDefault = { countryCode: 'NZ', visaType: null };
+        const skilled = { countryCode: 'NZ', visaType: 'skilled_migrant' };
+        jest.spyOn(FeeSchedule, 'find').mockResolvedValue([countryDefault, skilled]);
+
+        await expect(getFeeSchedule({ countryCode: 'nz', visaType: 'skilled_migrant' })).resolves.toBe(skilled);
+        await expect(getFeeSchedule({ countryCode: 'NZ', visaType: 'student' })).resolves.toBe(countryDefault);
+
+        FeeSchedule.find.mockResolvedValue([]);
+        await expect(getFeeSchedule({ countryCode: 'AU' })).resolves.toBe(DEFAULT_FEE_SCHEDULE);
+    });
+
+    it('prices in the first preferred currency the schedule supports', () => {
+        expect(resolvePricing(schedule, ['USD', 'AUD'])).toEqual({ currency: 'AUD', consultationFee: 45, serviceFee: 90 });
+        expect(resolvePricing(schedule, ['USD']).currency).toBe('NZD');
+    });
+
+    it('lets the final balance absorb rounding so the items add up to the fee', () => {
+        const plan = buildBillingPlan(schedule);
+
+        expect(plan.items.map(item => [item.key, item.stage, item.amount])).toEqual([
+            ['deposit', 'consultation', 33.33],
+            ['milestone-1', 'documents_completed', 33.33],
+            ['final', 'submitted_to_inz', 33.34]
+        ]);
+    });
+
+    it('leaves out items with nothing to bill', () => {
+        const plan = buildBillingPlan({ ...schedule, depositPercentage: 100, milestones: [] });
+
+        expect(plan.items.map(item => item.key)).toEqual(['deposit']);
+    });
+});
+
+describe('raiseStagePayments', () => {
+    it('raises each reached item once when stage changes race', async () => {
+        const application = buildApplication('documents_completed', ['consultation', 'deposit_paid']);
+
+        const results = await Promise.all([
+            raiseStagePayments(copyOf(application)),
+            raiseStagePayments(copyOf(application))
+        ]);
+
+        expect(results.flat().map(payment => payment.billingItemKey).sort()).toEqual(['deposit', 'milestone-1']);
+        expect(payments.docs().map(payment => payment.billingItemKey).sort()).toEqual(['deposit', 'milestone-1']);
+        expect(payments.docs().every(payment => payment.status === 'pending' && payment.checkoutUrl)).toBe(true);
+        expect(sendNotification).toHaveBeenCalledTimes(2);
+    });
+
+    it('raises nothing for items already paid for', async () => {
+        const application = buildApplication('consultation');
+        application.billingPlan.items[0].paymentId = objectId();
+
+        await expect(raiseStagePayments(application)).resolves.toEqual([]);
+        expect(Application.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('holds back the deposit link until the agreement is signed', async () => {
+        isAgreementSigned.mockResolvedValue(false);
+
+        const [deposit] = await raiseStagePayments(buildApplication('consultation'));
+
+        expect(deposit.checkoutUrl).toBeUndefined();
+        expect(stripe.checkout.sessions.create).not.toHaveBeenCalled();
+        expect(sendNotification.mock.calls[0][0].message).toMatch(/sign your service agreement/);
+    });
+
+    it('still raises the payment when Stripe is unavailable', async () => {
+        stripe.checkout.sessions.create.mockRejectedValue(new Error('Stripe unavailable'));
+
+        const [deposit] = await raiseStagePayments(buildApplication('consultation'));
+
+        expect(deposit.status).toBe('pending');
+        expect(payments.docs()).toHaveLength(1);
+        expect(sendNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('releases the item claim when the payment cannot be saved', async () => {
+        const application = buildApplication('consultation');
+        jest.spyOn(Payment, 'create').mockRejectedValueOnce(new Error('Database unavailable'));
+
+        await expect(raiseStagePayments(copyOf(application))).rejects.toThrow('Database unavailable');
+        expect(claims.size).toBe(0);
+
+        await expect(raiseStagePayments(copyOf(application))).resolves.toHaveLength(1);
+    });
+});
+
+describe('createCheckoutForPayment', () => {
+    it('reuses a link that is not about to expire', async () => {
+        const payment = payments.insert({
+            clientId: objectId(),
+            applicationId: objectId(),
+            type: 'final',
+            amount: 10,
+            currency: 'NZD',
+            status: 'pending',
+            checkoutUrl: 'https://checkout.stripe.com/existing',
+            checkoutExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+
+        await expect(createCheckoutForPayment(payment)).resolves.toBe(payment);
+        expect(stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it('charges the amount in minor units of the payment currency', async () => {
+        const payment = payments.insert({
+            clientId: objectId(),
+            applicationId: objectId(),
+            type: 'final',
+            amount: 1500,
+            currency: 'JPY',
+            status: 'pending',
+            checkoutUrl: 'https://checkout.stripe.com/old',
+            checkoutExpiresAt: new Date(Date.now() + 60 * 1000)
+        });
+
+        const updated = await createCheckoutForPayment(payment);
+
+        const [params] = stripe.checkout.sessions.create.mock.calls[0];
+        expect(params.line_items[0].price_data).toMatchObject({ currency: 'jpy', unit_amount: 1500 });
+        expect(params.customer_email).toBe('client@example.com');
+        expect(payments.get(payment._id).checkoutUrl).toBe(updated.checkoutUrl);
+    });
+});
+
+describe('getBillingSummary', () => {
+    it('splits the plan into paid, outstanding, overdue and upcoming amounts', async () => {
+        const application = buildApplication('documents_completed');
+        const [deposit, milestone] = application.billingPlan.items;
+        deposit.paymentId = payments.insert({
+            clientId: application.clientId, type: 'deposit', amount: 33.33, currency: 'NZD',
+            status: 'partial_refund', refundAmount: 3.33
+        })._id;
+        milestone.paymentId = payments.insert({
+            clientId: application.clientId, type: 'additional', amount: 33.33, currency: 'NZD',
+            status: 'pending', dueDate: new Date(Date.now() - 1000)
+        })._id;
+
+        const summary = await getBillingSummary(application);
+
+        expect(summary.items.map(item => item.status)).toEqual(['partial_refund', 'pending', 'scheduled']);
+        expect(summary.totals).toEqual({ billed: 66.66, paid: 30, outstanding: 33.33, upcoming: 33.34, overdue: 33.33 });
+    });
+});
@@ -0,0 +1,147 @@
+const request = require('supertest');
+const { Application, AuditLog, Consultation, Document, ExchangeRate, Payment, User } = require('../models');
+const {
+    roundAmount,
+    toMinorUnits,
+    fromMinorUnits,
+    formatMoney,
+    preferredCurrencies,
+    consolidate
+} = require('../utils/currency');
+const adminRoutes = require('../routes/admin');
+const { buildApp, buildUser, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/email');
+jest.mock('../utils/billing');
+jest.mock('../utils/refunds');
+
+useDefaultRoles();
+
+const rates = useMemoryModel(ExchangeRate, { unique: [['currency']] });
+
+describe('currency units', () => {
+    it('converts to the unit Stripe charges in', () => {
+        expect(toMinorUnits(19.99, 'NZD')).toBe(1999);
+        expect(toMinorUnits(1500, 'JPY')).toBe(1500);
+        expect(toMinorUnits(1.2344, 'KWD')).toBe(1230);
+        expect(fromMinorUnits(1999, 'nzd')).toBe(19.99);
+    });
+
+    it('rounds to the smallest chargeable unit', () => {
+        expect(roundAmount(10.005, 'AUD')).toBe(10.01);
+        expect(roundAmount(999.6, 'KRW')).toBe(1000);
+    });
+
+    it('formats amounts with the currency code and its decimals', () => {
+        expect(formatMoney(1250, 'nzd')).toMatch(/^NZD\s1,250\.00$/);
+        expect(formatMoney(1500, 'JPY')).toMatch(/^JPY\s1,500$/);
+    });
+});
+
+describe('preferredCurrencies', () => {
+    it('ranks an explicit choice, then the profile country, then the destination', () => {
+        const user = { profile: { address: { country: 'Australia' } } };
+
+        expect(preferredCurrencies({ currency: 'cad', user, countryCode: 'NZ' })).toEqual(['CAD', 'AUD', 'NZD']);
+        expect(preferredCurrencies({ user: { profile: { address: { country: 'nz' } } }, countryCode: 'NZ' })).toEqual(['NZD']);
+        expect(preferredCurrencies({ user: { profile: { address: { country: 'Atlantis' } } } })).toEqual([]);
+    });
+});
+
+describe('consolidate', () => {
+    it('converts totals into the reporting currency and lists currencies without a rate', async () => {
+        rates.insert({ currency: 'AUD', rate: 1.1 });
+
+        const result = await consolidate([
+            { currency: 'NZD', total: 100 },
+            { currency: 'aud', total: 50 },
+            { currency: 'CAD', total: 70 }
+        ]);
+
+        expect(result).toEqual({ currency: 'NZD', total: 155, missingRates: ['CAD'] });
+    });
+});
+
+describe('admin currency routes', () => {
+    const admin = buildUser('admin');
+    const app = buildApp('/api/admin', adminRoutes, admin);
+
+    it('reports dashboard revenue per currency and consolidated', async () => {
+        rates.insert({ currency: 'AUD', rate: 1.1 });
+        jest.spyOn(Application, 'countDocuments').mockResolvedValue(3);
+        jest.spyOn(Application, 'aggregate').mockResolvedValue([]);
+        jest.spyOn(Application, 'find').mockReturnValue({
+            populate: () => ({ sort: () => ({ limit: () => Promise.resolve([]) }) })
+        });
+        jest.spyOn(Payment, 'aggregate').mockResolvedValue([{ _id: 'NZD', total: 200 }, { _id: 'AUD', total: 100 }]);
+        jest.spyOn(Consultation, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(Document, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+
+        const res = await request(app).get('/api/admin/dashboard').expect(200);
+
+        expect(res.body.data.overview.revenueByCurrency).toEqual([
+            { currency: 'NZD', total: 200 },
+            { currency: 'AUD', total: 100 }
+        ]);
+        expect(res.body.data.overview.consolidatedRevenue).toEqual({ currency: 'NZD', total: 310, missingRates: [] });
+        const [pipeline] = Payment.aggregate.mock.calls[0];
+        expect(pipeline[1].$group._id).toBe('$currency');
+    });
+
+    it('audits the rate an update replaced', async () => {
+        const existing = rates.insert({ currency: 'AUD', rate: 1.1 });
+
+        await request(app).put('/api/admin/exchange-rates/aud').send({ rate: 1.08, source: 'RBNZ' }).expect(200);
+
+        expect(rates.docs({ currency: 'AUD' })).toEqual([expect.objectContaining({ rate: 1.08, source: 'RBNZ' })]);
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'update_exchange_rate',
+            oldValues: { rate: 1.1 },
+            newValues: { currency: 'AUD', rate: 1.08, source: 'RBNZ' }
+        }));
+        expect(String(AuditLog.create.mock.calls[0][0].entityId)).toBe(String(existing._id));
+    });
+
+    it('answers 409 when another admin adds the same currency first', async () => {
+        // The other save lands between this request's lookup and its own save
+        ExchangeRate.findOne.mockImplementationOnce(() => {
+            rates.insert({ currency: 'CAD', rate: 1.2 });
+            return Promise.resolve(null);
+        });
+
+        await request(app).put('/api/admin/exchange-rates/CAD').send({ rate: 1.25 }).expect(409);
+        expect(rates.docs({ currency: 'CAD' })).toEqual([expect.objectContaining({ rate: 1.2 })]);
+        expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses invalid rates and the reporting currency', async () => {
+        await request(app).put('/api/admin/exchange-rates/AUD').send({ rate: 0 }).expect(400);
+        await request(app).put('/api/admin/exchange-rates/NZD').send({ rate: 2 }).expect(400);
+        expect(rates.docs()).toHaveLength(0);
+    });
+
+    it('leaves a deleted currency out of consolidation', async () => {
+        rates.insert({ currency: 'AUD', rate: 1.1 });
+        jest.spyOn(ExchangeRate, 'findOneAndDelete').mockImplementation(async ({ currency }) => {
+            const [doc] = rates.docs({ currency });
+            if (doc) await ExchangeRate.deleteOne({ _id: doc._id });
+            return doc || null;
+        });
+
+        await request(app).delete('/api/admin/exchange-rates/aud').expect(200);
+        await request(app).delete('/api/admin/exchange-rates/aud').expect(404);
+        await expect(consolidate([{ currency: 'AUD', total: 10 }])).resolves.toMatchObject({ total: 0, missingRates: ['AUD'] });
+    });
+
+    it('keeps exchange rates to roles with the permission', async () => {
+        const adviserApp = buildApp('/api/admin', adminRoutes, buildUser('adviser'));
+
+        await request(adviserApp).put('/api/admin/exchange-rates/AUD').send({ rate: 1.1 }).expect(403);
+        expect(rates.docs()).toHaveLength(0);
+    });
+});
@@ -0,0 +1,160 @@
+const { Application, JobLock, User } = require('../models');
+const { sendNotification } = require('../utils/notifications');
+const { acquireLock, releaseLock, withLock } = require('../utils/jobLock');
+const { getReminderStage, processDeadlineReminders, sendDeadlineReminders } = require('../utils/deadlineReminders');
+const { buildUser, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../utils/notifications');
+
+useDefaultRoles();
+
+const locks = useMemoryModel(JobLock);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2031-01-06T00:00:00Z');
+const inDays = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+describe('job locks', () => {
+    it('lets one of several racing instances take the lock', async () => {
+        const owners = await Promise.all([acquireLock('job', 60000), acquireLock('job', 60000), acquireLock('job', 60000)]);
+
+        expect(owners.filter(Boolean)).toHaveLength(1);
+        expect(locks.get('job').owner).toBe(owners.find(Boolean));
+    });
+
+    it('takes over an expired lease', async () => {
+        locks.insert({ _id: 'job', owner: 'crashed', lockedUntil: new Date(Date.now() - 1000) });
+
+        const owner = await acquireLock('job', 60000);
+
+        expect(owner).toBeTruthy();
+        expect(locks.get('job').owner).toBe(owner);
+    });
+
+    it('is released only by its owner', async () => {
+        const owner = await acquireLock('job', 60000);
+
+        await releaseLock('job', 'someone-else');
+        expect(locks.get('job')).toBeTruthy();
+        await releaseLock('job', owner);
+        expect(locks.get('job')).toBeNull();
+    });
+
+    it('runs the job once and releases the lock even when it fails', async () => {
+        const job = jest.fn().mockRejectedValue(new Error('Job failed'));
+
+        await expect(withLock('job', 60000, job)).rejects.toThrow('Job failed');
+        expect(locks.get('job')).toBeNull();
+
+        const slow = () => new Promise(resolve => setTimeout(() => resolve('done'), 20));
+        const results = await Promise.all([withLock('job', 60000, slow), withLock('job', 60000, slow)]);
+        expect(results).toEqual(expect.arrayContaining([{ ran: true, result: 'done' }, { ran: false }]));
+    });
+
+    it('leaves the lock of an instance that took over an overrunning job', async () => {
+        const first = await acquireLock('job', 60000);
+        await JobLock.updateOne({ _id: 'job' }, { $set: { lockedUntil: new Date(Date.now() - 1000) } });
+        const second = await acquireLock('job', 60000);
+
+        await releaseLock('job', first);
+
+        expect(locks.get('job').owner).toBe(second);
+    });
+});
+
+describe('getReminderStage', () => {
+    it('picks the nearest offset reached, then overdue', () => {
+        expect(getReminderStage({ type: 'rfi', dueDate: inDays(20) }, NOW)).toBeNull();
+        expect(getReminderStage({ type: 'rfi', dueDate: inDays(10) }, NOW)).toBe('14d');
+        expect(getReminderStage({ type: 'rfi', dueDate: inDays(2) }, NOW)).toBe('3d');
+        expect(getReminderStage({ type: 'document', dueDate: inDays(10) }, NOW)).toBeNull();
+        expect(getReminderStage({ type: 'rfi', dueDate: NOW }, NOW)).toBe('overdue');
+    });
+});
+
+describe('deadline reminders', () => {
+    const client = buildUser('client');
+    const adviserId = objectId();
+    const admin = buildUser('admin');
+    let application;
+    let claimed;
+
+    const buildDeadline = (fields) => ({ _id: objectId(), type: 'rfi', completed: false, remindersSent: [], ...fields });
+
+    beforeEach(() => {
+        application = { _id: objectId(), clientId: client, adviserId, deadlines: [] };
+        claimed = new Set();
+        // Each application load is a fresh copy, as separate runs would read
+        jest.spyOn(Application, 'find').mockImplementation(() => ({
+            populate: async () => [{ ...application, deadlines: application.deadlines.map(d => ({ ...d, remindersSent: [...d.remindersSent] })) }]
+        }));
+        // The reminder claim: a stage is pushed once per deadline
+        jest.spyOn(Application, 'updateOne').mockImplementation(async (filter, update) => {
+            await null;
+            const { _id, 'remindersSent.stage': { $ne: stage } } = filter.deadlines.$elemMatch;
+            const key = `${_id}:${stage}`;
+            if (claimed.has(key)) return { modifiedCount: 0 };
+            claimed.add(key);
+            application.deadlines.find(d => d._id === _id).remindersSent.push(update.$push['deadlines.$.remindersSent']);
+            return { modifiedCount: 1 };
+        });
+        jest.spyOn(User, 'find').mockReturnValue({ select: async () => [{ _id: admin._id }, { _id: adviserId }] });
+        sendNotification.mockResolvedValue({});
+    });
+
+    it('reminds the client and adviser once per stage', async () => {
+        application.deadlines.push(buildDeadline({ dueDate: inDays(2), description: 'Police certificate' }));
+
+        await expect(processDeadlineReminders(NOW)).resolves.toBe(1);
+        await expect(processDeadlineReminders(NOW)).resolves.toBe(0);
+
+        expect(sendNotification.mock.calls.map(([n]) => [String(n.userId), n.type, n.priority])).toEqual([
+            [String(client._id), 'deadline_approaching', 'high'],
+            [String(adviserId), 'deadline_approaching', 'high']
+        ]);
+        expect(sendNotification.mock.calls[0][0].message).toBe('Your RFI response (Police certificate) is due in 2 day(s). Please submit your documents promptly.');
+    });
+
+    it('sends each reminder once when runs overlap', async () => {
+        application.deadlines.push(buildDeadline({ dueDate: inDays(1) }), buildDeadline({ type: 'medical', dueDate: inDays(6) }));
+
+        const counts = await Promise.all([processDeadlineReminders(NOW), processDeadlineReminders(NOW)]);
+
+        expect(counts[0] + counts[1]).toBe(2);
+        expect(sendNotification).toHaveBeenCalledTimes(4);
+    });
+
+    it('runs the pass on one instance at a time', async () => {
+        application.deadlines.push(buildDeadline({ dueDate: inDays(1) }));
+
+        const results = await Promise.all([sendDeadlineReminders(NOW), sendDeadlineReminders(NOW)]);
+
+        expect(results.sort()).toEqual([1, null]);
+        expect(locks.docs()).toHaveLength(0);
+    });
+
+    it('escalates an overdue RFI to the admins once each', async () => {
+        application.deadlines.push(buildDeadline({ dueDate: inDays(-2) }));
+
+        await processDeadlineReminders(NOW);
+
+        expect(sendNotification.mock.calls.map(([n]) => String(n.userId))).toEqual([String(client._id), String(adviserId), String(admin._id)]);
+        expect(sendNotification.mock.calls.every(([n]) => n.type === 'deadline_overdue' && n.priority === 'urgent')).toBe(true);
+    });
+
+    it('skips completed deadlines and those long overdue', async () => {
+        application.deadlines.push(buildDeadline({ dueDate: inDays(1), completed: true }), buildDeadline({ dueDate: inDays(-45) }));
+
+        await expect(processDeadlineReminders(NOW)).resolves.toBe(0);
+        expect(Application.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('keeps reminding others when one notification fails', async () => {
+        application.deadlines.push(buildDeadline({ type: 'document', dueDate: inDays(3) }));
+        sendNotification.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+        await expect(processDeadlineReminders(NOW)).resolves.toBe(1);
+        expect(sendNotification).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,321 @@
+const request = require('supertest');
+const { Application, AuditLog, Document } = require('../models');
+const { raiseStagePayments } = require('../utils/billing');
+const { sendNotification } = require('../utils/notifications');
+const { emitApplicationUpdate } = require('../utils/realtime');
+const deadlineRoutes = require('../routes/deadlines');
+const { buildApp, buildUser, loadTogether, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/billing');
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+
+useDefaultRoles();
+
+const applications = useMemoryModel(Application);
+const documents = useMemoryModel(Document);
+
+const adviser = buildUser('adviser');
+const app = buildApp('/api', deadlineRoutes, adviser);
+
+const DUE = '2031-03-01T00:00:00.000Z';
+
+const seedApplication = (fields = {}) => applications.insert({
+    clientId: objectId(),
+    adviserId: adviser._id,
+    visaType: 'work',
+    stage: 'inz_processing',
+    inzReference: 'INZ-1',
+    deadlines: [],
+    timeline: [],
+    ...fields
+});
+const seedDeadline = (fields = {}) => ({ _id: objectId(), type: 'rfi', dueDate: new Date(DUE), completed: false, remindersSent: [], ...fields });
+const auditActions = () => AuditLog.create.mock.calls.map(([entry]) => entry.action);
+
+beforeEach(() => {
+    sendNotification.mockResolvedValue({});
+    raiseStagePayments.mockResolvedValue([]);
+});
+
+describe('POST /api/deadlines', () => {
+    it('adds a deadline with a timeline entry, audit and notice to the client', async () => {
+        const application = seedApplication();
+
+        const res = await request(app).post('/api/deadlines')
+            .send({ applicationId: String(application._id), type: 'medical', description: 'Chest X-ray', dueDate: DUE });
+
+        expect(res.status).toBe(201);
+        const saved = applications.get(application._id);
+        expect(saved.deadlines).toHaveLength(1);
+        expect(saved.deadlines[0]).toMatchObject({ type: 'medical', completed: false });
+        expect(saved.timeline[0].notes).toBe('Medical deadline "Chest X-ray" added, due 2031-03-01');
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'create_deadline', entityId: saved.deadlines[0]._id, applicationId: String(application._id)
+        }));
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: application.clientId, title: 'New Deadline' }));
+        expect(emitApplicationUpdate).toHaveBeenCalled();
+    });
+
+    it('rejects unknown types and missing dates', async () => {
+        const application = seedApplication();
+
+        const badType = await request(app).post('/api/deadlines').send({ applicationId: String(application._id), type: 'visa', dueDate: DUE });
+        const noDate = await request(app).post('/api/deadlines').send({ applicationId: String(application._id), type: 'rfi' });
+
+        expect([badType.status, noDate.status]).toEqual([400, 400]);
+        expect(applications.get(application._id).deadlines).toHaveLength(0);
+    });
+
+    it('refuses applications assigned to another adviser and clients', async () => {
+        const application = seedApplication({ adviserId: objectId() });
+
+        const res = await request(app).post('/api/deadlines').send({ applicationId: String(application._id), type: 'rfi', dueDate: DUE });
+        const asClient = await request(buildApp('/api', deadlineRoutes, buildUser('client', { _id: application.clientId })))
+            .post('/api/deadlines').send({ applicationId: String(application._id), type: 'rfi', dueDate: DUE });
+
+        expect([res.status, asClient.status]).toEqual([403, 403]);
+        expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('PATCH /api/deadlines/:id', () => {
+    it('moves the due date, restarts reminders and tells the client', async () => {
+        const deadline = seedDeadline({ remindersSent: [{ stage: '7d', sentAt: new Date() }] });
+        const application = seedApplication({ deadlines: [deadline] });
+
+        const res = await request(app).patch(`/api/deadlines/${deadline._id}`).send({ dueDate: '2031-04-01T00:00:00.000Z' });
+
+        expect(res.status).toBe(200);
+        const saved = applications.get(application._id).deadlines[0];
+        expect(saved.dueDate.toISOString()).toBe('2031-04-01T00:00:00.000Z');
+        expect(saved.remindersSent).toHaveLength(0);
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ title: 'Deadline Changed' }));
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'update_deadline', oldValues: expect.objectContaining({ dueDate: new Date(DUE) })
+        }));
+    });
+
+    it('returns 404 for unknown or malformed ids', async () => {
+        seedApplication({ deadlines: [seedDeadline()] });
+
+        const unknown = await request(app).patch(`/api/deadlines/${objectId()}`).send({ description: 'x' });
+        const malformed = await request(app).patch('/api/deadlines/not-an-id').send({ description: 'x' });
+
+        expect([unknown.status, malformed.status]).toEqual([404, 404]);
+    });
+});
+
+describe('POST /api/deadlines/:id/complete', () => {
+    it('records the response and evidence', async () => {
+        const deadline = seedDeadline({ type: 'document' });
+        const application = seedApplication({ deadlines: [deadline] });
+        const evidence = documents.insert({ applicationId: application._id, type: 'passport' });
+
+        const res = await request(app).post(`/api/deadlines/${deadline._id}/complete`)
+            .send({ note: 'Sent certified copy', documentIds: [String(evidence._id), String(evidence._id)] });
+
+        expect(res.status).toBe(200);
+        const saved = applications.get(application._id).deadlines[0];
+        expect(saved).toMatchObject({ completed: true, completedBy: adviser._id, response: { note: 'Sent certified copy' } });
+        expect(saved.response.documentIds.map(String)).toEqual([String(evidence._id)]);
+        expect(res.body.data.stage).toBe('inz_processing');
+        expect(auditActions()).toEqual(['complete_deadline']);
+    });
+
+    it('rejects evidence from another application', async () => {
+        const deadline = seedDeadline();
+        const application = seedApplication({ deadlines: [deadline] });
+        const elsewhere = documents.insert({ applicationId: objectId(), type: 'passport' });
+
+        const res = await request(app).post(`/api/deadlines/${deadline._id}/complete`).send({ documentIds: [String(elsewhere._id)] });
+
+        expect(res.status).toBe(400);
+        expect(applications.get(application._id).deadlines[0].completed).toBe(false);
+    });
+
+    it('moves the application back to processing once every RFI is answered', async () => {
+        const [first, second] = [seedDeadline(), seedDeadline()];
+        const application = seedApplication({ stage: 'rfi_received', deadlines: [first, second] });
+
+        await request(app).post(`/api/deadlines/${first._id}/complete`).send({});
+        expect(applications.get(application._id).stage).toBe('rfi_received');
+
+        const res = await request(app).post(`/api/deadlines/${second._id}/complete`).send({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Deadline completed; application is back in processing');
+        const saved = applications.get(application._id);
+        expect(saved).toMatchObject({ stage: 'inz_processing', progress: 70 });
+        expect(saved.timeline.at(-1)).toMatchObject({ stage: 'inz_processing', notes: 'All RFI deadlines answered; application back in processing' });
+        expect(raiseStagePayments).toHaveBeenCalledTimes(1);
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'stage_updated' }));
+    });
+
+    it('completes a deadline once when requests overlap', async () => {
+        const deadline = seedDeadline({ type: 'medical' });
+        const application = seedApplication({ deadlines: [deadline] });
+        loadTogether(Application, 2);
+
+        const results = await Promise.all([1, 2].map(() => request(app).post(`/api/deadlines/${deadline._id}/complete`).send({})));
+
+        expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+        expect(applications.get(application._id).timeline).toHaveLength(1);
+        expect(auditActions()).toEqual(['complete_deadline']);
+    });
+
+    it('resumes processing once when the last RFIs are answered together', async () => {
+        const [first, second] = [seedDeadline(), seedDeadline()];
+        const application = seedApplication({ stage: 'rfi_received', deadlines: [first, second] });
+        loadTogether(Application, 2);
+
+        const results = await Promise.all([first, second].map(d => request(app).post(`/api/deadlines/${d._id}/complete`).send({})));
+
+        expect(results.map(res => res.status)).toEqual([200, 200]);
+        const saved = applications.get(application._id);
+        expect(saved.stage).toBe('inz_processing');
+        expect(saved.deadlines.every(d => d.completed)).toBe(true);
+        expect(saved.timeline.filter(entry => entry.stage === 'inz_processing')).toHaveLength(1);
+        expect(raiseStagePayments).toHaveBeenCalledTimes(1);
+    });
+
+    it('keeps a description edited at the same time', async () => {
+        const deadline = seedDeadline({ type: 'ppi' });
+        const application = seedApplication({ deadlines: [deadline] });
+        loadTogether(Application, 2);
+
+        await Promise.all([
+            request(app).patch(`/api/deadlines/${deadline._id}`).send({ description: 'Character concerns' }),
+            request(app).post(`/api/deadlines/${deadline._id}/complete`).send({ note: 'Answered' })
+        ]);
+
+        expect(applications.get(application._id).deadlines[0]).toMatchObject({ description: 'Character concerns', completed: true });
+    });
+});
+
+describe('POST /api/deadlines/:id/reopen', () => {
+    it('clears the response and sets the new due date', async () => {
+        const deadline = seedDeadline({ completed: true, completedAt: new Date(), completedBy: adviser._id, response: { note: 'Sent' } });
+        const application = seedApplication({ deadlines: [deadline] });
+
+        const res = await request(app).post(`/api/deadlines/${deadline._id}/reopen`).send({ dueDate: '2031-05-01T00:00:00.000Z', reason: 'Unreadable scan' });
+
+        expect(res.status).toBe(200);
+        const saved = applications.get(application._id).deadlines[0];
+        expect(saved.completed).toBe(false);
+        expect(saved.completedAt).toBeUndefined();
+        expect(saved.response?.note).toBeUndefined();
+        expect(saved.dueDate.toISOString()).toBe('2031-05-01T00:00:00.000Z');
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ title: 'Deadline Reopened' }));
+    });
+
+    it('reopens once when requests overlap, and refuses open deadlines', async () => {
+        const open = seedDeadline();
+        const done = seedDeadline({ completed: true });
+        seedApplication({ deadlines: [open, done] });
+
+        const notCompleted = await request(app).post(`/api/deadlines/${open._id}/reopen`).send({});
+        loadTogether(Application, 2);
+        const results = await Promise.all([1, 2].map(() => request(app).post(`/api/deadlines/${done._id}/reopen`).send({})));
+
+        expect(notCompleted.status).toBe(409);
+        expect(results.map(res => res.status).sort()).toEqual([200, 409]);
+        expect(sendNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('puts an application back in processing to waiting on the response', async () => {
+        const deadline = seedDeadline({ type: 'ppi', completed: true, completedAt: new Date() });
+        const application = seedApplication({ deadlines: [deadline] });
+
+        const res = await request(app).post(`/api/deadlines/${deadline._id}/reopen`).send({ reason: 'Partial answer' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Deadline reopened; application is waiting on the response again');
+        const saved = applications.get(application._id);
+        expect(saved).toMatchObject({ stage: 'ppi_received' });
+        expect(saved.timeline.at(-1)).toMatchObject({ stage: 'ppi_received', notes: 'PPI deadline reopened; waiting on the response again' });
+        expect(emitApplicationUpdate).toHaveBeenLastCalledWith(expect.objectContaining({ stage: 'ppi_received' }));
+    });
+
+    it('leaves the stage alone for other deadline types and later stages', async () => {
+        const medical = seedDeadline({ type: 'medical', completed: true });
+        const first = seedApplication({ deadlines: [medical] });
+        const rfi = seedDeadline({ completed: true });
+        const decided = seedApplication({ stage: 'decision', deadlines: [rfi] });
+
+        await request(app).post(`/api/deadlines/${medical._id}/reopen`).send({}).expect(200);
+        await request(app).post(`/api/deadlines/${rfi._id}/reopen`).send({}).expect(200);
+
+        expect(applications.get(first._id).stage).toBe('inz_processing');
+        expect(applications.get(decided._id).stage).toBe('decision');
+    });
+});
+
+describe('DELETE /api/deadlines/:id', () => {
+    it('removes the deadline with a timeline entry and audit', async () => {
+        const deadline = seedDeadline();
+        const application = seedApplication({ deadlines: [deadline] });
+
+        const res = await request(app).delete(`/api/deadlines/${deadline._id}`);
+
+        expect(res.status).toBe(200);
+        const saved = applications.get(application._id);
+        expect(saved.deadlines).toHaveLength(0);
+        expect(saved.timeline[0].notes).toBe('RFI deadline removed');
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'delete_deadline', oldValues: expect.objectContaining({ type: 'rfi' })
+        }));
+    });
+
+    it('completes the right deadline while an earlier one is removed', async () => {
+        const [removed, kept] = [seedDeadline({ description: 'Old request' }), seedDeadline({ description: 'Police check' })];
+        const application = seedApplication({ deadlines: [removed, kept] });
+        loadTogether(Application, 2);
+
+        const results = await Promise.all([
+            request(app).delete(`/api/deadlines/${removed._id}`),
+            request(app).post(`/api/deadlines/${kept._id}/complete`).send({})
+        ]);
+
+        expect(results.map(res => res.status)).toEqual([200, 200]);
+        const saved = applications.get(application._id);
+        expect(saved.deadlines).toHaveLength(1);
+        expect(saved.deadlines[0]).toMatchObject({ description: 'Police check', completed: true });
+    });
+
+    it('deletes once when requests overlap', async () => {
+        const deadline = seedDeadline();
+        seedApplication({ deadlines: [deadline] });
+        loadTogether(Application, 2);
+
+        const results = await Promise.all([1, 2].map(() => request(app).delete(`/api/deadlines/${deadline._id}`)));
+
+        expect(results.map(res => res.status).sort()).toEqual([200, 404]);
+        expect(auditActions()).toEqual(['delete_deadline']);
+    });
+
+    it('moves the application back to processing when the last open RFI is removed', async () => {
+        const [answered, open] = [seedDeadline({ completed: true }), seedDeadline()];
+        const application = seedApplication({ stage: 'rfi_received', deadlines: [answered, open] });
+
+        const res = await request(app).delete(`/api/deadlines/${open._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.message).toBe('Deadline deleted; application is back in processing');
+        const saved = applications.get(application._id);
+        expect(saved).toMatchObject({ stage: 'inz_processing', progress: 70 });
+        expect(saved.timeline.at(-1)).toMatchObject({ stage: 'inz_processing', notes: 'No RFI deadlines left open; application back in processing' });
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ type: 'stage_updated' }));
+    });
+
+    it('keeps waiting while another RFI is open', async () => {
+        const [removed, open] = [seedDeadline(), seedDeadline()];
+        const application = seedApplication({ stage: 'rfi_received', deadlines: [removed, open] });
+
+        await request(app).delete(`/api/deadlines/${removed._id}`).expect(200);
+
+        expect(applications.get(application._id).stage).toBe('rfi_received');
+    });
+});
@@ -0,0 +1,296 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Application, Document, DocumentAccess, Session, User } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { sendStoredFile } = require('../utils/fileStorage');
+const { redeemDownloadToken } = require('../utils/documentDownloads');
+const documentRoutes = require('../routes/document');
+const downloadRoutes = require('../routes/downloads');
+const { buildApp, buildUser, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/documentScanning');
+jest.mock('../utils/fileStorage');
+jest.mock('../utils/fileValidation');
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/scanning');
+
+useDefaultRoles();
+
+const applications = useMemoryModel(Application);
+const documents = useMemoryModel(Document);
+const sessions = useMemoryModel(Session);
+const users = useMemoryModel(User);
+const accesses = useMemoryModel(DocumentAccess);
+
+const client = buildUser('client');
+const adviser = buildUser('adviser');
+const admin = buildUser('admin');
+
+const downloadApp = buildApp('/api/downloads', downloadRoutes, null);
+
+// Signed in as `user` through a stored session
+const signIn = (user) => {
+    users.insert({ ...user, password: 'hashed' });
+    const session = sessions.insert({ userId: user._id, refreshTokenHash: 'hash', lastSeenAt: new Date(), expiresAt: new Date(Date.now() + 86400000) });
+    const app = buildApp('/api/documents', documentRoutes, user);
+    app.locals.session = session;
+    return { app, session };
+};
+
+// A link made by hand, for claims the routes never issue
+const signLink = (claims, { secret = process.env.JWT_SECRET, ...options } = {}) => jwt.sign({
+    purpose: 'document_download',
+    documentId: String(document._id),
+    version: 1,
+    userId: String(client._id),
+    sid: String(clientSession._id),
+    ...claims
+}, secret, { expiresIn: 300, audience: 'document_download', ...options });
+
+const tokenOf = (downloadUrl) => downloadUrl.split('/api/downloads/')[1];
+
+const issueLink = async (app, path = `/api/documents/${document._id}/download`) => {
+    const res = await request(app).get(path).expect(200);
+    return tokenOf(res.body.data.downloadUrl);
+};
+
+const setVersionStatus = (status) => Document.updateOne({ _id: document._id }, { $set: { 'versions.0.status': status } });
+
+let application;
+let document;
+let clientApp;
+let clientSession;
+
+beforeEach(() => {
+    application = applications.insert({ clientId: client._id, adviserId: adviser._id, visaType: 'work', stage: 'deposit_paid' });
+    const created = new Document({ applicationId: application._id, clientId: client._id, type: 'passport', name: 'passport.pdf' });
+    const version = created.addVersion({ originalName: 'passport.pdf', storageKey: 'key-passport', uploadedBy: client._id });
+    created.recordScan(version.version, { status: 'clean', scanner: 'clamd', threats: [] });
+    document = documents.insert(created.toObject());
+
+    ({ app: clientApp, session: clientSession } = signIn(client));
+
+    sendStoredFile.mockImplementation(async (res, key) => {
+        res.send(`contents of ${key}`);
+        return true;
+    });
+});
+
+describe('Download links', () => {
+    it('streams the file through a link and logs who downloaded it', async () => {
+        const res = await request(clientApp).get(`/api/documents/${document._id}/download`).expect(200);
+
+        expect(res.body.data).toMatchObject({ filename: 'passport.pdf', version: 1, expiresIn: 300 });
+        expect(res.body.data.downloadUrl).not.toContain('key-passport');
+
+        const download = await request(downloadApp)
+            .get(`/api/downloads/${tokenOf(res.body.data.downloadUrl)}?disposition=inline`)
+            .set('User-Agent', 'passport-check')
+            .expect(200);
+
+        expect(download.text).toBe('contents of key-passport');
+        expect(sendStoredFile).toHaveBeenCalledWith(expect.anything(), 'key-passport', { filename: 'passport.pdf', attachment: false });
+        expect(accesses.docs()).toEqual([expect.objectContaining({
+            documentId: document._id,
+            applicationId: application._id,
+            version: 1,
+            userId: client._id,
+            role: 'client',
+            channel: 'link',
+            sessionId: clientSession._id,
+            userAgent: 'passport-check'
+        })]);
+    });
+
+    it('logs every use of a link, including simultaneous ones', async () => {
+        const token = await issueLink(clientApp);
+
+        const responses = await Promise.all([1, 2, 3].map(() => request(downloadApp).get(`/api/downloads/${token}`)));
+
+        expect(responses.map(res => res.status)).toEqual([200, 200, 200]);
+        expect(accesses.docs()).toHaveLength(3);
+    });
+
+    it('links to a past version', async () => {
+        await Document.updateOne({ _id: document._id }, {
+            $push: { versions: { version: 2, originalName: 'passport-2.pdf', storageKey: 'key-passport-2', status: 'pending' } },
+            $set: { currentVersion: 2 }
+        });
+
+        await request(downloadApp).get(`/api/downloads/${await issueLink(clientApp, `/api/documents/${document._id}/versions/1/download`)}`).expect(200);
+
+        expect(sendStoredFile).toHaveBeenCalledWith(expect.anything(), 'key-passport', { filename: 'passport.pdf', attachment: true });
+    });
+
+    it('serves a file stored before keys were recorded from its Cloudinary URL', async () => {
+        await Document.updateOne({ _id: document._id }, {
+            $set: { 'versions.0.storageKey': null, 'versions.0.fileUrl': 'https://res.cloudinary.com/demo/raw/upload/v1700000000/documents/app-1/passport' }
+        });
+
+        const download = await request(downloadApp).get(`/api/downloads/${await issueLink(clientApp)}`).expect(200);
+        const streamed = await request(clientApp).get(`/api/documents/${document._id}/content`).expect(200);
+
+        expect(download.text).toBe('contents of documents/app-1/passport.pdf');
+        expect(streamed.text).toBe('contents of documents/app-1/passport.pdf');
+    });
+
+    it('reports a version with neither a key nor a URL as missing', async () => {
+        await Document.updateOne({ _id: document._id }, { $set: { 'versions.0.storageKey': null } });
+
+        const res = await request(clientApp).get(`/api/documents/${document._id}/download`).expect(404);
+
+        expect(res.body.message).toBe('File not found');
+    });
+
+    it('rejects expired, tampered and foreign links', async () => {
+        const token = await issueLink(clientApp);
+        const [header, payload, signature] = token.split('.');
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        const forged = Buffer.from(JSON.stringify({ ...claims, documentId: String(objectId()) })).toString('base64url');
+
+        const links = [
+            `${header}.${forged}.${signature}`,
+            'not-a-token',
+            signLink({}, { secret: 'another-secret' }),
+            signLink({}, { audience: 'account' }),
+            signLink({ purpose: 'invoice_download' }),
+            jwt.sign({ userId: client._id, role: 'client', sid: clientSession._id }, process.env.JWT_SECRET)
+        ];
+        for (const link of links) {
+            const res = await request(downloadApp).get(`/api/downloads/${link}`).expect(403);
+            expect(res.body.message).toBe('Download link is invalid or has expired');
+        }
+
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 301 * 1000);
+        await request(downloadApp).get(`/api/downloads/${token}`).expect(403);
+
+        expect(sendStoredFile).not.toHaveBeenCalled();
+        expect(accesses.docs()).toHaveLength(0);
+    });
+
+    it('is not accepted as an access token', async () => {
+        const token = await issueLink(clientApp);
+
+        expect(await authenticateToken(token, { ip: '127.0.0.1' })).toEqual({ error: 'INVALID_TOKEN', message: 'Invalid token.' });
+        // Signed with DOWNLOAD_LINK_SECRET instead, a link fails verification outright
+        expect(await authenticateToken(signLink({}, { secret: 'download-secret' }), { ip: '127.0.0.1' })).toMatchObject({ error: 'INVALID_TOKEN' });
+    });
+
+    it('stops working once the session is revoked', async () => {
+        const token = await issueLink(clientApp);
+        await Session.updateOne({ _id: clientSession._id }, { $set: { revokedAt: new Date() } });
+
+        const res = await request(downloadApp).get(`/api/downloads/${token}`).expect(403);
+
+        expect(res.body.message).toBe('Download link is no longer valid. Please request a new one.');
+        expect(sendStoredFile).not.toHaveBeenCalled();
+    });
+
+    it('refuses a link naming a session of another user', async () => {
+        const { session: adviserSession } = signIn(adviser);
+
+        await request(downloadApp).get(`/api/downloads/${signLink({ sid: String(adviserSession._id) })}`).expect(403);
+    });
+
+    it('stops working once the user is deactivated', async () => {
+        const token = await issueLink(clientApp);
+        await User.updateOne({ _id: client._id }, { $set: { isActive: false } });
+
+        await request(downloadApp).get(`/api/downloads/${token}`).expect(403);
+    });
+
+    it('stops working once the user loses access to the document', async () => {
+        const { app: adviserApp } = signIn(adviser);
+        const token = await issueLink(adviserApp);
+        await Application.updateOne({ _id: application._id }, { $set: { adviserId: objectId() } });
+
+        await request(downloadApp).get(`/api/downloads/${token}`).expect(403);
+        expect(accesses.docs()).toHaveLength(0);
+    });
+
+    it('reports a document, version or file that no longer exists', async () => {
+        const token = await issueLink(clientApp);
+
+        await request(downloadApp).get(`/api/downloads/${signLink({ version: 9 })}`).expect(404);
+
+        sendStoredFile.mockResolvedValueOnce(false);
+        const missingFile = await request(downloadApp).get(`/api/downloads/${token}`).expect(404);
+        expect(missingFile.body.message).toBe('File not found');
+
+        await Document.deleteOne({ _id: document._id });
+        const missingDocument = await request(downloadApp).get(`/api/downloads/${token}`).expect(404);
+        expect(missingDocument.body.message).toBe('Document not found');
+    });
+
+    it('holds back a file that was quarantined or found infected after the link was issued', async () => {
+        const token = await issueLink(clientApp);
+
+        await setVersionStatus('quarantined');
+        const quarantined = await request(downloadApp).get(`/api/downloads/${token}`).expect(423);
+        await setVersionStatus('infected');
+        const infected = await request(downloadApp).get(`/api/downloads/${token}`).expect(410);
+
+        expect(quarantined.body.message).toBe('File is awaiting a virus scan');
+        expect(infected.body.message).toBe('File failed a virus scan and was deleted');
+        expect(sendStoredFile).not.toHaveBeenCalled();
+        expect(accesses.docs()).toHaveLength(0);
+    });
+
+    it('is not issued for a file still being scanned', async () => {
+        await setVersionStatus('quarantined');
+
+        await request(clientApp).get(`/api/documents/${document._id}/download`).expect(423);
+    });
+
+    it('redeems to the document, version, user and session it was issued for', async () => {
+        const result = await redeemDownloadToken(signLink({}), { ip: '127.0.0.1' });
+
+        expect(String(result.document._id)).toBe(String(document._id));
+        expect(result.version.storageKey).toBe('key-passport');
+        expect(String(result.user._id)).toBe(String(client._id));
+        expect(result.user.password).toBeUndefined();
+        expect(String(result.session._id)).toBe(String(clientSession._id));
+    });
+});
+
+describe('Streamed downloads', () => {
+    it('streams a version to the signed-in user and logs it', async () => {
+        const res = await request(clientApp).get(`/api/documents/${document._id}/content?version=1`).expect(200);
+
+        expect(res.text).toBe('contents of key-passport');
+        expect(accesses.docs()).toEqual([expect.objectContaining({ channel: 'stream', version: 1, userId: client._id })]);
+    });
+
+    it('refuses users without access to the document', async () => {
+        const { app: otherApp } = signIn(buildUser('client'));
+
+        await request(otherApp).get(`/api/documents/${document._id}/content`).expect(403);
+        await request(clientApp).get(`/api/documents/${document._id}/content?version=4`).expect(404);
+        expect(accesses.docs()).toHaveLength(0);
+    });
+});
+
+describe('Document access log', () => {
+    it('lists downloads newest first for admins only', async () => {
+        const { app: adminApp } = signIn(admin);
+        const aggregate = jest.spyOn(DocumentAccess, 'aggregate').mockResolvedValue([
+            { _id: client._id, role: 'client', accessCount: 2 }
+        ]);
+        accesses.insert({ documentId: document._id, userId: client._id, channel: 'link', version: 1, createdAt: new Date('2026-10-01') });
+        accesses.insert({ documentId: document._id, userId: client._id, channel: 'stream', version: 1, createdAt: new Date('2026-10-02') });
+        accesses.insert({ documentId: objectId(), userId: client._id, channel: 'link', version: 1, createdAt: new Date('2026-10-03') });
+
+        const res = await request(adminApp).get(`/api/documents/${document._id}/access-log`).expect(200);
+
+        expect(res.body.data.total).toBe(2);
+        expect(res.body.data.entries.map(entry => entry.channel)).toEqual(['stream', 'link']);
+        expect(res.body.data.entries[0].userId).toMatchObject({ email: client.email });
+        expect(res.body.data.users).toEqual([{ userId: String(client._id), role: 'client', accessCount: 2 }]);
+        expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: { documentId: document._id } });
+
+        await request(clientApp).get(`/api/documents/${document._id}/access-log`).expect(403);
+    });
+});
@@ -0,0 +1,336 @@
+const request = require('supertest');
+const { Application, AuditLog, Document } = require('../models');
+const { reportInfectedFile } = require('../utils/documentScanning');
+const { deleteFile, storeFile } = require('../utils/fileStorage');
+const { sanitizeFile, validateFile } = require('../utils/fileValidation');
+const { sendNotification } = require('../utils/notifications');
+const { scanFile } = require('../utils/scanning');
+const documentRoutes = require('../routes/document');
+const { buildApp, buildUser, loadTogether, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/documentScanning');
+jest.mock('../utils/fileStorage');
+jest.mock('../utils/fileValidation');
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/scanning');
+
+useDefaultRoles();
+
+const applications = useMemoryModel(Application);
+const documents = useMemoryModel(Document, { unique: [['applicationId', 'type']] });
+
+const client = buildUser('client');
+const adviser = buildUser('adviser');
+const clientApp = buildApp('/api/documents', documentRoutes, client);
+const adviserApp = buildApp('/api/documents', documentRoutes, adviser);
+
+const CLEAN = { status: 'clean', scanner: 'clamd', signatureVersion: '27000', threats: [] };
+
+let application;
+
+const upload = (name = 'passport.pdf') => request(clientApp).post('/api/documents/upload')
+    .field('applicationId', String(application._id))
+    .field('documentType', 'passport')
+    .attach('document', Buffer.from('%PDF-1.4 test'), name);
+
+// A document with one reviewed upload
+const seedDocument = (fields = {}) => {
+    const document = new Document({ applicationId: application._id, clientId: client._id, type: 'passport', name: 'old.pdf' });
+    const version = document.addVersion({ originalName: 'old.pdf', storageKey: 'key-old', fileSize: 10, mimeType: 'application/pdf', checksum: 'abc', uploadedBy: client._id });
+    document.recordScan(version.version, CLEAN);
+    document.reviewLatestVersion({ status: 'rejected', reviewNotes: 'Blurry photo page', reviewedBy: adviser._id });
+    Object.assign(document, fields);
+    return documents.insert(document.toObject());
+};
+
+beforeEach(() => {
+    application = applications.insert({ clientId: client._id, adviserId: adviser._id, visaType: 'work', stage: 'deposit_paid' });
+    let stored = 0;
+    validateFile.mockResolvedValue({ isValid: true, fileType: 'pdf', mimeType: 'application/pdf' });
+    sanitizeFile.mockResolvedValue();
+    scanFile.mockResolvedValue(CLEAN);
+    storeFile.mockImplementation(async () => ({ key: `key-${++stored}` }));
+    sendNotification.mockResolvedValue({});
+});
+
+describe('Document versions', () => {
+    it('brings a pre-versioning upload into the history before adding a new one', () => {
+        const document = new Document({
+            applicationId: objectId(), clientId: client._id, type: 'passport', name: 'legacy.pdf',
+            fileUrl: 'https://res.cloudinary.com/legacy.pdf', status: 'approved', reviewedBy: adviser._id
+        });
+
+        document.addVersion({ originalName: 'new.pdf', storageKey: 'key-new', uploadedBy: client._id });
+
+        expect(document.versions.map(v => [v.version, v.status])).toEqual([[1, 'approved'], [2, 'quarantined']]);
+        expect(document.versions[0].fileUrl).toBe('https://res.cloudinary.com/legacy.pdf');
+        expect(document).toMatchObject({ currentVersion: 2, name: 'new.pdf', status: 'quarantined', storageKey: 'key-new' });
+        expect(document.reviewedBy).toBeUndefined();
+    });
+
+    it('reviews only the latest version and mirrors it on the document', () => {
+        const document = seedDocument();
+        document.addVersion({ originalName: 'new.pdf', storageKey: 'key-new' });
+        document.recordScan(2, CLEAN);
+
+        document.reviewLatestVersion({ status: 'approved', reviewedBy: adviser._id });
+
+        expect(document.getVersion(1)).toMatchObject({ status: 'rejected', reviewNotes: 'Blurry photo page' });
+        expect(document.getVersion(2).status).toBe('approved');
+        expect(document.status).toBe('approved');
+    });
+
+    it('releases clean uploads and holds back infected or unscanned ones', () => {
+        const document = new Document({ applicationId: objectId(), clientId: client._id, type: 'passport', name: 'a.pdf' });
+        document.addVersion({ originalName: 'a.pdf', storageKey: 'key-a' });
+
+        document.recordScan(1, { status: 'error', error: 'Scanner timed out' });
+        expect(document.status).toBe('quarantined');
+        document.recordScan(1, CLEAN);
+        expect(document.status).toBe('pending');
+        document.recordScan(1, { status: 'infected', threats: ['Eicar-Test-Signature'] });
+        expect(document.status).toBe('infected');
+        expect(document.recordScan(5, CLEAN)).toBeNull();
+    });
+});
+
+describe('POST /api/documents/upload', () => {
+    it('adds a resubmission as a new version and keeps the earlier review', async () => {
+        const existing = seedDocument();
+
+        const res = await upload('passport-v2.pdf').expect(200);
+
+        const saved = documents.get(existing._id);
+        expect(saved.versions.map(v => [v.version, v.status, v.storageKey])).toEqual([[1, 'rejected', 'key-old'], [2, 'pending', 'key-1']]);
+        expect(saved.versions[0].reviewNotes).toBe('Blurry photo page');
+        expect(saved).toMatchObject({ currentVersion: 2, status: 'pending', originalName: 'passport-v2.pdf' });
+        expect(saved.versions[1].checksum).toMatch(/^[0-9a-f]{64}$/);
+        expect(res.body.data.fileUrl).toBeUndefined();
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: adviser._id, title: 'Document Resubmitted' }));
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'upload', newValues: expect.objectContaining({ version: 2 }) }));
+    });
+
+    it('stores an upload quarantined when the scanner is unavailable', async () => {
+        scanFile.mockResolvedValue({ status: 'error', error: 'connect ECONNREFUSED' });
+
+        const res = await upload().expect(202);
+
+        expect(res.body.data).toMatchObject({ status: 'quarantined', currentVersion: 1 });
+        expect(sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('rejects an infected upload without storing it', async () => {
+        scanFile.mockResolvedValue({ status: 'infected', threats: ['Eicar-Test-Signature'] });
+
+        await upload().expect(400);
+
+        expect(storeFile).not.toHaveBeenCalled();
+        expect(documents.docs()).toHaveLength(0);
+        expect(reportInfectedFile).toHaveBeenCalledWith(expect.objectContaining({ threats: ['Eicar-Test-Signature'], detectedOn: 'upload' }));
+    });
+
+    it('numbers uploads that overlap one after another', async () => {
+        const existing = seedDocument();
+        loadTogether(Document, 2);
+
+        await Promise.all([upload('a.pdf').expect(200), upload('b.pdf').expect(200)]);
+
+        const saved = documents.get(existing._id);
+        expect(saved.versions.map(v => v.version)).toEqual([1, 2, 3]);
+        expect(saved.versions.slice(1).map(v => v.originalName).sort()).toEqual(['a.pdf', 'b.pdf']);
+        expect(saved.currentVersion).toBe(3);
+        expect(saved.originalName).toBe(saved.versions[2].originalName);
+    });
+
+    it('adds overlapping first uploads of a type to one document', async () => {
+        loadTogether(Document, 2);
+
+        const responses = await Promise.all([upload('a.pdf'), upload('b.pdf')]);
+
+        expect(responses.map(res => res.status)).toEqual([200, 200]);
+        const [saved] = documents.docs();
+        expect(documents.docs()).toHaveLength(1);
+        expect(saved.versions.map(v => v.version)).toEqual([1, 2]);
+        expect(saved.versions.map(v => v.originalName).sort()).toEqual(['a.pdf', 'b.pdf']);
+    });
+});
+
+describe('PATCH /api/documents/:id/review', () => {
+    it('records the review on the latest version and tells the client', async () => {
+        const document = seedDocument();
+
+        await request(adviserApp).patch(`/api/documents/${document._id}/review`)
+            .send({ status: 'approved' })
+            .expect(200);
+
+        const saved = documents.get(document._id);
+        expect(saved.versions[0]).toMatchObject({ status: 'approved', reviewedBy: adviser._id });
+        expect(saved.status).toBe('approved');
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: client._id, type: 'document_approved' }));
+    });
+
+    it('refuses a version still awaiting its scan', async () => {
+        const document = seedDocument({ status: 'quarantined' });
+
+        await request(adviserApp).patch(`/api/documents/${document._id}/review`).send({ status: 'approved' }).expect(409);
+    });
+
+    it('refuses a review of a version superseded while it was open', async () => {
+        const document = seedDocument();
+        document.versions[0].status = 'pending';
+        document.status = 'pending';
+        await document.save();
+
+        // A new version lands between the review loading the document and saving it
+        const load = Document.findById.getMockImplementation();
+        Document.findById.mockImplementationOnce((id) => ({
+            populate: (...args) => load(id).populate(...args).then(async (loaded) => {
+                const other = await load(id);
+                other.addVersion({ originalName: 'new.pdf', storageKey: 'key-new' });
+                other.increment();
+                await other.save();
+                return loaded;
+            })
+        }));
+
+        const res = await request(adviserApp).patch(`/api/documents/${document._id}/review`).send({ status: 'approved' });
+
+        expect(res.status).toBe(409);
+        const saved = documents.get(document._id);
+        expect(saved.versions.map(v => v.status)).toEqual(['pending', 'quarantined']);
+        expect(saved.status).toBe('quarantined');
+        expect(sendNotification).not.toHaveBeenCalled();
+    });
+});
+
+describe('DELETE /api/documents/:id', () => {
+    // A reviewed upload followed by a resubmission awaiting review
+    const seedResubmission = async () => {
+        const document = seedDocument();
+        document.addVersion({ originalName: 'new.pdf', storageKey: 'key-new', uploadedBy: client._id });
+        document.recordScan(2, CLEAN);
+        document.increment();
+        return document.save();
+    };
+
+    // Runs `change` on another copy between the delete loading the document and writing
+    const changeWhileLoading = (change) => {
+        const load = Document.findById.getMockImplementation();
+        Document.findById.mockImplementationOnce((id) => ({
+            populate: (...args) => load(id).populate(...args).then(async (loaded) => {
+                const other = await load(id);
+                change(other);
+                other.increment();
+                await other.save();
+                return loaded;
+            })
+        }));
+    };
+
+    beforeEach(() => {
+        deleteFile.mockResolvedValue();
+    });
+
+    it('lets a client withdraw an unreviewed resubmission and keeps the reviewed version', async () => {
+        const document = await seedResubmission();
+
+        const res = await request(clientApp).delete(`/api/documents/${document._id}`).expect(200);
+
+        expect(res.body.data).toEqual({ currentVersion: 1 });
+        const saved = documents.get(document._id);
+        expect(saved.versions.map(v => [v.version, v.status])).toEqual([[1, 'rejected']]);
+        expect(saved).toMatchObject({ currentVersion: 1, status: 'rejected', storageKey: 'key-old', name: 'old.pdf' });
+        expect(deleteFile.mock.calls).toEqual([['key-new']]);
+    });
+
+    it('lets a client delete a document whose only upload is unreviewed', async () => {
+        const document = seedDocument({ status: 'pending' });
+        await Document.updateOne({ _id: document._id }, { $set: { 'versions.0.status': 'pending' } });
+
+        await request(clientApp).delete(`/api/documents/${document._id}`).expect(200);
+
+        expect(documents.get(document._id)).toBeNull();
+        expect(deleteFile.mock.calls).toEqual([['key-old']]);
+    });
+
+    it('refuses a client once the latest version is reviewed', async () => {
+        const document = seedDocument();
+
+        await request(clientApp).delete(`/api/documents/${document._id}`).expect(403);
+
+        expect(documents.get(document._id).versions).toHaveLength(1);
+        expect(deleteFile).not.toHaveBeenCalled();
+    });
+
+    it('does not withdraw a version reviewed while the delete was open', async () => {
+        const document = await seedResubmission();
+        changeWhileLoading(other => other.reviewLatestVersion({ status: 'approved', reviewedBy: adviser._id }));
+
+        await request(clientApp).delete(`/api/documents/${document._id}`).expect(409);
+
+        expect(documents.get(document._id).versions.map(v => v.status)).toEqual(['rejected', 'approved']);
+        expect(deleteFile).not.toHaveBeenCalled();
+    });
+
+    it('does not delete a document reviewed while the delete was open', async () => {
+        const document = seedDocument({ status: 'pending' });
+        await Document.updateOne({ _id: document._id }, { $set: { 'versions.0.status': 'pending' } });
+        changeWhileLoading(other => other.reviewLatestVersion({ status: 'approved', reviewedBy: adviser._id }));
+
+        await request(clientApp).delete(`/api/documents/${document._id}`).expect(409);
+
+        expect(documents.get(document._id).status).toBe('approved');
+        expect(deleteFile).not.toHaveBeenCalled();
+    });
+
+    it('lets an adviser delete the whole history', async () => {
+        const document = await seedResubmission();
+
+        await request(adviserApp).delete(`/api/documents/${document._id}`).expect(200);
+
+        expect(documents.get(document._id)).toBeNull();
+        expect(deleteFile.mock.calls.flat().sort()).toEqual(['key-new', 'key-old']);
+    });
+});
+
+describe('Past versions', () => {
+    let document;
+
+    beforeEach(async () => {
+        document = seedDocument();
+        await upload('passport-v2.pdf').expect(200);
+    });
+
+    it('diffs two versions for reviewers', async () => {
+        const res = await request(adviserApp).get(`/api/documents/${document._id}/versions/diff`).expect(200);
+
+        expect(res.body.data).toMatchObject({ from: 1, to: 2, sameFile: false });
+        expect(res.body.data.changes).toEqual(expect.arrayContaining([
+            { field: 'originalName', from: 'old.pdf', to: 'passport-v2.pdf' },
+            { field: 'status', from: 'rejected', to: 'pending' }
+        ]));
+
+        await request(adviserApp).get(`/api/documents/${document._id}/versions/diff?from=1&to=7`).expect(404);
+        await request(clientApp).get(`/api/documents/${document._id}/versions/diff`).expect(403);
+    });
+
+    it('issues a download link to any past version with a file', async () => {
+        const res = await request(clientApp).get(`/api/documents/${document._id}/versions/1/download`).expect(200);
+
+        expect(res.body.data).toMatchObject({ version: 1, filename: 'old.pdf' });
+        expect(res.body.data.downloadUrl).toMatch(/\/api\/downloads\/.+/);
+
+        await request(clientApp).get(`/api/documents/${document._id}/versions/9/download`).expect(404);
+    });
+
+    it('does not serve a version that failed its scan', async () => {
+        const stored = await Document.findById(document._id);
+        stored.recordScan(1, { status: 'infected', threats: ['Eicar-Test-Signature'] });
+        await stored.save();
+
+        await request(clientApp).get(`/api/documents/${document._id}/versions/1/download`).expect(410);
+    });
+});
@@ -0,0 +1,266 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const request = require('supertest');
+const { Application } = require('../models');
+const { storeFile } = require('../utils/fileStorage');
+const { detectFileType, validateFile, sanitizeFile } = require('../utils/fileValidation');
+const { scanFile } = require('../utils/scanning');
+const documentRoutes = require('../routes/document');
+const { buildApp, buildUser, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/fileStorage');
+jest.mock('../utils/notifications');
+jest.mock('../utils/scanning');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-validation-test-'));
+const writeTmp = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+afterAll(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const validate = (name, content) => validateFile(writeTmp(name, content));
+
+// ---- Builders for the formats under test ----
+
+const pdf = (...objects) => Buffer.concat([Buffer.from('%PDF-1.7\n'), ...objects.map(o => Buffer.from(o, 'latin1')), Buffer.from('%%EOF\n')]);
+const flateObject = (number, content) => Buffer.concat([
+    Buffer.from(`${number} 0 obj\n<< /Type /ObjStm /Filter /FlateDecode >>\nstream\n`),
+    zlib.deflateSync(Buffer.from(content)),
+    Buffer.from('\nendstream\nendobj\n')
+]).toString('latin1');
+
+// Zip with the given entries, deflated unless `stored` is set
+const zip = (entries, { stored = false } = {}) => {
+    const locals = [];
+    const central = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(entries)) {
+        const data = stored ? Buffer.from(content) : zlib.deflateRawSync(Buffer.from(content));
+        const nameBytes = Buffer.from(name);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(stored ? 0 : 8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt16LE(nameBytes.length, 26);
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(stored ? 0 : 8, 10);
+        header.writeUInt32LE(data.length, 20);
+        header.writeUInt16LE(nameBytes.length, 28);
+        header.writeUInt32LE(offset, 42);
+        locals.push(local, nameBytes, data);
+        central.push(header, nameBytes);
+        offset += local.length + nameBytes.length + data.length;
+    }
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(entries).length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, end]);
+};
+
+const CONTENT_TYPES = '<Types><Override ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>';
+const docx = (extra = {}, contentTypes = CONTENT_TYPES) => zip({ '[Content_Types].xml': contentTypes, 'word/document.xml': '<w:document/>', ...extra });
+
+// Version 3 compound file: header, one FAT sector and one directory sector holding the named entries
+const compoundFile = (names) => {
+    const buffer = Buffer.alloc(512 * 3, 0);
+    Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(buffer);
+    buffer.writeUInt16LE(3, 0x1a);
+    buffer.writeUInt16LE(0xfffe, 0x1c);
+    buffer.writeUInt16LE(9, 0x1e);
+    buffer.writeUInt32LE(1, 0x2c);
+    buffer.writeUInt32LE(1, 0x30);
+    buffer.writeUInt32LE(0xfffffffe, 0x44);
+    buffer.writeUInt32LE(0, 0x4c);
+    for (let i = 1; i < 109; i++) buffer.writeUInt32LE(0xffffffff, 0x4c + i * 4);
+    // FAT: sector 0 is the FAT itself, sector 1 the directory
+    buffer.writeUInt32LE(0xfffffffd, 512);
+    buffer.writeUInt32LE(0xfffffffe, 516);
+    ['Root Entry', ...names].slice(0, 4).forEach((name, i) => {
+        const entry = 1024 + i * 128;
+        buffer.write(name, entry, 'utf16le');
+        buffer.writeUInt16LE((name.length + 1) * 2, entry + 64);
+        buffer[entry + 66] = i === 0 ? 5 : 2;
+    });
+    return buffer;
+};
+
+const jpegSegment = (marker, content) => {
+    const header = Buffer.from([0xff, marker, 0, 0]);
+    header.writeUInt16BE(content.length + 2, 2);
+    return Buffer.concat([header, Buffer.from(content)]);
+};
+const pngChunk = (type, content) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(content.length);
+    return Buffer.concat([length, Buffer.from(type, 'latin1'), Buffer.from(content), Buffer.alloc(4)]);
+};
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+describe('detectFileType', () => {
+    it('identifies files by their leading bytes', () => {
+        expect(detectFileType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('jpeg');
+        expect(detectFileType(PNG_SIGNATURE)).toBe('png');
+        expect(detectFileType(pdf())).toBe('pdf');
+        expect(detectFileType(compoundFile([]))).toBe('doc');
+        expect(detectFileType(docx())).toBe('docx');
+        expect(detectFileType(Buffer.from('MZ\x90\x00 This program cannot be run in DOS mode'))).toBeNull();
+    });
+
+    it('allows only a byte order mark or whitespace before a PDF header', () => {
+        expect(detectFileType(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), pdf()]))).toBe('pdf');
+        expect(detectFileType(Buffer.concat([Buffer.from(' \r\n\t'), pdf()]))).toBe('pdf');
+        expect(detectFileType(Buffer.concat([Buffer.from('MZ\x90\x00'), pdf()]))).toBeNull();
+        expect(detectFileType(Buffer.concat([Buffer.from('\x7fELF\x02\x01\x01'), Buffer.alloc(16), pdf()]))).toBeNull();
+        expect(detectFileType(Buffer.from('Not a PDF: %PDF-1.7'))).toBeNull();
+    });
+});
+
+describe('validateFile', () => {
+    it('accepts a plain file of each type with its stored mime type', async () => {
+        await expect(validate('scan.pdf', pdf('1 0 obj\n<< /Type /Catalog >>\nendobj\n'))).resolves.toEqual({ isValid: true, fileType: 'pdf', mimeType: 'application/pdf' });
+        await expect(validate('letter.docx', docx())).resolves.toMatchObject({ isValid: true, fileType: 'docx' });
+        await expect(validate('letter.doc', compoundFile(['WordDocument']))).resolves.toMatchObject({ isValid: true, mimeType: 'application/msword' });
+        await expect(validate('photo.JPG', Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 2]))).resolves.toMatchObject({ isValid: true, fileType: 'jpeg' });
+    });
+
+    it.each([
+        ['a renamed executable', 'passport.pdf', Buffer.from('MZ\x90\x00 This program cannot be run in DOS mode'), 'FILE_TYPE_NOT_ALLOWED'],
+        ['an image named as a PDF', 'passport.pdf', Buffer.concat([PNG_SIGNATURE, Buffer.alloc(8)]), 'FILE_CONTENT_MISMATCH'],
+        ['an unsupported extension', 'passport.exe', pdf(), 'FILE_TYPE_NOT_ALLOWED'],
+        ['an empty file', 'passport.pdf', Buffer.alloc(0), 'FILE_EMPTY'],
+        ['a zip that is not a Word document', 'letter.docx', zip({ 'xl/workbook.xml': '<workbook/>', '[Content_Types].xml': CONTENT_TYPES }), 'FILE_CONTENT_MISMATCH'],
+        ['a compound file without a Word stream', 'letter.doc', compoundFile(['Workbook']), 'FILE_CONTENT_MISMATCH']
+    ])('rejects %s', async (label, name, content, reason) => {
+        const result = await validate(name, content);
+
+        expect(result).toMatchObject({ isValid: false, reason });
+        expect(result.error).toEqual(expect.any(String));
+    });
+
+    it('rejects files over 10MB without reading them', async () => {
+        const filePath = path.join(tmpDir, 'huge.pdf');
+        fs.writeFileSync(filePath, '%PDF-1.7');
+        fs.truncateSync(filePath, 10 * 1024 * 1024 + 1);
+
+        await expect(validateFile(filePath)).resolves.toMatchObject({ reason: 'FILE_TOO_LARGE' });
+    });
+
+    it('reports a file it cannot read', async () => {
+        await expect(validateFile(path.join(tmpDir, 'missing.pdf'))).resolves.toMatchObject({ reason: 'FILE_UNREADABLE' });
+    });
+
+    describe('PDF content', () => {
+        it.each([
+            ['embedded JavaScript', pdf('1 0 obj\n<< /S /JavaScript /JS (app.alert(1)) >>\nendobj\n'), 'PDF_JAVASCRIPT'],
+            ['escaped JavaScript names', pdf('1 0 obj\n<< /S /J#61vaScript >>\nendobj\n'), 'PDF_JAVASCRIPT'],
+            ['JavaScript in a compressed object stream', pdf(flateObject(1, '<< /OpenAction << /JS (app.alert(1)) >> >>')), 'PDF_JAVASCRIPT'],
+            ['JavaScript in a later compressed stream', pdf(flateObject(1, '<< /Type /Page >>'), flateObject(2, '<< /Type /Font >>'), flateObject(3, '<< /S /JavaScript >>')), 'PDF_JAVASCRIPT'],
+            ['a launch action', pdf('1 0 obj\n<< /S /Launch /F (cmd.exe) >>\nendobj\n'), 'PDF_LAUNCH_ACTION'],
+            ['encryption', pdf('trailer\n<< /Encrypt 5 0 R >>\n'), 'PDF_ENCRYPTED']
+        ])('rejects %s', async (label, content, reason) => {
+            await expect(validate('statement.pdf', content)).resolves.toMatchObject({ isValid: false, reason });
+        });
+
+        it('does not mistake longer names for the ones it looks for', async () => {
+            const content = pdf('1 0 obj\n<< /JSONData 1 /EncryptMetadata false /LaunchDate (2030) >>\nendobj\n');
+
+            await expect(validate('statement.pdf', content)).resolves.toMatchObject({ isValid: true });
+        });
+    });
+
+    describe('Office content', () => {
+        it.each([
+            ['a VBA project', docx({ 'word/vbaProject.bin': 'macro' })],
+            ['a macro-enabled content type', docx({}, '<Types><Override ContentType="application/vnd.ms-word.document.macroEnabled.main+xml"/></Types>')],
+            ['a stored (uncompressed) macro-enabled package', zip({ '[Content_Types].xml': 'macroEnabled', 'word/document.xml': '<w:document/>' }, { stored: true })]
+        ])('rejects a .docx with %s', async (label, content) => {
+            await expect(validate('letter.docx', content)).resolves.toMatchObject({ isValid: false, reason: 'DOCUMENT_MACROS' });
+        });
+
+        it('rejects a .doc with a macros storage', async () => {
+            await expect(validate('letter.doc', compoundFile(['WordDocument', 'Macros']))).resolves.toMatchObject({ isValid: false, reason: 'DOCUMENT_MACROS' });
+        });
+    });
+});
+
+describe('sanitizeFile', () => {
+    it('strips EXIF, IPTC and comments from a JPEG and keeps the image', async () => {
+        const scan = Buffer.from([0xff, 0xda, 0, 2, 1, 2, 3, 0xff, 0xd9]);
+        const jfif = jpegSegment(0xe0, 'JFIF\0');
+        const table = jpegSegment(0xdb, 'quant');
+        const filePath = writeTmp('photo.jpg', Buffer.concat([
+            Buffer.from([0xff, 0xd8]), jfif, jpegSegment(0xe1, 'Exif\0\0GPS-41.28,174.77'), jpegSegment(0xed, 'Photoshop IPTC'), jpegSegment(0xfe, 'comment'), table, scan
+        ]));
+
+        await expect(sanitizeFile(filePath, 'jpeg')).resolves.toBe(true);
+
+        expect(fs.readFileSync(filePath).equals(Buffer.concat([Buffer.from([0xff, 0xd8]), jfif, table, scan]))).toBe(true);
+        await expect(sanitizeFile(filePath, 'jpeg')).resolves.toBe(false);
+    });
+
+    it('strips text, EXIF and time chunks from a PNG', async () => {
+        const kept = [pngChunk('IHDR', Buffer.alloc(13)), pngChunk('IDAT', 'pixels'), pngChunk('IEND', '')];
+        const filePath = writeTmp('photo.png', Buffer.concat([
+            PNG_SIGNATURE, kept[0], pngChunk('eXIf', 'gps'), pngChunk('tEXt', 'Author\0me'), pngChunk('tIME', '1234567'), kept[1], kept[2]
+        ]));
+
+        await expect(sanitizeFile(filePath, 'png')).resolves.toBe(true);
+
+        expect(fs.readFileSync(filePath).equals(Buffer.concat([PNG_SIGNATURE, ...kept]))).toBe(true);
+    });
+
+    it('leaves other types alone', async () => {
+        const filePath = writeTmp('scan.pdf', pdf());
+
+        await expect(sanitizeFile(filePath, 'pdf')).resolves.toBe(false);
+    });
+});
+
+describe('Upload validation', () => {
+    useDefaultRoles();
+    const applications = useMemoryModel(Application);
+    const client = buildUser('client');
+    let application;
+
+    beforeEach(() => {
+        application = applications.insert({ clientId: client._id, visaType: 'work' });
+    });
+
+    const upload = (name, content) => request(buildApp('/api/documents', documentRoutes, client))
+        .post('/api/documents/upload')
+        .field('applicationId', String(application._id))
+        .field('documentType', 'passport')
+        .attach('document', content, name);
+
+    it('returns the specific reason to the client and stores nothing', async () => {
+        const res = await upload('passport.pdf', pdf('1 0 obj\n<< /S /JavaScript >>\nendobj\n')).expect(400);
+
+        expect(res.body).toMatchObject({ success: false, reason: 'PDF_JAVASCRIPT', message: 'PDF contains embedded JavaScript, which is not allowed' });
+        expect(scanFile).not.toHaveBeenCalled();
+        expect(storeFile).not.toHaveBeenCalled();
+    });
+
+    it('refuses an executable with a PDF header after its own', async () => {
+        const res = await upload('passport.pdf', Buffer.concat([Buffer.from('MZ\x90\x00'), pdf()])).expect(400);
+
+        expect(res.body.reason).toBe('FILE_TYPE_NOT_ALLOWED');
+        expect(storeFile).not.toHaveBeenCalled();
+    });
+
+    it('refuses a renamed executable', async () => {
+        const res = await upload('passport.pdf', Buffer.from('MZ\x90\x00 This program cannot be run in DOS mode')).expect(400);
+
+        expect(res.body.reason).toBe('FILE_TYPE_NOT_ALLOWED');
+    });
+});
@@ -0,0 +1,100 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { AuditLog, RolePermission } = require('../models');
+const { invalidateRolePermissions } = require('../utils/permissions');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildUser = (role, fields = {}) => ({
+    _id: objectId(),
+    role,
+    email: `${role}@migrantifly.test`,
+    isActive: true,
+    isEmailVerified: true,
+    profile: { firstName: 'Test', lastName: role },
+    ...fields
+});
+
+// Replacement for middleware/auth: the signed-in user is set on app.locals
+const mockAuthModule = () => ({
+    ...jest.requireActual('../middleware/auth'),
+    auth: (req, res, next) => {
+        req.user = req.app.locals.user;
+        req.authSession = req.app.locals.session;
+        next();
+    }
+});
+
+/**
+ * Express app with one router mounted, signed in as the given user.
+ * Use with jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule()).
+ */
+const buildApp = (path, router, user) => {
+    const app = express();
+    app.use(express.json());
+    app.locals.user = user;
+    app.locals.session = { _id: objectId(), userId: user?._id, twoFactorVerified: true };
+    app.use(path, router);
+    return app;
+};
+
+// Built-in role mappings and a silent audit log, reset for every test
+const useDefaultRoles = () => {
+    beforeEach(() => {
+        invalidateRolePermissions();
+        jest.spyOn(RolePermission, 'findOne').mockResolvedValue(null);
+        jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+};
+
+// Error as thrown by the driver for a unique index violation
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+/**
+ * Hold each Model.findOne() result until `count` calls have loaded, so the
+ * requests making them go on to write at the same time. Requests sent through
+ * supertest otherwise run one after another.
+ */
+const loadTogether = (Model, count) => {
+    const load = Model.findOne.getMockImplementation();
+    let loaded = 0;
+    let release;
+    const allLoaded = new Promise(resolve => { release = resolve; });
+    Model.findOne.mockImplementation((...args) => load(...args).then(async (doc) => {
+        if (++loaded === count) release();
+        await allLoaded;
+        return doc;
+    }));
+};
+
+// Set environment variables for each test in the enclosing block, restoring them afterwards
+const withEnv = (values) => {
+    const previous = {};
+    beforeEach(() => {
+        Object.entries(values).forEach(([key, value]) => {
+            previous[key] = process.env[key];
+            process.env[key] = value;
+        });
+    });
+    afterEach(() => {
+        Object.entries(previous).forEach(([key, value]) => {
+            if (value === undefined) delete process.env[key];
+            else process.env[key] = value;
+        });
+    });
+};
+
+module.exports = {
+    objectId,
+    buildUser,
+    mockAuthModule,
+    buildApp,
+    useDefaultRoles,
+    duplicateKeyError,
+    loadTogether,
+    withEnv
+};
@@ -0,0 +1,175 @@
+const fs = require('fs').promises;
+const { Counter, Payment, User } = require('../models');
+const { storeFile } = require('../utils/fileStorage');
+const { INVOICE_CONFIG } = require('../constants/invoicing');
+const { issueInvoice, issueCreditNote, renderInvoicePdf } = require('../utils/invoiceGenerator');
+const { objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../utils/fileStorage');
+
+useDefaultRoles();
+
+const payments = useMemoryModel(Payment, { unique: [['invoiceNumber']] });
+const counters = useMemoryModel(Counter);
+
+const STALE = new Date(Date.now() - 10 * 60 * 1000);
+
+const seedPayment = (fields = {}) => payments.insert({
+    clientId: objectId(),
+    type: 'deposit',
+    amount: 115,
+    currency: 'NZD',
+    status: 'completed',
+    ...fields
+});
+
+beforeEach(() => {
+    // PDFs are rendered but never written to disk
+    jest.spyOn(fs, 'mkdir').mockResolvedValue();
+    jest.spyOn(fs, 'writeFile').mockResolvedValue();
+    jest.spyOn(fs, 'unlink').mockResolvedValue();
+    storeFile.mockImplementation(async (filepath, { folder, filename }) => ({ key: `${folder}/${filename}` }));
+    jest.spyOn(User, 'findById').mockResolvedValue({
+        email: 'client@example.com',
+        profile: { firstName: 'Aroha', lastName: 'Smith', address: { city: 'Auckland', country: 'New Zealand' } }
+    });
+});
+
+describe('issueInvoice', () => {
+    it('numbers concurrently issued invoices without gaps or repeats', async () => {
+        const entries = [seedPayment(), seedPayment(), seedPayment(), seedPayment()];
+
+        const invoiced = await Promise.all(entries.map(entry => issueInvoice(entry)));
+
+        expect(invoiced.map(entry => entry.invoiceNumber).sort()).toEqual(['INV-000001', 'INV-000002', 'INV-000003', 'INV-000004']);
+        expect(counters.get('invoice:INV')).toMatchObject({ seq: 4 });
+        expect(counters.get('invoice:INV').holder).toBeUndefined();
+    });
+
+    it('issues one number when the same payment is invoiced twice at once', async () => {
+        const payment = seedPayment();
+
+        await Promise.all([issueInvoice(payment), issueInvoice(payment)]);
+
+        expect(payments.get(payment._id).invoiceNumber).toBe('INV-000001');
+        expect(counters.get('invoice:INV').seq).toBe(1);
+    });
+
+    it('snapshots the invoice with the tax included in the amount', async () => {
+        const invoiced = await issueInvoice(seedPayment());
+
+        expect(invoiced.invoice).toMatchObject({
+            total: 115,
+            subtotal: 100,
+            taxAmount: 15,
+            billTo: { name: 'Aroha Smith', email: 'client@example.com', address: ['Auckland', 'New Zealand'] }
+        });
+        expect(invoiced.invoiceKey).toBe('invoices/INV-000001.pdf');
+        // Served by the invoice route, whichever provider stores the PDF
+        expect(invoiced.invoiceUrl).toBe(`http://localhost:5000/api/payments/${invoiced._id}/invoice`);
+        expect(payments.get(invoiced._id).invoiceUrl).toBe(invoiced.invoiceUrl);
+    });
+
+    it('renders the footer and dates as they were when the invoice was issued', async () => {
+        const invoiced = await issueInvoice(seedPayment({ dueDate: new Date('2026-03-31T12:00:00Z') }));
+        const issued = await renderInvoicePdf(payments.get(invoiced._id));
+
+        const { footer, timezone } = INVOICE_CONFIG;
+        INVOICE_CONFIG.footer = 'A different footer';
+        INVOICE_CONFIG.timezone = 'America/Los_Angeles';
+        try {
+            const rendered = await renderInvoicePdf(payments.get(invoiced._id));
+            expect(rendered.equals(issued)).toBe(true);
+        } finally {
+            INVOICE_CONFIG.footer = footer;
+            INVOICE_CONFIG.timezone = timezone;
+        }
+        expect(invoiced.invoice).toMatchObject({ footer, timezone });
+    });
+
+    it('renders invoices issued before the footer and time zone were recorded', async () => {
+        const invoiced = await issueInvoice(seedPayment());
+        await Payment.updateOne({ _id: invoiced._id }, { $unset: { 'invoice.footer': '', 'invoice.timezone': '' } });
+
+        const rendered = await renderInvoicePdf(payments.get(invoiced._id));
+
+        expect(rendered.equals(await renderInvoicePdf(invoiced))).toBe(true);
+    });
+
+    it('reuses the number held by a caller that crashed before saving it', async () => {
+        const payment = seedPayment({ invoice: { issuedAt: STALE } });
+        counters.insert({ _id: 'invoice:INV', seq: 5, holder: String(payment._id), heldAt: STALE });
+
+        const invoiced = await issueInvoice(payment);
+
+        expect(invoiced.invoiceNumber).toBe('INV-000005');
+        expect(counters.get('invoice:INV')).toMatchObject({ seq: 5 });
+        expect(counters.get('invoice:INV').holder).toBeUndefined();
+    });
+
+    it('takes over a stale hold whose number was never saved', async () => {
+        counters.insert({ _id: 'invoice:INV', seq: 7, holder: String(objectId()), heldAt: STALE });
+
+        await expect(issueInvoice(seedPayment())).resolves.toMatchObject({ invoiceNumber: 'INV-000007' });
+    });
+
+    it('releases a stale hold whose number was saved and moves on', async () => {
+        const saved = seedPayment({ invoiceNumber: 'INV-000007', invoice: { issuedAt: STALE, total: 115 } });
+        counters.insert({ _id: 'invoice:INV', seq: 7, holder: String(saved._id), heldAt: STALE });
+
+        await expect(issueInvoice(seedPayment())).resolves.toMatchObject({ invoiceNumber: 'INV-000008' });
+    });
+
+    it('waits for a live hold to be released', async () => {
+        counters.insert({ _id: 'invoice:INV', seq: 2, holder: String(objectId()), heldAt: new Date() });
+        setTimeout(() => Counter.updateOne({ _id: 'invoice:INV' }, { $unset: { holder: 1, heldAt: 1 } }), 150);
+
+        await expect(issueInvoice(seedPayment())).resolves.toMatchObject({ invoiceNumber: 'INV-000003' });
+    });
+
+    it('leaves an entry claimed by a live caller to that caller', async () => {
+        const payment = seedPayment({ invoice: { issuedAt: new Date() } });
+
+        const result = await issueInvoice(payment);
+
+        expect(result.invoiceNumber).toBeUndefined();
+        expect(counters.docs()).toHaveLength(0);
+    });
+
+    it('releases the number when it turns out to be taken', async () => {
+        seedPayment({ invoiceNumber: 'INV-000001', invoice: { issuedAt: STALE, total: 115 } });
+        const payment = seedPayment();
+
+        await expect(issueInvoice(payment)).rejects.toMatchObject({ code: 11000 });
+        expect(counters.get('invoice:INV').holder).toBeUndefined();
+
+        // The claim is retried once it is stale and gets the next free number
+        await Payment.updateOne({ _id: payment._id }, { $set: { 'invoice.issuedAt': STALE } });
+        await expect(issueInvoice(payments.get(payment._id))).resolves.toMatchObject({ invoiceNumber: 'INV-000002' });
+    });
+
+    it('keeps the number of an entry invoiced before numbering was sequential', async () => {
+        const legacy = seedPayment({ invoiceNumber: 'INV-1700000000000-AB12' });
+
+        const invoiced = await issueInvoice(legacy);
+
+        expect(invoiced.invoiceNumber).toBe('INV-1700000000000-AB12');
+        expect(invoiced.invoice.total).toBe(115);
+        expect(counters.docs()).toHaveLength(0);
+    });
+});
+
+describe('issueCreditNote', () => {
+    it('numbers credit notes in their own series and references the invoice', async () => {
+        const payment = seedPayment();
+        const refund = seedPayment({ type: 'refund', refundOf: payment._id, amount: 23 });
+
+        const credit = await issueCreditNote(refund, payment);
+
+        expect(credit.invoiceNumber).toBe('CN-000001');
+        expect(credit.invoice).toMatchObject({ originalInvoiceNumber: 'INV-000001', total: 23 });
+        expect(credit.invoice.lines[0].description).toBe('Refund: Immigration Service Deposit');
+        expect(payments.get(payment._id).invoiceNumber).toBe('INV-000001');
+    });
+});
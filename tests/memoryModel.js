@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const { duplicateKeyError } = require('./helpers');
+
+// An in-memory stand-in for a model's collection. It covers the query and
+// update operators the app uses; anything else throws, so a test cannot pass
+// by silently ignoring part of a filter.
+
+// Mongoose's save() version checks: match the loaded version, then increment it
+const VERSION_WHERE = 1;
+const VERSION_INC = 2;
+
+const isObjectId = (value) => Boolean(value && value._bsontype === 'ObjectId');
+const isOperatorObject = (value) => value !== null && typeof value === 'object'
+    && !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value)
+    && Object.keys(value).some(key => key.startsWith('$'));
+
+// Deep copy that keeps ObjectIds (immutable) and Dates intact
+const clone = (value) => {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value);
+    if (value === null || typeof value !== 'object' || isObjectId(value)) return value;
+    if (Buffer.isBuffer(value)) return Buffer.from(value);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+};
+
+// Named keys reach into array elements, as 'deadlines._id' does in a query
+const getPath = (obj, path) => path.split('.').reduce((value, key) => {
+    if (value == null) return undefined;
+    if (Array.isArray(value) && !/^\d+$/.test(key)) return value.flatMap(item => (item == null ? [] : [item[key]]));
+    return value[key];
+}, obj);
+
+const setPath = (obj, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => {
+        if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+        return node[key];
+    }, obj);
+    parent[last] = value;
+};
+
+const unsetPath = (obj, path) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = getPath(obj, keys.join('.')) ?? (keys.length === 0 ? obj : undefined);
+    if (parent) delete parent[last];
+};
+
+const scalar = (value) => (value instanceof Date ? value.getTime() : isObjectId(value) ? String(value) : value);
+
+const equals = (value, expected) => {
+    if (Array.isArray(value) && !Array.isArray(expected)) return value.some(item => equals(item, expected));
+    if (expected === null) return value === null || value === undefined;
+    if (expected instanceof RegExp) return typeof value === 'string' && expected.test(value);
+    return scalar(value) === scalar(expected) || String(scalar(value)) === String(scalar(expected));
+};
+
+const compare = (value, expected, test) => value !== undefined && value !== null && test(scalar(value), scalar(expected));
+
+const matchesValue = (value, condition) => {
+    if (!isOperatorObject(condition)) return equals(value, condition);
+
+    return Object.entries(condition).every(([operator, argument]) => {
+        switch (operator) {
+            case '$in': return argument.some(item => equals(value, item));
+            case '$nin': return !argument.some(item => equals(value, item));
+            case '$ne': return !equals(value, argument);
+            case '$exists': return (value !== undefined && value !== null) === Boolean(argument);
+            case '$gt': return compare(value, argument, (a, b) => a > b);
+            case '$gte': return compare(value, argument, (a, b) => a >= b);
+            case '$lt': return compare(value, argument, (a, b) => a < b);
+            case '$lte': return compare(value, argument, (a, b) => a <= b);
+            case '$not': return !matchesValue(value, argument);
+            case '$elemMatch': return Array.isArray(value) && value.some(item => matchesElement(item, argument));
+            default: throw new Error(`memoryModel does not support ${operator}`);
+        }
+    });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(branch => matches(doc, branch));
+    if (key === '$and') return condition.every(branch => matches(doc, branch));
+    return matchesValue(getPath(doc, key), condition);
+});
+
+// Array elements are matched as values against operator conditions, otherwise as subdocuments
+const isValueCondition = (condition) => isOperatorObject(condition)
+    && Object.keys(condition).every(key => key.startsWith('$') && key !== '$or' && key !== '$and');
+const matchesElement = (item, condition) => (isValueCondition(condition) || item === null || typeof item !== 'object'
+    ? matchesValue(item, condition)
+    : matches(item, condition));
+
+// Index of the element the filter matched in the array at `path`, for positional `$` updates
+const positionOf = (doc, filter, path) => {
+    const list = getPath(doc, path) || [];
+    for (const [key, condition] of Object.entries(filter)) {
+        if (key === '$and') {
+            const found = condition.map(branch => positionOf(doc, branch, path)).find(index => index >= 0);
+            if (found !== undefined) return found;
+        } else if (key === path && condition?.$elemMatch) {
+            return list.findIndex(item => matchesElement(item, condition.$elemMatch));
+        } else if (key.startsWith(`${path}.`)) {
+            const rest = key.slice(path.length + 1);
+            return list.findIndex(item => matchesValue(getPath(item, rest), condition));
+        }
+    }
+    throw new Error(`memoryModel cannot resolve the positional operator for ${path}`);
+};
+
+const applyUpdate = (doc, update, { inserting = false, filter = {} } = {}) => {
+    if (Array.isArray(update)) throw new Error('memoryModel does not support pipeline updates');
+
+    // Positions come from the document as matched, before any of the update applies
+    const matched = clone(doc);
+    const resolve = (path) => path.replace(/^(.+?)\.\$(?=\.|$)/, (match, arrayPath) => `${arrayPath}.${positionOf(matched, filter, arrayPath)}`);
+
+    for (const [key, value] of Object.entries(update)) {
+        if (!key.startsWith('$')) {
+            setPath(doc, key, value);
+            continue;
+        }
+        for (const [target, argument] of Object.entries(value)) {
+            const path = resolve(target);
+            switch (key) {
+                case '$set': setPath(doc, path, argument); break;
+                case '$setOnInsert': if (inserting) setPath(doc, path, argument); break;
+                case '$unset': unsetPath(doc, path); break;
+                case '$inc': setPath(doc, path, (getPath(doc, path) || 0) + argument); break;
+                case '$push': {
+                    const items = argument?.$each ? argument.$each : [argument];
+                    const list = [...(getPath(doc, path) || []), ...items];
+                    setPath(doc, path, argument?.$slice < 0 ? list.slice(argument.$slice) : list);
+                    break;
+                }
+                case '$pull': setPath(doc, path, (getPath(doc, path) || []).filter(item => !matchesElement(item, argument))); break;
+                default: throw new Error(`memoryModel does not support ${key}`);
+            }
+        }
+    }
+    return doc;
+};
+
+const sortDocs = (docs, spec) => {
+    if (!spec) return docs;
+    const entries = Object.entries(spec);
+    return [...docs].sort((a, b) => {
+        for (const [path, direction] of entries) {
+            const [x, y] = [scalar(getPath(a, path)), scalar(getPath(b, path))];
+            if (x === y) continue;
+            if (x === undefined) return -direction;
+            if (y === undefined) return direction;
+            return x < y ? -direction : direction;
+        }
+        return 0;
+    });
+};
+
+// Apply a select() projection, e.g. 'email profile' or '-content -signature.image'
+const project = (doc, spec) => {
+    if (!doc || !spec) return doc;
+    const fields = (typeof spec === 'string'
+        ? spec.split(/\s+/).filter(Boolean).map(field => (field.startsWith('-') ? [field.slice(1), 0] : [field, 1]))
+        : Object.entries(spec)
+    ).filter(([field]) => !field.startsWith('+'));
+
+    const included = fields.filter(([, value]) => value).map(([field]) => field);
+    if (included.length === 0) {
+        const projected = clone(doc);
+        fields.forEach(([field]) => unsetPath(projected, field));
+        return projected;
+    }
+    const projected = { _id: doc._id };
+    included.forEach(field => {
+        const value = getPath(doc, field);
+        if (value !== undefined) setPath(projected, field, clone(value));
+    });
+    return projected;
+};
+
+// In-memory collections by model name, so populate() can follow refs between them
+const collections = new Map();
+
+// Replace single refs with their documents; refs to models not kept in memory stay ids
+const populate = (Model, doc, { path, select }) => {
+    const ref = Model.schema.path(path)?.options?.ref;
+    const collection = collections.get(typeof ref === 'string' ? ref : ref?.modelName);
+    const id = doc.get(path);
+    if (!collection || !id || Array.isArray(id)) return;
+
+    const found = collection.store.get(String(id._id || id));
+    doc.set(path, found ? collection.Model.hydrate(clone(project(found, select))) : null);
+};
+
+// Thenable query supporting the chain calls the app makes
+const query = (Model, run) => {
+    const options = { populate: [] };
+    let running;
+    // Runs once, however often the query is awaited
+    const exec = () => {
+        running = running || run(options).then(result => {
+            [].concat(result).filter(Boolean).forEach(doc => options.populate.forEach(spec => populate(Model, doc, spec)));
+            return result;
+        });
+        return running;
+    };
+    const chain = {
+        select: (spec) => { options.select = spec; return chain; },
+        populate: (path, select) => {
+            options.populate.push(typeof path === 'string' ? { path, select } : path);
+            return chain;
+        },
+        lean: () => chain,
+        session: () => chain,
+        sort: (spec) => { options.sort = spec; return chain; },
+        limit: (count) => { options.limit = count; return chain; },
+        skip: (count) => { options.skip = count; return chain; },
+        cursor: () => ({
+            async* [Symbol.asyncIterator]() {
+                yield* await exec();
+            }
+        }),
+        exec,
+        then: (resolve, reject) => exec().then(resolve, reject),
+        catch: (reject) => exec().catch(reject)
+    };
+    return chain;
+};
+
+/**
+ * Back a model's statics and save() with an in-memory collection for each test.
+ * Writes yield once before they match, so concurrent callers interleave as
+ * they would against the database.
+ * @param {Object} Model - Mongoose model
+ * @param {Object} [options]
+ * @param {Array<string[]|Object>} [options.unique] - Unique sparse indexes, as lists of paths
+ *   or { paths, partial } where partial is the index's partialFilterExpression
+ * @returns {{ docs: Function, get: Function, insert: Function }}
+ */
+const useMemoryModel = (Model, { unique = [] } = {}) => {
+    const store = new Map();
+    collections.set(Model.modelName, { Model, store });
+
+    const hydrate = (doc) => (doc ? Model.hydrate(clone(doc)) : null);
+
+    const assertUnique = (doc) => {
+        for (const index of unique) {
+            const { paths, partial } = Array.isArray(index) ? { paths: index } : index;
+            if (partial && !matches(doc, partial)) continue;
+            const values = paths.map(path => getPath(doc, path));
+            if (values.some(value => value === undefined || value === null)) continue;
+
+            const clash = [...store.values()].some(other => String(other._id) !== String(doc._id)
+                && (!partial || matches(other, partial))
+                && paths.every((path, i) => {
+                    const otherValue = getPath(other, path);
+                    return Array.isArray(values[i])
+                        ? values[i].some(item => equals(otherValue, item))
+                        : otherValue !== undefined && equals(otherValue, values[i]);
+                }));
+            if (clash) throw duplicateKeyError();
+        }
+    };
+
+    const write = (doc) => {
+        assertUnique(doc);
+        store.set(String(doc._id), doc);
+    };
+
+    // New documents also collide on _id, as an upsert racing an existing one does
+    const writeNew = (doc) => {
+        if (store.has(String(doc._id))) throw duplicateKeyError();
+        write(doc);
+    };
+
+    const versionKey = Model.schema.options.versionKey;
+
+    // New documents start at version 0, as Mongoose inserts them
+    const toPlain = (data) => {
+        const doc = new Model(data).toObject({ depopulate: true });
+        if (versionKey && doc[versionKey] === undefined) doc[versionKey] = 0;
+        return doc;
+    };
+
+    const findAll = (filter, { sort, skip = 0, limit } = {}) => {
+        const found = sortDocs([...store.values()].filter(doc => matches(doc, filter)), sort).slice(skip);
+        return limit ? found.slice(0, limit) : found;
+    };
+
+    const modifyOne = async (filter, update, { upsert = false } = {}) => {
+        await null;
+        const [current] = findAll(filter);
+        if (!current) {
+            if (!upsert) return { before: null, after: null };
+            const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value)));
+            const inserted = toPlain(applyUpdate(clone(seed), update, { inserting: true }));
+            writeNew(inserted);
+            return { before: null, after: inserted, upserted: true };
+        }
+        const next = applyUpdate(clone(current), update, { filter });
+        write(next);
+        return { before: current, after: next };
+    };
+
+    beforeEach(() => {
+        store.clear();
+
+        jest.spyOn(Model, 'find').mockImplementation((filter) => query(Model, async (options) => findAll(filter, options)
+            .map(doc => hydrate(project(doc, options.select)))));
+        jest.spyOn(Model, 'findOne').mockImplementation((filter) => query(Model, async (options) => hydrate(project(findAll(filter, options)[0], options.select))));
+        jest.spyOn(Model, 'findById').mockImplementation((id) => query(Model, async (options) => hydrate(project(store.get(String(id)), options.select))));
+        jest.spyOn(Model, 'exists').mockImplementation(async (filter) => {
+            const [found] = findAll(filter);
+            return found ? { _id: found._id } : null;
+        });
+        jest.spyOn(Model, 'countDocuments').mockImplementation(async (filter) => findAll(filter).length);
+        jest.spyOn(Model, 'distinct').mockImplementation(async (path, filter) => [...new Set(findAll(filter).map(doc => getPath(doc, path)))]);
+
+        jest.spyOn(Model, 'create').mockImplementation(async (data) => {
+            await null;
+            if (Array.isArray(data)) return Promise.all(data.map(item => Model.create(item)));
+            await new Model(data).validate();
+            const doc = toPlain(data);
+            writeNew(doc);
+            return hydrate(doc);
+        });
+        jest.spyOn(Model.prototype, 'save').mockImplementation(async function() {
+            await this.validate();
+            await null;
+            const plain = this.toObject({ depopulate: true });
+            if (this.isNew) {
+                if (versionKey) this.$__setValue(versionKey, plain[versionKey] = 0);
+                writeNew(plain);
+            } else {
+                // Like Mongoose, only the paths changed on this copy are written
+                const current = store.get(String(this._id));
+                if (!current) throw new mongoose.Error.DocumentNotFoundError({ _id: this._id }, Model.modelName);
+
+                // Saves that rely on array positions, or call increment(), are checked against the stored version
+                this.$__delta();
+                const versioning = (versionKey && this.$__.version) || 0;
+                this.$__.version = undefined;
+                const loadedVersion = versionKey && this.get(versionKey);
+                if (versioning & VERSION_WHERE && loadedVersion != null && current[versionKey] !== loadedVersion) {
+                    throw new mongoose.Error.VersionError(this, loadedVersion, this.modifiedPaths());
+                }
+
+                const next = clone(current);
+                this.directModifiedPaths().forEach(path => {
+                    const value = getPath(plain, path);
+                    if (value === undefined) unsetPath(next, path);
+                    else setPath(next, path, clone(value));
+                });
+                if (versioning & VERSION_INC) {
+                    next[versionKey] = (current[versionKey] || 0) + 1;
+                    this.$__setValue(versionKey, (loadedVersion || 0) + 1);
+                }
+                write(next);
+            }
+            this.isNew = false;
+            this.$__reset();
+            return this;
+        });
+
+        jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((filter, update, options = {}) => query(Model, async (chained) => {
+            const { before, after } = await modifyOne(filter, update, options);
+            return hydrate(project(options.new ? after : before, chained.select));
+        }));
+        jest.spyOn(Model, 'findByIdAndUpdate').mockImplementation((id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+        jest.spyOn(Model, 'updateOne').mockImplementation(async (filter, update, options = {}) => {
+            const { after, upserted } = await modifyOne(filter, update, options);
+            return { matchedCount: after && !upserted ? 1 : 0, modifiedCount: after && !upserted ? 1 : 0, upsertedCount: upserted ? 1 : 0 };
+        });
+        jest.spyOn(Model, 'updateMany').mockImplementation(async (filter, update) => {
+            await null;
+            const found = findAll(filter);
+            found.forEach(doc => write(applyUpdate(clone(doc), update)));
+            return { matchedCount: found.length, modifiedCount: found.length };
+        });
+        jest.spyOn(Model, 'deleteOne').mockImplementation(async (filter) => {
+            const [found] = findAll(filter);
+            if (found) store.delete(String(found._id));
+            return { deletedCount: found ? 1 : 0 };
+        });
+        jest.spyOn(Model, 'deleteMany').mockImplementation(async (filter) => {
+            const found = findAll(filter);
+            found.forEach(doc => store.delete(String(doc._id)));
+            return { deletedCount: found.length };
+        });
+    });
+
+    return {
+        docs: (filter) => findAll(filter).map(hydrate),
+        get: (id) => hydrate(store.get(String(id))),
+        // Seed a document directly, skipping the spies
+        insert: (data) => {
+            const doc = toPlain(data);
+            writeNew(doc);
+            return hydrate(doc);
+        }
+    };
+};
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.MESSAGING_LOG_FILE = path.join(os.tmpdir(), `migrantifly-messages-${process.pid}.log`);
+
+const request = require('supertest');
+const { Notification, User } = require('../models');
+const { sendMessage, recordDeliveryStatus, getMessagingProvider } = require('../utils/messaging');
+const logProvider = require('../utils/messaging/logProvider');
+const twilioProvider = require('../utils/messaging/twilioProvider');
+const { normalizePhone, maskPhone, startPhoneVerification, confirmPhoneVerification } = require('../utils/phone');
+const messagingRoutes = require('../routes/messaging');
+const { buildApp, buildUser, useDefaultRoles, withEnv } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+useDefaultRoles();
+
+const notifications = useMemoryModel(Notification);
+const users = useMemoryModel(User);
+
+const TWILIO_ENV = {
+    TWILIO_ACCOUNT_SID: 'AC123',
+    TWILIO_AUTH_TOKEN: 'twilio-token',
+    TWILIO_FROM_NUMBER: '+6498880000',
+    TWILIO_WHATSAPP_FROM: '+6498880001'
+};
+
+const twilioSignature = (url, params) => crypto
+    .createHmac('sha1', TWILIO_ENV.TWILIO_AUTH_TOKEN)
+    .update(Object.keys(params).sort().reduce((acc, key) => acc + key + params[key], url))
+    .digest('base64');
+
+afterAll(() => fs.rmSync(process.env.MESSAGING_LOG_FILE, { force: true }));
+
+describe('log provider', () => {
+    it('appends messages to the log file instead of sending them', async () => {
+        const result = await sendMessage({ to: '+64211234567', body: 'Hello', channel: 'whatsapp' });
+
+        expect(result).toMatchObject({ provider: 'log', status: 'sent', providerMessageId: expect.stringMatching(/^log_/) });
+        const lines = fs.readFileSync(process.env.MESSAGING_LOG_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines.pop()).toMatchObject({ providerMessageId: result.providerMessageId, to: '+64211234567', channel: 'whatsapp', body: 'Hello' });
+    });
+
+    describe('with an unknown provider', () => {
+        withEnv({ MESSAGING_PROVIDER: 'carrier-pigeon' });
+
+        it('refuses to send', async () => {
+            await expect(sendMessage({ to: '+64211234567', body: 'Hello' })).rejects.toThrow('Unknown messaging provider: carrier-pigeon');
+        });
+    });
+});
+
+describe('twilio provider', () => {
+    withEnv({ ...TWILIO_ENV, MESSAGING_PROVIDER: 'twilio', PUBLIC_BASE_URL: 'https://api.migrantifly.test/' });
+
+    const twilioResponse = (status, body) => ({ ok: status < 300, status, json: async () => body });
+
+    it('sends WhatsApp messages from the WhatsApp sender with a status callback', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(twilioResponse(201, { sid: 'SM1', status: 'accepted' }));
+
+        await expect(sendMessage({ to: '+64211234567', body: 'Hello', channel: 'whatsapp' }))
+            .resolves.toEqual({ provider: 'twilio', providerMessageId: 'SM1', status: 'queued' });
+
+        const [url, { body, headers }] = fetch.mock.calls[0];
+        expect(url).toBe('https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json');
+        expect(headers.Authorization).toBe(`Basic ${Buffer.from('AC123:twilio-token').toString('base64')}`);
+        expect(Object.fromEntries(body)).toEqual({
+            To: 'whatsapp:+64211234567',
+            From: 'whatsapp:+6498880001',
+            Body: 'Hello',
+            StatusCallback: 'https://api.migrantifly.test/api/messaging/status'
+        });
+    });
+
+    it('reports Twilio\'s error message', async () => {
+        jest.spyOn(global, 'fetch').mockResolvedValue(twilioResponse(400, { message: 'The To number is not a valid phone number' }));
+
+        await expect(sendMessage({ to: '+64211234567', body: 'Hello' })).rejects.toThrow('The To number is not a valid phone number');
+    });
+
+    it('refuses a channel without a sender', async () => {
+        delete process.env.TWILIO_WHATSAPP_FROM;
+        jest.spyOn(global, 'fetch');
+
+        await expect(sendMessage({ to: '+64211234567', body: 'Hello', channel: 'whatsapp' })).rejects.toThrow('Twilio is not configured for whatsapp');
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('accepts only callbacks signed with the auth token', () => {
+        const url = 'https://api.migrantifly.test/api/messaging/status';
+        const body = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+        const callback = (signature) => ({ body, get: () => signature });
+
+        expect(twilioProvider.verifyCallback(callback(twilioSignature(url, body)), url)).toBe(true);
+        expect(twilioProvider.verifyCallback(callback(twilioSignature(url, { ...body, MessageStatus: 'failed' })), url)).toBe(false);
+        expect(twilioProvider.verifyCallback(callback('short'), url)).toBe(false);
+        expect(twilioProvider.verifyCallback(callback(undefined), url)).toBe(false);
+    });
+});
+
+describe('recordDeliveryStatus', () => {
+    const seedSms = (status = 'queued') => notifications.insert({
+        userId: buildUser('client')._id,
+        type: 'general',
+        title: 'Hello',
+        message: 'Hello',
+        delivery: { inApp: true, email: { status: 'skipped' }, sms: { status, provider: 'twilio', providerMessageId: 'SM1' } }
+    });
+
+    it('ignores statuses that arrive after a later one', async () => {
+        const notification = seedSms();
+
+        await expect(recordDeliveryStatus({ providerMessageId: 'SM1', status: 'delivered' })).resolves.toBeTruthy();
+        await expect(recordDeliveryStatus({ providerMessageId: 'SM1', status: 'sent' })).resolves.toBeNull();
+
+        expect(notifications.get(notification._id).delivery.sms).toMatchObject({ status: 'delivered', deliveredAt: expect.any(Date) });
+    });
+
+    it('keeps the final status when callbacks race', async () => {
+        const notification = seedSms();
+
+        await Promise.all(['sent', 'read', 'delivered'].map(status => recordDeliveryStatus({ providerMessageId: 'SM1', status })));
+
+        expect(notifications.get(notification._id).delivery.sms.status).toBe('read');
+    });
+
+    it('records why a message failed', async () => {
+        const notification = seedSms('sent');
+
+        await recordDeliveryStatus({ providerMessageId: 'SM1', status: 'undelivered', errorCode: '30003' });
+
+        expect(notifications.get(notification._id).delivery.sms).toMatchObject({ status: 'undelivered', errorCode: '30003', error: 'Message undelivered' });
+    });
+});
+
+describe('POST /api/messaging/status', () => {
+    const app = buildApp('/api/messaging', messagingRoutes, null);
+
+    describe('with twilio', () => {
+        withEnv({ ...TWILIO_ENV, MESSAGING_PROVIDER: 'twilio', PUBLIC_BASE_URL: 'https://api.migrantifly.test' });
+
+        it('refuses unsigned callbacks', async () => {
+            await request(app).post('/api/messaging/status').send({ MessageSid: 'SM1', MessageStatus: 'delivered' }).expect(403);
+        });
+
+        it('records signed callbacks', async () => {
+            const body = { MessageSid: 'SM1', MessageStatus: 'delivered' };
+            notifications.insert({
+                userId: buildUser('client')._id, type: 'general', title: 'Hello', message: 'Hello',
+                delivery: { inApp: true, email: { status: 'skipped' }, sms: { status: 'sent', providerMessageId: 'SM1' } }
+            });
+
+            const res = await request(app).post('/api/messaging/status')
+                .set('X-Twilio-Signature', twilioSignature('https://api.migrantifly.test/api/messaging/status', body))
+                .send(body)
+                .expect(200);
+
+            expect(res.body).toEqual({ success: true, recorded: true });
+        });
+    });
+
+    it('acknowledges callbacks for unknown messages and requires a message id', async () => {
+        await expect(request(app).post('/api/messaging/status').send({ MessageSid: 'SM404', MessageStatus: 'delivered' }))
+            .resolves.toHaveProperty('body', { success: true, recorded: false });
+        await request(app).post('/api/messaging/status').send({ MessageStatus: 'delivered' }).expect(400);
+    });
+});
+
+describe('phone verification', () => {
+    let sentCodes;
+    const user = buildUser('client');
+
+    beforeEach(() => {
+        sentCodes = [];
+        users.insert({ ...user, password: 'hashed' });
+        jest.spyOn(logProvider, 'send').mockImplementation(async ({ body }) => {
+            sentCodes.push(body.match(/\d{6}/)[0]);
+            return { providerMessageId: 'log_1', status: 'sent' };
+        });
+    });
+
+    it('normalises and masks numbers', () => {
+        expect(normalizePhone('021 123 4567')).toBe('+64211234567');
+        expect(normalizePhone('0061 (2) 9876-5432')).toBe('+61298765432');
+        expect(normalizePhone('12')).toBeNull();
+        expect(normalizePhone({ $ne: null })).toBeNull();
+        expect(maskPhone('+64211234567')).toBe('********4567');
+    });
+
+    it('verifies the number a code was sent to', async () => {
+        await startPhoneVerification(user, '021 123 4567');
+
+        const result = await confirmPhoneVerification(user._id, sentCodes[0]);
+
+        expect(result.user).toMatchObject({ isPhoneVerified: true, profile: { phone: '+64211234567' } });
+        expect(result.user.password).toBeUndefined();
+        expect(users.get(user._id).phoneVerification?.codeHash).toBeUndefined();
+    });
+
+    it('counts every parallel guess against the limit', async () => {
+        await startPhoneVerification(user, '+64211234567');
+        const wrong = sentCodes[0] === '000000' ? '111111' : '000000';
+
+        const results = await Promise.all(Array.from({ length: 8 }, () => confirmPhoneVerification(user._id, wrong)));
+
+        expect(results.filter(result => result.error === 'INVALID_CODE')).toHaveLength(5);
+        expect(results.filter(result => result.error === 'TOO_MANY_ATTEMPTS')).toHaveLength(3);
+        await expect(confirmPhoneVerification(user._id, sentCodes[0])).resolves.toMatchObject({ error: 'TOO_MANY_ATTEMPTS' });
+    });
+
+    it('accepts only the latest code', async () => {
+        await startPhoneVerification(user, '+64211234567');
+        await startPhoneVerification(user, '+64219999999');
+
+        if (sentCodes[0] !== sentCodes[1]) {
+            await expect(confirmPhoneVerification(user._id, sentCodes[0])).resolves.toMatchObject({ error: 'INVALID_CODE' });
+        }
+        await expect(confirmPhoneVerification(user._id, sentCodes[1])).resolves.toHaveProperty('user.profile.phone', '+64219999999');
+    });
+
+    it('refuses expired codes and numbers it cannot read', async () => {
+        await startPhoneVerification(user, '+64211234567');
+        await User.updateOne({ _id: user._id }, { $set: { 'phoneVerification.expiresAt': new Date(Date.now() - 1000) } });
+
+        await expect(confirmPhoneVerification(user._id, sentCodes[0])).resolves.toMatchObject({ error: 'VERIFICATION_EXPIRED' });
+        await expect(startPhoneVerification(user, 'call me')).resolves.toMatchObject({ error: 'INVALID_PHONE' });
+        expect(getMessagingProvider().send).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,129 @@
+const { Application, Notification, NotificationPreference, User } = require('../models');
+const { sendEmail } = require('../utils/email');
+const { getDigestSlot, sendDueDigests } = require('../utils/notificationDigests');
+const { buildUser, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../utils/email');
+
+useDefaultRoles();
+
+const notifications = useMemoryModel(Notification);
+const preferences = useMemoryModel(NotificationPreference, { unique: [['userId']] });
+const applications = useMemoryModel(Application);
+
+const user = buildUser('client');
+
+const seedNotification = (fields = {}) => notifications.insert({
+    userId: user._id,
+    type: 'document_approved',
+    title: 'Document approved',
+    message: 'Your passport was approved',
+    priority: 'low',
+    isRead: false,
+    delivery: { inApp: true, email: { status: 'skipped' }, sms: { status: 'skipped' } },
+    createdAt: new Date(),
+    ...fields
+});
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    sendEmail.mockResolvedValue({});
+});
+
+describe('getDigestSlot', () => {
+    const auckland = (digestFrequency) => ({ timezone: 'Pacific/Auckland', digestFrequency });
+
+    it('is 08:00 local on the latest day that has reached it', () => {
+        // 23:00 and 07:00 on Monday 6 January in Auckland (UTC+13)
+        expect(getDigestSlot(auckland('daily'), new Date('2031-01-06T10:00:00Z'))).toEqual(new Date('2031-01-05T19:00:00Z'));
+        expect(getDigestSlot(auckland('daily'), new Date('2031-01-05T18:00:00Z'))).toEqual(new Date('2031-01-04T19:00:00Z'));
+    });
+
+    it('falls on Monday for weekly digests', () => {
+        expect(getDigestSlot(auckland('weekly'), new Date('2031-01-08T10:00:00Z'))).toEqual(new Date('2031-01-05T19:00:00Z'));
+        expect(getDigestSlot(auckland('weekly'), new Date('2031-01-05T18:00:00Z'))).toEqual(new Date('2030-12-29T19:00:00Z'));
+    });
+});
+
+describe('sendDueDigests', () => {
+    it('emails unread notifications not sent before, grouped by application', async () => {
+        preferences.insert({ userId: user._id, timezone: 'UTC', digestFrequency: 'daily' });
+        const application = applications.insert({ clientId: user._id, visaType: 'work', destinationCountry: { code: 'NZ', name: 'New Zealand' } });
+        const included = [
+            seedNotification({ applicationId: application._id, actionUrl: '/documents' }),
+            seedNotification({ type: 'general', title: 'Welcome' })
+        ];
+        seedNotification({ isRead: true });
+        seedNotification({ delivery: { inApp: true, email: { status: 'sent' }, sms: { status: 'skipped' } } });
+        seedNotification({ createdAt: new Date(Date.now() - 3 * 24 * 60 * 60 * 1000) });
+
+        await expect(sendDueDigests()).resolves.toBe(1);
+
+        const [{ to, template, data }] = sendEmail.mock.calls[0];
+        expect({ to, template }).toEqual({ to: user.email, template: 'notification-digest' });
+        expect(data.total).toBe(2);
+        expect(data.groups.map(group => group.title)).toEqual(['Work visa application - New Zealand', 'General']);
+        expect(data.groups[0].notifications[0].actionUrl).toBe(`${process.env.FRONTEND_URL}/documents`);
+        expect(included.every(notification => notifications.get(notification._id).digestedAt)).toBe(true);
+    });
+
+    it('leaves out types the user excluded from the digest', async () => {
+        preferences.insert({ userId: user._id, timezone: 'UTC', digestFrequency: 'daily', types: [{ type: 'document_approved', digest: false }] });
+        seedNotification();
+
+        await expect(sendDueDigests()).resolves.toBe(0);
+        expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('sends one digest when runs overlap and none again in the same period', async () => {
+        preferences.insert({ userId: user._id, timezone: 'UTC', digestFrequency: 'daily' });
+        seedNotification();
+
+        const counts = await Promise.all([sendDueDigests(), sendDueDigests()]);
+        seedNotification();
+        const later = await sendDueDigests();
+
+        expect(counts[0] + counts[1]).toBe(1);
+        expect(later).toBe(0);
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('includes a notification in one digest only', async () => {
+        preferences.insert({ userId: user._id, timezone: 'UTC', digestFrequency: 'daily' });
+        seedNotification();
+        await sendDueDigests();
+
+        // The next period's run finds nothing new
+        const [stored] = preferences.docs();
+        await NotificationPreference.updateOne({ _id: stored._id }, { $set: { lastDigestAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) } });
+
+        await expect(sendDueDigests()).resolves.toBe(0);
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('retries a digest whose email failed on the next run', async () => {
+        const stored = preferences.insert({ userId: user._id, timezone: 'UTC', digestFrequency: 'daily' });
+        const notification = seedNotification();
+        sendEmail.mockRejectedValueOnce(new Error('Mailbox unavailable'));
+
+        await expect(sendDueDigests()).resolves.toBe(0);
+        expect(notifications.get(notification._id).digestedAt).toBeUndefined();
+        expect(preferences.get(stored._id).lastDigestAt).toBeUndefined();
+
+        await expect(sendDueDigests()).resolves.toBe(1);
+        expect(sendEmail).toHaveBeenCalledTimes(2);
+    });
+
+    it('skips users who turned digests off or are inactive', async () => {
+        preferences.insert({ userId: user._id, timezone: 'UTC', digestFrequency: 'off' });
+        seedNotification();
+
+        await expect(sendDueDigests()).resolves.toBe(0);
+
+        await NotificationPreference.updateOne({ userId: user._id }, { $set: { digestFrequency: 'daily' } });
+        User.findById.mockResolvedValue({ ...user, isActive: false });
+        await expect(sendDueDigests()).resolves.toBe(0);
+        expect(sendEmail).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const { Notification, NotificationPreference, User } = require('../models');
+const { sendEmail } = require('../utils/email');
+const { sendMessage } = require('../utils/messaging');
+const { emitNotification } = require('../utils/realtime');
+const { sendNotification, deliverDeferredNotifications } = require('../utils/notifications');
+const { getQuietHoursEnd, resolveChannels } = require('../utils/notificationPreferences');
+const notificationRoutes = require('../routes/notification');
+const { buildApp, buildUser, loadTogether, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/email');
+jest.mock('../utils/messaging');
+jest.mock('../utils/realtime');
+
+useDefaultRoles();
+
+const notifications = useMemoryModel(Notification);
+const preferenceStore = useMemoryModel(NotificationPreference, { unique: [['userId']] });
+
+const user = buildUser('client', { isPhoneVerified: true, profile: { firstName: 'Test', lastName: 'Client', phone: '+6421000000' } });
+
+const hhmm = (date) => date.toISOString().slice(11, 16);
+
+// A UTC quiet window that is in force right now
+const activeQuietHours = () => {
+    const now = Date.now();
+    return { enabled: true, start: hhmm(new Date(now - 60 * 60 * 1000)), end: hhmm(new Date(now + 2 * 60 * 60 * 1000)) };
+};
+
+const seedPreferences = (fields) => preferenceStore.insert({ userId: user._id, timezone: 'UTC', ...fields });
+
+beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    sendMessage.mockResolvedValue({ provider: 'twilio', providerMessageId: 'SM1', status: 'queued' });
+    sendEmail.mockResolvedValue({});
+});
+
+describe('resolveChannels', () => {
+    const defaults = new NotificationPreference({ userId: user._id });
+
+    it('emails high, urgent and action-required notifications and texts urgent ones by default', () => {
+        expect(resolveChannels(defaults, { type: 'general', priority: 'medium' })).toEqual({ inApp: true, email: false, sms: false, digest: true });
+        expect(resolveChannels(defaults, { type: 'general', priority: 'medium', actionRequired: true }).email).toBe(true);
+        expect(resolveChannels(defaults, { type: 'general', priority: 'urgent' })).toMatchObject({ email: true, sms: true });
+    });
+
+    it('follows the user\'s choices except for compliance-critical types', () => {
+        const preferences = new NotificationPreference({
+            userId: user._id,
+            types: [{ type: 'payment_due', email: false, inApp: false }, { type: 'document_approved', email: true }]
+        });
+
+        expect(resolveChannels(preferences, { type: 'payment_due', priority: 'high' })).toMatchObject({ inApp: false, email: false });
+        expect(resolveChannels(preferences, { type: 'document_approved', priority: 'low' }).email).toBe(true);
+        expect(resolveChannels(preferences, { type: 'decision_received', priority: 'low' })).toMatchObject({ inApp: true, email: true });
+    });
+});
+
+describe('getQuietHoursEnd', () => {
+    const preferences = { timezone: 'Pacific/Auckland', quietHours: { enabled: true, start: '22:00', end: '07:00' } };
+
+    it('ends a window that runs over midnight on the next local morning', () => {
+        // 23:00 on 6 January in Auckland (UTC+13)
+        expect(getQuietHoursEnd(preferences, new Date('2031-01-06T10:00:00Z'))).toEqual(new Date('2031-01-06T18:00:00Z'));
+        // 05:00 on 7 January
+        expect(getQuietHoursEnd(preferences, new Date('2031-01-06T16:00:00Z'))).toEqual(new Date('2031-01-06T18:00:00Z'));
+    });
+
+    it('is null outside the window or when quiet hours are off', () => {
+        expect(getQuietHoursEnd(preferences, new Date('2031-01-06T00:00:00Z'))).toBeNull();
+        expect(getQuietHoursEnd({ ...preferences, quietHours: { ...preferences.quietHours, enabled: false } }, new Date('2031-01-06T10:00:00Z'))).toBeNull();
+    });
+});
+
+describe('sendNotification', () => {
+    const notify = (fields) => sendNotification({ userId: user._id, type: 'payment_due', title: 'Payment Due', message: 'Deposit due', ...fields });
+
+    it('delivers on every allowed channel', async () => {
+        const notification = await notify({ priority: 'urgent' });
+
+        expect(emitNotification).toHaveBeenCalledTimes(1);
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: user.email, subject: 'Migrantifly - Payment Due' }));
+        expect(sendMessage).toHaveBeenCalledWith({ to: '+6421000000', body: 'Migrantifly: Payment Due. Deposit due', channel: 'sms' });
+        expect(notifications.get(notification._id).delivery).toMatchObject({
+            inApp: true,
+            email: { status: 'sent' },
+            sms: { status: 'queued', provider: 'twilio', providerMessageId: 'SM1' }
+        });
+    });
+
+    it('keeps opted-out channels quiet', async () => {
+        seedPreferences({ types: [{ type: 'payment_due', inApp: false, email: false }] });
+
+        const notification = await notify({ priority: 'high' });
+
+        expect(emitNotification).not.toHaveBeenCalled();
+        expect(sendEmail).not.toHaveBeenCalled();
+        expect(notifications.get(notification._id).delivery).toMatchObject({ inApp: false, email: { status: 'skipped' } });
+    });
+
+    it('holds email and SMS back until quiet hours end', async () => {
+        seedPreferences({ quietHours: activeQuietHours() });
+
+        const notification = await notify({ priority: 'urgent' });
+
+        const { email, sms } = notifications.get(notification._id).delivery;
+        expect(email.status).toBe('deferred');
+        expect(sms.status).toBe('deferred');
+        expect(email.deferredUntil.getTime()).toBeGreaterThan(Date.now());
+        expect(sendEmail).not.toHaveBeenCalled();
+        expect(emitNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('delivers compliance-critical types through opt-outs and quiet hours', async () => {
+        seedPreferences({ quietHours: activeQuietHours(), types: [{ type: 'general', email: false }] });
+
+        const notification = await notify({ type: 'decision_received', priority: 'low' });
+
+        expect(notifications.get(notification._id).delivery.email.status).toBe('sent');
+    });
+
+    it('records a failed email on the notification', async () => {
+        sendEmail.mockRejectedValue(new Error('Mailbox unavailable'));
+
+        await expect(notify({ priority: 'high' })).rejects.toThrow('Mailbox unavailable');
+        expect(notifications.docs()[0].delivery.email).toMatchObject({ status: 'failed', error: 'Mailbox unavailable' });
+    });
+
+    it('skips SMS to an unverified phone', async () => {
+        User.findById.mockResolvedValue({ ...user, isPhoneVerified: false });
+
+        const notification = await notify({ priority: 'urgent' });
+
+        expect(sendMessage).not.toHaveBeenCalled();
+        expect(notifications.get(notification._id).delivery.sms.status).toBe('skipped');
+    });
+});
+
+describe('deliverDeferredNotifications', () => {
+    it('delivers each held notification once when runs overlap', async () => {
+        const past = new Date(Date.now() - 1000);
+        const held = notifications.insert({
+            userId: user._id, type: 'payment_due', title: 'Payment Due', message: 'Deposit due',
+            delivery: { inApp: true, email: { status: 'deferred', deferredUntil: past }, sms: { status: 'deferred', deferredUntil: past } }
+        });
+        notifications.insert({
+            userId: user._id, type: 'payment_due', title: 'Later', message: 'Later',
+            delivery: { inApp: true, email: { status: 'deferred', deferredUntil: new Date(Date.now() + 60 * 60 * 1000) }, sms: { status: 'skipped' } }
+        });
+
+        const counts = await Promise.all([deliverDeferredNotifications(), deliverDeferredNotifications()]);
+
+        expect(counts[0] + counts[1]).toBe(2);
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+        expect(sendMessage).toHaveBeenCalledTimes(1);
+        expect(notifications.get(held._id).delivery).toMatchObject({ email: { status: 'sent' }, sms: { status: 'queued' } });
+    });
+});
+
+describe('preference routes', () => {
+    const app = buildApp('/api/notifications', notificationRoutes, user);
+
+    it('lists every type with the defaults and locked types marked', async () => {
+        const res = await request(app).get('/api/notifications/preferences').expect(200);
+
+        expect(res.body.data).toMatchObject({ timezone: 'Pacific/Auckland', digestFrequency: 'off', messagingChannel: 'sms' });
+        expect(res.body.data.types.find(entry => entry.type === 'general')).toEqual({ type: 'general', inApp: true, email: null, sms: null, digest: true, locked: false });
+        expect(res.body.data.types.find(entry => entry.type === 'rfi_received').locked).toBe(true);
+    });
+
+    it('merges type changes and resets a channel with null', async () => {
+        seedPreferences({ types: [{ type: 'general', email: false, sms: true }] });
+
+        const res = await request(app).put('/api/notifications/preferences')
+            .send({ digestFrequency: 'weekly', types: [{ type: 'general', email: null }, { type: 'payment_due', inApp: false }] })
+            .expect(200);
+
+        expect(res.body.data.types.find(entry => entry.type === 'general')).toMatchObject({ email: null, sms: true });
+        expect(res.body.data.types.find(entry => entry.type === 'payment_due').inApp).toBe(false);
+        expect(preferenceStore.docs()[0].digestFrequency).toBe('weekly');
+    });
+
+    it('keeps both changes when the first two saves race', async () => {
+        loadTogether(NotificationPreference, 2);
+
+        await Promise.all([
+            request(app).put('/api/notifications/preferences').send({ types: [{ type: 'general', email: false }] }).expect(200),
+            request(app).put('/api/notifications/preferences').send({ types: [{ type: 'payment_due', sms: false }] }).expect(200)
+        ]);
+
+        const [stored] = preferenceStore.docs();
+        expect(preferenceStore.docs()).toHaveLength(1);
+        expect(stored.types.map(entry => entry.type).sort()).toEqual(['general', 'payment_due']);
+    });
+
+    it.each([
+        ['a locked type', { types: [{ type: 'decision_received', email: false }] }, 'LOCKED_NOTIFICATION_TYPE'],
+        ['an unknown type', { types: [{ type: 'marketing', email: false }] }, 'INVALID_PREFERENCES'],
+        ['a non-boolean channel', { types: [{ type: 'general', email: 'yes' }] }, 'INVALID_PREFERENCES'],
+        ['an unknown time zone', { timezone: 'Mars/Olympus' }, 'INVALID_PREFERENCES'],
+        ['an empty quiet window', { quietHours: { enabled: true, start: '22:00', end: '22:00' } }, 'INVALID_PREFERENCES']
+    ])('refuses %s', async (label, body, code) => {
+        const res = await request(app).put('/api/notifications/preferences').send(body).expect(400);
+
+        expect(res.body.code).toBe(code);
+        expect(preferenceStore.docs()).toHaveLength(0);
+    });
+});
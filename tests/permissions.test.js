@@ -0,0 +1,194 @@
+const request = require('supertest');
+const { Application, Consultation, Payment, RolePermission } = require('../models');
+const { policy } = require('../middleware/policy');
+const { hasPermission, canAccess, scopeFilter, invalidateRolePermissions } = require('../utils/permissions');
+const { objectId, buildUser, buildApp, useDefaultRoles } = require('./helpers');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/email');
+jest.mock('../utils/realtime');
+
+const adminRouter = require('../routes/admin');
+const paymentRouter = require('../routes/payment');
+
+useDefaultRoles();
+
+describe('role permissions', () => {
+    it('use the built-in mapping until an admin replaces it', async () => {
+        const adviser = buildUser('adviser');
+        await expect(hasPermission(adviser, 'application.update')).resolves.toBe(true);
+        await expect(hasPermission(adviser, 'payment.refund')).resolves.toBe(false);
+
+        invalidateRolePermissions('adviser');
+        RolePermission.findOne.mockResolvedValue({ permissions: ['payment.refund'] });
+
+        await expect(hasPermission(adviser, 'payment.refund')).resolves.toBe(true);
+        await expect(hasPermission(adviser, 'application.update')).resolves.toBe(false);
+    });
+
+    it('are cached between checks', async () => {
+        const client = buildUser('client');
+        await hasPermission(client, 'application.create');
+        await hasPermission(client, 'payment.create');
+
+        expect(RolePermission.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('deny everything without a user', async () => {
+        await expect(hasPermission(undefined, 'application.create')).resolves.toBe(false);
+    });
+});
+
+describe('canAccess', () => {
+    const client = buildUser('client');
+    const adviser = buildUser('adviser');
+    const application = { _id: objectId(), clientId: client._id, adviserId: adviser._id };
+
+    it('lets clients reach their own records and advisers their assigned ones', async () => {
+        await expect(canAccess(client, 'application', application)).resolves.toBe(true);
+        await expect(canAccess(adviser, 'application', application)).resolves.toBe(true);
+        await expect(canAccess(buildUser('client'), 'application', application)).resolves.toBe(false);
+        await expect(canAccess(buildUser('adviser'), 'application', application)).resolves.toBe(false);
+        await expect(canAccess(buildUser('admin'), 'application', application)).resolves.toBe(true);
+    });
+
+    it('reaches documents and agreements through their application', async () => {
+        jest.spyOn(Application, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(application) });
+
+        await expect(canAccess(adviser, 'document', { applicationId: application._id })).resolves.toBe(true);
+        await expect(canAccess(buildUser('client'), 'agreement', { applicationId: application._id })).resolves.toBe(false);
+        await expect(canAccess(client, 'document', { applicationId: application })).resolves.toBe(true);
+    });
+
+    it('refuses documents whose application is gone', async () => {
+        jest.spyOn(Application, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+        await expect(canAccess(client, 'document', { applicationId: objectId() })).resolves.toBe(false);
+    });
+
+    it('lets advisers reach payments of their applications and consultations', async () => {
+        jest.spyOn(Application, 'exists').mockResolvedValue({ _id: application._id });
+        jest.spyOn(Consultation, 'exists').mockResolvedValue(null);
+
+        await expect(canAccess(adviser, 'payment', { _id: objectId(), applicationId: application._id })).resolves.toBe(true);
+        await expect(canAccess(adviser, 'payment', { _id: objectId() })).resolves.toBe(false);
+        expect(Consultation.exists).toHaveBeenCalledWith(expect.objectContaining({ adviserId: adviser._id }));
+    });
+});
+
+describe('scopeFilter', () => {
+    it('limits each role to the records it can reach', async () => {
+        const client = buildUser('client');
+        const adviser = buildUser('adviser');
+
+        await expect(scopeFilter(buildUser('admin'), 'application')).resolves.toEqual({});
+        await expect(scopeFilter(client, 'application')).resolves.toEqual({ clientId: client._id });
+        await expect(scopeFilter(adviser, 'consultation')).resolves.toEqual({ adviserId: adviser._id });
+    });
+
+    it('gives advisers the payments of their applications and consultations', async () => {
+        const adviser = buildUser('adviser');
+        const applicationId = objectId();
+        const paymentId = objectId();
+        jest.spyOn(Application, 'distinct').mockResolvedValue([applicationId]);
+        jest.spyOn(Consultation, 'distinct').mockResolvedValue([paymentId]);
+
+        await expect(scopeFilter(adviser, 'payment')).resolves.toEqual({
+            $or: [{ applicationId: { $in: [applicationId] } }, { _id: { $in: [paymentId] } }]
+        });
+    });
+
+    it('returns null for a role without any read scope', async () => {
+        RolePermission.findOne.mockResolvedValue({ permissions: [] });
+
+        await expect(scopeFilter(buildUser('client'), 'payment')).resolves.toBeNull();
+    });
+});
+
+describe('policy middleware', () => {
+    const express = require('express');
+    const application = { _id: objectId(), clientId: objectId(), adviserId: objectId() };
+
+    const app = (user) => {
+        const router = express.Router();
+        router.get('/:id', (req, res, next) => {
+            req.user = user;
+            next();
+        }, policy('application.update', 'application'), (req, res) => res.json({ id: req.resource._id }));
+        return buildApp('/records', router, user);
+    };
+
+    beforeEach(() => {
+        jest.spyOn(Application, 'findById').mockResolvedValue(application);
+    });
+
+    it('answers 404 for malformed ids without a lookup', async () => {
+        const res = await request(app(buildUser('admin'))).get('/records/not-an-id');
+
+        expect(res.status).toBe(404);
+        expect(Application.findById).not.toHaveBeenCalled();
+    });
+
+    it('refuses users missing the action permission', async () => {
+        const res = await request(app(buildUser('client', { _id: application.clientId }))).get(`/records/${application._id}`);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('refuses advisers on records assigned to someone else', async () => {
+        const res = await request(app(buildUser('adviser'))).get(`/records/${application._id}`);
+
+        expect(res.status).toBe(403);
+    });
+
+    it('hands the loaded record to the route', async () => {
+        const res = await request(app(buildUser('adviser', { _id: application.adviserId }))).get(`/records/${application._id}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.id).toBe(String(application._id));
+    });
+});
+
+describe('GET /api/payments/history', () => {
+    it('lists only the payments an adviser is assigned to', async () => {
+        const adviser = buildUser('adviser');
+        jest.spyOn(Application, 'distinct').mockResolvedValue([]);
+        jest.spyOn(Consultation, 'distinct').mockResolvedValue([]);
+        const query = { populate: jest.fn().mockReturnThis(), sort: jest.fn().mockResolvedValue([]) };
+        jest.spyOn(Payment, 'find').mockReturnValue(query);
+
+        const res = await request(buildApp('/api/payments', paymentRouter, adviser)).get('/api/payments/history');
+
+        expect(res.status).toBe(200);
+        expect(Payment.find.mock.calls[0][0]).toHaveProperty('$or');
+    });
+});
+
+describe('PUT /api/admin/roles/:role', () => {
+    const app = () => buildApp('/api/admin', adminRouter, buildUser('admin'));
+
+    it('rejects unknown permission names', async () => {
+        const res = await request(app()).put('/api/admin/roles/adviser').send({ permissions: ['payment.steal'] });
+
+        expect(res.status).toBe(400);
+        expect(res.body.unknownPermissions).toEqual(['payment.steal']);
+    });
+
+    it('keeps role management on the admin role', async () => {
+        const res = await request(app()).put('/api/admin/roles/admin').send({ permissions: ['dashboard.view'] });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('applies a new mapping without waiting for the cache to expire', async () => {
+        const adviser = buildUser('adviser');
+        await expect(hasPermission(adviser, 'payment.refund')).resolves.toBe(false);
+        jest.spyOn(RolePermission, 'findOneAndUpdate').mockResolvedValue({ _id: objectId(), permissions: ['payment.refund'] });
+
+        const res = await request(app()).put('/api/admin/roles/adviser').send({ permissions: ['payment.refund'] });
+
+        expect(res.status).toBe(200);
+        RolePermission.findOne.mockResolvedValue({ permissions: ['payment.refund'] });
+        await expect(hasPermission(adviser, 'payment.refund')).resolves.toBe(true);
+    });
+});
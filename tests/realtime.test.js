@@ -0,0 +1,205 @@
+const { Server } = require('socket.io');
+const { Application, Notification } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { touchSession } = require('../utils/sessions');
+const realtime = require('../utils/realtime');
+const { buildUser, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('socket.io', () => ({ Server: jest.fn() }));
+jest.mock('../middleware/auth', () => ({ ...jest.requireActual('../middleware/auth'), authenticateToken: jest.fn() }));
+jest.mock('../utils/sessions', () => ({ ...jest.requireActual('../utils/sessions'), touchSession: jest.fn() }));
+jest.mock('../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+useDefaultRoles();
+
+const applications = useMemoryModel(Application);
+
+// Stand-in for the Socket.IO server: records middleware, handlers, emits and disconnects
+const createFakeServer = () => {
+    const sockets = [];
+    const server = {
+        sockets,
+        emitted: [],
+        middleware: [],
+        handlers: {},
+        use: (fn) => server.middleware.push(fn),
+        on: (event, fn) => { server.handlers[event] = fn; },
+        to: (rooms) => ({ emit: (event, payload) => server.emitted.push({ rooms: [].concat(rooms), event, payload }) }),
+        in: (room) => {
+            const members = () => sockets.filter(socket => socket.rooms.has(room) && socket.connected);
+            return {
+                disconnectSockets: () => members().forEach(socket => socket.disconnect(true)),
+                fetchSockets: async () => members()
+            };
+        }
+    };
+    return server;
+};
+
+const createSocket = (token) => {
+    const socket = {
+        handshake: { auth: { token }, headers: {}, address: '203.0.113.9' },
+        data: {},
+        rooms: new Set(),
+        handlers: {},
+        connected: true,
+        join: (rooms) => [].concat(rooms).forEach(room => socket.rooms.add(room)),
+        leave: (room) => socket.rooms.delete(room),
+        on: (event, fn) => { socket.handlers[event] = fn; },
+        disconnect: jest.fn(() => { socket.connected = false; }),
+        // Run a client event and resolve with its acknowledgement
+        request: (event, payload) => new Promise(resolve => socket.handlers[event](payload, resolve))
+    };
+    return socket;
+};
+
+let server;
+
+// Run the handshake middleware and, when it passes, the connection handler
+const connect = async (token) => {
+    const socket = createSocket(token);
+    const error = await new Promise(resolve => server.middleware[0](socket, resolve));
+    if (error) return { error };
+    server.sockets.push(socket);
+    server.handlers.connection(socket);
+    return { socket };
+};
+
+const client = buildUser('client');
+const sessionId = objectId();
+
+beforeEach(() => {
+    server = createFakeServer();
+    Server.mockImplementation(() => server);
+    authenticateToken.mockImplementation(async (token) => (token === 'valid'
+        ? { user: client, session: { _id: sessionId } }
+        : { error: 'INVALID_TOKEN', message: 'Invalid token.' }));
+    touchSession.mockResolvedValue({ _id: sessionId });
+    jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+    realtime.initRealtime({});
+});
+
+describe('connecting', () => {
+    it('refuses sockets without a valid access token', async () => {
+        const { error } = await connect('forged');
+
+        expect(error.message).toBe('Invalid token.');
+        expect(error.data).toEqual({ code: 'INVALID_TOKEN' });
+    });
+
+    it('joins the user and session rooms and sends the unread count', async () => {
+        const { socket } = await connect('valid');
+        await new Promise(setImmediate);
+
+        expect([...socket.rooms]).toEqual([`user:${client._id}`, `session:${sessionId}`]);
+        expect(server.emitted).toEqual([{ rooms: [`user:${client._id}`], event: 'notification:unread_count', payload: { count: 3 } }]);
+        expect(Notification.countDocuments).toHaveBeenCalledWith({ userId: client._id, 'delivery.inApp': { $ne: false }, isRead: false });
+    });
+});
+
+describe('application subscriptions', () => {
+    it('lets a client subscribe to their own application only', async () => {
+        const own = applications.insert({ clientId: client._id, visaType: 'work' });
+        const other = applications.insert({ clientId: objectId(), visaType: 'work' });
+        const { socket } = await connect('valid');
+
+        await expect(socket.request('application:subscribe', { applicationId: String(own._id) })).resolves.toEqual({ success: true });
+        await expect(socket.request('application:subscribe', { applicationId: String(other._id) }))
+            .resolves.toEqual({ success: false, message: 'Access denied to this application' });
+        await expect(socket.request('application:subscribe', { applicationId: { $ne: null } }))
+            .resolves.toEqual({ success: false, message: 'Application not found' });
+
+        expect(socket.rooms.has(`application:${own._id}`)).toBe(true);
+        expect(socket.rooms.has(`application:${other._id}`)).toBe(false);
+    });
+
+    it('disconnects a socket whose session was revoked', async () => {
+        const own = applications.insert({ clientId: client._id, visaType: 'work' });
+        const { socket } = await connect('valid');
+        touchSession.mockResolvedValue(null);
+
+        const reply = await socket.request('application:subscribe', { applicationId: String(own._id) });
+
+        expect(reply.success).toBe(false);
+        expect(socket.disconnect).toHaveBeenCalledWith(true);
+        expect(socket.rooms.has(`application:${own._id}`)).toBe(false);
+    });
+
+    it('answers with an error when the lookup fails', async () => {
+        const { socket } = await connect('valid');
+        jest.spyOn(Application, 'findById').mockImplementation(() => { throw new Error('Database unavailable'); });
+
+        await expect(socket.request('application:subscribe', { applicationId: String(objectId()) }))
+            .resolves.toEqual({ success: false, message: 'Error subscribing to application' });
+    });
+
+    it('leaves a room on unsubscribe', async () => {
+        const own = applications.insert({ clientId: client._id, visaType: 'work' });
+        const { socket } = await connect('valid');
+        await socket.request('application:subscribe', { applicationId: String(own._id) });
+
+        await expect(socket.request('application:unsubscribe', { applicationId: String(own._id) })).resolves.toEqual({ success: true });
+        expect(socket.rooms.has(`application:${own._id}`)).toBe(false);
+    });
+});
+
+describe('emits', () => {
+    it('sends application updates to its room and to its client', () => {
+        const application = { _id: objectId(), clientId: client._id, stage: 'deposit_paid', progress: 20 };
+
+        realtime.emitApplicationUpdate(application);
+
+        expect(server.emitted).toEqual([{
+            rooms: [`application:${application._id}`, `user:${client._id}`],
+            event: 'application:updated',
+            payload: expect.objectContaining({ applicationId: String(application._id), stage: 'deposit_paid', progress: 20 })
+        }]);
+    });
+
+    it('sends payments without an application to the client only', () => {
+        const payment = { _id: objectId(), clientId: client._id, type: 'consultation_fee', status: 'completed', amount: 50, currency: 'NZD' };
+
+        realtime.emitPaymentUpdate(payment);
+
+        expect(server.emitted[0].rooms).toEqual([`user:${client._id}`]);
+        expect(server.emitted[0].payload).toMatchObject({ paymentId: String(payment._id), applicationId: undefined });
+    });
+
+    it('pushes a new notification with the updated unread count', async () => {
+        await realtime.emitNotification({ _id: objectId(), userId: client._id, title: 'Payment Due' });
+
+        expect(server.emitted.map(emit => emit.event)).toEqual(['notification:new', 'notification:unread_count']);
+    });
+
+    it('does nothing before the gateway is attached', () => {
+        jest.isolateModules(() => {
+            const detached = require('../utils/realtime');
+            expect(() => detached.emitApplicationUpdate({ _id: objectId(), clientId: client._id })).not.toThrow();
+            expect(() => detached.disconnectSession(sessionId)).not.toThrow();
+        });
+        expect(server.emitted).toHaveLength(0);
+    });
+});
+
+describe('disconnecting', () => {
+    it('closes the sockets of a revoked session', async () => {
+        const { socket } = await connect('valid');
+
+        realtime.disconnectSession(sessionId);
+
+        expect(socket.disconnect).toHaveBeenCalledWith(true);
+    });
+
+    it('closes a user\'s other sessions and keeps the current one', async () => {
+        const { socket: current } = await connect('valid');
+        const otherSession = objectId();
+        authenticateToken.mockResolvedValue({ user: client, session: { _id: otherSession } });
+        const { socket: other } = await connect('valid');
+
+        await realtime.disconnectUser(client._id, { exceptSessionId: sessionId });
+
+        expect(other.disconnect).toHaveBeenCalledWith(true);
+        expect(current.disconnect).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,172 @@
+const stripe = require('stripe')();
+const { Payment } = require('../models');
+const { issueCreditNote } = require('../utils/invoiceGenerator');
+const { sendNotification } = require('../utils/notifications');
+const { issueRefund, reconcileStripeRefund } = require('../utils/refunds');
+const { completePayment } = require('../utils/stripeWebhooks');
+const { objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('stripe', () => {
+    const client = { refunds: { create: jest.fn(), list: jest.fn() } };
+    return jest.fn(() => client);
+});
+jest.mock('../utils/invoiceGenerator');
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/email');
+
+useDefaultRoles();
+
+const payments = useMemoryModel(Payment, {
+    unique: [['invoiceNumber'], ['refundOf', 'idempotencyKey']]
+});
+
+const seedPayment = (fields = {}) => payments.insert({
+    clientId: objectId(),
+    type: 'deposit',
+    amount: 100,
+    currency: 'NZD',
+    status: 'completed',
+    gatewayReference: 'pi_123',
+    ...fields
+});
+
+let stripeRefundCount;
+
+beforeEach(() => {
+    stripeRefundCount = 0;
+    stripe.refunds.create.mockImplementation(async (params) => ({ id: `re_${++stripeRefundCount}`, status: 'succeeded', ...params }));
+});
+
+describe('issueRefund', () => {
+    it('refunds part of a payment and records a ledger entry', async () => {
+        const payment = seedPayment();
+
+        const result = await issueRefund(payment, { amount: 40, reason: 'Goodwill', idempotencyKey: 'a' });
+
+        expect(result.refund).toMatchObject({ type: 'refund', status: 'completed', amount: 40 });
+        expect(result.payment).toMatchObject({ status: 'partial_refund', refundAmount: 40 });
+        expect(stripe.refunds.create).toHaveBeenCalledWith(
+            expect.objectContaining({ payment_intent: 'pi_123', amount: 4000 }),
+            { idempotencyKey: `refund-${payment._id}-a` }
+        );
+    });
+
+    it('never refunds more than the payment across concurrent requests', async () => {
+        const payment = seedPayment();
+
+        const results = await Promise.all([
+            issueRefund(payment, { amount: 70, idempotencyKey: 'a' }),
+            issueRefund(payment, { amount: 70, idempotencyKey: 'b' })
+        ]);
+
+        expect(results.filter(result => result.refund && !result.error)).toHaveLength(1);
+        expect(results.find(result => result.error).error).toBe('REFUND_CONFLICT');
+        expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+        expect(payments.get(payment._id).refundAmount).toBe(70);
+    });
+
+    it('returns the same entry for a retried request with the same key', async () => {
+        const payment = seedPayment();
+        const first = await issueRefund(payment, { amount: 30, idempotencyKey: 'retry' });
+
+        const retry = await issueRefund(payments.get(payment._id), { amount: 30, idempotencyKey: 'retry' });
+
+        expect(retry.duplicate).toBe(true);
+        expect(String(retry.refund._id)).toBe(String(first.refund._id));
+        expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('gives back the reservation when a concurrent request with the same key wins', async () => {
+        const payment = seedPayment();
+        const first = await issueRefund(payment, { amount: 30, idempotencyKey: 'same' });
+        // The retry looked for an existing entry before the first one was saved
+        Payment.findOne.mockImplementationOnce(() => Promise.resolve(null));
+
+        const retry = await issueRefund(payments.get(payment._id), { amount: 30, idempotencyKey: 'same' });
+
+        expect(retry.duplicate).toBe(true);
+        expect(String(retry.refund._id)).toBe(String(first.refund._id));
+        expect(payments.docs({ type: 'refund' })).toHaveLength(1);
+        expect(payments.get(payment._id).refundAmount).toBe(30);
+        expect(stripe.refunds.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('marks the entry failed and frees the amount when Stripe refuses', async () => {
+        const payment = seedPayment();
+        stripe.refunds.create.mockRejectedValue(new Error('Charge already refunded'));
+
+        const result = await issueRefund(payment, { amount: 50, idempotencyKey: 'a' });
+
+        expect(result).toMatchObject({ error: 'STRIPE_REFUND_FAILED', message: 'Charge already refunded' });
+        expect(result.refund.status).toBe('failed');
+        expect(payments.get(payment._id)).toMatchObject({ status: 'completed', refundAmount: 0 });
+    });
+
+    it('refuses amounts above the remaining balance and unrefundable payments', async () => {
+        const payment = seedPayment({ status: 'partial_refund', refundAmount: 80 });
+
+        await expect(issueRefund(payment, { amount: 30, idempotencyKey: 'a' })).resolves.toMatchObject({ error: 'INVALID_REFUND_AMOUNT' });
+        await expect(issueRefund(seedPayment({ status: 'pending' }), { idempotencyKey: 'a' })).resolves.toMatchObject({ error: 'PAYMENT_NOT_REFUNDABLE' });
+        await expect(issueRefund(seedPayment({ gatewayReference: undefined }), { idempotencyKey: 'a' })).resolves.toMatchObject({ error: 'NO_GATEWAY_REFERENCE' });
+        expect(stripe.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it('refunds the whole remaining balance by default', async () => {
+        const payment = seedPayment({ status: 'partial_refund', refundAmount: 25 });
+        payments.insert({ clientId: payment.clientId, type: 'refund', refundOf: payment._id, amount: 25, currency: 'NZD', status: 'completed', idempotencyKey: 'first' });
+
+        const result = await issueRefund(payment, { idempotencyKey: 'rest' });
+
+        expect(result.refund.amount).toBe(75);
+        expect(result.payment.status).toBe('refunded');
+    });
+});
+
+describe('reconcileStripeRefund', () => {
+    it('records a refund made in the Stripe dashboard once, however often it is reported', async () => {
+        const payment = seedPayment();
+        const stripeRefund = { id: 're_dash', payment_intent: 'pi_123', amount: 2500, currency: 'nzd', status: 'succeeded' };
+
+        await Promise.all([reconcileStripeRefund(stripeRefund), reconcileStripeRefund(stripeRefund)]);
+        await reconcileStripeRefund(stripeRefund);
+
+        expect(payments.docs({ type: 'refund' })).toHaveLength(1);
+        expect(payments.get(payment._id)).toMatchObject({ status: 'partial_refund', refundAmount: 25 });
+        expect(issueCreditNote).toHaveBeenCalledTimes(1);
+        expect(sendNotification).toHaveBeenCalledTimes(1);
+    });
+
+    it('ignores refunds of unknown payments', async () => {
+        await expect(reconcileStripeRefund({ id: 're_x', payment_intent: 'pi_unknown', status: 'succeeded' })).resolves.toBeNull();
+    });
+});
+
+describe('completePayment', () => {
+    it('completes a pending payment once', async () => {
+        const payment = seedPayment({ status: 'pending' });
+
+        const results = await Promise.all([
+            completePayment({ _id: payment._id }, { gatewayReference: 'pi_9' }),
+            completePayment({ _id: payment._id }, { gatewayReference: 'pi_9' })
+        ]);
+
+        expect(results.map(result => result.completed).sort()).toEqual([false, true]);
+    });
+
+    it('leaves a refunded payment refunded when a completion is replayed', async () => {
+        const payment = seedPayment({ status: 'refunded', refundAmount: 100 });
+
+        const result = await completePayment({ _id: payment._id }, { gatewayReference: 'pi_123' });
+
+        expect(result.completed).toBe(false);
+        expect(payments.get(payment._id).status).toBe('refunded');
+    });
+
+    it('completes a payment whose first attempt failed', async () => {
+        const payment = seedPayment({ status: 'failed' });
+
+        await expect(completePayment({ _id: payment._id })).resolves.toMatchObject({ completed: true });
+    });
+});
@@ -0,0 +1,221 @@
+const request = require('supertest');
+const { Application, AuditLog, Document, RequirementTemplate } = require('../models');
+const { DEFAULT_REQUIREMENT_TEMPLATE, activateRequirementTemplate, getChecklist, resolveRequirementTemplate } = require('../utils/requirementTemplates');
+const { objectId, buildUser, buildApp, useDefaultRoles, duplicateKeyError } = require('./helpers');
+
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/billing');
+jest.mock('../utils/agreements');
+
+const adminRouter = require('../routes/admin');
+const applicationRouter = require('../routes/application');
+
+useDefaultRoles();
+
+const buildTemplate = (fields = {}) => new RequirementTemplate({
+    templateKey: 'NZ:work',
+    version: 1,
+    status: 'active',
+    countryCode: 'NZ',
+    visaType: 'work',
+    documents: [{ type: 'passport', name: 'Passport' }],
+    ...fields
+});
+
+describe('resolveRequirementTemplate', () => {
+    it('picks the most specific template the applicant matches', async () => {
+        const general = buildTemplate();
+        const indian = buildTemplate({ templateKey: 'NZ:work:IN', criteria: { nationality: 'IN' } });
+        const indianPartnered = buildTemplate({ templateKey: 'NZ:work:IN:partnered', criteria: { nationality: 'IN', partnerStatus: 'partnered' } });
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([general, indianPartnered, indian]);
+
+        await expect(resolveRequirementTemplate({ visaType: 'work', nationality: 'in', partnerStatus: 'single' }))
+            .resolves.toBe(indian);
+        await expect(resolveRequirementTemplate({ visaType: 'work', nationality: 'IN', partnerStatus: 'partnered' }))
+            .resolves.toBe(indianPartnered);
+        await expect(resolveRequirementTemplate({ visaType: 'work', nationality: 'FJ' }))
+            .resolves.toBe(general);
+    });
+
+    it('returns null when no active template matches', async () => {
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([buildTemplate({ criteria: { nationality: 'IN' } })]);
+
+        await expect(resolveRequirementTemplate({ visaType: 'work', nationality: 'FJ' })).resolves.toBeNull();
+    });
+});
+
+describe('getChecklist', () => {
+    it('keeps an application pinned to the defaults on the built-in requirements', async () => {
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([buildTemplate()]);
+
+        const checklist = await getChecklist({ visaType: 'work', requirementTemplate: { ...DEFAULT_REQUIREMENT_TEMPLATE } });
+
+        expect(RequirementTemplate.find).not.toHaveBeenCalled();
+        expect(checklist.template).toBeNull();
+        expect(checklist.documents.map(doc => doc.type)).toContain('job_offer');
+    });
+
+    it('uses the pinned version after a newer one goes live', async () => {
+        const pinned = buildTemplate({ status: 'retired' });
+        jest.spyOn(RequirementTemplate, 'findById').mockResolvedValue(pinned);
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([buildTemplate({ version: 2 })]);
+
+        const checklist = await getChecklist({
+            visaType: 'work',
+            requirementTemplate: { templateId: pinned._id, templateKey: 'NZ:work', version: 1 }
+        });
+
+        expect(checklist.template).toMatchObject({ id: pinned._id, version: 1 });
+        expect(RequirementTemplate.find).not.toHaveBeenCalled();
+    });
+
+    it('falls back to the matching template when the pinned one is gone', async () => {
+        const active = buildTemplate({ version: 2 });
+        jest.spyOn(RequirementTemplate, 'findById').mockResolvedValue(null);
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([active]);
+
+        const checklist = await getChecklist({ visaType: 'work', requirementTemplate: { templateId: objectId() } });
+
+        expect(checklist.template.id).toBe(active._id);
+    });
+});
+
+describe('activateRequirementTemplate', () => {
+    it('retires the other active versions of the key', async () => {
+        const template = buildTemplate({ status: 'draft', version: 3 });
+        jest.spyOn(RequirementTemplate, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(template, 'save').mockResolvedValue(template);
+
+        await activateRequirementTemplate(template);
+
+        expect(RequirementTemplate.updateMany).toHaveBeenCalledWith(
+            { templateKey: 'NZ:work', status: 'active', _id: { $ne: template._id } },
+            expect.objectContaining({ status: 'retired' })
+        );
+        expect(template.status).toBe('active');
+    });
+});
+
+describe('POST /api/admin/requirement-templates', () => {
+    const app = () => buildApp('/api/admin', adminRouter, buildUser('admin'));
+
+    beforeEach(() => {
+        jest.spyOn(RequirementTemplate.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+    });
+
+    it('requires at least one document', async () => {
+        const res = await request(app())
+            .post('/api/admin/requirement-templates')
+            .send({ countryCode: 'NZ', visaType: 'work', documents: [] });
+
+        expect(res.status).toBe(400);
+    });
+
+    it('publishes the next version of the key and audits the new template', async () => {
+        jest.spyOn(RequirementTemplate, 'findOne').mockReturnValue({
+            sort: jest.fn().mockResolvedValue(buildTemplate({ version: 4 }))
+        });
+
+        const res = await request(app())
+            .post('/api/admin/requirement-templates')
+            .send({ countryCode: 'NZ', visaType: 'work', documents: [{ type: 'passport', name: 'Passport' }] });
+
+        expect(res.status).toBe(201);
+        expect(res.body.data.version).toBe(5);
+        expect(AuditLog.create).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'create_requirement_template',
+            entityId: expect.anything()
+        }));
+        expect(String(AuditLog.create.mock.calls[0][0].entityId)).toBe(res.body.data._id);
+    });
+
+    it('refuses and does not audit a version that lost a concurrent publish', async () => {
+        jest.spyOn(RequirementTemplate, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(null) });
+        RequirementTemplate.prototype.save.mockRejectedValue(duplicateKeyError());
+
+        const res = await request(app())
+            .post('/api/admin/requirement-templates')
+            .send({ countryCode: 'NZ', visaType: 'work', documents: [{ type: 'passport', name: 'Passport' }] });
+
+        expect(res.status).toBe(409);
+        expect(res.body.message).toBe('Another version of this requirement template was saved at the same time. Please try again.');
+        expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a new version that lost a concurrent publish', async () => {
+        const source = buildTemplate({ version: 2 });
+        jest.spyOn(RequirementTemplate, 'findById').mockResolvedValue(source);
+        jest.spyOn(RequirementTemplate, 'findOne').mockReturnValue({ sort: jest.fn().mockResolvedValue(source) });
+        RequirementTemplate.prototype.save.mockRejectedValue(duplicateKeyError());
+
+        const res = await request(app())
+            .put(`/api/admin/requirement-templates/${source._id}`)
+            .send({ activate: true });
+
+        expect(res.status).toBe(409);
+        expect(RequirementTemplate.prototype.save).toHaveBeenCalledTimes(1);
+        expect(AuditLog.create).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/applications', () => {
+    let saves;
+
+    beforeEach(() => {
+        saves = [];
+        jest.spyOn(Application, 'findOne').mockResolvedValue(null);
+        jest.spyOn(Application.prototype, 'save').mockImplementation(function() {
+            saves.push(this.toObject());
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Document, 'create').mockResolvedValue({});
+    });
+
+    const createApplication = () => request(buildApp('/api/applications', applicationRouter, buildUser('client')))
+        .post('/api/applications')
+        .send({ visaType: 'work' });
+
+    it('pins the built-in requirements when no template matches, in the first save', async () => {
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([]);
+
+        const res = await createApplication();
+
+        expect(res.status).toBe(201);
+        expect(saves).toHaveLength(1);
+        expect(saves[0].requirementTemplate).toMatchObject(DEFAULT_REQUIREMENT_TEMPLATE);
+        expect(Document.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'job_offer', isRequired: true }));
+    });
+
+    it('pins the matching template version', async () => {
+        const template = buildTemplate({ version: 7 });
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([template]);
+
+        await createApplication();
+
+        expect(saves).toHaveLength(1);
+        expect(saves[0].requirementTemplate).toMatchObject({ templateId: template._id, version: 7 });
+        expect(Document.create).toHaveBeenCalledTimes(1);
+    });
+
+    it('creates one document for a type the template lists twice', async () => {
+        const template = buildTemplate({
+            documents: [
+                { type: 'passport', name: 'Passport', required: true },
+                { type: 'financial_records', name: 'Bank statements' },
+                { type: 'passport', name: 'Old passport', required: false }
+            ]
+        });
+        jest.spyOn(RequirementTemplate, 'find').mockResolvedValue([template]);
+
+        await createApplication().expect(201);
+
+        expect(Document.create.mock.calls.map(([doc]) => [doc.type, doc.name])).toEqual([
+            ['passport', 'Passport'],
+            ['financial_records', 'Bank statements']
+        ]);
+    });
+});
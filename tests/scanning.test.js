@@ -0,0 +1,294 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Application, Document, JobLock, User } = require('../models');
+const { processRescans, rescanDocuments } = require('../utils/documentScanning');
+const { deleteFile, downloadToFile } = require('../utils/fileStorage');
+const { sendNotification } = require('../utils/notifications');
+const { getScanner, scanFile } = require('../utils/scanning');
+const clamdScanner = require('../utils/scanning/clamdScanner');
+const { buildUser, useDefaultRoles, withEnv } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../utils/fileStorage');
+jest.mock('../utils/notifications');
+
+useDefaultRoles();
+
+// Assembled so this file is not flagged itself
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'].join('');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scanning-test-'));
+const writeTmp = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+afterAll(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+// Minimal clamd: answers VERSION, and INSTREAM with `verdict(content)` once the zero-length chunk arrives
+const startClamd = (verdict) => new Promise(resolve => {
+    const streams = [];
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            const end = buffer.indexOf(0);
+            if (end < 0) return;
+            if (buffer.subarray(0, end).toString() === 'zVERSION') {
+                socket.end('ClamAV 1.2.1/27100/Mon Oct 19 08:24:02 2026\0');
+                return;
+            }
+            const chunks = [];
+            for (let offset = end + 1; buffer.length >= offset + 4;) {
+                const size = buffer.readUInt32BE(offset);
+                if (size === 0) {
+                    streams.push(chunks);
+                    socket.end(`${verdict(Buffer.concat(chunks))}\0`);
+                    return;
+                }
+                if (buffer.length < offset + 4 + size) return;
+                chunks.push(buffer.subarray(offset + 4, offset + 4 + size));
+                offset += 4 + size;
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ server, port: String(server.address().port), streams }));
+});
+
+// A port nothing listens on
+const closedPort = () => new Promise(resolve => {
+    const server = net.createServer().listen(0, '127.0.0.1', () => {
+        const { port } = server.address();
+        server.close(() => resolve(String(port)));
+    });
+});
+
+describe('Stub scanner', () => {
+    withEnv({ VIRUS_SCAN_PROVIDER: 'stub', STUB_SCAN_SIGNATURES: 'stub-7' });
+
+    it('finds the EICAR test file and passes anything else', async () => {
+        const infected = await scanFile(writeTmp('eicar.pdf', `%PDF-1.4 ${EICAR}`));
+        const clean = await scanFile(writeTmp('clean.pdf', '%PDF-1.4 statement'));
+
+        expect(infected).toMatchObject({ status: 'infected', scanner: 'stub', signatureVersion: 'stub-7', threats: ['Eicar-Test-Signature'] });
+        expect(clean).toMatchObject({ status: 'clean', threats: [] });
+    });
+});
+
+describe('Scanner selection', () => {
+    withEnv({ VIRUS_SCAN_PROVIDER: 'mcafee-classic' });
+
+    it('refuses an unknown scanner', () => {
+        expect(() => getScanner()).toThrow('Unknown virus scanner: mcafee-classic');
+    });
+});
+
+describe('clamd scanner', () => {
+    let clamd;
+
+    withEnv({ VIRUS_SCAN_PROVIDER: 'clamd', CLAMD_HOST: '127.0.0.1', CLAMD_PORT: '3310' });
+
+    afterEach(() => clamd?.server.close());
+
+    const useClamd = async (verdict) => {
+        clamd = await startClamd(verdict);
+        process.env.CLAMD_PORT = clamd.port;
+    };
+
+    it('streams the file in length-prefixed chunks and reads a clean verdict', async () => {
+        await useClamd(() => 'stream: OK');
+        const content = Buffer.alloc(150 * 1024, 'a');
+
+        const result = await scanFile(writeTmp('large.pdf', content));
+
+        expect(result).toMatchObject({ status: 'clean', scanner: 'clamd', signatureVersion: '27100' });
+        expect(clamd.streams[0]).toHaveLength(3);
+        expect(Buffer.concat(clamd.streams[0]).equals(content)).toBe(true);
+    });
+
+    it('reports the signature clamd found', async () => {
+        await useClamd(content => (content.includes(EICAR) ? 'stream: Win.Test.EICAR_HDB-1 FOUND' : 'stream: OK'));
+
+        await expect(clamdScanner.scanFile(writeTmp('eicar.pdf', EICAR))).resolves.toEqual({ infected: true, threats: ['Win.Test.EICAR_HDB-1'] });
+    });
+
+    it('treats an error reply as a failed scan', async () => {
+        await useClamd(() => 'INSTREAM size limit exceeded. ERROR');
+
+        await expect(clamdScanner.scanFile(writeTmp('big.pdf', 'x'))).rejects.toThrow('clamd scan failed: INSTREAM size limit exceeded. ERROR');
+        await expect(scanFile(writeTmp('big.pdf', 'x'))).resolves.toMatchObject({ status: 'error', scanner: 'clamd' });
+    });
+
+    it('reports an unreachable daemon in the result rather than throwing', async () => {
+        process.env.CLAMD_PORT = await closedPort();
+
+        const result = await scanFile(writeTmp('any.pdf', 'x'));
+
+        expect(result).toMatchObject({ status: 'error', scanner: 'clamd', threats: [] });
+        expect(result.error).toMatch(/ECONNREFUSED/);
+    });
+});
+
+describe('Document rescans', () => {
+    const applications = useMemoryModel(Application);
+    const documents = useMemoryModel(Document);
+    const users = useMemoryModel(User);
+    useMemoryModel(JobLock);
+
+    const client = buildUser('client');
+    const adviser = buildUser('adviser');
+    const admin = buildUser('admin');
+    let application;
+    let files;
+
+    withEnv({ VIRUS_SCAN_PROVIDER: 'stub', STUB_SCAN_SIGNATURES: 'stub-2', CLAMD_PORT: '3310' });
+
+    // A document whose one upload was last scanned with the given signatures, or never
+    const seedDocument = (signatureVersion, fields = {}) => {
+        const document = new Document({ applicationId: application._id, clientId: client._id, type: 'bank_statements', name: 'statement.pdf' });
+        const { version } = document.addVersion({ originalName: 'statement.pdf', storageKey: `key-${document._id}`, uploadedBy: client._id });
+        if (signatureVersion) document.recordScan(version, { status: 'clean', scanner: 'stub', signatureVersion, threats: [] });
+        Object.assign(document, fields);
+        files[`key-${document._id}`] = '%PDF-1.4 statement';
+        return documents.insert(document.toObject());
+    };
+
+    beforeEach(() => {
+        application = applications.insert({ clientId: client._id, adviserId: adviser._id, visaType: 'work' });
+        users.insert({ ...admin, password: 'x' });
+        files = {};
+        downloadToFile.mockImplementation(async (key, localPath) => {
+            if (!(key in files)) throw new Error(`No such file: ${key}`);
+            await fs.promises.writeFile(localPath, files[key]);
+        });
+        deleteFile.mockResolvedValue();
+        sendNotification.mockResolvedValue({});
+    });
+
+    it('releases quarantined uploads that scan clean and tells the adviser', async () => {
+        const document = seedDocument(null);
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 1, infected: 0, released: 1 });
+
+        const saved = documents.get(document._id);
+        expect(saved.status).toBe('pending');
+        expect(saved.versions[0].scan).toMatchObject({ status: 'clean', signatureVersion: 'stub-2' });
+        expect(sendNotification).toHaveBeenCalledWith(expect.objectContaining({ userId: adviser._id, type: 'document_uploaded' }));
+    });
+
+    it('rescans files checked with older signatures and skips current ones', async () => {
+        const outdated = seedDocument('stub-1', { status: 'approved' });
+        seedDocument('stub-2');
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 1, infected: 0, released: 0 });
+
+        expect(downloadToFile).toHaveBeenCalledTimes(1);
+        expect(documents.get(outdated._id).versions[0].scan.signatureVersion).toBe('stub-2');
+        expect(sendNotification).not.toHaveBeenCalled();
+    });
+
+    it('deletes a stored file found infected and tells the admins and client', async () => {
+        const document = seedDocument('stub-1');
+        files[`key-${document._id}`] = EICAR;
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 1, infected: 1, released: 0 });
+
+        const saved = documents.get(document._id);
+        expect(saved.status).toBe('infected');
+        expect(saved.versions[0].storageKey).toBeUndefined();
+        expect(deleteFile).toHaveBeenCalledWith(`key-${document._id}`);
+        expect(sendNotification.mock.calls.map(([n]) => [String(n.userId), n.type])).toEqual([
+            [String(admin._id), 'security_alert'],
+            [String(client._id), 'document_rejected']
+        ]);
+    });
+
+    it('scans files uploaded before versioning', async () => {
+        const legacy = documents.insert({
+            applicationId: application._id, clientId: client._id, type: 'passport', name: 'passport.pdf',
+            originalName: 'passport.pdf', storageKey: 'key-legacy', status: 'approved'
+        });
+        files['key-legacy'] = '%PDF-1.4 passport';
+
+        await processRescans();
+
+        const saved = documents.get(legacy._id);
+        expect(saved.versions).toHaveLength(1);
+        expect(saved.versions[0]).toMatchObject({ version: 1, storageKey: 'key-legacy', status: 'approved', scan: { status: 'clean' } });
+    });
+
+    it('scans files stored before keys were recorded from their Cloudinary URL', async () => {
+        const quarantined = seedDocument(null);
+        await Document.updateOne({ _id: quarantined._id }, {
+            $set: { 'versions.0.storageKey': null, 'versions.0.fileUrl': 'https://res.cloudinary.com/demo/raw/upload/v1700000000/documents/app-1/statement' }
+        });
+        const infected = documents.insert({
+            applicationId: application._id, clientId: client._id, type: 'passport', name: 'passport.pdf', originalName: 'Passport.PDF',
+            fileUrl: 'https://res.cloudinary.com/demo/raw/upload/v1700000000/documents/app-1/passport', status: 'approved'
+        });
+        files['documents/app-1/statement.pdf'] = '%PDF-1.4 statement';
+        files['documents/app-1/passport.pdf'] = EICAR;
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 2, infected: 1, released: 1 });
+
+        expect(documents.get(quarantined._id).status).toBe('pending');
+        const removed = documents.get(infected._id);
+        expect(removed.status).toBe('infected');
+        expect(removed.versions[0].fileUrl).toBeUndefined();
+        expect(removed.fileUrl).toBeUndefined();
+        expect(deleteFile).toHaveBeenCalledWith('documents/app-1/passport.pdf');
+    });
+
+    it('skips a file it cannot fetch and carries on', async () => {
+        const missing = seedDocument(null);
+        delete files[`key-${missing._id}`];
+        const present = seedDocument(null);
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 1, infected: 0, released: 1 });
+
+        expect(documents.get(missing._id).status).toBe('quarantined');
+        expect(documents.get(present._id).status).toBe('pending');
+    });
+
+    it('does nothing while the scanner is unavailable', async () => {
+        seedDocument(null);
+        process.env.VIRUS_SCAN_PROVIDER = 'clamd';
+        process.env.CLAMD_PORT = await closedPort();
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 0, infected: 0, released: 0 });
+        expect(downloadToFile).not.toHaveBeenCalled();
+    });
+
+    it('leaves a version uploaded during the rescan for the next run', async () => {
+        const document = seedDocument(null);
+        downloadToFile.mockImplementationOnce(async (key, localPath) => {
+            const current = await Document.findById(document._id);
+            current.addVersion({ originalName: 'statement-v2.pdf', storageKey: 'key-v2' });
+            current.increment();
+            await current.save();
+            files['key-v2'] = '%PDF-1.4 new statement';
+            await fs.promises.writeFile(localPath, files[key]);
+        });
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 1, infected: 0, released: 0 });
+        let saved = documents.get(document._id);
+        expect(saved.versions.map(v => [v.originalName, v.status])).toEqual([['statement.pdf', 'quarantined'], ['statement-v2.pdf', 'quarantined']]);
+
+        await expect(processRescans()).resolves.toEqual({ scanned: 2, infected: 0, released: 2 });
+        saved = documents.get(document._id);
+        expect(saved.versions.map(v => v.status)).toEqual(['pending', 'pending']);
+        expect(saved.status).toBe('pending');
+    });
+
+    it('runs on one instance at a time', async () => {
+        seedDocument(null);
+
+        const results = await Promise.all([rescanDocuments(), rescanDocuments()]);
+
+        expect(results).toEqual(expect.arrayContaining([null, { scanned: 1, infected: 0, released: 1 }]));
+        expect(sendNotification).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { disconnectSession } = require('../utils/realtime');
+const { createSession, rotateRefreshToken, touchSession, revokeSession } = require('../utils/sessions');
+const { buildUser } = require('./helpers');
+
+jest.mock('../utils/realtime');
+
+const hash = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+const fakeReq = () => ({ ip: '203.0.113.7', body: {}, get: () => 'jest' });
+
+/**
+ * Sessions kept in memory. Writes yield once before matching, so concurrent
+ * refreshes interleave as they would against the database.
+ */
+const useSessionStore = () => {
+    const store = new Map();
+
+    beforeEach(() => {
+        store.clear();
+        jest.spyOn(Session, 'create').mockImplementation(async (data) => {
+            const session = new Session(data);
+            store.set(String(session._id), session);
+            return session;
+        });
+        jest.spyOn(Session, 'findById').mockImplementation(async (id) => store.get(String(id)) || null);
+        jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+            await null;
+            const session = store.get(String(filter._id));
+            if (!session || session.revokedAt || session.expiresAt <= filter.expiresAt.$gt
+                || session.refreshTokenHash !== filter.refreshTokenHash) {
+                return null;
+            }
+            Object.assign(session, update.$set);
+            session.rotationCount += update.$inc.rotationCount;
+            return session;
+        });
+        jest.spyOn(Session, 'updateOne').mockImplementation(async (filter, update) => {
+            const session = store.get(String(filter._id));
+            if (!session || (filter.revokedAt && session.revokedAt)) return { modifiedCount: 0 };
+            Object.assign(session, update.$set);
+            return { modifiedCount: 1 };
+        });
+    });
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    return store;
+};
+
+describe('refresh token rotation', () => {
+    const store = useSessionStore();
+    let user;
+
+    beforeEach(async () => {
+        user = buildUser('client');
+        jest.spyOn(User, 'findById').mockImplementation(async () => user);
+    });
+
+    it('stores only a hash of the refresh secret', async () => {
+        const tokens = await createSession(user, fakeReq());
+        const [sessionId, secret] = tokens.refreshToken.split('.');
+
+        const session = store.get(sessionId);
+        expect(session.refreshTokenHash).toBe(hash(secret));
+        expect(JSON.stringify(session.toObject())).not.toContain(secret);
+        expect(jwt.decode(tokens.accessToken).sid).toBe(sessionId);
+    });
+
+    it('issues a new pair and retires the old refresh token', async () => {
+        const tokens = await createSession(user, fakeReq());
+
+        const rotated = await rotateRefreshToken(tokens.refreshToken, fakeReq());
+
+        expect(rotated.refreshToken).not.toBe(tokens.refreshToken);
+        expect(store.get(String(tokens.sessionId)).rotationCount).toBe(1);
+    });
+
+    it('revokes the session when an old refresh token is presented again', async () => {
+        const tokens = await createSession(user, fakeReq());
+        await rotateRefreshToken(tokens.refreshToken, fakeReq());
+
+        const replay = await rotateRefreshToken(tokens.refreshToken, fakeReq());
+
+        expect(replay.error).toBe('REFRESH_TOKEN_REUSED');
+        expect(store.get(String(tokens.sessionId)).revokedReason).toBe('refresh_token_reuse');
+        expect(disconnectSession).toHaveBeenCalledWith(tokens.sessionId);
+    });
+
+    it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+        const tokens = await createSession(user, fakeReq());
+
+        const results = await Promise.all([
+            rotateRefreshToken(tokens.refreshToken, fakeReq()),
+            rotateRefreshToken(tokens.refreshToken, fakeReq())
+        ]);
+
+        expect(results.filter(result => result.accessToken)).toHaveLength(1);
+        expect(results.filter(result => result.error === 'REFRESH_TOKEN_REUSED')).toHaveLength(1);
+        expect(store.get(String(tokens.sessionId)).isActive()).toBe(false);
+    });
+
+    it('refuses malformed tokens without a lookup', async () => {
+        await expect(rotateRefreshToken('not-a-token', fakeReq())).resolves.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+        await expect(rotateRefreshToken({ $ne: null }, fakeReq())).resolves.toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+        expect(Session.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('refuses refresh tokens of revoked sessions', async () => {
+        const tokens = await createSession(user, fakeReq());
+        await revokeSession(tokens.sessionId, 'logout');
+
+        await expect(rotateRefreshToken(tokens.refreshToken, fakeReq())).resolves.toMatchObject({ error: 'SESSION_REVOKED' });
+    });
+
+    it('ends the session of a deactivated user', async () => {
+        const tokens = await createSession(user, fakeReq());
+        user = { ...user, isActive: false };
+
+        await expect(rotateRefreshToken(tokens.refreshToken, fakeReq())).resolves.toMatchObject({ error: 'USER_INACTIVE' });
+        expect(store.get(String(tokens.sessionId)).revokedReason).toBe('user_inactive');
+    });
+});
+
+describe('access tokens', () => {
+    const store = useSessionStore();
+    let user;
+
+    beforeEach(() => {
+        user = buildUser('client');
+        jest.spyOn(User, 'findById').mockReturnValue({ select: jest.fn(async () => user) });
+    });
+
+    it('resolve to the user and session while the session is live', async () => {
+        const tokens = await createSession(user, fakeReq());
+
+        const result = await authenticateToken(tokens.accessToken, fakeReq());
+
+        expect(result.user).toBe(user);
+        expect(String(result.session._id)).toBe(String(tokens.sessionId));
+    });
+
+    it('stop working as soon as the session is revoked', async () => {
+        const tokens = await createSession(user, fakeReq());
+        await revokeSession(tokens.sessionId, 'logout');
+
+        await expect(authenticateToken(tokens.accessToken, fakeReq())).resolves.toMatchObject({ error: 'SESSION_REVOKED' });
+    });
+
+    it('are refused without a session id', async () => {
+        const token = jwt.sign({ userId: user._id, role: user.role }, process.env.JWT_SECRET);
+
+        await expect(authenticateToken(token, fakeReq())).resolves.toMatchObject({ error: 'SESSION_REVOKED' });
+    });
+
+    it('record activity at most every few minutes', async () => {
+        const tokens = await createSession(user, fakeReq());
+
+        await touchSession(tokens.sessionId, fakeReq());
+        expect(Session.updateOne).not.toHaveBeenCalled();
+
+        store.get(String(tokens.sessionId)).lastSeenAt = new Date(Date.now() - 10 * 60 * 1000);
+        await touchSession(tokens.sessionId, fakeReq());
+        expect(Session.updateOne).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('revokeSession', () => {
+    useSessionStore();
+
+    it('reports whether this call revoked the session', async () => {
+        const tokens = await createSession(buildUser('client'), fakeReq());
+
+        await expect(revokeSession(tokens.sessionId)).resolves.toBe(true);
+        await expect(revokeSession(tokens.sessionId)).resolves.toBe(false);
+    });
+});
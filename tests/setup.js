@@ -0,0 +1,13 @@
+// Configuration the app modules read when they load. Tests never reach a
+// database or an external service: model calls are stubbed in each test.
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.RESEND_API_KEY = 're_test';
+process.env.FROM_EMAIL = 'test@migrantifly.test';
+process.env.STRIPE_SECRET_KEY = 'sk_test_migrantifly';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+
+const mongoose = require('mongoose');
+
+// A query that was not stubbed fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
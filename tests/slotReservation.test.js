@@ -0,0 +1,317 @@
+const request = require('supertest');
+const { Consultation, Payment, User } = require('../models');
+const { issueRefund } = require('../utils/refunds');
+const { findAvailableAdviser } = require('../utils/availability');
+const { buildSlotKeys, reserveSlot, moveSlot, releaseSlot, confirmHold, refundLostSlotPayment } = require('../utils/slotReservation');
+const { sendEmail } = require('../utils/email');
+const { STRIPE_EVENT_HANDLERS } = require('../utils/stripeWebhooks');
+const { objectId, buildApp, buildUser, useDefaultRoles, duplicateKeyError } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('../utils/refunds');
+jest.mock('../utils/email');
+jest.mock('../utils/billing');
+jest.mock('../utils/availability', () => ({
+    ...jest.requireActual('../utils/availability'),
+    findAvailableAdviser: jest.fn()
+}));
+
+const router = require('../routes/consultation');
+
+useDefaultRoles();
+
+const ADVISER = objectId();
+const at = (time, minutes = 60) => ({ adviserId: ADVISER, scheduledDate: new Date(`2031-01-06T${time}:00Z`), duration: minutes });
+
+/**
+ * Consultations kept in memory behind the unique slotKey index. Writes yield
+ * once before checking the index, so concurrent callers interleave as they
+ * would against the database.
+ */
+const useConsultationStore = () => {
+    const store = new Map();
+
+    const assertSlotsFree = (slotKey, exceptId) => {
+        for (const doc of store.values()) {
+            if (String(doc._id) !== String(exceptId) && (doc.slotKey || []).some(key => slotKey.includes(key))) {
+                throw duplicateKeyError();
+            }
+        }
+    };
+
+    beforeEach(() => {
+        store.clear();
+        jest.spyOn(Consultation, 'create').mockImplementation(async (data) => {
+            await null;
+            assertSlotsFree(data.slotKey);
+            const doc = new Consultation({ clientId: objectId(), method: 'zoom', ...data });
+            jest.spyOn(doc, 'save').mockResolvedValue(doc);
+            store.set(String(doc._id), doc);
+            return doc;
+        });
+        jest.spyOn(Consultation, 'updateOne').mockImplementation(async ({ _id }, { $set }) => {
+            await null;
+            assertSlotsFree($set.slotKey, _id);
+            Object.assign(store.get(String(_id)), $set);
+            return { modifiedCount: 1 };
+        });
+        jest.spyOn(Consultation, 'updateMany').mockImplementation(async (filter) => {
+            await null;
+            let modifiedCount = 0;
+            for (const doc of store.values()) {
+                const expired = doc.status === filter.status && doc.expiresAt <= filter.expiresAt.$lte;
+                if (expired && (doc.slotKey || []).some(key => filter.slotKey.$in.includes(key))) {
+                    doc.slotKey = undefined;
+                    modifiedCount++;
+                }
+            }
+            return { modifiedCount };
+        });
+    });
+
+    return store;
+};
+
+describe('buildSlotKeys', () => {
+    it('gives overlapping bookings of different lengths a shared key', () => {
+        const hour = buildSlotKeys(ADVISER, '2031-01-06T10:00:00Z', 60);
+        const halfHour = buildSlotKeys(ADVISER, '2031-01-06T10:30:00Z', 30);
+
+        expect(hour).toHaveLength(12);
+        expect(halfHour.filter(key => hour.includes(key))).toHaveLength(6);
+    });
+
+    it('gives back-to-back bookings no shared key', () => {
+        const first = buildSlotKeys(ADVISER, '2031-01-06T10:00:00Z', 60);
+        const next = buildSlotKeys(ADVISER, '2031-01-06T11:00:00Z', 60);
+
+        expect(next.filter(key => first.includes(key))).toEqual([]);
+    });
+
+    it('starts from the granule an unaligned booking starts in', () => {
+        expect(buildSlotKeys(ADVISER, '2031-01-06T10:02:00Z', 5)).toEqual([
+            `${ADVISER}:2031-01-06T10:00:00.000Z`,
+            `${ADVISER}:2031-01-06T10:05:00.000Z`
+        ]);
+    });
+});
+
+describe('reserveSlot', () => {
+    const store = useConsultationStore();
+    const hold = (slot, minutesLeft = 30) => ({
+        ...slot,
+        status: 'pending_payment',
+        expiresAt: new Date(Date.now() + minutesLeft * 60 * 1000)
+    });
+
+    it('lets only one of several concurrent overlapping bookings through', async () => {
+        const results = await Promise.all([
+            reserveSlot(hold(at('10:00'))),
+            reserveSlot(hold(at('10:30', 30))),
+            reserveSlot(hold(at('10:45', 60)))
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(store.size).toBe(1);
+    });
+
+    it('books next to an existing consultation', async () => {
+        await reserveSlot(hold(at('10:00')));
+
+        await expect(reserveSlot(hold(at('11:00')))).resolves.toBeTruthy();
+    });
+
+    it('takes over the slot of an expired hold', async () => {
+        const expired = await reserveSlot(hold(at('10:00'), -1));
+
+        const consultation = await reserveSlot(hold(at('10:30', 30)));
+
+        expect(consultation).toBeTruthy();
+        expect(expired.slotKey).toBeUndefined();
+    });
+
+    it('keeps the slot of a hold that has not expired', async () => {
+        await reserveSlot(hold(at('10:00'), 5));
+
+        await expect(reserveSlot(hold(at('10:00')))).resolves.toBeNull();
+        expect(Consultation.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes on errors other than a slot conflict', async () => {
+        Consultation.create.mockRejectedValueOnce(new Error('connection lost'));
+
+        await expect(reserveSlot(hold(at('10:00')))).rejects.toThrow('connection lost');
+    });
+});
+
+describe('moveSlot and releaseSlot', () => {
+    const store = useConsultationStore();
+
+    it('refuses to move onto another booking and leaves the consultation as it was', async () => {
+        await reserveSlot({ ...at('10:00'), status: 'scheduled' });
+        const moving = await reserveSlot({ ...at('12:00'), status: 'scheduled' });
+
+        await expect(moveSlot(moving, at('10:30'))).resolves.toBe(false);
+        expect(moving.scheduledDate.toISOString()).toBe('2031-01-06T12:00:00.000Z');
+    });
+
+    it('can lengthen a consultation into its own time', async () => {
+        const consultation = await reserveSlot({ ...at('10:00', 30), status: 'scheduled' });
+
+        await expect(moveSlot(consultation, at('10:00', 60))).resolves.toBe(true);
+        expect(store.get(String(consultation._id)).slotKey).toHaveLength(12);
+    });
+
+    it('frees the slot when a consultation is released', async () => {
+        const consultation = await reserveSlot({ ...at('10:00'), status: 'scheduled' });
+
+        await releaseSlot(consultation, { status: 'cancelled' });
+
+        expect(consultation.slotKey).toBeUndefined();
+        expect(consultation.status).toBe('cancelled');
+        expect(consultation.save).toHaveBeenCalled();
+    });
+});
+
+describe('confirmHold', () => {
+    const store = useConsultationStore();
+
+    beforeEach(() => {
+        jest.spyOn(Consultation, 'findOneAndUpdate').mockResolvedValue(null);
+        jest.spyOn(Consultation, 'findById').mockImplementation(async (id) => store.get(String(id)) || null);
+    });
+
+    it('confirms a hold that still owns its slot', async () => {
+        const confirmed = new Consultation({ status: 'scheduled' });
+        Consultation.findOneAndUpdate.mockResolvedValue(confirmed);
+
+        await expect(confirmHold(confirmed._id)).resolves.toEqual({ confirmed: true, consultation: confirmed });
+        expect(Consultation.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ status: 'pending_payment', slotKey: { $exists: true } });
+    });
+
+    it('treats a replayed confirmation as confirmed', async () => {
+        const consultation = await reserveSlot({ ...at('10:00'), status: 'scheduled' });
+
+        await expect(confirmHold(consultation._id)).resolves.toMatchObject({ confirmed: true });
+    });
+
+    it('reclaims the slot of an expired hold nobody took', async () => {
+        const consultation = await reserveSlot({ ...at('10:00'), status: 'pending_payment', expiresAt: new Date(Date.now() - 1000) });
+        consultation.slotKey = undefined;
+
+        const result = await confirmHold(consultation._id);
+
+        expect(result.confirmed).toBe(true);
+        expect(consultation.status).toBe('scheduled');
+        expect(consultation.slotKey).toHaveLength(12);
+    });
+
+    it('reports a lost slot when another booking took it', async () => {
+        const consultation = await reserveSlot({ ...at('10:00'), status: 'pending_payment', expiresAt: new Date(Date.now() - 1000) });
+        consultation.slotKey = undefined;
+        await reserveSlot({ ...at('10:30', 30), status: 'pending_payment', expiresAt: new Date(Date.now() + 60000) });
+
+        await expect(confirmHold(consultation._id)).resolves.toMatchObject({ confirmed: false, code: 'SLOT_LOST' });
+        expect(consultation.status).toBe('pending_payment');
+    });
+});
+
+describe('refundLostSlotPayment', () => {
+    const payment = () => new Payment({ clientId: objectId(), amount: 150, type: 'consultation_fee', status: 'completed', gatewayReference: 'pi_1' });
+
+    it('refunds once per payment through a fixed idempotency key', async () => {
+        const refunded = payment();
+        issueRefund.mockResolvedValue({ payment: refunded });
+
+        await expect(refundLostSlotPayment(refunded)).resolves.toBe(refunded);
+        expect(issueRefund).toHaveBeenCalledWith(refunded, expect.objectContaining({ idempotencyKey: 'slot-lost' }));
+    });
+
+    it('fails loudly when the refund is refused', async () => {
+        issueRefund.mockResolvedValue({ error: 'REFUND_FAILED', message: 'Card declined' });
+
+        await expect(refundLostSlotPayment(payment())).rejects.toThrow('Card declined');
+    });
+
+    it('leaves payments that never completed alone', async () => {
+        const pending = new Payment({ status: 'pending' });
+
+        await expect(refundLostSlotPayment(pending)).resolves.toBe(pending);
+        expect(issueRefund).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /api/consultations/book', () => {
+    useConsultationStore();
+
+    beforeEach(() => {
+        findAvailableAdviser.mockResolvedValue(ADVISER);
+        jest.spyOn(User, 'findOne').mockResolvedValue({ _id: objectId(), email: 'client@migrantifly.test' });
+        jest.spyOn(Payment.prototype, 'save').mockImplementation(function() {
+            return Promise.resolve(this);
+        });
+        require('../utils/billing').getConsultationFee.mockResolvedValue({ amount: 150, currency: 'NZD' });
+    });
+
+    const book = () => request(buildApp('/api/consultations', router))
+        .post('/api/consultations/book')
+        .send({
+            clientEmail: 'client@migrantifly.test',
+            clientName: 'Test Client',
+            preferredDate: '2031-01-06',
+            preferredTime: '10:00',
+            method: 'online'
+        });
+
+    it('books the slot for one of two concurrent requests and refuses the other', async () => {
+        const responses = await Promise.all([book(), book()]);
+
+        expect(responses.map(res => res.status).sort()).toEqual([201, 409]);
+        expect(responses.find(res => res.status === 409).body.code).toBe('SLOT_UNAVAILABLE');
+    });
+});
+
+describe('Checkout completion for a consultation', () => {
+    const consultations = useMemoryModel(Consultation);
+    const payments = useMemoryModel(Payment);
+    const users = useMemoryModel(User);
+
+    const client = buildUser('client');
+    let consultation;
+    let payment;
+
+    const completeCheckout = () => STRIPE_EVENT_HANDLERS['checkout.session.completed']({
+        id: 'cs_1',
+        payment_intent: 'pi_1',
+        metadata: { type: 'consultation_fee', paymentId: String(payment._id), consultationId: String(consultation._id), clientEmail: client.email }
+    });
+
+    beforeEach(() => {
+        users.insert({ ...client, password: 'hashed' });
+        consultation = consultations.insert({
+            ...at('10:00'), clientId: client._id, method: 'zoom', status: 'pending_payment',
+            slotKey: buildSlotKeys(at('10:00')), expiresAt: new Date(Date.now() + 60000)
+        });
+        payment = payments.insert({ clientId: client._id, consultationId: consultation._id, type: 'consultation_fee', amount: 150, currency: 'NZD', status: 'pending' });
+        sendEmail.mockResolvedValue({});
+    });
+
+    it('books the consultation and sends its confirmation once when the event is replayed', async () => {
+        await completeCheckout();
+        await Promise.all([completeCheckout(), completeCheckout()]);
+
+        expect(consultations.get(consultation._id)).toMatchObject({ status: 'scheduled', confirmationSentAt: expect.any(Date) });
+        expect(payments.get(payment._id).status).toBe('completed');
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: client.email, template: 'consultation-payment-confirmed' }));
+    });
+
+    it('still confirms a booking whose payment another path already completed', async () => {
+        await Payment.updateOne({ _id: payment._id }, { $set: { status: 'completed' } });
+
+        await completeCheckout();
+
+        expect(consultations.get(consultation._id).status).toBe('scheduled');
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+});
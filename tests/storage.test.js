@@ -0,0 +1,563 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const request = require('supertest');
+
+jest.mock('aws-sdk', () => ({
+    S3: function S3(config) {
+        mockS3.config = config;
+        return mockS3;
+    }
+}));
+jest.mock('cloudinary', () => ({ v2: mockCloudinary }));
+
+// In-memory bucket standing in for S3; methods are replaced for every test
+const mockS3 = {};
+const mockCloudinary = { config: () => {} };
+
+// The local provider fixes its root when it loads
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+const storageDir = path.join(tmpDir, 'storage');
+process.env.LOCAL_STORAGE_DIR = storageDir;
+
+const { Document, Payment } = require('../models');
+const storageRoutes = require('../routes/storage');
+const { buildStorageKey, deleteFile, downloadToFile, storeFile } = require('../utils/fileStorage');
+const { getStorageProvider } = require('../utils/storage');
+const localProvider = require('../utils/storage/localProvider');
+const s3Provider = require('../utils/storage/s3Provider');
+const cloudinaryProvider = require('../utils/storage/cloudinaryProvider');
+const { migrate, migrateFile, backfillKeys, parseArgs } = require('../scripts/migrateStorage');
+const { buildApp, objectId, useDefaultRoles, withEnv } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+useDefaultRoles();
+
+afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    delete process.env.LOCAL_STORAGE_DIR;
+});
+
+const writeTmp = (name, content) => {
+    const filePath = path.join(tmpDir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+};
+
+const readStream = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+const sha256 = (content) => crypto.createHash('sha256').update(content).digest('hex');
+
+const s3Error = (code, statusCode) => Object.assign(new Error(code), { code, statusCode });
+
+const objects = new Map();
+beforeEach(() => {
+    objects.clear();
+    const request = (run) => ({ promise: () => Promise.resolve().then(run) });
+    Object.assign(mockS3, {
+        endpoint: { href: 'http://minio.test:9000/' },
+        upload: jest.fn(({ Key, Body, ContentType }) => request(async () => {
+            objects.set(Key, { body: await readStream(Body), contentType: ContentType });
+        })),
+        getObject: jest.fn(({ Key }) => ({ createReadStream: () => Readable.from([objects.get(Key).body]) })),
+        headObject: jest.fn(({ Key }) => request(() => {
+            const object = objects.get(Key);
+            if (!object) throw s3Error('NotFound', 404);
+            return { ContentLength: object.body.length, ContentType: object.contentType, LastModified: new Date() };
+        })),
+        deleteObject: jest.fn(({ Key }) => request(() => { objects.delete(Key); })),
+        copyObject: jest.fn(({ Key, CopySource }) => request(() => {
+            objects.set(Key, objects.get(decodeURI(CopySource).split('/').slice(1).join('/')));
+        })),
+        getSignedUrl: jest.fn((operation, params) => `http://minio.test:9000/${params.Bucket}/${params.Key}?X-Amz-Expires=${params.Expires}`)
+    });
+    Object.assign(mockCloudinary, {
+        uploader: { upload: jest.fn(async () => ({ bytes: 42 })), destroy: jest.fn(async () => ({ result: 'ok' })) },
+        api: { resource: jest.fn(), delete_resources: jest.fn(async () => ({})) },
+        utils: { private_download_url: jest.fn((publicId, format) => `https://api.cloudinary.com/download/${publicId}.${format}`) },
+        url: jest.fn(publicId => `https://res.cloudinary.com/demo/private/${publicId}`)
+    });
+});
+
+describe('Storage providers', () => {
+    it('resolves providers by name, defaulting to STORAGE_PROVIDER', () => {
+        const previous = process.env.STORAGE_PROVIDER;
+        process.env.STORAGE_PROVIDER = 's3';
+        try {
+            expect(getStorageProvider()).toBe(s3Provider);
+            expect(getStorageProvider('local')).toBe(localProvider);
+            expect(() => getStorageProvider('dropbox')).toThrow('Unknown storage provider: dropbox');
+        } finally {
+            if (previous === undefined) delete process.env.STORAGE_PROVIDER;
+            else process.env.STORAGE_PROVIDER = previous;
+        }
+    });
+
+    it('builds keys from safe path segments only', () => {
+        expect(buildStorageKey('applications/123/documents', '../../My Passport (1).pdf'))
+            .toBe('applications/123/documents/My-Passport-1-.pdf');
+        expect(buildStorageKey('uploads', '.hidden/../..')).toBe('uploads/hidden');
+    });
+});
+
+describe('Local provider', () => {
+    it('uploads, describes, streams, copies and deletes a file', async () => {
+        const key = 'applications/1/documents/passport.pdf';
+        const result = await localProvider.upload(writeTmp('passport.pdf', '%PDF-1.4 passport'), key);
+
+        expect(result).toEqual({ key, size: 17 });
+        expect(await localProvider.head(key)).toMatchObject({ size: 17, contentType: 'application/pdf' });
+        expect((await readStream(await localProvider.createReadStream(key))).toString()).toBe('%PDF-1.4 passport');
+
+        await localProvider.copy(key, 'archive/passport.pdf');
+        await localProvider.delete(key);
+
+        expect(await localProvider.head(key)).toBeNull();
+        expect(fs.readFileSync(path.join(storageDir, 'archive/passport.pdf'), 'utf8')).toBe('%PDF-1.4 passport');
+    });
+
+    it('treats a missing file as absent without failing deletes', async () => {
+        expect(await localProvider.head('missing.pdf')).toBeNull();
+        await expect(localProvider.createReadStream('missing.pdf')).rejects.toMatchObject({ code: 'ENOENT' });
+        await expect(localProvider.delete('missing.pdf')).resolves.toBeUndefined();
+    });
+
+    it('refuses keys outside the storage root', async () => {
+        const source = writeTmp('escape.txt', 'x');
+
+        expect(() => localProvider.resolveKey('../escape.txt')).toThrow('Invalid storage key: ../escape.txt');
+        await expect(localProvider.upload(source, '../../etc/cron.d/escape')).rejects.toThrow('Invalid storage key');
+        await expect(localProvider.createReadStream('../storage-test-other/file')).rejects.toThrow('Invalid storage key');
+        await expect(localProvider.delete('/etc/passwd')).rejects.toThrow('Invalid storage key');
+        expect(() => localProvider.resolveKey('.')).toThrow('Invalid storage key');
+    });
+
+    describe('signed links', () => {
+        const queryOf = (signedUrl) => Object.fromEntries(new URL(signedUrl).searchParams);
+
+        it('verifies a link until it expires', () => {
+            const query = queryOf(localProvider.getSignedUrl('a/report.pdf', { expiresInSeconds: 60, filename: 'report.pdf' }));
+            expect(localProvider.verifySignedUrl(query)).toEqual({ key: 'a/report.pdf', disposition: 'attachment', filename: 'report.pdf' });
+
+            jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 1000);
+            expect(localProvider.verifySignedUrl(query)).toBeNull();
+        });
+
+        it('rejects a link whose key, filename, disposition or expiry was changed', () => {
+            const query = queryOf(localProvider.getSignedUrl('a/report.pdf', { filename: 'report.pdf' }));
+
+            expect(localProvider.verifySignedUrl({ ...query, key: 'b/other.pdf' })).toBeNull();
+            expect(localProvider.verifySignedUrl({ ...query, filename: 'renamed.pdf' })).toBeNull();
+            expect(localProvider.verifySignedUrl({ ...query, disposition: 'inline' })).toBeNull();
+            expect(localProvider.verifySignedUrl({ ...query, disposition: 'download' })).toBeNull();
+            expect(localProvider.verifySignedUrl({ ...query, expires: String(Number(query.expires) + 3600) })).toBeNull();
+            expect(localProvider.verifySignedUrl({ ...query, signature: query.signature.slice(1) })).toBeNull();
+            expect(localProvider.verifySignedUrl({})).toBeNull();
+        });
+
+        it('does not verify links signed with another secret', () => {
+            const query = queryOf(localProvider.getSignedUrl('a/report.pdf'));
+            process.env.STORAGE_SIGNING_SECRET = 'rotated-secret';
+            try {
+                expect(localProvider.verifySignedUrl(query)).toBeNull();
+            } finally {
+                delete process.env.STORAGE_SIGNING_SECRET;
+            }
+        });
+    });
+});
+
+describe('GET /api/storage/files', () => {
+    let app;
+    const pathOf = (signedUrl) => {
+        const { pathname, search } = new URL(signedUrl);
+        return `${pathname}${search}`;
+    };
+
+    beforeEach(async () => {
+        app = buildApp('/api/storage', storageRoutes, null);
+        await localProvider.upload(writeTmp('statement.pdf', '%PDF-1.4 statement'), 'applications/2/statement.pdf');
+    });
+
+    describe('with local storage', () => {
+        withEnv({ STORAGE_PROVIDER: 'local' });
+
+        it('serves a file through a signed link', async () => {
+            const link = localProvider.getSignedUrl('applications/2/statement.pdf', { filename: 'Relevé bancaire.pdf' });
+
+            const res = await request(app).get(pathOf(link));
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toBe('application/pdf');
+            expect(res.headers['content-length']).toBe('18');
+            expect(res.headers['cache-control']).toBe('private, no-store');
+            expect(res.headers['content-disposition'])
+                .toBe('attachment; filename="Relev_ bancaire.pdf"; filename*=UTF-8\'\'Relev%C3%A9%20bancaire.pdf');
+            expect(res.body.toString()).toBe('%PDF-1.4 statement');
+        });
+
+        it('rejects a tampered link', async () => {
+            const link = new URL(localProvider.getSignedUrl('applications/2/statement.pdf'));
+            link.searchParams.set('key', 'applications/3/statement.pdf');
+
+            const res = await request(app).get(pathOf(link.href));
+
+            expect(res.status).toBe(403);
+            expect(res.body.message).toBe('Download link is invalid or has expired');
+        });
+
+        it('returns 404 once the file has been deleted', async () => {
+            const link = localProvider.getSignedUrl('applications/2/statement.pdf');
+            await localProvider.delete('applications/2/statement.pdf');
+
+            const res = await request(app).get(pathOf(link));
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('File not found');
+        });
+
+        it('returns 500 rather than serving a signed key outside the storage root', async () => {
+            const link = localProvider.getSignedUrl('../secret.txt');
+
+            const res = await request(app).get(pathOf(link));
+
+            expect(res.status).toBe(500);
+            expect(res.body.error).toBe('Invalid storage key: ../secret.txt');
+        });
+    });
+
+    describe('with another provider', () => {
+        withEnv({ STORAGE_PROVIDER: 's3' });
+
+        it('does not serve files, even through a valid local link', async () => {
+            const res = await request(app).get(pathOf(localProvider.getSignedUrl('applications/2/statement.pdf')));
+
+            expect(res.status).toBe(404);
+            expect(res.body.message).toBe('Not found');
+        });
+    });
+});
+
+describe('File storage helpers', () => {
+    withEnv({ STORAGE_PROVIDER: 'local' });
+
+    it('stores a file under a sanitised key and downloads it again', async () => {
+        const stored = await storeFile(writeTmp('upload.tmp', 'visa letter'), { folder: 'applications/4/documents', filename: 'visa letter.pdf' });
+        const downloaded = await downloadToFile(stored.key, path.join(tmpDir, 'downloaded.pdf'));
+
+        expect(stored).toEqual({ key: 'applications/4/documents/visa-letter.pdf', size: 11 });
+        expect(fs.readFileSync(downloaded, 'utf8')).toBe('visa letter');
+    });
+
+    it('logs a failed delete instead of throwing', async () => {
+        process.env.STORAGE_PROVIDER = 's3';
+        process.env.AWS_S3_BUCKET = 'documents';
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockS3.deleteObject.mockImplementation(() => ({ promise: () => Promise.reject(s3Error('AccessDenied', 403)) }));
+        try {
+            await expect(deleteFile('applications/4/documents/visa.pdf')).resolves.toBeUndefined();
+            await expect(deleteFile(undefined)).resolves.toBeUndefined();
+
+            expect(mockS3.deleteObject).toHaveBeenCalledTimes(1);
+            expect(consoleError).toHaveBeenCalledWith('Failed to delete stored file applications/4/documents/visa.pdf:', 'AccessDenied');
+        } finally {
+            delete process.env.AWS_S3_BUCKET;
+        }
+    });
+});
+
+describe('S3 provider', () => {
+    withEnv({ AWS_S3_BUCKET: 'documents' });
+
+    it('uploads with server-side encryption by default', async () => {
+        await s3Provider.upload(writeTmp('id.png', 'png bytes'), 'applications/5/id.png');
+        await s3Provider.copy('applications/5/id.png', 'applications/5/id copy.png');
+
+        expect(mockS3.upload).toHaveBeenCalledWith(expect.objectContaining({
+            Bucket: 'documents', Key: 'applications/5/id.png', ContentType: 'image/png', ServerSideEncryption: 'AES256'
+        }));
+        expect(mockS3.copyObject).toHaveBeenCalledWith(expect.objectContaining({
+            CopySource: 'documents/applications/5/id.png', Key: 'applications/5/id copy.png', ServerSideEncryption: 'AES256'
+        }));
+        expect(objects.get('applications/5/id copy.png').body.toString()).toBe('png bytes');
+    });
+
+    it('leaves encryption off when AWS_S3_SSE is empty', async () => {
+        process.env.AWS_S3_SSE = '';
+        try {
+            await s3Provider.upload(writeTmp('id.png', 'png bytes'), 'applications/5/id.png');
+        } finally {
+            delete process.env.AWS_S3_SSE;
+        }
+
+        expect(mockS3.upload.mock.calls[0][0]).not.toHaveProperty('ServerSideEncryption');
+    });
+
+    it('refuses to run without a bucket', async () => {
+        delete process.env.AWS_S3_BUCKET;
+
+        await expect(s3Provider.upload(writeTmp('id.png', 'png bytes'), 'applications/5/id.png')).rejects.toThrow('AWS_S3_BUCKET is not set');
+        expect(mockS3.upload).not.toHaveBeenCalled();
+    });
+
+    it('reports a missing object as absent, and other errors as errors', async () => {
+        expect(await s3Provider.head('missing.pdf')).toBeNull();
+        await expect(s3Provider.createReadStream('missing.pdf')).rejects.toThrow('File not found: missing.pdf');
+        expect(mockS3.getObject).not.toHaveBeenCalled();
+
+        mockS3.headObject.mockImplementation(() => ({ promise: () => Promise.reject(s3Error('AccessDenied', 403)) }));
+        await expect(s3Provider.head('forbidden.pdf')).rejects.toThrow('AccessDenied');
+    });
+
+    it('signs links with the download filename', () => {
+        s3Provider.getSignedUrl('applications/5/id.png', { expiresInSeconds: 0, filename: 'Passport.png', attachment: false });
+
+        expect(mockS3.getSignedUrl).toHaveBeenCalledWith('getObject', {
+            Bucket: 'documents',
+            Key: 'applications/5/id.png',
+            Expires: 1,
+            ResponseContentDisposition: 'inline; filename="Passport.png"; filename*=UTF-8\'\'Passport.png'
+        });
+        expect(s3Provider.getUrl('applications/5/id.png')).toBe('http://minio.test:9000/documents/applications/5/id.png');
+    });
+});
+
+describe('Cloudinary provider', () => {
+    it('stores images and other files as different resource types', async () => {
+        await cloudinaryProvider.upload('/tmp/id.JPG', 'applications/6/id.JPG');
+        await cloudinaryProvider.upload('/tmp/cv.pdf', 'applications/6/cv.pdf');
+        cloudinaryProvider.getSignedUrl('applications/6/id.JPG');
+        cloudinaryProvider.getSignedUrl('applications/6/cv.pdf');
+
+        expect(mockCloudinary.uploader.upload.mock.calls.map(([, options]) => [options.public_id, options.resource_type, options.type]))
+            .toEqual([['applications/6/id', 'image', 'private'], ['applications/6/cv', 'raw', 'private']]);
+        expect(mockCloudinary.utils.private_download_url.mock.calls.map(([publicId, format, options]) => [publicId, format, options.resource_type]))
+            .toEqual([['applications/6/id', 'JPG', 'image'], ['applications/6/cv', '', 'raw']]);
+    });
+
+    it('falls back to the API to delete a raw asset destroy could not find', async () => {
+        mockCloudinary.uploader.destroy.mockResolvedValue({ result: 'not found' });
+
+        await cloudinaryProvider.delete('applications/6/cv.pdf');
+        await cloudinaryProvider.delete('applications/6/id.png');
+
+        expect(mockCloudinary.api.delete_resources).toHaveBeenCalledTimes(1);
+        expect(mockCloudinary.api.delete_resources).toHaveBeenCalledWith(['applications/6/cv'], { resource_type: 'raw', type: 'private' });
+    });
+
+    it('reports a missing asset as absent, and other errors as errors', async () => {
+        mockCloudinary.api.resource
+            .mockRejectedValueOnce({ error: { message: 'Resource not found', http_code: 404 } })
+            .mockRejectedValueOnce({ error: { message: 'Rate limited', http_code: 420 } })
+            .mockResolvedValueOnce({ bytes: 42, created_at: '2026-10-01T00:00:00Z' });
+
+        expect(await cloudinaryProvider.head('applications/6/cv.pdf')).toBeNull();
+        await expect(cloudinaryProvider.head('applications/6/cv.pdf')).rejects.toEqual({ error: { message: 'Rate limited', http_code: 420 } });
+        expect(await cloudinaryProvider.head('applications/6/cv.pdf')).toEqual({
+            size: 42, contentType: 'application/pdf', lastModified: new Date('2026-10-01T00:00:00Z')
+        });
+    });
+
+    it('recovers keys from delivery URLs', () => {
+        const { keyFromUrl } = cloudinaryProvider;
+
+        expect(keyFromUrl('https://res.cloudinary.com/demo/image/upload/v1700000000/applications/6/id.jpg'))
+            .toBe('applications/6/id.jpg');
+        expect(keyFromUrl('https://res.cloudinary.com/demo/raw/upload/v1700000000/applications/6/cv', '.pdf'))
+            .toBe('applications/6/cv.pdf');
+        expect(keyFromUrl('https://res.cloudinary.com/demo/raw/private/applications/6/my%20cv.docx', '.pdf'))
+            .toBe('applications/6/my cv.docx');
+    });
+});
+
+describe('Storage migration', () => {
+    withEnv({ AWS_S3_BUCKET: 'documents' });
+
+    const options = { dryRun: false, deleteSource: false };
+    const storeLocal = async (key, content) => localProvider.upload(writeTmp('source.tmp', content), key);
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    it('parses its options', () => {
+        expect(parseArgs(['--from', 'cloudinary', '--to', 's3', '--dry-run'])).toEqual({
+            from: 'cloudinary', to: 's3', dryRun: true, deleteSource: false, backfillKeys: false
+        });
+        expect(() => parseArgs(['--force'])).toThrow('Unknown option: --force');
+    });
+
+    it('copies a file whose source matches its recorded checksum', async () => {
+        await storeLocal('m/a.pdf', 'contract');
+
+        const outcome = await migrateFile(localProvider, s3Provider, { key: 'm/a.pdf', checksum: sha256('contract') }, options);
+
+        expect(outcome).toBe('copied');
+        expect(objects.get('m/a.pdf')).toEqual({ body: Buffer.from('contract'), contentType: 'application/pdf' });
+        expect(await localProvider.head('m/a.pdf')).not.toBeNull();
+    });
+
+    it('does not copy a source that no longer matches its recorded checksum', async () => {
+        await storeLocal('m/b.pdf', 'altered contract');
+
+        const outcome = await migrateFile(localProvider, s3Provider, { key: 'm/b.pdf', checksum: sha256('contract') }, { ...options, deleteSource: true });
+
+        expect(outcome).toBe('mismatch');
+        expect(mockS3.upload).not.toHaveBeenCalled();
+        expect(await localProvider.head('m/b.pdf')).not.toBeNull();
+    });
+
+    it('reports a missing source', async () => {
+        expect(await migrateFile(localProvider, s3Provider, { key: 'm/none.pdf' }, options)).toBe('missing');
+    });
+
+    it('skips a file already copied, and replaces a copy that differs', async () => {
+        await storeLocal('m/c.pdf', 'contract');
+        objects.set('m/c.pdf', { body: Buffer.from('contract'), contentType: 'application/pdf' });
+        await storeLocal('m/d.pdf', 'new contract');
+        objects.set('m/d.pdf', { body: Buffer.from('old contract'), contentType: 'application/pdf' });
+
+        expect(await migrateFile(localProvider, s3Provider, { key: 'm/c.pdf' }, options)).toBe('unchanged');
+        expect(await migrateFile(localProvider, s3Provider, { key: 'm/d.pdf' }, options)).toBe('copied');
+
+        expect(mockS3.upload).toHaveBeenCalledTimes(1);
+        expect(objects.get('m/d.pdf').body.toString()).toBe('new contract');
+    });
+
+    it('uploads nothing on a dry run', async () => {
+        await storeLocal('m/e.pdf', 'contract');
+
+        expect(await migrateFile(localProvider, s3Provider, { key: 'm/e.pdf' }, { dryRun: true, deleteSource: true })).toBe('copied');
+        expect(mockS3.upload).not.toHaveBeenCalled();
+        expect(await localProvider.head('m/e.pdf')).not.toBeNull();
+    });
+
+    it('keeps the source when the copy does not match it', async () => {
+        await storeLocal('m/f.pdf', 'contract');
+        mockS3.upload.mockImplementation(({ Key, ContentType }) => ({
+            promise: async () => { objects.set(Key, { body: Buffer.from('truncat'), contentType: ContentType }); }
+        }));
+
+        const outcome = await migrateFile(localProvider, s3Provider, { key: 'm/f.pdf' }, { ...options, deleteSource: true });
+
+        expect(outcome).toBe('failed');
+        expect(await localProvider.head('m/f.pdf')).not.toBeNull();
+    });
+
+    it('deletes the source only after the copy is verified', async () => {
+        await storeLocal('m/g.pdf', 'contract');
+
+        expect(await migrateFile(localProvider, s3Provider, { key: 'm/g.pdf' }, { ...options, deleteSource: true })).toBe('copied');
+        expect(await localProvider.head('m/g.pdf')).toBeNull();
+        expect(objects.get('m/g.pdf').body.toString()).toBe('contract');
+    });
+
+    it('leaves no temporary files behind', async () => {
+        await storeLocal('m/h.pdf', 'altered');
+        const before = fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('migrate-'));
+
+        await migrateFile(localProvider, s3Provider, { key: 'm/h.pdf', checksum: sha256('original') }, options);
+        await migrateFile(localProvider, s3Provider, { key: 'm/h.pdf' }, options);
+
+        expect(fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('migrate-'))).toEqual(before);
+    });
+
+    describe('of every stored file', () => {
+        const documents = useMemoryModel(Document);
+        const payments = useMemoryModel(Payment);
+
+        it('copies document versions and invoices, then points old invoice links at the API', async () => {
+            await storeLocal('docs/v1.pdf', 'version one');
+            await storeLocal('docs/v2.pdf', 'version two');
+            await storeLocal('invoices/INV-1.pdf', 'invoice');
+            documents.insert({
+                _id: objectId(),
+                storageKey: 'docs/v2.pdf',
+                versions: [
+                    { version: 1, storageKey: 'docs/v1.pdf', checksum: sha256('version one') },
+                    { version: 2, storageKey: 'docs/v2.pdf', checksum: sha256('version two') }
+                ]
+            });
+            const payment = payments.insert({ _id: objectId(), invoiceKey: 'invoices/INV-1.pdf', invoiceUrl: 'http://localhost:5000/api/storage/files?key=invoices%2FINV-1.pdf' });
+
+            const ok = await migrate({ from: 'local', to: 's3', ...options });
+
+            expect(ok).toBe(true);
+            expect([...objects.keys()].sort()).toEqual(['docs/v1.pdf', 'docs/v2.pdf', 'invoices/INV-1.pdf']);
+            expect(payments.get(payment._id).invoiceUrl).toBe(`http://localhost:5000/api/payments/${payment._id}/invoice`);
+        });
+
+        it('carries on past a bad file and reports the run as failed', async () => {
+            await storeLocal('docs/good.pdf', 'good');
+            await storeLocal('docs/bad.pdf', 'tampered');
+            documents.insert({
+                _id: objectId(),
+                versions: [
+                    { version: 1, storageKey: 'docs/bad.pdf', checksum: sha256('original') },
+                    { version: 2, storageKey: 'docs/lost.pdf' },
+                    { version: 3, storageKey: 'docs/good.pdf' }
+                ]
+            });
+            await storeLocal('invoices/INV-3.pdf', 'invoice');
+            mockS3.upload.mockImplementation(({ Key, Body, ContentType }) => ({
+                promise: async () => {
+                    const body = await readStream(Body);
+                    objects.set(Key, { body: Key.startsWith('invoices/') ? body.subarray(1) : body, contentType: ContentType });
+                }
+            }));
+            const corrupted = payments.insert({ _id: objectId(), invoiceKey: 'invoices/INV-3.pdf', invoiceUrl: 'local-url' });
+            const lost = payments.insert({ _id: objectId(), invoiceKey: 'invoices/INV-4.pdf', invoiceUrl: 'local-url' });
+
+            const ok = await migrate({ from: 'local', to: 's3', ...options });
+
+            expect(ok).toBe(false);
+            expect([...objects.keys()].sort()).toEqual(['docs/good.pdf', 'invoices/INV-3.pdf']);
+            // Links to invoices that did not copy are left as they were
+            expect(payments.get(corrupted._id).invoiceUrl).toBe('local-url');
+            expect(payments.get(lost._id).invoiceUrl).toBe('local-url');
+            expect(console.log).toHaveBeenCalledWith('Done: 1 copied, 0 unchanged, 2 missing, 1 mismatch, 1 failed');
+        });
+
+        it('leaves invoice links alone on a dry run', async () => {
+            await storeLocal('invoices/INV-2.pdf', 'invoice');
+            const payment = payments.insert({ _id: objectId(), invoiceKey: 'invoices/INV-2.pdf', invoiceUrl: 'local-url' });
+
+            expect(await migrate({ from: 'local', to: 's3', dryRun: true, deleteSource: false })).toBe(true);
+            expect(objects.size).toBe(0);
+            expect(payments.get(payment._id).invoiceUrl).toBe('local-url');
+        });
+
+        it('refuses to migrate a provider onto itself', async () => {
+            await expect(migrate({ from: 's3', to: 's3' })).rejects.toThrow('Give different --from and --to providers');
+            await expect(migrate({ from: 'local', to: 'dropbox' })).rejects.toThrow('Unknown storage provider: dropbox');
+        });
+
+        it('records keys for files stored before keys were recorded', async () => {
+            const legacy = documents.insert({
+                _id: objectId(),
+                applicationId: objectId(),
+                clientId: objectId(),
+                type: 'other',
+                name: 'CV.PDF',
+                originalName: 'CV.PDF',
+                fileUrl: 'https://res.cloudinary.com/demo/raw/upload/v1690000000/documents/cv-1690000000'
+            });
+            const payment = payments.insert({ _id: objectId(), invoiceUrl: 'https://res.cloudinary.com/demo/raw/upload/v1690000000/invoices/INV-0001' });
+
+            await backfillKeys({ dryRun: false });
+
+            expect(documents.get(legacy._id)).toMatchObject({
+                storageKey: 'documents/cv-1690000000.pdf',
+                versions: [expect.objectContaining({ version: 1, storageKey: 'documents/cv-1690000000.pdf' })]
+            });
+            expect(payments.get(payment._id).invoiceKey).toBe('invoices/INV-0001.pdf');
+        });
+    });
+});
@@ -0,0 +1,199 @@
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Session, User } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { verifyTotp, encryptSecret, generateRecoveryCodes } = require('../utils/totp');
+const { signChallengeToken, verifyChallengeToken, verifySecondFactor } = require('../utils/twoFactor');
+const { objectId, buildApp, useDefaultRoles } = require('./helpers');
+
+jest.mock('../utils/email');
+jest.mock('../utils/realtime');
+jest.mock('../utils/totp', () => ({
+    ...jest.requireActual('../utils/totp'),
+    verifyTotp: jest.fn()
+}));
+
+const router = require('../routes/auth');
+
+useDefaultRoles();
+
+// The authenticator code '123456' is valid for time step 1000 and later
+const VALID_CODE = '123456';
+const CODE_STEP = 1000;
+
+/**
+ * One 2FA user kept in memory. Conditional writes yield once before matching,
+ * so concurrent code checks interleave as they would against the database.
+ */
+const useTwoFactorUser = () => {
+    const state = {};
+
+    beforeEach(async () => {
+        const user = new User({ email: 'adviser@migrantifly.test', role: 'adviser' });
+        Object.keys(state).forEach(key => delete state[key]);
+        Object.assign(state, {
+            _id: user._id,
+            email: user.email,
+            role: 'adviser',
+            isActive: true,
+            twoFactor: { enabled: true, secret: encryptSecret('JBSWY3DPEHPK3PXP'), recoveryCodes: [] }
+        });
+
+        verifyTotp.mockImplementation((secret, code, lastUsedStep) => (
+            code === VALID_CODE && !(lastUsedStep >= CODE_STEP) ? CODE_STEP : null
+        ));
+
+        const snapshot = () => ({
+            ...state,
+            twoFactor: { ...state.twoFactor, recoveryCodes: state.twoFactor.recoveryCodes.map(entry => ({ ...entry })) }
+        });
+        jest.spyOn(User, 'findById').mockImplementation(() => {
+            const found = Promise.resolve(snapshot());
+            found.select = () => Promise.resolve(snapshot());
+            return found;
+        });
+        jest.spyOn(User, 'updateOne').mockImplementation(async (filter, update) => {
+            await null;
+            const tf = state.twoFactor;
+
+            if (Array.isArray(update)) {
+                // Attempt claim: allowed below the limit or once the window has passed
+                const windowStart = filter.$or[1]['twoFactor.lastFailedAt'].$not.$gt;
+                const max = filter.$or[0]['twoFactor.failedAttempts'].$not.$gte;
+                if ((tf.failedAttempts || 0) >= max && tf.lastFailedAt > windowStart) return { modifiedCount: 0 };
+                tf.failedAttempts = tf.lastFailedAt > windowStart ? (tf.failedAttempts || 0) + 1 : 1;
+                tf.lastFailedAt = update[0].$set['twoFactor.lastFailedAt'];
+                return { modifiedCount: 1 };
+            }
+            if (update.$unset) {
+                delete tf.failedAttempts;
+                delete tf.lastFailedAt;
+                return { modifiedCount: 1 };
+            }
+            if (update.$set['twoFactor.lastUsedStep'] !== undefined) {
+                const step = update.$set['twoFactor.lastUsedStep'];
+                if (tf.lastUsedStep !== undefined && tf.lastUsedStep >= step) return { modifiedCount: 0 };
+                tf.lastUsedStep = step;
+                return { modifiedCount: 1 };
+            }
+            const entry = tf.recoveryCodes.find(c => String(c._id) === String(filter['twoFactor.recoveryCodes'].$elemMatch._id));
+            if (!entry || entry.usedAt) return { modifiedCount: 0 };
+            entry.usedAt = update.$set['twoFactor.recoveryCodes.$.usedAt'];
+            return { modifiedCount: 1 };
+        });
+    });
+
+    return state;
+};
+
+describe('verifySecondFactor', () => {
+    const state = useTwoFactorUser();
+
+    it('accepts a valid code and clears earlier failures', async () => {
+        await verifySecondFactor(state._id, { code: '000000' });
+
+        await expect(verifySecondFactor(state._id, { code: VALID_CODE })).resolves.toBe('totp');
+        expect(state.twoFactor.failedAttempts).toBeUndefined();
+    });
+
+    it('accepts a code for one of two concurrent logins only', async () => {
+        const results = await Promise.all([
+            verifySecondFactor(state._id, { code: VALID_CODE }),
+            verifySecondFactor(state._id, { code: VALID_CODE })
+        ]);
+
+        expect(results.filter(Boolean)).toEqual(['totp']);
+    });
+
+    it('does not accept the same code twice', async () => {
+        await verifySecondFactor(state._id, { code: VALID_CODE });
+
+        await expect(verifySecondFactor(state._id, { code: VALID_CODE })).resolves.toBeNull();
+    });
+
+    it('stops checking codes after five wrong ones, even when they arrive together', async () => {
+        const guesses = Array.from({ length: 8 }, (_, i) => verifySecondFactor(state._id, { code: String(100000 + i) }));
+        await Promise.all(guesses);
+
+        expect(verifyTotp).toHaveBeenCalledTimes(5);
+        await expect(verifySecondFactor(state._id, { code: VALID_CODE })).resolves.toBeNull();
+    });
+
+    it('checks codes again once the lockout window has passed', async () => {
+        state.twoFactor.failedAttempts = 5;
+        state.twoFactor.lastFailedAt = new Date(Date.now() - 16 * 60 * 1000);
+
+        await expect(verifySecondFactor(state._id, { code: VALID_CODE })).resolves.toBe('totp');
+    });
+
+    it('uses up a recovery code once', async () => {
+        const { codes, hashes } = await generateRecoveryCodes(1);
+        state.twoFactor.recoveryCodes = hashes.map(hash => ({ _id: objectId(), hash }));
+
+        const results = await Promise.all([
+            verifySecondFactor(state._id, { recoveryCode: codes[0] }),
+            verifySecondFactor(state._id, { recoveryCode: codes[0] })
+        ]);
+
+        expect(results.filter(Boolean)).toEqual(['recovery_code']);
+    });
+});
+
+describe('challenge tokens', () => {
+    const user = { _id: objectId(), role: 'adviser' };
+
+    it('are only valid for their own purpose', () => {
+        const token = signChallengeToken(user, '2fa_enrol');
+
+        expect(verifyChallengeToken(token, '2fa_enrol')).toBe(String(user._id));
+        expect(verifyChallengeToken(token, '2fa_login')).toBeNull();
+    });
+
+    it('cannot be used as access tokens, nor access tokens as challenges', async () => {
+        jest.spyOn(Session, 'findById').mockResolvedValue(null);
+        const accessToken = jwt.sign({ userId: user._id, role: user.role, sid: objectId() }, process.env.JWT_SECRET);
+
+        await expect(authenticateToken(signChallengeToken(user, '2fa_login'), { ip: '::1' }))
+            .resolves.toMatchObject({ error: 'INVALID_TOKEN' });
+        expect(Session.findById).not.toHaveBeenCalled();
+        expect(verifyChallengeToken(accessToken, '2fa_login')).toBeNull();
+    });
+});
+
+describe('POST /api/auth/login/2fa', () => {
+    const state = useTwoFactorUser();
+    const login = (code) => request(buildApp('/api/auth', router))
+        .post('/api/auth/login/2fa')
+        .send({ challengeToken: signChallengeToken(state, '2fa_login'), code });
+
+    beforeEach(() => {
+        jest.spyOn(Session, 'create').mockImplementation(async (data) => new Session(data));
+    });
+
+    it('starts a session marked as two-factor verified', async () => {
+        const res = await login(VALID_CODE);
+
+        expect(res.status).toBe(200);
+        expect(Session.create).toHaveBeenCalledWith(expect.objectContaining({ twoFactorVerified: true }));
+    });
+
+    it('locks the challenge after five wrong codes', async () => {
+        for (let i = 0; i < 5; i++) {
+            expect((await login('000000')).status).toBe(401);
+        }
+
+        const res = await login(VALID_CODE);
+
+        expect(res.status).toBe(429);
+        expect(res.body.code).toBe('TWO_FACTOR_LOCKED');
+        expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses an enrolment challenge', async () => {
+        const res = await request(buildApp('/api/auth', router))
+            .post('/api/auth/login/2fa')
+            .send({ challengeToken: signChallengeToken(state, '2fa_enrol'), code: VALID_CODE });
+
+        expect(res.status).toBe(401);
+    });
+});
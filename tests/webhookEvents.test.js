@@ -0,0 +1,173 @@
+const request = require('supertest');
+const stripe = require('stripe')();
+const { WebhookEvent } = require('../models');
+const { STRIPE_EVENT_HANDLERS } = require('../utils/stripeWebhooks');
+const { recordEvent, processEvent, processDueEvents, replayEvent } = require('../utils/webhookEvents');
+const paymentRoutes = require('../routes/payment');
+const { buildApp, buildUser, objectId, useDefaultRoles } = require('./helpers');
+const { useMemoryModel } = require('./memoryModel');
+
+jest.mock('stripe', () => {
+    const client = { webhooks: { constructEvent: jest.fn() }, refunds: { create: jest.fn(), list: jest.fn() } };
+    return jest.fn(() => client);
+});
+jest.mock('../middleware/auth', () => require('./helpers').mockAuthModule());
+jest.mock('../utils/notifications');
+jest.mock('../utils/realtime');
+jest.mock('../utils/email');
+jest.mock('../utils/billing');
+
+useDefaultRoles();
+
+const events = useMemoryModel(WebhookEvent, { unique: [['eventId']] });
+
+const stripeEvent = (id = 'evt_1', type = 'payment_intent.succeeded') => ({
+    id,
+    type,
+    livemode: false,
+    data: { object: { id: 'pi_1', metadata: {} } }
+});
+
+let handler;
+
+beforeEach(() => {
+    handler = jest.spyOn(STRIPE_EVENT_HANDLERS, 'payment_intent.succeeded').mockResolvedValue();
+});
+
+describe('recordEvent', () => {
+    it('stores each Stripe event once', async () => {
+        const [first, second] = await Promise.all([recordEvent(stripeEvent()), recordEvent(stripeEvent())]);
+
+        expect([first.isNew, second.isNew].sort()).toEqual([false, true]);
+        expect(String(first.event._id)).toBe(String(second.event._id));
+        expect(events.docs()).toHaveLength(1);
+    });
+
+    it('stores unhandled event types as ignored', async () => {
+        const { event } = await recordEvent(stripeEvent('evt_2', 'customer.created'));
+
+        expect(event.status).toBe('ignored');
+        await expect(processEvent('evt_2')).resolves.toBeNull();
+    });
+});
+
+describe('processEvent', () => {
+    it('runs the handler once when workers race for the same event', async () => {
+        await recordEvent(stripeEvent());
+
+        const results = await Promise.all([processEvent('evt_1'), processEvent('evt_1'), processEvent('evt_1')]);
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(events.docs()[0]).toMatchObject({ status: 'processed', attempts: 1 });
+        await expect(processEvent('evt_1')).resolves.toBeNull();
+    });
+
+    it('schedules a failed attempt for retry with backoff', async () => {
+        await recordEvent(stripeEvent());
+        handler.mockRejectedValueOnce(new Error('Database unavailable'));
+
+        const before = Date.now();
+        const event = await processEvent('evt_1');
+
+        expect(event).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Database unavailable' });
+        expect(event.errorLog.map(entry => entry.message)).toEqual(['Database unavailable']);
+        expect(event.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 30 * 1000);
+        expect(event.lockedUntil).toBeUndefined();
+        // Not due yet, so neither a redelivery nor the job picks it up
+        await expect(processEvent('evt_1')).resolves.toBeNull();
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('marks the event failed once its attempts run out', async () => {
+        const { event } = await recordEvent(stripeEvent());
+        await WebhookEvent.updateOne({ _id: event._id }, { $set: { attempts: 7 } });
+        handler.mockRejectedValue(new Error('Still broken'));
+
+        await expect(processEvent('evt_1')).resolves.toMatchObject({ status: 'failed', attempts: 8 });
+    });
+
+    it('takes over an event abandoned by a crashed worker', async () => {
+        const { event } = await recordEvent(stripeEvent());
+        await WebhookEvent.updateOne({ _id: event._id }, {
+            $set: { status: 'processing', attempts: 1, lockedUntil: new Date(Date.now() - 1000) }
+        });
+
+        await expect(processEvent('evt_1')).resolves.toMatchObject({ status: 'processed', attempts: 2 });
+    });
+
+    it('leaves an event alone while another worker holds its lease', async () => {
+        const { event } = await recordEvent(stripeEvent());
+        await WebhookEvent.updateOne({ _id: event._id }, {
+            $set: { status: 'processing', attempts: 1, lockedUntil: new Date(Date.now() + 60 * 1000) }
+        });
+
+        await expect(processEvent('evt_1')).resolves.toBeNull();
+        expect(handler).not.toHaveBeenCalled();
+    });
+});
+
+describe('processDueEvents', () => {
+    it('processes only events whose retry is due', async () => {
+        await recordEvent(stripeEvent('evt_due'));
+        const { event } = await recordEvent(stripeEvent('evt_later'));
+        await WebhookEvent.updateOne({ _id: event._id }, { $set: { nextAttemptAt: new Date(Date.now() + 60 * 1000) } });
+
+        await expect(processDueEvents()).resolves.toBe(1);
+        expect(events.docs({ status: 'processed' }).map(doc => doc.eventId)).toEqual(['evt_due']);
+    });
+});
+
+describe('replayEvent', () => {
+    it('reprocesses a failed event with a fresh attempt budget', async () => {
+        const { event } = await recordEvent(stripeEvent());
+        await WebhookEvent.updateOne({ _id: event._id }, { $set: { status: 'failed', attempts: 8 } });
+        const adminId = objectId();
+
+        const result = await replayEvent(event._id, adminId);
+
+        expect(result.event).toMatchObject({ status: 'processed', attempts: 1 });
+        expect(String(events.get(event._id).replayedBy)).toBe(String(adminId));
+    });
+
+    it('refuses processed and unknown events', async () => {
+        await recordEvent(stripeEvent());
+        const processed = await processEvent('evt_1');
+
+        await expect(replayEvent(processed._id, objectId())).resolves.toMatchObject({ error: 'NOT_REPLAYABLE' });
+        await expect(replayEvent(objectId(), objectId())).resolves.toMatchObject({ error: 'NOT_FOUND' });
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+});
+
+describe('POST /api/payments/webhook', () => {
+    const app = buildApp('/api/payments', paymentRoutes, buildUser('client'));
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    it('rejects deliveries with a bad signature', async () => {
+        stripe.webhooks.constructEvent.mockImplementation(() => { throw new Error('No signatures found'); });
+
+        await request(app).post('/api/payments/webhook').send({}).expect(400);
+        expect(events.docs()).toHaveLength(0);
+    });
+
+    it('acknowledges a redelivered event without processing it again', async () => {
+        stripe.webhooks.constructEvent.mockReturnValue(stripeEvent());
+
+        const first = await request(app).post('/api/payments/webhook').send({}).expect(200);
+        await flush();
+        const again = await request(app).post('/api/payments/webhook').send({}).expect(200);
+        await flush();
+
+        expect(first.body).toEqual({ received: true, duplicate: false });
+        expect(again.body).toEqual({ received: true, duplicate: true });
+        expect(handler).toHaveBeenCalledTimes(1);
+    });
+
+    it('asks Stripe to retry when the event cannot be stored', async () => {
+        stripe.webhooks.constructEvent.mockReturnValue(stripeEvent());
+        WebhookEvent.create.mockRejectedValueOnce(new Error('Database unavailable'));
+
+        await request(app).post('/api/payments/webhook').send({}).expect(500);
+    });
+});
@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const { Agreement, AgreementTemplate, User } = require('../models');
+const { formatMoney } = require('./currency');
+const { formatInTimeZone } = require('./timezone');
+const { INVOICE_CONFIG } = require('../constants/invoicing');
+
+// Version recorded on agreements issued from the built-in wording
+const DEFAULT_VERSION = 'default';
+
+// Built-in wording used while no template of the type is active
+const DEFAULT_AGREEMENT_TEMPLATES = {
+    service_agreement: {
+        title: 'Immigration Services Agreement',
+        body: [
+            'This agreement is made on {{issueDate}} between {{companyName}} ("we") and {{clientName}} ({{clientEmail}}) ("you") for your {{visaType}} visa application to {{destinationCountry}} (reference {{applicationId}}).',
+            'Services. We will assess your eligibility, prepare a document checklist, review the documents you provide, prepare and lodge your application, and correspond with the immigration authority on your behalf until a decision is made.',
+            'Your responsibilities. You will provide complete, accurate and genuine information and documents, tell us promptly about any change in your circumstances, and respond to requests for information within the deadlines we give you.',
+            'Fees. Our professional fee for this application is {{serviceFee}}, payable as follows:\n{{feeBreakdown}}\nGovernment fees, medical examinations, police certificates and translations are not included and are paid by you.',
+            'No guarantee. The decision on your application rests with the immigration authority. We cannot guarantee the outcome or processing time.',
+            'Refunds. If you end this agreement before your application is lodged, we will refund any fees paid for work not yet performed. Fees for work already performed are not refundable.',
+            'Privacy. We collect and store your personal information and documents only to provide these services, and share them only with the immigration authority and parties you authorise.',
+            'By signing electronically you confirm that you have read and understood this agreement and agree to its terms.'
+        ].join('\n\n')
+    }
+};
+
+const AGREEMENT_TITLES = {
+    service_agreement: 'Service Agreement',
+    privacy_policy: 'Privacy Policy',
+    terms_conditions: 'Terms and Conditions'
+};
+
+// Drawn signatures are PNG data URLs from a signature pad
+const SIGNATURE_IMAGE_PATTERN = /^data:image\/png;base64,([A-Za-z0-9+/]+={0,2})$/;
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const MAX_SIGNATURE_IMAGE_BYTES = 200 * 1024;
+const MAX_TYPED_NAME_LENGTH = 100;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+const formatDate = (date, timeZone) => formatInTimeZone(date, timeZone).date;
+
+// Agreements issued before the snapshot was recorded render with the current config
+const supplierNameOf = (agreement) => agreement.supplierName || INVOICE_CONFIG.supplier.name;
+const timezoneOf = (agreement) => agreement.timezone || INVOICE_CONFIG.timezone;
+
+const clientName = (client) => client?.profile
+    ? `${client.profile.firstName} ${client.profile.lastName}`.trim()
+    : client?.email || '';
+
+const getActiveAgreementTemplate = (type) => AgreementTemplate.findOne({ type, status: 'active' });
+
+/**
+ * Make a template version the live one for its type, retiring the previous active version.
+ */
+const activateAgreementTemplate = async (template) => {
+    await AgreementTemplate.updateMany(
+        { type: template.type, status: 'active', _id: { $ne: template._id } },
+        { status: 'retired', retiredAt: new Date() }
+    );
+
+    template.status = 'active';
+    template.activatedAt = new Date();
+    template.retiredAt = undefined;
+    await template.save();
+
+    return template;
+};
+
+const feeBreakdown = (plan) => {
+    const items = plan?.items || [];
+    if (items.length === 0) return '- As quoted by your adviser';
+
+    return items
+        .map(item => `- ${item.description}: ${formatMoney(item.amount, plan.currency)}`)
+        .join('\n');
+};
+
+const placeholderValues = ({ application, client, issuedAt, supplierName, timezone }) => {
+    const plan = application.billingPlan;
+    return {
+        clientName: clientName(client),
+        clientEmail: client?.email || '',
+        companyName: supplierName,
+        applicationId: application._id.toString(),
+        visaType: application.visaType,
+        destinationCountry: application.destinationCountry?.name || application.destinationCountry?.code || '',
+        serviceFee: plan?.serviceFee !== undefined ? formatMoney(plan.serviceFee, plan.currency) : 'as quoted',
+        feeBreakdown: feeBreakdown(plan),
+        issueDate: formatDate(issuedAt, timezone)
+    };
+};
+
+const fillPlaceholders = (body, values) => body.replace(
+    AgreementTemplate.PLACEHOLDER_PATTERN,
+    (match, name) => (values[name] !== undefined ? values[name] : match)
+);
+
+/**
+ * Issue an agreement of a type for an application from the active template.
+ * A signed agreement is returned as is; a pending one is kept while it uses
+ * the active wording and superseded otherwise.
+ * @returns {Promise<Object|null>} - The agreement, or null when the type has no wording
+ */
+const issueAgreement = async (application, { type = 'service_agreement' } = {}) => {
+    const signed = await Agreement.findOne({ applicationId: application._id, type, status: 'signed' });
+    if (signed) return signed;
+
+    const template = await getActiveAgreementTemplate(type);
+    const wording = template || DEFAULT_AGREEMENT_TEMPLATES[type];
+    if (!wording) return null;
+    const version = template ? String(template.version) : DEFAULT_VERSION;
+
+    const pending = await Agreement.findOne({ applicationId: application._id, type, status: 'pending' });
+    if (pending && pending.version === version) return pending;
+    if (pending) {
+        await Agreement.updateOne(
+            { _id: pending._id, status: 'pending' },
+            { status: 'superseded', supersededAt: new Date() }
+        );
+    }
+
+    const client = await User.findById(application.clientId).select('email profile');
+    const issuedAt = new Date();
+    // Milliseconds are dropped from PDF dates, so keep issuedAt to whole seconds
+    issuedAt.setMilliseconds(0);
+    const supplierName = INVOICE_CONFIG.supplier.name;
+    const timezone = INVOICE_CONFIG.timezone;
+
+    const agreement = new Agreement({
+        clientId: application.clientId,
+        applicationId: application._id,
+        type,
+        version,
+        templateId: template?._id,
+        status: 'pending',
+        title: wording.title,
+        content: fillPlaceholders(wording.body, placeholderValues({ application, client, issuedAt, supplierName, timezone })),
+        issuedAt,
+        supplierName,
+        timezone
+    });
+    agreement.documentHash = sha256(await renderAgreementPdf(agreement));
+
+    try {
+        await agreement.save();
+    } catch (err) {
+        // Another request issued the pending agreement first
+        if (err.code === 11000) {
+            return Agreement.findOne({ applicationId: application._id, type, status: 'pending' });
+        }
+        throw err;
+    }
+
+    return agreement;
+};
+
+/**
+ * Render an agreement from its stored wording and issue-time supplier name and
+ * time zone. The review copy is identical on every render; a signed agreement
+ * also gets a signature page.
+ * @param {Object} agreement
+ * @param {Object} [options]
+ * @param {boolean} [options.signed=false] - Append the signature page
+ * @returns {Promise<Buffer>}
+ */
+const renderAgreementPdf = (agreement, { signed = false } = {}) => new Promise((resolve, reject) => {
+    const timezone = timezoneOf(agreement);
+    const doc = new PDFDocument({
+        margin: 50,
+        // Fixed metadata keeps the output (including the file ID) deterministic
+        info: {
+            Title: agreement.title,
+            Author: supplierNameOf(agreement),
+            CreationDate: agreement.issuedAt,
+            ModDate: signed ? agreement.signedAt : agreement.issuedAt
+        }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fontSize(18)
+        .text(agreement.title, { align: 'center' })
+        .moveDown(0.5);
+    doc.fontSize(10)
+        .text(`${AGREEMENT_TITLES[agreement.type]} version ${agreement.version}`, { align: 'center' })
+        .text(`Reference: ${agreement._id}`, { align: 'center' })
+        .text(`Issued: ${formatDate(agreement.issuedAt, timezone)}`, { align: 'center' })
+        .moveDown();
+
+    // Body
+    doc.fontSize(11);
+    agreement.content.split(/\n{2,}/).forEach(paragraph => {
+        doc.text(paragraph, { align: 'justify' }).moveDown(0.75);
+    });
+
+    if (signed) {
+        const { signature } = agreement;
+        const timestamp = formatInTimeZone(agreement.signedAt, timezone);
+
+        doc.addPage();
+        doc.fontSize(16)
+            .text('Electronic Signature', { align: 'center' })
+            .moveDown();
+
+        if (signature.method === 'drawn') {
+            doc.image(decodeSignatureImage(signature.image), { fit: [250, 100] }).moveDown();
+        } else {
+            doc.font('Times-Italic').fontSize(24)
+                .text(signature.typedName)
+                .font('Helvetica')
+                .moveDown();
+        }
+
+        doc.fontSize(10)
+            .text(`Signed by: ${signature.typedName}`)
+            .text(`Method: ${signature.method === 'drawn' ? 'Drawn signature' : 'Typed signature'}`)
+            .text(`Signed at: ${timestamp.date} ${timestamp.time} (${timezone}), ${agreement.signedAt.toISOString()}`)
+            .text(`IP address: ${agreement.ipAddress || 'unknown'}`)
+            .text(`User agent: ${agreement.userAgent || 'unknown'}`)
+            .text(`Reviewed document SHA-256: ${agreement.documentHash}`)
+            .text(`Signature fingerprint: ${agreement.digitalSignature}`);
+    }
+
+    doc.end();
+});
+
+const decodeSignatureImage = (dataUrl) => Buffer.from(SIGNATURE_IMAGE_PATTERN.exec(dataUrl)[1], 'base64');
+
+/**
+ * Validate a submitted signature
+ * @returns {string|null} - What is wrong with it, or null when valid
+ */
+const validateSignature = (signature) => {
+    if (!signature || !['typed', 'drawn'].includes(signature.method)) {
+        return 'signature.method must be "typed" or "drawn"';
+    }
+
+    const typedName = typeof signature.typedName === 'string' ? signature.typedName.trim() : '';
+    if (!typedName || typedName.length > MAX_TYPED_NAME_LENGTH) {
+        return `signature.typedName (the signer's full name) is required, at most ${MAX_TYPED_NAME_LENGTH} characters`;
+    }
+
+    if (signature.method === 'drawn') {
+        if (typeof signature.image !== 'string' || !SIGNATURE_IMAGE_PATTERN.test(signature.image)) {
+            return 'signature.image must be a PNG data URL';
+        }
+        const image = decodeSignatureImage(signature.image);
+        if (image.length > MAX_SIGNATURE_IMAGE_BYTES) {
+            return `signature.image must be at most ${MAX_SIGNATURE_IMAGE_BYTES / 1024} KB`;
+        }
+        if (!image.subarray(0, PNG_SIGNATURE.length).equals(PNG_SIGNATURE)) {
+            return 'signature.image is not a valid PNG';
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Sign a pending agreement. The client signs against the hash of the PDF
+ * they reviewed, so a signature never applies to wording they did not see.
+ * @param {Object} agreement
+ * @param {Object} options
+ * @param {string} options.documentHash - SHA-256 of the reviewed PDF
+ * @param {Object} options.signature - { method, typedName, image }
+ * @param {string} [options.ipAddress]
+ * @param {string} [options.userAgent]
+ * @returns {Promise<Object>} - { agreement } or { error, message }
+ */
+const signAgreement = async (agreement, { documentHash, signature, ipAddress, userAgent }) => {
+    if (agreement.status !== 'pending') {
+        return { error: 'AGREEMENT_NOT_PENDING', message: `This agreement is ${agreement.status} and cannot be signed` };
+    }
+    if (!documentHash || documentHash !== agreement.documentHash) {
+        return {
+            error: 'DOCUMENT_MISMATCH',
+            message: 'The agreement you reviewed does not match the current version. Please review it again.'
+        };
+    }
+
+    const invalid = validateSignature(signature);
+    if (invalid) {
+        return { error: 'INVALID_SIGNATURE', message: invalid };
+    }
+
+    const signedAt = new Date();
+    signedAt.setMilliseconds(0);
+    const evidence = {
+        method: signature.method,
+        typedName: signature.typedName.trim(),
+        image: signature.method === 'drawn' ? signature.image : undefined
+    };
+    const digitalSignature = sha256(JSON.stringify({
+        agreementId: agreement._id.toString(),
+        clientId: agreement.clientId.toString(),
+        documentHash,
+        method: evidence.method,
+        typedName: evidence.typedName,
+        imageHash: evidence.image ? sha256(evidence.image) : null,
+        signedAt: signedAt.toISOString(),
+        ipAddress: ipAddress || null,
+        userAgent: userAgent || null
+    }));
+
+    // Claim the agreement so concurrent submissions sign it once
+    const claimed = await Agreement.findOneAndUpdate(
+        { _id: agreement._id, status: 'pending', documentHash },
+        {
+            $set: {
+                status: 'signed',
+                signedAt,
+                signature: evidence,
+                ipAddress,
+                userAgent,
+                digitalSignature
+            }
+        },
+        { new: true }
+    );
+    if (!claimed) {
+        return { error: 'AGREEMENT_NOT_PENDING', message: 'This agreement was signed or replaced in the meantime' };
+    }
+
+    claimed.signedDocumentHash = sha256(await renderAgreementPdf(claimed, { signed: true }));
+    await claimed.save();
+
+    return { agreement: claimed };
+};
+
+/**
+ * Whether the client has signed the agreement of a type for an application
+ * @returns {Promise<boolean>}
+ */
+const isAgreementSigned = async (applicationId, type = 'service_agreement') => {
+    return Boolean(await Agreement.exists({ applicationId, type, status: 'signed' }));
+};
+
+module.exports = {
+    activateAgreementTemplate,
+    getActiveAgreementTemplate,
+    issueAgreement,
+    renderAgreementPdf,
+    signAgreement,
+    isAgreementSigned
+};
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const { AuthToken } = require('../models');
+const { generateToken } = require('./tokenGenerator');
+const { sendEmail } = require('./email');
+
+const PASSWORD_RESET_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES || '60', 10);
+const EMAIL_VERIFICATION_HOURS = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS || '48', 10);
+
+const TOKEN_LIFETIME_MS = {
+    password_reset: PASSWORD_RESET_MINUTES * 60 * 1000,
+    email_verification: EMAIL_VERIFICATION_HOURS * 60 * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Issue a new single-use token, invalidating any unused ones for the same purpose
+ * @param {string} userId
+ * @param {'password_reset'|'email_verification'} purpose
+ * @returns {Promise<string>} - The raw token to send to the user
+ */
+const issueAuthToken = async (userId, purpose, { ip } = {}) => {
+    await AuthToken.deleteMany({ userId, purpose, usedAt: { $exists: false } });
+
+    const token = generateToken();
+    await AuthToken.create({
+        userId,
+        purpose,
+        tokenHash: hashToken(token),
+        requestedIp: ip,
+        expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MS[purpose])
+    });
+
+    return token;
+};
+
+/**
+ * Atomically mark a token as used
+ * @returns {Promise<string|null>} - The token's userId, or null when invalid, used or expired
+ */
+const consumeAuthToken = async (token, purpose) => {
+    if (!token || typeof token !== 'string') return null;
+
+    const record = await AuthToken.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            purpose,
+            usedAt: { $exists: false },
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { usedAt: new Date() } }
+    );
+
+    return record ? record.userId : null;
+};
+
+const sendPasswordResetEmail = async (user, { ip } = {}) => {
+    const token = await issueAuthToken(user._id, 'password_reset', { ip });
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Reset Your Password - Migrantifly',
+        template: 'password-reset',
+        data: {
+            clientName: user.profile?.firstName || 'there',
+            resetLink: `${process.env.FRONTEND_URL}/reset-password?token=${token}`,
+            expiresInMinutes: PASSWORD_RESET_MINUTES
+        }
+    });
+};
+
+const sendVerificationEmail = async (user, { ip } = {}) => {
+    const token = await issueAuthToken(user._id, 'email_verification', { ip });
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Verify Your Email Address - Migrantifly',
+        template: 'email-verification',
+        data: {
+            clientName: user.profile?.firstName || 'there',
+            verificationLink: `${process.env.FRONTEND_URL}/verify-email?token=${token}`,
+            expiresInHours: EMAIL_VERIFICATION_HOURS
+        }
+    });
+};
+
+module.exports = {
+    issueAuthToken,
+    consumeAuthToken,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
@@ -0,0 +1,179 @@
+const { User, Consultation, AdviserAvailability } = require('../models');
+const {
+    zonedTimeToUtc,
+    formatInTimeZone,
+    addDays,
+    getDayOfWeek,
+    timeToMinutes,
+    minutesToTime
+} = require('./timezone');
+
+const SLOT_DURATION = 60; // minutes
+
+// Consultation statuses that occupy an adviser's calendar
+const BLOCKING_STATUSES = ['scheduled', 'completed', 'rescheduled'];
+
+// Used for advisers who have not set up an availability profile yet
+const DEFAULT_TIMEZONE = process.env.DEFAULT_ADVISER_TIMEZONE || 'Pacific/Auckland';
+const DEFAULT_WEEKLY_HOURS = [1, 2, 3, 4, 5].map(dayOfWeek => ({ dayOfWeek, start: '09:00', end: '17:00' }));
+
+const overlaps = (aStart, aEnd, bStart, bEnd) => aStart < bEnd && bStart < aEnd;
+
+/**
+ * Load bookable advisers with their availability profile (or the default one)
+ * @param {string} [adviserId] - Restrict to a single adviser
+ * @returns {Promise<Array>}
+ */
+async function loadAdviserProfiles(adviserId) {
+    const filter = { role: 'adviser', isActive: true };
+    if (adviserId) filter._id = adviserId;
+
+    const advisers = await User.find(filter).select('email profile');
+    const profiles = await AdviserAvailability.find({
+        adviserId: { $in: advisers.map(a => a._id) }
+    });
+    const profileByAdviser = new Map(profiles.map(p => [p.adviserId.toString(), p]));
+
+    return advisers
+        .map(adviser => {
+            const profile = profileByAdviser.get(adviser._id.toString());
+            if (profile && !profile.isAcceptingBookings) return null;
+
+            return {
+                adviserId: adviser._id,
+                name: [adviser.profile?.firstName, adviser.profile?.lastName].filter(Boolean).join(' ') || adviser.email,
+                timezone: profile?.timezone || DEFAULT_TIMEZONE,
+                weeklyHours: profile ? profile.weeklyHours : DEFAULT_WEEKLY_HOURS,
+                breaks: profile?.breaks || [],
+                holidays: profile?.holidays || [],
+                blackouts: profile?.blackouts || []
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Candidate slots from an adviser's working hours that start inside [rangeStart, rangeEnd)
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function generateWorkingSlots(profile, rangeStart, rangeEnd, duration = SLOT_DURATION) {
+    const { timezone } = profile;
+    const holidays = new Set(profile.holidays.map(h => h.date));
+    const firstDate = formatInTimeZone(rangeStart, timezone).date;
+    const lastDate = formatInTimeZone(rangeEnd, timezone).date;
+    const slots = [];
+
+    for (let date = firstDate; date <= lastDate; date = addDays(date, 1)) {
+        if (holidays.has(date)) continue;
+
+        const dayOfWeek = getDayOfWeek(date);
+        const breaks = profile.breaks
+            .filter(b => b.dayOfWeek === undefined || b.dayOfWeek === null || b.dayOfWeek === dayOfWeek)
+            .map(b => [timeToMinutes(b.start), timeToMinutes(b.end)]);
+
+        for (const window of profile.weeklyHours.filter(w => w.dayOfWeek === dayOfWeek)) {
+            const windowEnd = timeToMinutes(window.end);
+
+            for (let minute = timeToMinutes(window.start); minute + duration <= windowEnd; minute += duration) {
+                if (breaks.some(([bStart, bEnd]) => overlaps(minute, minute + duration, bStart, bEnd))) continue;
+
+                const start = zonedTimeToUtc(date, minutesToTime(minute), timezone);
+                const end = new Date(start.getTime() + duration * 60000);
+
+                if (start < rangeStart || start >= rangeEnd) continue;
+                if (profile.blackouts.some(b => overlaps(start, end, b.start, b.end))) continue;
+
+                slots.push({ start, end });
+            }
+        }
+    }
+
+    return slots.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Booked time ranges per adviser overlapping [rangeStart, rangeEnd)
+ * @returns {Promise<Map<string, Array<{ start: Date, end: Date }>>>}
+ */
+async function getBookedRanges(adviserIds, rangeStart, rangeEnd, { excludeConsultationId } = {}) {
+    const filter = {
+        adviserId: { $in: adviserIds },
+        // Unpaid holds block the slot until they expire
+        $or: [
+            { status: { $in: BLOCKING_STATUSES } },
+            { status: 'pending_payment', expiresAt: { $gt: new Date() } }
+        ],
+        // Look back a day so long consultations starting earlier are still caught
+        scheduledDate: { $gte: new Date(rangeStart.getTime() - 24 * 60 * 60 * 1000), $lt: rangeEnd }
+    };
+    if (excludeConsultationId) filter._id = { $ne: excludeConsultationId };
+
+    const consultations = await Consultation.find(filter).select('adviserId scheduledDate duration');
+    const booked = new Map();
+
+    for (const c of consultations) {
+        const key = c.adviserId.toString();
+        const start = new Date(c.scheduledDate);
+        const end = new Date(start.getTime() + (c.duration || SLOT_DURATION) * 60000);
+        if (!booked.has(key)) booked.set(key, []);
+        booked.get(key).push({ start, end });
+    }
+
+    return booked;
+}
+
+/**
+ * Free slots per adviser for a calendar date in the client's time zone
+ * @param {Object} options
+ * @param {string} options.date - YYYY-MM-DD in the client's zone
+ * @param {string} [options.timezone] - Client IANA zone
+ * @param {string} [options.adviserId] - Restrict to one adviser
+ * @returns {Promise<Array<{ adviserId, name, timezone, slots }>>}
+ */
+async function getAvailableSlots({ date, timezone = 'UTC', adviserId, duration = SLOT_DURATION, excludeConsultationId }) {
+    const rangeStart = zonedTimeToUtc(date, '00:00', timezone);
+    const rangeEnd = zonedTimeToUtc(addDays(date, 1), '00:00', timezone);
+    const now = new Date();
+
+    const profiles = await loadAdviserProfiles(adviserId);
+    const booked = await getBookedRanges(profiles.map(p => p.adviserId), rangeStart, rangeEnd, { excludeConsultationId });
+
+    return profiles.map(profile => {
+        const taken = booked.get(profile.adviserId.toString()) || [];
+        const slots = generateWorkingSlots(profile, rangeStart, rangeEnd, duration)
+            .filter(slot => slot.start > now)
+            .filter(slot => !taken.some(b => overlaps(slot.start, slot.end, b.start, b.end)));
+
+        return {
+            adviserId: profile.adviserId,
+            name: profile.name,
+            timezone: profile.timezone,
+            bookedCount: taken.length,
+            slots
+        };
+    });
+}
+
+/**
+ * Find an adviser free at the given start time. With adviserId, only that adviser is checked;
+ * otherwise the least-booked free adviser that day is chosen.
+ * @returns {Promise<string|null>} - Adviser id, or null when nobody is free
+ */
+async function findAvailableAdviser(start, { adviserId, duration = SLOT_DURATION, excludeConsultationId } = {}) {
+    // Check against the adviser-neutral UTC day containing the slot
+    const date = start.toISOString().slice(0, 10);
+    const advisers = await getAvailableSlots({ date, timezone: 'UTC', adviserId, duration, excludeConsultationId });
+
+    const free = advisers
+        .filter(a => a.slots.some(slot => slot.start.getTime() === start.getTime()))
+        .sort((a, b) => a.bookedCount - b.bookedCount);
+
+    return free.length > 0 ? free[0].adviserId : null;
+}
+
+module.exports = {
+    SLOT_DURATION,
+    BLOCKING_STATUSES,
+    getAvailableSlots,
+    findAvailableAdviser
+};
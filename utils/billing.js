@@ -0,0 +1,372 @@
+const mongoose = require('mongoose');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { FeeSchedule, Application, Payment, User } = require('../models');
+const { sendNotification } = require('./notifications');
+const { roundAmount, toMinorUnits, formatMoney, preferredCurrencies } = require('./currency');
+const { isAgreementSigned } = require('./agreements');
+const { STAGES } = require('../constants/applicationConstants');
+
+// Used when no active fee schedule matches: the historic flat consultation
+// fee and a 500 USD deposit with nothing billed afterwards.
+const DEFAULT_FEE_SCHEDULE = {
+    currency: 'USD',
+    consultationFee: parseFloat(process.env.CONSULTATION_FEE || '50'),
+    serviceFee: 500,
+    depositPercentage: 100,
+    milestones: [],
+    finalBalanceStage: STAGES.SUBMITTED_TO_INZ
+};
+
+// A checkout link is reused until this close to its expiry
+const CHECKOUT_REUSE_MARGIN_MS = 10 * 60 * 1000;
+const DEFAULT_DUE_DAYS = 14;
+
+/**
+ * Find the active fee schedule for a country and visa type, falling back to
+ * the country default and then to the built-in schedule.
+ * @returns {Promise<Object>} - A FeeSchedule document or DEFAULT_FEE_SCHEDULE
+ */
+const getFeeSchedule = async ({ countryCode = 'NZ', visaType } = {}) => {
+    const candidates = await FeeSchedule.find({
+        countryCode: countryCode.toUpperCase(),
+        visaType: { $in: [visaType || null, null] },
+        isActive: true
+    });
+
+    return candidates.find(s => visaType && s.visaType === visaType)
+        || candidates.find(s => !s.visaType)
+        || DEFAULT_FEE_SCHEDULE;
+};
+
+/**
+ * Pick the schedule's fees in the first preferred currency it is priced in,
+ * falling back to its base currency
+ * @param {Object} schedule
+ * @param {string[]} preferred - Currencies, most preferred first
+ * @returns {{ currency: string, consultationFee: number, serviceFee: number }}
+ */
+const resolvePricing = (schedule, preferred = []) => {
+    const options = [
+        { currency: schedule.currency, consultationFee: schedule.consultationFee, serviceFee: schedule.serviceFee },
+        ...(schedule.prices || [])
+    ];
+    for (const currency of preferred) {
+        const match = options.find(option => option.currency === currency);
+        if (match) return match;
+    }
+    return options[0];
+};
+
+/**
+ * Consultation fee for a destination, for booking before an application exists
+ * @param {Object} params
+ * @param {string} [params.countryCode] - Destination country
+ * @param {string} [params.visaType]
+ * @param {string} [params.currency] - Explicitly requested currency
+ * @param {Object} [params.user] - Client, whose profile country picks the currency
+ * @returns {Promise<{ amount: number, currency: string }>}
+ */
+const getConsultationFee = async ({ countryCode, visaType, currency, user } = {}) => {
+    const schedule = await getFeeSchedule({ countryCode, visaType });
+    const pricing = resolvePricing(schedule, preferredCurrencies({ currency, user, countryCode }));
+    return { amount: pricing.consultationFee, currency: pricing.currency };
+};
+
+/**
+ * Split a fee schedule's service fee into deposit, milestone and final
+ * balance items. The final balance absorbs rounding so items sum to the fee.
+ * @param {Object} schedule
+ * @param {Object} [pricing] - From resolvePricing; defaults to the base currency
+ * @returns {Object} - Billing plan for Application.billingPlan
+ */
+const buildBillingPlan = (schedule, pricing = resolvePricing(schedule)) => {
+    const { currency, serviceFee } = pricing;
+    const items = [];
+    const deposit = roundAmount(serviceFee * schedule.depositPercentage / 100, currency);
+
+    items.push({
+        key: 'deposit',
+        type: 'deposit',
+        description: 'Application deposit',
+        stage: STAGES.CONSULTATION,
+        amount: deposit,
+        dueInDays: DEFAULT_DUE_DAYS
+    });
+
+    (schedule.milestones || []).forEach((milestone, index) => {
+        items.push({
+            key: `milestone-${index + 1}`,
+            type: 'additional',
+            description: milestone.name,
+            stage: milestone.stage,
+            amount: roundAmount(serviceFee * milestone.percentage / 100, currency),
+            dueInDays: milestone.dueInDays ?? DEFAULT_DUE_DAYS
+        });
+    });
+
+    const scheduled = items.reduce((sum, item) => sum + item.amount, 0);
+    items.push({
+        key: 'final',
+        type: 'final',
+        description: 'Final balance',
+        stage: schedule.finalBalanceStage || STAGES.SUBMITTED_TO_INZ,
+        amount: roundAmount(serviceFee - scheduled, currency),
+        dueInDays: DEFAULT_DUE_DAYS
+    });
+
+    return {
+        feeScheduleId: schedule._id,
+        currency,
+        serviceFee,
+        items: items.filter(item => item.amount > 0)
+    };
+};
+
+/**
+ * Pin the matching fee schedule to a new application as its billing plan,
+ * priced in the client's currency where the schedule supports it
+ * @param {Object} application
+ * @param {Object} [options]
+ * @param {Object} [options.user] - The client
+ * @param {string} [options.currency] - Explicitly requested currency
+ */
+const attachBillingPlan = async (application, { user, currency } = {}) => {
+    const countryCode = application.destinationCountry?.code || 'NZ';
+    const schedule = await getFeeSchedule({ countryCode, visaType: application.visaType });
+    const pricing = resolvePricing(schedule, preferredCurrencies({ currency, user, countryCode }));
+
+    application.billingPlan = buildBillingPlan(schedule, pricing);
+    await application.save();
+    return application;
+};
+
+/**
+ * Create (or reuse) a Stripe Checkout link for a pending billing payment
+ * @returns {Promise<Object>} - The payment with checkoutUrl and checkoutExpiresAt set
+ */
+const createCheckoutForPayment = async (payment, { customerEmail } = {}) => {
+    const reusable = payment.checkoutUrl
+        && payment.checkoutExpiresAt
+        && payment.checkoutExpiresAt.getTime() - Date.now() > CHECKOUT_REUSE_MARGIN_MS;
+    if (reusable) return payment;
+
+    if (!customerEmail) {
+        const client = await User.findById(payment.clientId).select('email');
+        customerEmail = client?.email;
+    }
+
+    const session = await stripe.checkout.sessions.create({
+        mode: 'payment',
+        payment_method_types: ['card'],
+        customer_email: customerEmail,
+        line_items: [
+            {
+                price_data: {
+                    currency: payment.currency.toLowerCase(),
+                    product_data: {
+                        name: payment.notes || 'Migrantifly Application Fee',
+                        description: `Payment for application ${payment.applicationId}`
+                    },
+                    unit_amount: toMinorUnits(payment.amount, payment.currency)
+                },
+                quantity: 1
+            }
+        ],
+        metadata: {
+            type: payment.type,
+            paymentId: payment._id.toString(),
+            applicationId: payment.applicationId.toString(),
+            clientId: payment.clientId.toString()
+        },
+        success_url: `${process.env.FRONTEND_URL}/consultation-success?session_id={CHECKOUT_SESSION_ID}&applicationId=${payment.applicationId}`,
+        cancel_url: `${process.env.FRONTEND_URL}/payments/${payment._id}?canceled=true`
+    });
+
+    payment.transactionId = session.id;
+    payment.checkoutUrl = session.url;
+    payment.checkoutExpiresAt = new Date(session.expires_at * 1000);
+    await payment.save();
+
+    return payment;
+};
+
+// Stages the application has been in, including the current one
+const reachedStages = (application) => new Set([
+    application.stage,
+    ...(application.timeline || []).map(entry => entry.stage)
+]);
+
+/**
+ * Raise a pending payment, with a checkout link, for every billing plan item
+ * whose stage the application has reached. The deposit gets its link once
+ * the service agreement is signed. Safe to call repeatedly: each
+ * item is claimed atomically, so concurrent callers raise it once.
+ * @returns {Promise<Object[]>} - Payments raised by this call
+ */
+const raiseStagePayments = async (application) => {
+    const items = application.billingPlan?.items || [];
+    const reached = reachedStages(application);
+    const raised = [];
+
+    for (const item of items) {
+        if (item.paymentId || !reached.has(item.stage)) continue;
+
+        const paymentId = new mongoose.Types.ObjectId();
+        const claim = await Application.updateOne(
+            { _id: application._id, 'billingPlan.items': { $elemMatch: { key: item.key, paymentId: null } } },
+            { $set: { 'billingPlan.items.$.paymentId': paymentId } }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        let payment;
+        try {
+            payment = await Payment.create({
+                _id: paymentId,
+                clientId: application.clientId,
+                applicationId: application._id,
+                amount: item.amount,
+                currency: application.billingPlan.currency,
+                type: item.type,
+                status: 'pending',
+                paymentMethod: 'stripe',
+                billingItemKey: item.key,
+                dueDate: new Date(Date.now() + (item.dueInDays ?? DEFAULT_DUE_DAYS) * 24 * 60 * 60 * 1000),
+                notes: item.description
+            });
+        } catch (err) {
+            // Release the claim so the next stage change retries this item
+            await Application.updateOne(
+                { _id: application._id, 'billingPlan.items.key': item.key },
+                { $unset: { 'billingPlan.items.$.paymentId': '' } }
+            );
+            throw err;
+        }
+        item.paymentId = paymentId;
+
+        // The deposit can only be paid once the service agreement is signed
+        const awaitingAgreement = item.type === 'deposit' && !(await isAgreementSigned(application._id));
+
+        // The client can regenerate the link from the portal if Stripe is unavailable now
+        if (!awaitingAgreement) {
+            try {
+                await createCheckoutForPayment(payment);
+            } catch (err) {
+                console.error(`Checkout link creation failed for payment ${payment._id}:`, err?.message);
+            }
+        }
+
+        try {
+            const message = `${item.description} of ${formatMoney(payment.amount, payment.currency)} is due by ${payment.dueDate.toLocaleDateString()}.`;
+            await sendNotification({
+                userId: application.clientId,
+                applicationId: application._id,
+                type: 'payment_due',
+                title: 'Payment Due',
+                message: awaitingAgreement ? `${message} Please sign your service agreement before paying.` : message,
+                priority: 'high',
+                actionRequired: true,
+                actionUrl: `${process.env.FRONTEND_URL}/payments/${payment._id}`
+            });
+        } catch (notifyErr) {
+            console.error('Notification error (payment due):', notifyErr?.message);
+        }
+
+        raised.push(payment);
+    }
+
+    return raised;
+};
+
+/**
+ * Billing plan items of an application with the state of their payments
+ * @returns {Promise<Object>} - { currency, serviceFee, items, totals }
+ */
+const getBillingSummary = async (application) => {
+    const plan = application.billingPlan || {};
+    const paymentIds = (plan.items || []).map(item => item.paymentId).filter(Boolean);
+    const payments = await Payment.find({ _id: { $in: paymentIds } })
+        .select('status amount refundAmount dueDate checkoutUrl checkoutExpiresAt invoiceUrl');
+    const byId = new Map(payments.map(p => [p._id.toString(), p]));
+
+    const totals = { billed: 0, paid: 0, outstanding: 0, upcoming: 0, overdue: 0 };
+    const now = new Date();
+
+    const items = (plan.items || []).map(item => {
+        const payment = item.paymentId && byId.get(item.paymentId.toString());
+        const status = payment ? payment.status : 'scheduled';
+
+        if (!payment) {
+            totals.upcoming += item.amount;
+        } else if (status === 'pending' || status === 'failed') {
+            totals.billed += item.amount;
+            totals.outstanding += item.amount;
+            if (payment.dueDate && payment.dueDate < now) totals.overdue += item.amount;
+        } else {
+            totals.billed += item.amount;
+            totals.paid += item.amount - (payment.refundAmount || 0);
+        }
+
+        return {
+            key: item.key,
+            type: item.type,
+            description: item.description,
+            stage: item.stage,
+            amount: item.amount,
+            status,
+            paymentId: item.paymentId || null,
+            dueDate: payment?.dueDate || null,
+            checkoutUrl: status === 'pending' && payment.checkoutExpiresAt > now ? payment.checkoutUrl : null,
+            invoiceUrl: payment?.invoiceUrl || null
+        };
+    });
+
+    Object.keys(totals).forEach(key => { totals[key] = roundAmount(totals[key], plan.currency); });
+
+    return {
+        currency: plan.currency || null,
+        serviceFee: plan.serviceFee || 0,
+        items,
+        totals
+    };
+};
+
+/**
+ * Outstanding and upcoming amounts across a client's applications, per currency
+ * @returns {Promise<Object[]>} - [{ currency, outstanding, overdue, upcoming, nextDueDate }]
+ */
+const getOutstandingBalance = async (clientId) => {
+    const applications = await Application.find({ clientId, 'billingPlan.items.0': { $exists: true } })
+        .select('billingPlan');
+
+    const balances = new Map();
+    for (const application of applications) {
+        const summary = await getBillingSummary(application);
+        const balance = balances.get(summary.currency)
+            || { currency: summary.currency, outstanding: 0, overdue: 0, upcoming: 0, nextDueDate: null };
+
+        balance.outstanding = roundAmount(balance.outstanding + summary.totals.outstanding, summary.currency);
+        balance.overdue = roundAmount(balance.overdue + summary.totals.overdue, summary.currency);
+        balance.upcoming = roundAmount(balance.upcoming + summary.totals.upcoming, summary.currency);
+        for (const item of summary.items) {
+            if (item.status === 'pending' && item.dueDate && (!balance.nextDueDate || item.dueDate < balance.nextDueDate)) {
+                balance.nextDueDate = item.dueDate;
+            }
+        }
+        balances.set(summary.currency, balance);
+    }
+
+    return [...balances.values()];
+};
+
+module.exports = {
+    DEFAULT_FEE_SCHEDULE,
+    getFeeSchedule,
+    resolvePricing,
+    getConsultationFee,
+    buildBillingPlan,
+    attachBillingPlan,
+    createCheckoutForPayment,
+    raiseStagePayments,
+    getBillingSummary,
+    getOutstandingBalance
+};
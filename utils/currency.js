@@ -0,0 +1,131 @@
+const { ExchangeRate } = require('../models');
+const {
+    REPORTING_CURRENCY,
+    COUNTRY_CURRENCIES,
+    COUNTRY_NAMES,
+    ZERO_DECIMAL_CURRENCIES,
+    THREE_DECIMAL_CURRENCIES
+} = require('../constants/currencies');
+
+const normalize = (currency) => (currency || '').toString().toUpperCase();
+
+// Number of decimal places Stripe uses for the currency
+const getCurrencyDecimals = (currency) => {
+    const code = normalize(currency);
+    if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+    if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+    return 2;
+};
+
+/**
+ * Round an amount to the currency's smallest chargeable unit
+ */
+const roundAmount = (amount, currency) => {
+    return fromMinorUnits(toMinorUnits(amount, currency), currency);
+};
+
+/**
+ * Convert an amount to the integer Stripe expects (cents, yen, fils...)
+ */
+const toMinorUnits = (amount, currency) => {
+    const decimals = getCurrencyDecimals(currency);
+    const minor = Math.round(amount * 10 ** decimals);
+    // Three-decimal currencies must be a multiple of ten
+    return decimals === 3 ? Math.round(minor / 10) * 10 : minor;
+};
+
+const fromMinorUnits = (amount, currency) => amount / 10 ** getCurrencyDecimals(currency);
+
+/**
+ * Format an amount for invoices and messages, e.g. "NZD 1,250.00"
+ */
+const formatMoney = (amount, currency) => {
+    const code = normalize(currency);
+    try {
+        return new Intl.NumberFormat('en-NZ', {
+            style: 'currency',
+            currency: code,
+            currencyDisplay: 'code',
+            minimumFractionDigits: getCurrencyDecimals(code),
+            maximumFractionDigits: getCurrencyDecimals(code)
+        }).format(amount);
+    } catch (err) {
+        return `${code} ${Number(amount).toFixed(getCurrencyDecimals(code))}`;
+    }
+};
+
+// Accepts an ISO code ("NZ") or a known country name ("New Zealand")
+const toCountryCode = (country) => {
+    const value = normalize(country).trim();
+    if (/^[A-Z]{2}$/.test(value)) return value;
+    return COUNTRY_NAMES[value] || null;
+};
+
+const currencyForCountry = (country) => {
+    const code = toCountryCode(country);
+    return code ? COUNTRY_CURRENCIES[code] || null : null;
+};
+
+/**
+ * Currencies to bill a client in, most preferred first: an explicit choice,
+ * then the client's profile country, then the destination country.
+ * @returns {string[]}
+ */
+const preferredCurrencies = ({ currency, user, countryCode } = {}) => {
+    const candidates = [
+        currency && normalize(currency),
+        currencyForCountry(user?.profile?.address?.country),
+        currencyForCountry(countryCode)
+    ];
+    return [...new Set(candidates.filter(Boolean))];
+};
+
+/**
+ * Rates into the reporting currency, keyed by currency
+ * @returns {Promise<Map<string, number>>}
+ */
+const getExchangeRates = async () => {
+    const rates = await ExchangeRate.find().select('currency rate');
+    const map = new Map(rates.map(r => [r.currency, r.rate]));
+    map.set(REPORTING_CURRENCY, 1);
+    return map;
+};
+
+/**
+ * Convert per-currency totals into one reporting-currency total. Currencies
+ * without a rate are left out and listed in missingRates.
+ * @param {Object[]} totals - [{ currency, total }]
+ * @returns {Promise<Object>} - { currency, total, missingRates }
+ */
+const consolidate = async (totals) => {
+    const rates = await getExchangeRates();
+    const missingRates = [];
+    let total = 0;
+
+    for (const entry of totals) {
+        const rate = rates.get(normalize(entry.currency));
+        if (rate === undefined) {
+            missingRates.push(normalize(entry.currency));
+            continue;
+        }
+        total += entry.total * rate;
+    }
+
+    return {
+        currency: REPORTING_CURRENCY,
+        total: roundAmount(total, REPORTING_CURRENCY),
+        missingRates
+    };
+};
+
+module.exports = {
+    getCurrencyDecimals,
+    roundAmount,
+    toMinorUnits,
+    fromMinorUnits,
+    formatMoney,
+    currencyForCountry,
+    preferredCurrencies,
+    getExchangeRates,
+    consolidate
+};
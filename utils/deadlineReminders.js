@@ -0,0 +1,157 @@
+const { Application, User } = require('../models');
+const { REMINDER_OFFSETS, ADMIN_ESCALATION_TYPES, OVERDUE_LOOKBACK_DAYS } = require('../constants/deadlines');
+const { sendNotification } = require('./notifications');
+const { withLock } = require('./jobLock');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LOCK_NAME = 'deadline-reminders';
+const LOCK_TTL_MS = 15 * 60 * 1000;
+
+const DEADLINE_LABELS = {
+    rfi: 'RFI response',
+    ppi: 'PPI response',
+    medical: 'medical certificate',
+    document: 'document submission'
+};
+
+/**
+ * The reminder a deadline is due for: 'overdue' once its due date has
+ * passed, otherwise the nearest offset reached (e.g. '3d' from three days
+ * before). Later stages supersede earlier ones, so a deadline added three
+ * days out gets the 3-day reminder only.
+ * @returns {string|null} - null before the first offset
+ */
+const getReminderStage = (deadline, now = new Date()) => {
+    const due = new Date(deadline.dueDate).getTime();
+    if (due <= now.getTime()) return 'overdue';
+
+    const reached = (REMINDER_OFFSETS[deadline.type] || []).filter(days => due - days * DAY_MS <= now.getTime());
+    return reached.length ? `${Math.min(...reached)}d` : null;
+};
+
+/**
+ * Record a reminder stage on a deadline unless it was already sent, so each
+ * reminder goes out once even if runs overlap
+ * @returns {Promise<boolean>} - true when this run should send it
+ */
+const claimReminder = async (applicationId, deadlineId, stage) => {
+    const result = await Application.updateOne(
+        {
+            _id: applicationId,
+            deadlines: { $elemMatch: { _id: deadlineId, completed: false, 'remindersSent.stage': { $ne: stage } } }
+        },
+        { $push: { 'deadlines.$.remindersSent': { stage, sentAt: new Date() } } }
+    );
+    return result.modifiedCount === 1;
+};
+
+const notifySafely = async (notification) => {
+    try {
+        await sendNotification(notification);
+    } catch (error) {
+        console.error(`Deadline reminder to user ${notification.userId} failed:`, error.message);
+    }
+};
+
+// Remind the client and their adviser; overdue RFIs are escalated to the admins
+const sendReminder = async (application, deadline, stage, now) => {
+    const label = DEADLINE_LABELS[deadline.type] || 'deadline';
+    const overdue = stage === 'overdue';
+    const days = Math.ceil((new Date(deadline.dueDate) - now) / DAY_MS);
+    const client = application.clientId;
+    const clientName = [client?.profile?.firstName, client?.profile?.lastName].filter(Boolean).join(' ') || client?.email;
+    const details = deadline.description ? ` (${deadline.description})` : '';
+
+    const shared = {
+        applicationId: application._id,
+        type: overdue ? 'deadline_overdue' : 'deadline_approaching',
+        priority: overdue || days <= 1 ? 'urgent' : days <= 3 ? 'high' : 'medium',
+        actionRequired: true
+    };
+
+    await notifySafely({
+        ...shared,
+        userId: client._id,
+        title: overdue ? 'Deadline Overdue' : 'Deadline Approaching',
+        message: overdue
+            ? `Your ${label}${details} was due on ${deadline.dueDate.toDateString()}. Please contact your adviser and submit it as soon as possible.`
+            : `Your ${label}${details} is due in ${days} day(s). Please submit your documents promptly.`,
+        actionUrl: `/applications/${application._id}/documents`
+    });
+
+    const staffMessage = overdue
+        ? `${clientName}'s ${label}${details} is overdue; it was due on ${deadline.dueDate.toDateString()}.`
+        : `${clientName}'s ${label}${details} is due in ${days} day(s).`;
+
+    const staff = application.adviserId ? [application.adviserId] : [];
+    if (overdue && ADMIN_ESCALATION_TYPES.includes(deadline.type)) {
+        const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+        staff.push(...admins.map(admin => admin._id));
+    }
+
+    const notified = new Set();
+    for (const userId of staff) {
+        if (notified.has(userId.toString())) continue;
+        notified.add(userId.toString());
+
+        await notifySafely({
+            ...shared,
+            userId,
+            title: overdue ? `Client Deadline Overdue: ${label}` : `Client Deadline Approaching: ${label}`,
+            message: staffMessage,
+            actionUrl: `/applications/${application._id}`
+        });
+    }
+};
+
+/**
+ * Send each open deadline the reminder it is due for. Reminders go out at
+ * the configured offsets before the due date, then once as an overdue
+ * escalation; each is recorded on the deadline so it is sent once.
+ * @returns {Promise<number>} - Number of reminders sent
+ */
+const processDeadlineReminders = async (now = new Date()) => {
+    const maxOffset = Math.max(...Object.values(REMINDER_OFFSETS).flat());
+    const applications = await Application.find({
+        deadlines: {
+            $elemMatch: {
+                completed: false,
+                dueDate: {
+                    $gte: new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS),
+                    $lte: new Date(now.getTime() + maxOffset * DAY_MS)
+                }
+            }
+        }
+    }).populate('clientId', 'email profile');
+
+    let sent = 0;
+    for (const application of applications) {
+        if (!application.clientId) continue;
+
+        for (const deadline of application.deadlines) {
+            if (deadline.completed || !deadline.dueDate) continue;
+            if (deadline.dueDate < new Date(now.getTime() - OVERDUE_LOOKBACK_DAYS * DAY_MS)) continue;
+
+            const stage = getReminderStage(deadline, now);
+            if (!stage || deadline.remindersSent.some(r => r.stage === stage)) continue;
+            if (!(await claimReminder(application._id, deadline._id, stage))) continue;
+
+            await sendReminder(application, deadline, stage, now);
+            sent++;
+        }
+    }
+
+    return sent;
+};
+
+/**
+ * Run the reminder pass on one server instance at a time
+ * @returns {Promise<number|null>} - Reminders sent, or null when another instance is running it
+ */
+const sendDeadlineReminders = async (now = new Date()) => {
+    const { ran, result } = await withLock(LOCK_NAME, LOCK_TTL_MS, () => processDeadlineReminders(now));
+    return ran ? result : null;
+};
+
+module.exports = { getReminderStage, processDeadlineReminders, sendDeadlineReminders };
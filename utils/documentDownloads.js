@@ -0,0 +1,123 @@
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { Document, DocumentAccess, User } = require('../models');
+const { canAccess } = require('./permissions');
+const { touchSession } = require('./sessions');
+const { keyFromUrl } = require('./storage/cloudinaryProvider');
+
+const DOWNLOAD_LINK_EXPIRE_SECONDS = parseInt(process.env.DOWNLOAD_LINK_EXPIRE_SECONDS || '300', 10);
+// Links carry their own audience, so they are never accepted as access tokens
+const DOWNLOAD_LINK_AUDIENCE = 'document_download';
+
+const linkSecret = () => process.env.DOWNLOAD_LINK_SECRET || process.env.JWT_SECRET;
+
+const DOWNLOAD_ERROR_MESSAGES = {
+    INVALID_LINK: 'Download link is invalid or has expired',
+    ACCESS_REVOKED: 'Download link is no longer valid. Please request a new one.',
+    NOT_FOUND: 'Document not found'
+};
+
+const downloadError = (code, status) => ({ error: code, status, message: DOWNLOAD_ERROR_MESSAGES[code] });
+
+const baseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+/**
+ * Storage key of a document version. Files stored before keys were recorded
+ * only have their Cloudinary URL, so the key is derived from it until
+ * `scripts/migrateStorage.js --backfill-keys` records it.
+ * @returns {string|null}
+ */
+function versionStorageKey({ storageKey, fileUrl, originalName }) {
+    if (storageKey) return storageKey;
+    if (!fileUrl) return null;
+    try {
+        return keyFromUrl(fileUrl, path.extname(originalName || '').toLowerCase());
+    } catch {
+        return null;
+    }
+}
+
+// Quarantined files are not served until their scan passes; infected ones have been deleted
+function fileUnavailable(version) {
+    if (version.status === 'quarantined') return { status: 423, message: 'File is awaiting a virus scan' };
+    if (version.status === 'infected') return { status: 410, message: 'File failed a virus scan and was deleted' };
+    if (!versionStorageKey(version)) return { status: 404, message: 'File not found' };
+    return null;
+}
+
+/**
+ * Short-lived link to one version of a document. The link is bound to the
+ * requesting user and session, so it stops working when either loses access.
+ * @returns {{ downloadUrl: string, expiresIn: number }}
+ */
+const issueDownloadLink = (req, document, version) => {
+    const token = jwt.sign({
+        purpose: 'document_download',
+        documentId: String(document._id),
+        version: version.version,
+        userId: String(req.user._id),
+        sid: String(req.authSession._id)
+    }, linkSecret(), { expiresIn: DOWNLOAD_LINK_EXPIRE_SECONDS, audience: DOWNLOAD_LINK_AUDIENCE });
+
+    return {
+        downloadUrl: `${baseUrl()}/api/downloads/${token}`,
+        expiresIn: DOWNLOAD_LINK_EXPIRE_SECONDS
+    };
+};
+
+/**
+ * Check a download link against the current state of its user, session and document
+ * @returns {Promise<Object>} - { document, version, user, session } or { error, status, message }
+ */
+const redeemDownloadToken = async (token, req) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, linkSecret(), { audience: DOWNLOAD_LINK_AUDIENCE });
+    } catch {
+        return downloadError('INVALID_LINK', 403);
+    }
+    if (decoded.purpose !== 'document_download') return downloadError('INVALID_LINK', 403);
+
+    const session = await touchSession(decoded.sid, req);
+    if (!session || String(session.userId) !== decoded.userId) return downloadError('ACCESS_REVOKED', 403);
+
+    const user = await User.findById(decoded.userId).select('-password');
+    if (!user || !user.isActive) return downloadError('ACCESS_REVOKED', 403);
+
+    const document = await Document.findById(decoded.documentId).populate('applicationId', 'clientId adviserId');
+    if (!document) return downloadError('NOT_FOUND', 404);
+
+    // Access is checked again, since it may have been removed after the link was issued
+    if (!(await canAccess(user, 'document', document))) return downloadError('ACCESS_REVOKED', 403);
+
+    document.ensureVersionHistory();
+    const version = document.getVersion(decoded.version);
+    if (!version) return downloadError('NOT_FOUND', 404);
+
+    const unavailable = fileUnavailable(version);
+    if (unavailable) return { error: 'FILE_UNAVAILABLE', ...unavailable };
+
+    return { document, version, user, session };
+};
+
+// Recorded before the file is sent, so no download goes unlogged
+const recordDocumentAccess = ({ document, version, user, session, channel, req }) => DocumentAccess.create({
+    documentId: document._id,
+    applicationId: document.applicationId?._id || document.applicationId,
+    version: version.version,
+    userId: user._id,
+    role: user.role,
+    channel,
+    sessionId: session?._id,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+});
+
+module.exports = {
+    DOWNLOAD_LINK_EXPIRE_SECONDS,
+    versionStorageKey,
+    fileUnavailable,
+    issueDownloadLink,
+    redeemDownloadToken,
+    recordDocumentAccess
+};
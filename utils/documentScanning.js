@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { Application, Document, User } = require('../models');
+const { scanFile, getSignatureVersion } = require('./scanning');
+const { deleteFile, downloadToFile } = require('./fileStorage');
+const { sendNotification } = require('./notifications');
+const { versionStorageKey } = require('./documentDownloads');
+const { withLock } = require('./jobLock');
+
+const LOCK_NAME = 'document-rescan';
+const LOCK_TTL_MS = 6 * 60 * 60 * 1000;
+
+const typeLabel = (type) => type.replace(/_/g, ' ');
+
+const notifySafely = async (notification) => {
+    try {
+        await sendNotification(notification);
+    } catch (error) {
+        console.error(`Scan notification to user ${notification.userId} failed:`, error.message);
+    }
+};
+
+/**
+ * Tell the admins an infected file was found. Uploads are rejected before
+ * they are stored; files caught by a rescan have already been deleted.
+ * @param {Object} details - { applicationId, documentType, originalName, threats, detectedOn: 'upload'|'rescan' }
+ */
+const reportInfectedFile = async ({ applicationId, documentType, originalName, threats, detectedOn }) => {
+    console.warn(`Infected ${documentType} file "${originalName}" found on ${detectedOn} for application ${applicationId}: ${threats.join(', ')}`);
+
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id');
+    for (const admin of admins) {
+        await notifySafely({
+            userId: admin._id,
+            applicationId,
+            type: 'security_alert',
+            title: 'Infected File Detected',
+            message: detectedOn === 'upload'
+                ? `An uploaded ${typeLabel(documentType)} file (${originalName}) contained ${threats.join(', ')} and was rejected.`
+                : `A stored ${typeLabel(documentType)} file (${originalName}) was found to contain ${threats.join(', ')} on rescan and has been deleted.`,
+            priority: 'urgent',
+            actionRequired: true,
+            actionUrl: `/applications/${applicationId}`
+        });
+    }
+};
+
+// A rescan found a stored version infected: delete its file and ask the client for a clean copy
+const removeInfectedVersion = async (document, version) => {
+    const storageKey = versionStorageKey(version);
+    version.storageKey = undefined;
+    version.fileUrl = undefined;
+    document.syncLatestVersion();
+    await document.save();
+    await deleteFile(storageKey);
+
+    await reportInfectedFile({
+        applicationId: document.applicationId,
+        documentType: document.type,
+        originalName: version.originalName,
+        threats: version.scan.threats,
+        detectedOn: 'rescan'
+    });
+
+    await notifySafely({
+        userId: document.clientId,
+        applicationId: document.applicationId,
+        type: 'document_rejected',
+        title: 'Document Requires Attention',
+        message: `Your ${typeLabel(document.type)} document (${version.originalName}) failed a security check and was removed. Please upload a clean copy.`,
+        priority: 'high',
+        actionRequired: true,
+        actionUrl: `/applications/${document.applicationId}/documents`
+    });
+};
+
+// A quarantined upload passed its scan and is ready for review
+const notifyReleased = async (document, version) => {
+    const application = await Application.findById(document.applicationId).select('adviserId');
+    if (!application?.adviserId) return;
+
+    await notifySafely({
+        userId: application.adviserId,
+        applicationId: document.applicationId,
+        type: 'document_uploaded',
+        title: 'New Document Uploaded',
+        message: `Version ${version.version} of the ${typeLabel(document.type)} document passed its virus scan and is ready for review`,
+        priority: 'medium'
+    });
+};
+
+// Scan one stored version from a temporary local copy
+const scanStoredVersion = async (version) => {
+    const localPath = path.join(os.tmpdir(), `rescan-${crypto.randomBytes(8).toString('hex')}${path.extname(version.originalName || '')}`);
+    try {
+        await downloadToFile(versionStorageKey(version), localPath);
+        return await scanFile(localPath);
+    } finally {
+        await fs.unlink(localPath).catch(() => {});
+    }
+};
+
+const scannerAvailable = () => getSignatureVersion().then(() => true, () => false);
+
+/**
+ * Scan stored files that are still quarantined or were last scanned with
+ * older signatures. Stops early if the scanner becomes unavailable; the
+ * remaining files are picked up by the next run.
+ * @returns {Promise<Object>} - { scanned, infected, released }
+ */
+const processRescans = async () => {
+    const totals = { scanned: 0, infected: 0, released: 0 };
+
+    let signatureVersion;
+    try {
+        signatureVersion = await getSignatureVersion();
+    } catch (error) {
+        console.error('Virus scanner unavailable, skipping rescan:', error.message);
+        return totals;
+    }
+
+    const hasFile = { $nin: [null, ''] };
+    // Files stored before keys were recorded only have their Cloudinary URL
+    const storedFile = [{ storageKey: hasFile }, { fileUrl: hasFile }];
+    const cursor = Document.find({
+        $or: [
+            {
+                versions: {
+                    $elemMatch: {
+                        $and: [
+                            { $or: storedFile },
+                            { $or: [{ status: 'quarantined' }, { 'scan.signatureVersion': { $ne: signatureVersion } }] }
+                        ]
+                    }
+                }
+            },
+            // Uploaded before versioning and never scanned
+            { 'versions.0': { $exists: false }, $or: storedFile }
+        ]
+    }).cursor();
+
+    for await (const document of cursor) {
+        document.ensureVersionHistory();
+
+        const due = document.versions.filter(version => versionStorageKey(version) &&
+            (version.status === 'quarantined' || version.scan?.signatureVersion !== signatureVersion));
+
+        for (const version of due) {
+            let scan;
+            try {
+                scan = await scanStoredVersion(version);
+            } catch (error) {
+                console.error(`Could not fetch version ${version.version} of document ${document._id} for rescan:`, error.message);
+                continue;
+            }
+            if (scan.status === 'error') {
+                // A scanner that still answers could not scan this file; skip it
+                if (await scannerAvailable()) continue;
+                return totals;
+            }
+
+            const wasQuarantined = version.status === 'quarantined';
+            document.recordScan(version.version, scan);
+            totals.scanned++;
+
+            try {
+                if (scan.status === 'infected') {
+                    await removeInfectedVersion(document, version);
+                    totals.infected++;
+                } else {
+                    await document.save();
+                    if (wasQuarantined) {
+                        await notifyReleased(document, version);
+                        totals.released++;
+                    }
+                }
+            } catch (error) {
+                // Most likely a concurrent upload; the next run scans it again
+                console.error(`Could not record rescan of document ${document._id}:`, error.message);
+                break;
+            }
+        }
+    }
+
+    return totals;
+};
+
+/**
+ * Run the rescan on one server instance at a time
+ * @returns {Promise<Object|null>} - Totals, or null when another instance is running it
+ */
+const rescanDocuments = async () => {
+    const { ran, result } = await withLock(LOCK_NAME, LOCK_TTL_MS, processRescans);
+    return ran ? result : null;
+};
+
+module.exports = { reportInfectedFile, processRescans, rescanDocuments };
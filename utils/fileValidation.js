@@ -1,50 +1,319 @@
-
 const fs = require('fs').promises;
 const path = require('path');
+const zlib = require('zlib');
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Cap on decompressed data while inspecting, so a compression bomb cannot exhaust memory
+const MAX_INFLATED_SIZE = 50 * 1024 * 1024;
+
+// Accepted types, the extensions each may carry and the mime type stored for it
+const FILE_TYPES = {
+    jpeg: { extensions: ['.jpg', '.jpeg'], mimeType: 'image/jpeg' },
+    png: { extensions: ['.png'], mimeType: 'image/png' },
+    pdf: { extensions: ['.pdf'], mimeType: 'application/pdf' },
+    doc: { extensions: ['.doc'], mimeType: 'application/msword' },
+    docx: { extensions: ['.docx'], mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' }
+};
+
+const reject = (reason, error) => ({ isValid: false, reason, error });
+
+// ---- Zip (DOCX) ----
+
+// Entries from the zip central directory
+const readZipEntries = (buffer) => {
+    const searchFrom = Math.max(0, buffer.length - 65557);
+    const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]), buffer.length - 22);
+    if (eocd < searchFrom) return null;
+
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== 0x02014b50) return null;
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        entries.push({
+            name: buffer.toString('utf8', offset + 46, offset + 46 + nameLength),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            localHeaderOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return entries;
+};
+
+const readZipEntry = (buffer, entry) => {
+    const header = entry.localHeaderOffset;
+    if (buffer.readUInt32LE(header) !== 0x04034b50) return null;
+
+    const start = header + 30 + buffer.readUInt16LE(header + 26) + buffer.readUInt16LE(header + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_SIZE });
+    return null;
+};
+
+// ---- Compound File Binary (DOC) ----
+
+const CFB_END_OF_CHAIN = 0xfffffffe;
+
+// Names of the storages and streams in an OLE compound file
+const readCompoundFileNames = (buffer) => {
+    // Version 3 files use 512-byte sectors and version 4 files 4096-byte ones
+    const sectorShift = buffer.readUInt16LE(0x1e);
+    if (sectorShift !== 9 && sectorShift !== 12) return [];
+
+    const sectorSize = 1 << sectorShift;
+    const sectorCount = Math.floor(buffer.length / sectorSize) - 1;
+    const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+    // The sector allocation table is listed by the header and any further DIFAT sectors
+    const fatSectors = [];
+    for (let i = 0; i < 109; i++) fatSectors.push(buffer.readUInt32LE(0x4c + i * 4));
+    let difatSector = buffer.readUInt32LE(0x44);
+    for (let hops = 0; difatSector < sectorCount && hops < sectorCount; hops++) {
+        const base = sectorOffset(difatSector);
+        for (let i = 0; i < sectorSize / 4 - 1; i++) fatSectors.push(buffer.readUInt32LE(base + i * 4));
+        difatSector = buffer.readUInt32LE(base + sectorSize - 4);
+    }
+
+    const nextSector = (sector) => {
+        const perSector = sectorSize / 4;
+        const fatSector = fatSectors[Math.floor(sector / perSector)];
+        if (fatSector === undefined || fatSector >= sectorCount) return CFB_END_OF_CHAIN;
+        return buffer.readUInt32LE(sectorOffset(fatSector) + (sector % perSector) * 4);
+    };
+
+    const names = [];
+    let sector = buffer.readUInt32LE(0x30);
+    for (let hops = 0; sector < sectorCount && hops < sectorCount; hops++) {
+        const base = sectorOffset(sector);
+        for (let entry = base; entry + 128 <= base + sectorSize; entry += 128) {
+            const nameLength = buffer.readUInt16LE(entry + 64);
+            if (buffer[entry + 66] !== 0 && nameLength >= 2) {
+                names.push(buffer.toString('utf16le', entry, entry + nameLength - 2));
+            }
+        }
+        sector = nextSector(sector);
+    }
+    return names;
+};
+
+// ---- Detection ----
+
+const startsWith = (buffer, bytes) => buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+const PDF_WHITESPACE = [0x09, 0x0a, 0x0c, 0x0d, 0x20];
+
+// Readers accept a PDF header anywhere near the start, but only a byte order mark
+// or whitespace may come before it here, so an executable with a PDF header
+// further in is not taken for a PDF
+const isPdf = (buffer) => {
+    let start = startsWith(buffer, UTF8_BOM) ? UTF8_BOM.length : 0;
+    while (start < buffer.length && PDF_WHITESPACE.includes(buffer[start])) start++;
+    return buffer.toString('latin1', start, start + 5) === '%PDF-';
+};
+
+/**
+ * Identify a file from its leading bytes rather than its name or the
+ * client's mime type
+ * @returns {string|null} - A FILE_TYPES key, or null when not an accepted type
+ */
+const detectFileType = (buffer) => {
+    if (startsWith(buffer, [0xff, 0xd8, 0xff])) return 'jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+    if (isPdf(buffer)) return 'pdf';
+    if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'doc';
+    if (startsWith(buffer, [0x50, 0x4b, 0x03, 0x04])) return 'docx';
+    return null;
+};
+
+// ---- Content checks ----
+
+// A PDF name token such as /JavaScript, not a longer name it prefixes
+const hasPdfName = (text, name) => new RegExp(`/${name}(?![A-Za-z0-9])`).test(text);
 
+// The PDF's own text plus every stream that inflates, since dictionaries can
+// sit in compressed object streams. #xx escapes (/J#61vaScript) are decoded.
+const pdfSources = (buffer) => {
+    const text = buffer.toString('latin1');
+    const sources = [text];
+    let inflated = 0;
+
+    const streamPattern = /stream\r?\n/g;
+    let match;
+    while ((match = streamPattern.exec(text)) && inflated < MAX_INFLATED_SIZE) {
+        const start = match.index + match[0].length;
+        const end = text.indexOf('endstream', start);
+        if (end === -1) break;
+        try {
+            const data = zlib.inflateSync(buffer.subarray(start, end), {
+                maxOutputLength: MAX_INFLATED_SIZE - inflated,
+                finishFlush: zlib.constants.Z_SYNC_FLUSH
+            });
+            inflated += data.length;
+            sources.push(data.toString('latin1'));
+        } catch {
+            // Not a Flate stream, e.g. an embedded JPEG
+        }
+        // Resume after the keyword, whose own "stream" would otherwise swallow the next stream
+        streamPattern.lastIndex = end + 'endstream'.length;
+    }
+
+    return sources.map(source => source.replace(/#([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))));
+};
+
+const inspectPdf = (buffer) => {
+    const sources = pdfSources(buffer);
+    const found = (name) => sources.some(source => hasPdfName(source, name));
+
+    if (found('Encrypt')) return reject('PDF_ENCRYPTED', 'PDF is encrypted or password protected. Please upload an unprotected copy.');
+    if (found('JavaScript') || found('JS')) return reject('PDF_JAVASCRIPT', 'PDF contains embedded JavaScript, which is not allowed');
+    if (found('Launch')) return reject('PDF_LAUNCH_ACTION', 'PDF contains an action that launches another program, which is not allowed');
+    return null;
+};
+
+const inspectDocx = (buffer) => {
+    const entries = readZipEntries(buffer);
+    const names = (entries || []).map(entry => entry.name);
+    if (!names.includes('[Content_Types].xml') || !names.includes('word/document.xml')) {
+        return reject('FILE_CONTENT_MISMATCH', 'File is not a valid Word document');
+    }
+
+    const contentTypes = readZipEntry(buffer, entries.find(entry => entry.name === '[Content_Types].xml'));
+    const hasMacros = names.some(name => /(^|\/)vba(Project\.bin|Data\.xml)$/i.test(name)) ||
+        (contentTypes && /macroEnabled/i.test(contentTypes.toString('utf8')));
+    if (hasMacros) return reject('DOCUMENT_MACROS', 'Document contains macros, which are not allowed. Please save it as a plain .docx and upload again.');
+    return null;
+};
+
+const inspectDoc = (buffer) => {
+    const names = readCompoundFileNames(buffer);
+    if (!names.includes('WordDocument')) {
+        return reject('FILE_CONTENT_MISMATCH', 'File is not a valid Word document');
+    }
+    // Word keeps VBA projects in a "Macros" storage
+    if (names.some(name => ['Macros', 'VBA', '_VBA_PROJECT'].includes(name))) {
+        return reject('DOCUMENT_MACROS', 'Document contains macros, which are not allowed. Please save it as a plain .docx and upload again.');
+    }
+    return null;
+};
+
+const INSPECTORS = {
+    pdf: inspectPdf,
+    docx: inspectDocx,
+    doc: inspectDoc
+};
+
+/**
+ * Check a file's size, real type and content
+ * @param {string} filePath - Local path; its extension must match the content
+ * @returns {Promise<Object>} - { isValid: true, fileType, mimeType } or { isValid: false, reason, error }
+ */
 const validateFile = async (filePath) => {
     try {
         const stats = await fs.stat(filePath);
-        const fileSize = stats.size;
-        const maxSize = 10 * 1024 * 1024; // 10MB
-
-        if (fileSize > maxSize) {
-            return {
-                isValid: false,
-                error: 'File size exceeds 10MB limit'
-            };
+        if (stats.size > MAX_FILE_SIZE) {
+            return reject('FILE_TOO_LARGE', 'File size exceeds 10MB limit');
+        }
+        if (stats.size === 0) {
+            return reject('FILE_EMPTY', 'File is empty');
         }
 
-        // Check file extension
-        const allowedExtensions = ['.jpg', '.jpeg', '.png', '.pdf', '.doc', '.docx'];
-        const fileExtension = path.extname(filePath).toLowerCase();
+        const extension = path.extname(filePath).toLowerCase();
+        const allowedExtensions = Object.values(FILE_TYPES).flatMap(type => type.extensions);
+        if (!allowedExtensions.includes(extension)) {
+            return reject('FILE_TYPE_NOT_ALLOWED', 'File type not supported. Only JPEG, PNG, PDF, DOC and DOCX files are allowed.');
+        }
 
-        if (!allowedExtensions.includes(fileExtension)) {
-            return {
-                isValid: false,
-                error: 'File type not supported'
-            };
+        const buffer = await fs.readFile(filePath);
+        const fileType = detectFileType(buffer);
+        if (!fileType) {
+            return reject('FILE_TYPE_NOT_ALLOWED', `File content is not a JPEG, PNG, PDF, DOC or DOCX file, despite its ${extension} extension`);
+        }
+        if (!FILE_TYPES[fileType].extensions.includes(extension)) {
+            return reject('FILE_CONTENT_MISMATCH', `File content is ${fileType.toUpperCase()}, which does not match its ${extension} extension`);
         }
 
-        return { isValid: true };
+        const problem = INSPECTORS[fileType]?.(buffer);
+        if (problem) return problem;
+
+        return { isValid: true, fileType, mimeType: FILE_TYPES[fileType].mimeType };
     } catch (error) {
-        return {
-            isValid: false,
-            error: 'Error validating file'
-        };
+        console.error('Error validating file:', error.message);
+        return reject('FILE_UNREADABLE', 'File could not be read. It may be damaged.');
     }
 };
 
-const scanForVirus = async (filePath) => {
-    try {
-        // Placeholder for virus scanning
-        // In production, integrate with ClamAV or similar service
-        // For now, just return clean
-        return { isClean: true };
-    } catch (error) {
-        console.error('Error scanning file:', error);
-        return { isClean: false };
+// ---- Sanitisation ----
+
+// APP1 holds EXIF (including GPS) and XMP, APP13 holds IPTC, COM is a free-text comment
+const JPEG_METADATA_MARKERS = new Set([0xe1, 0xed, 0xfe]);
+
+const stripJpegMetadata = (buffer) => {
+    const kept = [buffer.subarray(0, 2)];
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        // Fill byte before a marker
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // Start of scan: the compressed image data runs to the end of the file
+        if (marker === 0xda) break;
+
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (!JPEG_METADATA_MARKERS.has(marker)) kept.push(buffer.subarray(offset, end));
+        offset = end;
     }
+
+    kept.push(buffer.subarray(offset));
+    return Buffer.concat(kept);
+};
+
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+const stripPngMetadata = (buffer) => {
+    const kept = [buffer.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const end = offset + 12 + buffer.readUInt32BE(offset);
+        if (!PNG_METADATA_CHUNKS.has(type)) kept.push(buffer.subarray(offset, end));
+        offset = end;
+        if (type === 'IEND') break;
+    }
+
+    return Buffer.concat(kept);
+};
+
+const SANITIZERS = {
+    jpeg: stripJpegMetadata,
+    png: stripPngMetadata
+};
+
+/**
+ * Strip EXIF, GPS and other metadata from an image in place. The EXIF
+ * orientation goes with it, so images are stored as the camera wrote them.
+ * @param {string} fileType - As returned by validateFile
+ * @returns {Promise<boolean>} - true when the file was changed
+ */
+const sanitizeFile = async (filePath, fileType) => {
+    const sanitize = SANITIZERS[fileType];
+    if (!sanitize) return false;
+
+    const buffer = await fs.readFile(filePath);
+    const sanitized = sanitize(buffer);
+    if (sanitized.equals(buffer)) return false;
+
+    await fs.writeFile(filePath, sanitized);
+    return true;
 };
 
-module.exports = { validateFile, scanForVirus };
\ No newline at end of file
+module.exports = { FILE_TYPES, detectFileType, validateFile, sanitizeFile };
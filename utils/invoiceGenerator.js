@@ -1,91 +1,366 @@
 const PDFDocument = require('pdfkit');
 const fs = require('fs').promises;
 const path = require('path');
+const { Payment, User, Counter } = require('../models');
+const { roundAmount, formatMoney } = require('./currency');
+const { formatInTimeZone } = require('./timezone');
+const { INVOICE_CONFIG } = require('../constants/invoicing');
 
-const generateInvoice = async ({ payment, client, invoiceNumber }) => {
-    try {
-        const doc = new PDFDocument({ margin: 50 });
-        const invoiceDir = path.join(__dirname, '../invoices');
+// A claim or counter hold this old belongs to a caller that stopped before finishing
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+const HOLD_RETRY_MS = 100;
+const HOLD_ATTEMPTS = 50;
+
+const formatDocumentNumber = (prefix, seq) => `${prefix}-${String(seq).padStart(INVOICE_CONFIG.numberPadding, '0')}`;
+
+// The snapshot and number are saved together, so a snapshot marks a finished entry
+const hasSnapshot = (entry) => entry.invoice?.total !== undefined;
+
+/**
+ * Take the next number in a document series, e.g. INV-000042, and hold the
+ * counter for the entry until the number is saved on it. Only one number is
+ * unsaved at a time, so a caller that crashes leaves it to be reused, not a gap.
+ * @returns {Promise<number>}
+ */
+const holdNextNumber = async (prefix, entryId) => {
+    const series = `invoice:${prefix}`;
+    const holder = String(entryId);
 
-        // Ensure directory exists
+    for (let attempt = 0; attempt < HOLD_ATTEMPTS; attempt++) {
+        let counter;
         try {
-            await fs.mkdir(invoiceDir, { recursive: true });
+            counter = await Counter.findOneAndUpdate(
+                { _id: series, holder: { $exists: false } },
+                { $inc: { seq: 1 }, $set: { holder, heldAt: new Date() } },
+                { new: true, upsert: true }
+            );
         } catch (err) {
-            // Directory might already exist
+            // The upsert collides with the counter while it is held
+            if (err.code !== 11000) throw err;
         }
+        if (counter) return counter.seq;
 
-        const filename = `invoice-${invoiceNumber}.pdf`;
-        const filepath = path.join(invoiceDir, filename);
+        counter = await Counter.findById(series);
+        if (!counter?.holder) continue;
 
-        doc.pipe(require('fs').createWriteStream(filepath));
+        // An earlier claim on this entry took the number but never saved it
+        if (counter.holder === holder) return counter.seq;
 
-        // Header
-        doc.fontSize(20)
-            .text('INVOICE', { align: 'center' })
-            .moveDown();
+        if (counter.heldAt < new Date(Date.now() - STALE_CLAIM_MS)) {
+            // A stale holder either saved its number and only needs releasing, or left it for us
+            const used = await Payment.exists({ invoiceNumber: formatDocumentNumber(prefix, counter.seq) });
+            const taken = await Counter.findOneAndUpdate(
+                { _id: series, holder: counter.holder, heldAt: counter.heldAt },
+                used ? { $unset: { holder: 1, heldAt: 1 } } : { $set: { holder, heldAt: new Date() } },
+                { new: true }
+            );
+            if (taken && !used) return taken.seq;
+            continue;
+        }
 
-        // Company details
-        doc.fontSize(12)
-            .text('Migrantifly Immigration Services')
-            .text('Auckland, New Zealand')
-            .text('Email: info@migrantifly.com')
-            .text('Phone: +64 XXX XXXX')
-            .moveDown();
+        await new Promise(resolve => setTimeout(resolve, HOLD_RETRY_MS));
+    }
+    throw new Error(`Document numbering for ${prefix} is busy. Please try again.`);
+};
 
-        // Invoice details
-        doc.text(`Invoice Number: ${invoiceNumber}`)
-            .text(`Date: ${new Date().toLocaleDateString()}`)
-            .text(`Due Date: ${new Date().toLocaleDateString()}`)
-            .moveDown();
+const releaseNumber = (prefix, entryId) => Counter.updateOne(
+    { _id: `invoice:${prefix}`, holder: String(entryId) },
+    { $unset: { holder: 1, heldAt: 1 } }
+);
 
-        // Bill to
-        doc.text('Bill To:')
-            .text(`${client.profile.firstName} ${client.profile.lastName}`)
-            .text(client.email)
-            .moveDown();
+const clientName = (client) => client.profile
+    ? `${client.profile.firstName} ${client.profile.lastName}`.trim()
+    : client.email;
 
-        // Services
-        doc.text('Services:')
-            .moveDown(0.5);
+const clientAddress = (client) => {
+    const address = client.profile?.address || {};
+    return [
+        address.street,
+        [address.city, address.state, address.postalCode].filter(Boolean).join(' '),
+        address.country
+    ].filter(Boolean);
+};
 
-        const serviceDescription = payment.type === 'deposit' ?
-            'Immigration Service Deposit (10%)' :
-            'Immigration Service Payment';
+const lineDescription = (payment) => {
+    // Billing plan payments carry their item description in notes
+    if (payment.notes) return payment.notes;
+    if (payment.type === 'deposit') return 'Immigration Service Deposit';
+    if (payment.type === 'consultation_fee') return 'Immigration Consultation';
+    return 'Immigration Service Payment';
+};
 
-        doc.text(`${serviceDescription}: ${payment.currency} $${payment.amount}`)
-            .moveDown();
+// Split a tax-inclusive total into subtotal and tax
+const taxBreakdown = (total, currency) => {
+    const { taxRate } = INVOICE_CONFIG;
+    const taxAmount = roundAmount(total * taxRate / (1 + taxRate), currency);
+    return {
+        taxLabel: INVOICE_CONFIG.taxLabel,
+        taxRate,
+        subtotal: roundAmount(total - taxAmount, currency),
+        taxAmount,
+        total
+    };
+};
+
+const buildSnapshot = ({ entry, client, issuedAt, description, originalInvoiceNumber }) => ({
+    issuedAt,
+    dueAt: entry.dueDate || issuedAt,
+    paymentTerms: INVOICE_CONFIG.paymentTerms,
+    footer: INVOICE_CONFIG.footer,
+    timezone: INVOICE_CONFIG.timezone,
+    supplier: INVOICE_CONFIG.supplier,
+    billTo: {
+        name: client ? clientName(client) : '',
+        email: client?.email || '',
+        address: client ? clientAddress(client) : []
+    },
+    lines: [{ description, quantity: 1, unitAmount: entry.amount, amount: entry.amount }],
+    ...taxBreakdown(entry.amount, entry.currency),
+    originalInvoiceNumber
+});
+
+/**
+ * Assign a document number and snapshot to a payment or refund entry once.
+ * The entry is claimed before a number is taken, and the number and snapshot
+ * are saved in one update. A claim left unfinished by a crashed caller is
+ * taken over once it is stale, reusing any number it held.
+ * @returns {Promise<Object>} - The entry; without a number if another caller holds the claim
+ */
+const assignDocument = async (entry, { prefix, description, originalInvoiceNumber }) => {
+    const issuedAt = new Date();
+    const claimed = await Payment.findOneAndUpdate(
+        {
+            _id: entry._id,
+            $or: [
+                { 'invoice.issuedAt': { $exists: false } },
+                { 'invoice.issuedAt': { $lt: new Date(issuedAt - STALE_CLAIM_MS) }, 'invoice.total': { $exists: false } }
+            ]
+        },
+        { $set: { 'invoice.issuedAt': issuedAt } },
+        { new: true }
+    );
+    if (!claimed) return Payment.findById(entry._id);
+
+    const client = await User.findById(claimed.clientId);
+    const invoice = buildSnapshot({ entry: claimed, client, issuedAt, description, originalInvoiceNumber });
+    const ownClaim = { _id: claimed._id, 'invoice.issuedAt': issuedAt };
+
+    // Entries invoiced before numbering was sequential keep their number
+    if (claimed.invoiceNumber) {
+        return (await Payment.findOneAndUpdate(ownClaim, { $set: { invoice } }, { new: true }))
+            || Payment.findById(claimed._id);
+    }
+
+    const seq = await holdNextNumber(prefix, claimed._id);
+    let numbered;
+    try {
+        numbered = await Payment.findOneAndUpdate(
+            { ...ownClaim, invoiceNumber: { $exists: false } },
+            { $set: { invoiceNumber: formatDocumentNumber(prefix, seq), invoice } },
+            { new: true }
+        );
+    } catch (err) {
+        // Another entry saved this number first, so releasing it leaves no gap
+        if (err.code === 11000) await releaseNumber(prefix, claimed._id);
+        throw err;
+    }
+    // A caller that took over the claim reuses the held number, so it stays held
+    if (!numbered) return Payment.findById(claimed._id);
+
+    await releaseNumber(prefix, claimed._id);
+    return numbered;
+};
+
+const formatDate = (date, timeZone) => formatInTimeZone(date, timeZone).date;
+
+// Invoices issued before the footer and time zone were snapshotted use the current config
+const footerOf = (invoice) => invoice.footer ?? INVOICE_CONFIG.footer;
+const timezoneOf = (invoice) => invoice.timezone || INVOICE_CONFIG.timezone;
+
+/**
+ * Render an entry's invoice or credit note from its snapshot. The same
+ * snapshot always produces the same PDF bytes.
+ * @param {Object} entry - Payment with invoiceNumber and invoice set
+ * @returns {Promise<Buffer>}
+ */
+const renderInvoicePdf = (entry) => new Promise((resolve, reject) => {
+    const invoice = entry.invoice;
+    const isCreditNote = entry.type === 'refund';
+    const title = isCreditNote ? 'CREDIT NOTE' : (invoice.taxRate > 0 ? 'TAX INVOICE' : 'INVOICE');
+    const money = (amount) => formatMoney(amount, entry.currency);
+    const timezone = timezoneOf(invoice);
+
+    const doc = new PDFDocument({
+        margin: 50,
+        // Fixed metadata keeps the output (including the file ID) deterministic
+        info: {
+            Title: `${title} ${entry.invoiceNumber}`,
+            Author: invoice.supplier.name,
+            CreationDate: invoice.issuedAt,
+            ModDate: invoice.issuedAt
+        }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.fontSize(20)
+        .text(title, { align: 'center' })
+        .moveDown();
 
-        // Total
-        doc.fontSize(14)
-            .text(`Total: ${payment.currency} $${payment.amount}`, { align: 'right' })
+    // Supplier details
+    doc.fontSize(12).text(invoice.supplier.name);
+    invoice.supplier.address.forEach(line => doc.text(line));
+    if (invoice.supplier.email) doc.text(`Email: ${invoice.supplier.email}`);
+    if (invoice.supplier.phone) doc.text(`Phone: ${invoice.supplier.phone}`);
+    if (invoice.supplier.website) doc.text(invoice.supplier.website);
+    if (invoice.supplier.taxNumber) doc.text(`${invoice.taxLabel} Number: ${invoice.supplier.taxNumber}`);
+    doc.moveDown();
+
+    // Document details
+    doc.text(`${isCreditNote ? 'Credit Note' : 'Invoice'} Number: ${entry.invoiceNumber}`)
+        .text(`Date: ${formatDate(invoice.issuedAt, timezone)}`);
+    if (isCreditNote) {
+        doc.text(`Original Invoice: ${invoice.originalInvoiceNumber}`);
+    } else {
+        doc.text(`Due Date: ${formatDate(invoice.dueAt, timezone)}`);
+    }
+    doc.moveDown();
+
+    // Bill to
+    doc.text(isCreditNote ? 'Credit To:' : 'Bill To:');
+    if (invoice.billTo.name) doc.text(invoice.billTo.name);
+    invoice.billTo.address.forEach(line => doc.text(line));
+    if (invoice.billTo.email) doc.text(invoice.billTo.email);
+    doc.moveDown();
+
+    // Line items (amounts include tax)
+    doc.text('Description / Qty / Amount')
+        .moveDown(0.5);
+    invoice.lines.forEach(line => {
+        doc.text(`${line.description}    ${line.quantity} x ${money(line.unitAmount)}    ${money(line.amount)}`);
+    });
+    if (isCreditNote && entry.refundReason) {
+        doc.text(`Reason: ${entry.refundReason}`);
+    }
+    doc.moveDown();
+
+    // Totals
+    doc.text(`Subtotal (excl. ${invoice.taxLabel}): ${money(invoice.subtotal)}`, { align: 'right' })
+        .text(`${invoice.taxLabel} (${Number((invoice.taxRate * 100).toFixed(2))}%): ${money(invoice.taxAmount)}`, { align: 'right' });
+    doc.fontSize(14)
+        .text(`${isCreditNote ? 'Total Credited' : 'Total'} (incl. ${invoice.taxLabel}): ${money(invoice.total)}`, { align: 'right' })
+        .moveDown();
+
+    if (!isCreditNote) {
+        doc.fontSize(12)
+            .text(`Payment terms: ${invoice.paymentTerms}`)
             .moveDown();
+    }
 
-        // Footer
-        doc.fontSize(10)
-            .text('Thank you for choosing Migrantifly Immigration Services!', { align: 'center' });
+    // Footer
+    doc.fontSize(10)
+        .text(footerOf(invoice), { align: 'center' });
 
-        doc.end();
+    doc.end();
+});
 
-        // Wait for PDF to be written
-        await new Promise((resolve) => {
-            doc.on('end', resolve);
-        });
+const baseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+/**
+ * Where clients download an entry's invoice or credit note. The download route
+ * renders it from the snapshot, so the link works with any storage provider.
+ */
+const invoiceLink = (entry) => `${baseUrl()}/api/payments/${entry._id}/invoice`;
+
+// Render, upload and record the PDF key and download link for an entry with a snapshot
+const publishPdf = async (entry) => {
+    const pdf = await renderInvoicePdf(entry);
+    const invoiceDir = path.join(__dirname, '../invoices');
+    await fs.mkdir(invoiceDir, { recursive: true });
 
-        // Upload to cloud storage and return URL
-        const { uploadToCloudStorage } = require('./fileStorage');
-        const invoiceUrl = await uploadToCloudStorage(filepath, {
+    const filename = `${entry.invoiceNumber}.pdf`;
+    const filepath = path.join(invoiceDir, filename);
+    await fs.writeFile(filepath, pdf);
+
+    try {
+        // Upload to file storage for the record; clients download through invoiceLink
+        const { storeFile } = require('./fileStorage');
+        const { key } = await storeFile(filepath, {
             folder: 'invoices',
-            filename
+            filename,
+            contentType: 'application/pdf'
         });
-
-        // Clean up local file
+        entry.invoiceKey = key;
+        entry.invoiceUrl = invoiceLink(entry);
+    } finally {
         await fs.unlink(filepath);
+    }
 
-        return invoiceUrl;
-    } catch (error) {
-        console.error('Error generating invoice:', error);
-        throw error;
+    await Payment.updateOne({ _id: entry._id }, { $set: { invoiceUrl: entry.invoiceUrl, invoiceKey: entry.invoiceKey } });
+    return entry;
+};
+
+/**
+ * Issue the tax invoice for a completed payment: assign its number, snapshot
+ * the details and publish the PDF. Calling it again returns the issued invoice.
+ * @returns {Promise<Object>} - The payment with invoiceNumber and invoiceUrl
+ */
+const issueInvoice = async (payment) => {
+    if (hasSnapshot(payment) && payment.invoiceUrl) return payment;
+
+    const invoiced = hasSnapshot(payment)
+        ? payment
+        : await assignDocument(payment, {
+            prefix: INVOICE_CONFIG.invoicePrefix,
+            description: lineDescription(payment)
+        });
+    if (!invoiced.invoiceNumber) return invoiced;
+
+    return publishPdf(invoiced);
+};
+
+/**
+ * Issue the credit note for a completed refund entry. The refunded payment is
+ * invoiced first if it has no invoice, so every credit note references one.
+ * @param {Object} refund - Refund entry (Payment with type 'refund')
+ * @param {Object} payment - The payment being refunded
+ * @returns {Promise<Object>} - The refund entry with invoiceNumber and invoiceUrl
+ */
+const issueCreditNote = async (refund, payment) => {
+    if (hasSnapshot(refund) && refund.invoiceUrl) return refund;
+
+    let original = payment;
+    if (!hasSnapshot(original)) {
+        try {
+            original = await issueInvoice(payment);
+        } catch (err) {
+            // The number is assigned before publishing, so the reference is still valid
+            console.error('Invoice publishing failed before credit note:', err?.message);
+            original = await Payment.findById(payment._id);
+        }
+    }
+    if (!original.invoiceNumber) {
+        throw new Error(`Payment ${payment._id} has no invoice to credit yet`);
     }
+
+    const credited = hasSnapshot(refund)
+        ? refund
+        : await assignDocument(refund, {
+            prefix: INVOICE_CONFIG.creditNotePrefix,
+            description: `Refund: ${lineDescription(original)}`,
+            originalInvoiceNumber: original.invoiceNumber
+        });
+    if (!credited.invoiceNumber) return credited;
+
+    return publishPdf(credited);
 };
 
-module.exports = { generateInvoice };
\ No newline at end of file
+module.exports = {
+    issueInvoice,
+    issueCreditNote,
+    invoiceLink,
+    renderInvoicePdf
+};
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const os = require('os');
+const { JobLock } = require('../models');
+
+// Identifies this process as a lock owner
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+/**
+ * Take a job's lock if it is free or its lease has expired
+ * @param {string} name - Job name
+ * @param {number} ttlMs - Lease length; should exceed the job's longest run
+ * @returns {Promise<string|null>} - Owner token to release with, or null when held elsewhere
+ */
+const acquireLock = async (name, ttlMs) => {
+    const now = new Date();
+    const owner = `${INSTANCE_ID}:${crypto.randomBytes(4).toString('hex')}`;
+
+    try {
+        await JobLock.findOneAndUpdate(
+            { _id: name, lockedUntil: { $lte: now } },
+            { $set: { owner, lockedUntil: new Date(now.getTime() + ttlMs) } },
+            { upsert: true }
+        );
+        return owner;
+    } catch (error) {
+        // The lock exists and is still held, so the upsert collided with it
+        if (error.code === 11000) return null;
+        throw error;
+    }
+};
+
+const releaseLock = async (name, owner) => {
+    await JobLock.deleteOne({ _id: name, owner });
+};
+
+/**
+ * Run a job while holding its lock
+ * @returns {Promise<{ ran: boolean, result?: * }>} - ran is false when another instance holds the lock
+ */
+const withLock = async (name, ttlMs, job) => {
+    const owner = await acquireLock(name, ttlMs);
+    if (!owner) return { ran: false };
+
+    try {
+        return { ran: true, result: await job() };
+    } finally {
+        await releaseLock(name, owner).catch(error => {
+            console.error(`Failed to release lock ${name}:`, error.message);
+        });
+    }
+};
+
+module.exports = { acquireLock, releaseLock, withLock };
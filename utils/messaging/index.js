@@ -0,0 +1,81 @@
+const { Notification } = require('../../models');
+const twilioProvider = require('./twilioProvider');
+const logProvider = require('./logProvider');
+
+/**
+ * Text message providers. Each one implements:
+ *   send({ to, body, channel, statusCallbackUrl }) -> { providerMessageId, status }
+ *   verifyCallback(req, callbackUrl) -> boolean
+ *   parseStatusCallback(body) -> { providerMessageId, status, errorCode, errorMessage }
+ * `to` is an E.164 number and `channel` is 'sms' or 'whatsapp'.
+ */
+const PROVIDERS = {
+    [twilioProvider.name]: twilioProvider,
+    [logProvider.name]: logProvider
+};
+
+const getMessagingProvider = () => {
+    const name = process.env.MESSAGING_PROVIDER || 'log';
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown messaging provider: ${name}`);
+    }
+    return provider;
+};
+
+// Where providers report delivery status; unset when the API has no public URL
+const getStatusCallbackUrl = () => (process.env.PUBLIC_BASE_URL
+    ? `${process.env.PUBLIC_BASE_URL.replace(/\/$/, '')}/api/messaging/status`
+    : null);
+
+/**
+ * Send a text message through the configured provider
+ * @returns {Promise<Object>} - { provider, providerMessageId, status }
+ */
+const sendMessage = async ({ to, body, channel = 'sms' }) => {
+    const provider = getMessagingProvider();
+    const result = await provider.send({ to, body, channel, statusCallbackUrl: getStatusCallbackUrl() });
+    return { provider: provider.name, ...result };
+};
+
+// Callbacks can arrive out of order, so a status only replaces an earlier one
+const STATUS_RANK = {
+    pending: 0,
+    queued: 1,
+    sent: 2,
+    delivered: 3,
+    undelivered: 3,
+    failed: 3,
+    read: 4
+};
+
+/**
+ * Record a provider's delivery status callback on the notification it belongs to
+ * @returns {Promise<Object|null>} - The notification, or null when unknown or out of date
+ */
+const recordDeliveryStatus = async ({ providerMessageId, status, errorCode, errorMessage }) => {
+    const earlier = Object.keys(STATUS_RANK).filter(s => STATUS_RANK[s] < STATUS_RANK[status]);
+
+    const update = {
+        'delivery.sms.status': status,
+        'delivery.sms.statusUpdatedAt': new Date()
+    };
+    if (status === 'delivered' || status === 'read') update['delivery.sms.deliveredAt'] = new Date();
+    if (status === 'failed' || status === 'undelivered') {
+        update['delivery.sms.errorCode'] = errorCode;
+        update['delivery.sms.error'] = errorMessage || `Message ${status}`;
+    }
+
+    return Notification.findOneAndUpdate(
+        { 'delivery.sms.providerMessageId': providerMessageId, 'delivery.sms.status': { $in: earlier } },
+        { $set: update },
+        { new: true }
+    );
+};
+
+module.exports = {
+    getMessagingProvider,
+    getStatusCallbackUrl,
+    sendMessage,
+    recordDeliveryStatus
+};
@@ -0,0 +1,41 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Local stand-in for a real provider: messages are appended to a JSON-lines
+// file instead of being sent. Status callbacks use the Twilio field names.
+const LOG_FILE = process.env.MESSAGING_LOG_FILE || path.join(__dirname, '../../logs/messages.log');
+
+const send = async ({ to, body, channel }) => {
+    const providerMessageId = `log_${crypto.randomBytes(12).toString('hex')}`;
+
+    await fs.mkdir(path.dirname(LOG_FILE), { recursive: true });
+    await fs.appendFile(LOG_FILE, `${JSON.stringify({
+        providerMessageId,
+        channel,
+        to,
+        body,
+        sentAt: new Date().toISOString()
+    })}\n`);
+
+    return { providerMessageId, status: 'sent' };
+};
+
+// Anyone can post callbacks to the stub, so it only accepts them outside production
+const verifyCallback = () => process.env.NODE_ENV !== 'production';
+
+const parseStatusCallback = (body = {}) => ({
+    providerMessageId: body.MessageSid,
+    status: ['sent', 'delivered', 'read', 'undelivered', 'failed'].includes(body.MessageStatus)
+        ? body.MessageStatus
+        : undefined,
+    errorCode: body.ErrorCode,
+    errorMessage: body.ErrorMessage
+});
+
+module.exports = {
+    name: 'log',
+    send,
+    verifyCallback,
+    parseStatusCallback
+};
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+const API_BASE = 'https://api.twilio.com/2010-04-01';
+
+// Twilio message statuses mapped to Notification.delivery.sms.status
+const STATUS_MAP = {
+    accepted: 'queued',
+    scheduled: 'queued',
+    queued: 'queued',
+    sending: 'queued',
+    sent: 'sent',
+    delivered: 'delivered',
+    read: 'read',
+    undelivered: 'undelivered',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+const senderFor = (channel) => (channel === 'whatsapp'
+    ? process.env.TWILIO_WHATSAPP_FROM && `whatsapp:${process.env.TWILIO_WHATSAPP_FROM}`
+    : process.env.TWILIO_FROM_NUMBER);
+
+const send = async ({ to, body, channel, statusCallbackUrl }) => {
+    const { TWILIO_ACCOUNT_SID: accountSid, TWILIO_AUTH_TOKEN: authToken } = process.env;
+    const from = senderFor(channel);
+    if (!accountSid || !authToken || !from) {
+        throw new Error(`Twilio is not configured for ${channel}`);
+    }
+
+    const params = new URLSearchParams({
+        To: channel === 'whatsapp' ? `whatsapp:${to}` : to,
+        From: from,
+        Body: body
+    });
+    if (statusCallbackUrl) params.set('StatusCallback', statusCallbackUrl);
+
+    const response = await fetch(`${API_BASE}/Accounts/${accountSid}/Messages.json`, {
+        method: 'POST',
+        headers: {
+            Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+            'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        body: params
+    });
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(result.message || `Twilio responded with ${response.status}`);
+    }
+
+    return { providerMessageId: result.sid, status: STATUS_MAP[result.status] || 'queued' };
+};
+
+// X-Twilio-Signature is a base64 HMAC-SHA1 of the callback URL followed by
+// the POST parameters sorted by name, keyed with the auth token
+const verifyCallback = (req, callbackUrl) => {
+    const signature = req.get('X-Twilio-Signature');
+    if (!signature || !callbackUrl || !process.env.TWILIO_AUTH_TOKEN) return false;
+
+    const payload = Object.keys(req.body || {})
+        .sort()
+        .reduce((acc, key) => acc + key + req.body[key], callbackUrl);
+    const expected = crypto
+        .createHmac('sha1', process.env.TWILIO_AUTH_TOKEN)
+        .update(payload)
+        .digest('base64');
+
+    return expected.length === signature.length
+        && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+};
+
+const parseStatusCallback = (body = {}) => ({
+    providerMessageId: body.MessageSid,
+    status: STATUS_MAP[body.MessageStatus],
+    errorCode: body.ErrorCode,
+    errorMessage: body.ErrorMessage
+});
+
+module.exports = {
+    name: 'twilio',
+    send,
+    verifyCallback,
+    parseStatusCallback
+};
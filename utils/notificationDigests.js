@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const { Notification, NotificationPreference, User } = require('../models');
+const { NOTIFICATION_TYPES, DIGEST_SEND_HOUR, DIGEST_WEEKLY_DAY } = require('../constants/notifications');
+const { sendEmail } = require('./email');
+const { includesInDigest } = require('./notificationPreferences');
+const { formatInTimeZone, zonedTimeToUtc, addDays, getDayOfWeek, minutesToTime } = require('./timezone');
+
+const PERIOD_DAYS = { daily: 1, weekly: 7 };
+
+const PERIOD_LABELS = { daily: 'Daily', weekly: 'Weekly' };
+
+/**
+ * The most recent send slot for a user's digest: DIGEST_SEND_HOUR local
+ * time, on DIGEST_WEEKLY_DAY for weekly digests
+ * @returns {Date}
+ */
+const getDigestSlot = (preferences, now = new Date()) => {
+    const { timezone, digestFrequency } = preferences;
+    const step = PERIOD_DAYS[digestFrequency];
+    const time = minutesToTime(DIGEST_SEND_HOUR * 60);
+
+    let date = formatInTimeZone(now, timezone).date;
+    if (digestFrequency === 'weekly') {
+        date = addDays(date, -((getDayOfWeek(date) - DIGEST_WEEKLY_DAY + 7) % 7));
+    }
+
+    let slot = zonedTimeToUtc(date, time, timezone);
+    if (slot > now) {
+        slot = zonedTimeToUtc(addDays(date, -step), time, timezone);
+    }
+    return slot;
+};
+
+// Absolute link for a notification's action, which may be a portal path
+const toPortalUrl = (url) => {
+    if (!url) return null;
+    return /^https?:\/\//.test(url) ? url : `${process.env.FRONTEND_URL}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// Notifications grouped by application, general ones last
+const groupByApplication = (notifications, timezone) => {
+    const groups = new Map();
+
+    for (const notification of notifications) {
+        const application = notification.applicationId;
+        const key = application?._id?.toString() || 'general';
+
+        if (!groups.has(key)) {
+            groups.set(key, application?._id
+                ? {
+                    title: [
+                        `${application.visaType.charAt(0).toUpperCase()}${application.visaType.slice(1)} visa application`,
+                        application.destinationCountry?.name
+                    ].filter(Boolean).join(' - '),
+                    url: `${process.env.FRONTEND_URL}/applications/${application._id}`,
+                    notifications: []
+                }
+                : { title: 'General', url: `${process.env.FRONTEND_URL}/dashboard`, notifications: [] });
+        }
+
+        const local = formatInTimeZone(notification.createdAt, timezone);
+        groups.get(key).notifications.push({
+            title: notification.title,
+            message: notification.message,
+            priority: notification.priority,
+            actionRequired: notification.actionRequired,
+            actionUrl: toPortalUrl(notification.actionUrl),
+            receivedAt: `${local.date} ${local.time}`
+        });
+    }
+
+    const general = groups.get('general');
+    groups.delete('general');
+    return [...groups.values(), ...(general ? [general] : [])];
+};
+
+/**
+ * Email a user the unread notifications from their digest period that were
+ * not already emailed or included in an earlier digest. Notifications are
+ * claimed before sending and released again if the email fails.
+ * @param {Object} preferences - The user's NotificationPreference
+ * @param {Date} since - Start of the digest period
+ * @returns {Promise<number>} - Number of notifications included
+ */
+const sendDigest = async (preferences, since) => {
+    const user = await User.findById(preferences.userId);
+    if (!user || !user.isActive || !user.email) return 0;
+
+    const types = NOTIFICATION_TYPES.filter(type => includesInDigest(preferences, type));
+    const candidates = await Notification.find({
+        userId: user._id,
+        type: { $in: types },
+        isRead: false,
+        digestedAt: { $exists: false },
+        createdAt: { $gte: since },
+        // Already emailed on their own, or about to be
+        'delivery.email.status': { $nin: ['sent', 'pending', 'deferred'] }
+    }).select('_id');
+    if (candidates.length === 0) return 0;
+
+    const digestId = new mongoose.Types.ObjectId();
+    await Notification.updateMany(
+        { _id: { $in: candidates.map(n => n._id) }, digestedAt: { $exists: false } },
+        { $set: { digestId, digestedAt: new Date() } }
+    );
+
+    const notifications = await Notification.find({ digestId })
+        .populate('applicationId', 'visaType destinationCountry')
+        .sort({ createdAt: -1 });
+    if (notifications.length === 0) return 0;
+
+    const label = PERIOD_LABELS[preferences.digestFrequency];
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: `Migrantifly - Your ${label.toLowerCase()} notification digest`,
+            template: 'notification-digest',
+            data: {
+                clientName: `${user.profile.firstName} ${user.profile.lastName}`,
+                periodLabel: label,
+                total: notifications.length,
+                groups: groupByApplication(notifications, preferences.timezone),
+                dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+                preferencesUrl: `${process.env.FRONTEND_URL}/settings/notifications`
+            }
+        });
+    } catch (error) {
+        await Notification.updateMany({ digestId }, { $unset: { digestId: 1, digestedAt: 1 } });
+        throw error;
+    }
+
+    return notifications.length;
+};
+
+/**
+ * Send the digests whose slot has passed since each user's last one. A
+ * user's slot is claimed before sending so overlapping runs send it once;
+ * a failed digest is retried on the next run.
+ * @returns {Promise<number>} - Number of digests sent
+ */
+const sendDueDigests = async (now = new Date()) => {
+    let sent = 0;
+
+    const cursor = NotificationPreference.find({ digestFrequency: { $in: Object.keys(PERIOD_DAYS) } }).cursor();
+    for await (const preferences of cursor) {
+        const slot = getDigestSlot(preferences, now);
+        if (preferences.lastDigestAt && preferences.lastDigestAt >= slot) continue;
+
+        const claimed = await NotificationPreference.findOneAndUpdate(
+            { _id: preferences._id, lastDigestAt: preferences.lastDigestAt ?? null },
+            { $set: { lastDigestAt: now } }
+        );
+        if (!claimed) continue;
+
+        const since = new Date(slot.getTime() - PERIOD_DAYS[preferences.digestFrequency] * 24 * 60 * 60 * 1000);
+        try {
+            if (await sendDigest(preferences, since) > 0) sent++;
+        } catch (error) {
+            console.error(`Digest failed for user ${preferences.userId}:`, error.message);
+            await NotificationPreference.updateOne(
+                { _id: preferences._id, lastDigestAt: now },
+                preferences.lastDigestAt
+                    ? { $set: { lastDigestAt: preferences.lastDigestAt } }
+                    : { $unset: { lastDigestAt: 1 } }
+            );
+        }
+    }
+
+    return sent;
+};
+
+module.exports = { getDigestSlot, sendDigest, sendDueDigests };
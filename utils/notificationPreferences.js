@@ -0,0 +1,176 @@
+const { NotificationPreference } = require('../models');
+const {
+    NOTIFICATION_TYPES,
+    LOCKED_NOTIFICATION_TYPES,
+    LOCKED_CHANNELS,
+    DEFAULT_CHANNELS
+} = require('../constants/notifications');
+const { formatInTimeZone, zonedTimeToUtc, addDays, timeToMinutes } = require('./timezone');
+
+const CHANNELS = Object.keys(DEFAULT_CHANNELS);
+
+const isLockedType = (type) => LOCKED_NOTIFICATION_TYPES.includes(type);
+
+/**
+ * A user's stored preferences, or an unsaved document holding the defaults
+ * @returns {Promise<Object>}
+ */
+const getNotificationPreferences = async (userId) => {
+    return (await NotificationPreference.findOne({ userId })) || new NotificationPreference({ userId });
+};
+
+// Configured channels of a type; null email/sms means "follow priority"
+const getTypeChannels = (preferences, type) => {
+    if (isLockedType(type)) return { ...LOCKED_CHANNELS };
+
+    const entry = preferences.types.find(t => t.type === type);
+    const channels = { ...DEFAULT_CHANNELS };
+    for (const channel of CHANNELS) {
+        if (typeof entry?.[channel] === 'boolean') channels[channel] = entry[channel];
+    }
+    return channels;
+};
+
+/**
+ * Decide which channels a notification goes out on. Channels left to
+ * priority keep the historic rules: email for high, urgent and
+ * action-required notifications, SMS for urgent ones.
+ * @returns {{ inApp: boolean, email: boolean, sms: boolean, digest: boolean }}
+ */
+const resolveChannels = (preferences, { type, priority, actionRequired }) => {
+    const channels = getTypeChannels(preferences, type);
+    return {
+        inApp: channels.inApp,
+        email: channels.email ?? (priority === 'high' || priority === 'urgent' || Boolean(actionRequired)),
+        sms: channels.sms ?? priority === 'urgent',
+        digest: channels.digest
+    };
+};
+
+// Whether unread notifications of a type go into the user's digest
+const includesInDigest = (preferences, type) => getTypeChannels(preferences, type).digest;
+
+/**
+ * When the user's quiet hours end, if they are in them now
+ * @returns {Date|null} - null outside quiet hours
+ */
+const getQuietHoursEnd = (preferences, now = new Date()) => {
+    const { enabled, start, end } = preferences.quietHours || {};
+    if (!enabled) return null;
+
+    const local = formatInTimeZone(now, preferences.timezone);
+    const minute = timeToMinutes(local.time);
+    const startMinute = timeToMinutes(start);
+    const endMinute = timeToMinutes(end);
+
+    // Windows such as 22:00-07:00 run over midnight
+    const quiet = startMinute > endMinute
+        ? minute >= startMinute || minute < endMinute
+        : minute >= startMinute && minute < endMinute;
+    if (!quiet) return null;
+
+    const endDate = minute < endMinute ? local.date : addDays(local.date, 1);
+    return zonedTimeToUtc(endDate, end, preferences.timezone);
+};
+
+// Preferences for every notification type, as returned by the API
+const formatPreferences = (preferences) => ({
+    timezone: preferences.timezone,
+    quietHours: {
+        enabled: preferences.quietHours.enabled,
+        start: preferences.quietHours.start,
+        end: preferences.quietHours.end
+    },
+    digestFrequency: preferences.digestFrequency,
+    messagingChannel: preferences.messagingChannel,
+    types: NOTIFICATION_TYPES.map(type => ({
+        type,
+        ...getTypeChannels(preferences, type),
+        locked: isLockedType(type)
+    }))
+});
+
+const validateTypeEntries = (types) => {
+    if (!Array.isArray(types)) {
+        return { error: 'INVALID_PREFERENCES', message: 'types must be an array' };
+    }
+
+    for (const entry of types) {
+        if (!entry || !NOTIFICATION_TYPES.includes(entry.type)) {
+            return { error: 'INVALID_PREFERENCES', message: `Unknown notification type: ${entry?.type}` };
+        }
+        if (isLockedType(entry.type)) {
+            return {
+                error: 'LOCKED_NOTIFICATION_TYPE',
+                message: `${entry.type} notifications are compliance-critical and cannot be changed`
+            };
+        }
+        for (const channel of CHANNELS) {
+            if (entry[channel] !== undefined && entry[channel] !== null && typeof entry[channel] !== 'boolean') {
+                return { error: 'INVALID_PREFERENCES', message: `${entry.type}.${channel} must be true, false or null` };
+            }
+        }
+    }
+    return null;
+};
+
+/**
+ * Update a user's preferences. Type entries are merged into the stored ones;
+ * a null channel returns it to the default.
+ * @param {string} userId
+ * @param {Object} changes - { timezone, quietHours, digestFrequency, messagingChannel, types }
+ * @returns {Promise<Object>} - { preferences } or { error, message }
+ */
+const updateNotificationPreferences = async (userId, { timezone, quietHours, digestFrequency, messagingChannel, types } = {}) => {
+    if (types !== undefined) {
+        const invalid = validateTypeEntries(types);
+        if (invalid) return invalid;
+    }
+
+    const preferences = await getNotificationPreferences(userId);
+
+    if (timezone !== undefined) preferences.timezone = timezone;
+    if (digestFrequency !== undefined) preferences.digestFrequency = digestFrequency;
+    if (messagingChannel !== undefined) preferences.messagingChannel = messagingChannel;
+    if (quietHours) {
+        for (const field of ['enabled', 'start', 'end']) {
+            if (quietHours[field] !== undefined) preferences.quietHours[field] = quietHours[field];
+        }
+    }
+
+    for (const change of types || []) {
+        let entry = preferences.types.find(t => t.type === change.type);
+        if (!entry) {
+            preferences.types.push({ type: change.type });
+            entry = preferences.types[preferences.types.length - 1];
+        }
+        for (const channel of CHANNELS) {
+            if (change[channel] !== undefined) entry[channel] = change[channel] ?? undefined;
+        }
+    }
+
+    try {
+        await preferences.save();
+    } catch (err) {
+        if (err.name === 'ValidationError') {
+            return { error: 'INVALID_PREFERENCES', message: err.message };
+        }
+        // Another request created the user's preferences first
+        if (err.code === 11000) {
+            return updateNotificationPreferences(userId, { timezone, quietHours, digestFrequency, messagingChannel, types });
+        }
+        throw err;
+    }
+
+    return { preferences };
+};
+
+module.exports = {
+    isLockedType,
+    getNotificationPreferences,
+    resolveChannels,
+    includesInDigest,
+    getQuietHoursEnd,
+    formatPreferences,
+    updateNotificationPreferences
+};
@@ -1,7 +1,107 @@
 
-const { Notification } = require('../models');
+const { Notification, User } = require('../models');
 const { sendEmail } = require('./email');
+const { sendMessage } = require('./messaging');
+const { emitNotification } = require('./realtime');
+const {
+    isLockedType,
+    getNotificationPreferences,
+    resolveChannels,
+    getQuietHoursEnd
+} = require('./notificationPreferences');
 
+/**
+ * Email a notification to its user and record the outcome on it
+ * @returns {Promise<Object>} - The notification
+ */
+const deliverEmail = async (notification) => {
+    const user = await User.findById(notification.userId);
+
+    if (!user || !user.email) {
+        notification.delivery.email.status = 'skipped';
+        await notification.save();
+        return notification;
+    }
+
+    try {
+        await sendEmail({
+            to: user.email,
+            subject: `Migrantifly - ${notification.title}`,
+            template: 'notification',
+            data: {
+                clientName: `${user.profile.firstName} ${user.profile.lastName}`,
+                title: notification.title,
+                message: notification.message,
+                actionUrl: notification.actionUrl || `${process.env.FRONTEND_URL}/dashboard`,
+                priority: notification.priority
+            }
+        });
+    } catch (error) {
+        notification.delivery.email.status = 'failed';
+        notification.delivery.email.error = error.message;
+        await notification.save();
+        throw error;
+    }
+
+    notification.delivery.email.status = 'sent';
+    notification.delivery.email.sentAt = new Date();
+    await notification.save();
+    return notification;
+};
+
+// Text messages are kept short; the full notification is in the portal
+const SMS_MAX_LENGTH = 320;
+
+const smsBody = (notification) => {
+    const body = `Migrantifly: ${notification.title}. ${notification.message}`;
+    return body.length > SMS_MAX_LENGTH ? `${body.slice(0, SMS_MAX_LENGTH - 3)}...` : body;
+};
+
+/**
+ * Text a notification to its user's verified phone, by SMS or WhatsApp as
+ * they prefer, and record the outcome on it. Failures are recorded rather
+ * than thrown so the other channels still go out.
+ * @returns {Promise<Object>} - The notification
+ */
+const deliverSms = async (notification) => {
+    const [user, preferences] = await Promise.all([
+        User.findById(notification.userId),
+        getNotificationPreferences(notification.userId)
+    ]);
+    const sms = notification.delivery.sms;
+
+    if (!user || !user.isPhoneVerified || !user.profile?.phone) {
+        sms.status = 'skipped';
+        await notification.save();
+        return notification;
+    }
+
+    sms.channel = preferences.messagingChannel;
+    sms.to = user.profile.phone;
+    try {
+        const result = await sendMessage({ to: sms.to, body: smsBody(notification), channel: sms.channel });
+        sms.provider = result.provider;
+        sms.providerMessageId = result.providerMessageId;
+        sms.status = result.status;
+        sms.sentAt = new Date();
+    } catch (error) {
+        console.error(`SMS failed for notification ${notification._id}:`, error.message);
+        sms.status = 'failed';
+        sms.error = error.message;
+    }
+
+    await notification.save();
+    return notification;
+};
+
+/**
+ * Create a notification and deliver it on the channels the user's
+ * preferences allow. Email and SMS are held back during quiet hours, except
+ * for compliance-critical types.
+ * @param {Object} options
+ * @param {boolean} [options.emailNotification=true] - false to never email this notification
+ * @returns {Promise<Object>} - The notification
+ */
 const sendNotification = async ({
                                     userId,
                                     applicationId,
@@ -14,6 +114,16 @@ const sendNotification = async ({
                                     emailNotification = true
                                 }) => {
     try {
+        const preferences = await getNotificationPreferences(userId);
+        const channels = resolveChannels(preferences, { type, priority, actionRequired });
+        const quietUntil = isLockedType(type) ? null : getQuietHoursEnd(preferences);
+
+        let emailStatus = 'skipped';
+        if (emailNotification && channels.email) {
+            emailStatus = quietUntil ? 'deferred' : 'pending';
+        }
+        const smsStatus = channels.sms ? (quietUntil ? 'deferred' : 'pending') : 'skipped';
+
         // Create notification in database
         const notification = new Notification({
             userId,
@@ -23,30 +133,33 @@ const sendNotification = async ({
             message,
             priority,
             actionRequired,
-            actionUrl
+            actionUrl,
+            delivery: {
+                inApp: channels.inApp,
+                email: {
+                    status: emailStatus,
+                    deferredUntil: emailStatus === 'deferred' ? quietUntil : undefined
+                },
+                sms: {
+                    status: smsStatus,
+                    deferredUntil: smsStatus === 'deferred' ? quietUntil : undefined
+                }
+            }
         });
 
         await notification.save();
 
-        // Send email notification if enabled
-        if (emailNotification && (priority === 'high' || priority === 'urgent' || actionRequired)) {
-            const User = require('../models/User');
-            const user = await User.findById(userId);
-
-            if (user && user.email) {
-                await sendEmail({
-                    to: user.email,
-                    subject: `Migrantifly - ${title}`,
-                    template: 'notification',
-                    data: {
-                        clientName: `${user.profile.firstName} ${user.profile.lastName}`,
-                        title,
-                        message,
-                        actionUrl: actionUrl || `${process.env.FRONTEND_URL}/dashboard`,
-                        priority
-                    }
-                });
-            }
+        // Push to the user's open sockets along with the new unread count
+        if (channels.inApp) {
+            await emitNotification(notification);
+        }
+
+        if (smsStatus === 'pending') {
+            await deliverSms(notification);
+        }
+
+        if (emailStatus === 'pending') {
+            await deliverEmail(notification);
         }
 
         return notification;
@@ -56,44 +169,38 @@ const sendNotification = async ({
     }
 };
 
-// Send deadline reminders
-const sendDeadlineReminders = async () => {
-    try {
-        const Application = require('../models').Application;
-        const threeDaysFromNow = new Date();
-        threeDaysFromNow.setDate(threeDaysFromNow.getDate() + 3);
-
-        // Find applications with approaching deadlines
-        const applications = await Application.find({
-            'deadlines.dueDate': { $lte: threeDaysFromNow },
-            'deadlines.completed': false
-        }).populate('clientId');
-
-        for (const application of applications) {
-            const upcomingDeadlines = application.deadlines.filter(
-                deadline => !deadline.completed && new Date(deadline.dueDate) <= threeDaysFromNow
+const DELIVERERS = { email: deliverEmail, sms: deliverSms };
+
+/**
+ * Email and text notifications held back by quiet hours that have now
+ * ended. Each is claimed before sending so overlapping runs deliver it once.
+ * @returns {Promise<number>} - Number of deliveries attempted
+ */
+const deliverDeferredNotifications = async () => {
+    let attempted = 0;
+
+    for (const [channel, deliver] of Object.entries(DELIVERERS)) {
+        for (;;) {
+            const notification = await Notification.findOneAndUpdate(
+                {
+                    [`delivery.${channel}.status`]: 'deferred',
+                    [`delivery.${channel}.deferredUntil`]: { $lte: new Date() }
+                },
+                { $set: { [`delivery.${channel}.status`]: 'pending' } },
+                { new: true, sort: { [`delivery.${channel}.deferredUntil`]: 1 } }
             );
+            if (!notification) break;
 
-            for (const deadline of upcomingDeadlines) {
-                const daysUntilDue = Math.ceil(
-                    (new Date(deadline.dueDate) - new Date()) / (1000 * 60 * 60 * 24)
-                );
-
-                await sendNotification({
-                    userId: application.clientId._id,
-                    applicationId: application._id,
-                    type: 'deadline_approaching',
-                    title: 'Deadline Approaching',
-                    message: `Your ${deadline.type.toUpperCase()} response is due in ${daysUntilDue} day(s). Please submit your documents promptly.`,
-                    priority: daysUntilDue <= 1 ? 'urgent' : 'high',
-                    actionRequired: true,
-                    actionUrl: `/applications/${application._id}/documents`
-                });
+            attempted++;
+            try {
+                await deliver(notification);
+            } catch (error) {
+                console.error(`Deferred ${channel} failed for notification ${notification._id}:`, error.message);
             }
         }
-    } catch (error) {
-        console.error('Error sending deadline reminders:', error);
     }
+
+    return attempted;
 };
 
-module.exports = { sendNotification, sendDeadlineReminders };
\ No newline at end of file
+module.exports = { sendNotification, deliverDeferredNotifications };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const { RolePermission, Application, Consultation } = require('../models');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../constants/permissions');
+
+// Role mappings change rarely; cache them per process for a short while
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+const KNOWN_PERMISSIONS = new Set(Object.values(PERMISSIONS));
+
+// Payments have no adviser field; an adviser is assigned to the payments of
+// their applications and of the consultations they hold
+const ASSIGNED_PAYMENTS = {
+    filter: async (userId) => {
+        const [applicationIds, paymentIds] = await Promise.all([
+            Application.distinct('_id', { adviserId: userId }),
+            Consultation.distinct('paymentId', { adviserId: userId, paymentId: { $exists: true } })
+        ]);
+        return { $or: [{ applicationId: { $in: applicationIds } }, { _id: { $in: paymentIds } }] };
+    },
+    matches: async (payment, userId) => Boolean(payment.applicationId
+        ? await Application.exists({ _id: payment.applicationId._id || payment.applicationId, adviserId: userId })
+        : await Consultation.exists({ paymentId: payment._id, adviserId: userId }))
+};
+
+// Fields that link a record to its client (own) and adviser (assigned).
+// Documents and agreements are reached through their application.
+const RESOURCE_SCOPES = {
+    application: { own: 'clientId', assigned: 'adviserId' },
+    consultation: { own: 'clientId', assigned: 'adviserId' },
+    payment: { own: 'clientId', assigned: ASSIGNED_PAYMENTS },
+    document: { via: 'application', field: 'applicationId' },
+    agreement: { via: 'application', field: 'applicationId' }
+};
+
+const isKnownPermission = (permission) => KNOWN_PERMISSIONS.has(permission);
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Permission set for a role (admin-configured, or the built-in default)
+ * @returns {Promise<Set<string>>}
+ */
+async function getRolePermissions(role) {
+    const cached = roleCache.get(role);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.permissions;
+    }
+
+    const record = await RolePermission.findOne({ role });
+    const permissions = new Set(record ? record.permissions : DEFAULT_ROLE_PERMISSIONS[role] || []);
+    roleCache.set(role, { permissions, loadedAt: Date.now() });
+
+    return permissions;
+}
+
+const invalidateRolePermissions = (role) => {
+    if (role) roleCache.delete(role);
+    else roleCache.clear();
+};
+
+async function hasPermission(user, permission) {
+    if (!user) return false;
+    return (await getRolePermissions(user.role)).has(permission);
+}
+
+/**
+ * Whether a user can reach a record through their read scope
+ * @param {Object} user
+ * @param {'application'|'consultation'|'payment'|'document'|'agreement'} resourceType
+ * @param {Object} resource - The record; a document's applicationId may be populated
+ * @returns {Promise<boolean>}
+ */
+async function canAccess(user, resourceType, resource) {
+    const scope = RESOURCE_SCOPES[resourceType];
+
+    if (scope.via) {
+        let parent = resource[scope.field];
+        if (parent && !parent.clientId) {
+            parent = await Application.findById(parent).select('clientId adviserId');
+        }
+        return Boolean(parent) && canAccess(user, scope.via, parent);
+    }
+
+    const permissions = await getRolePermissions(user.role);
+    if (permissions.has(`${resourceType}.read.all`)) return true;
+    if (scope.assigned && permissions.has(`${resourceType}.read.assigned`)) {
+        const assigned = typeof scope.assigned === 'string'
+            ? sameId(resource[scope.assigned], user._id)
+            : await scope.assigned.matches(resource, user._id);
+        if (assigned) return true;
+    }
+    if (scope.own && permissions.has(`${resourceType}.read.own`) && sameId(resource[scope.own], user._id)) {
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Mongo filter limiting a query to records the user can reach
+ * @returns {Promise<Object|null>} - {} for everything, or null when nothing is reachable
+ */
+async function scopeFilter(user, resourceType) {
+    const scope = RESOURCE_SCOPES[resourceType];
+
+    if (scope.via) {
+        const parentFilter = await scopeFilter(user, scope.via);
+        if (!parentFilter || Object.keys(parentFilter).length === 0) return parentFilter;
+
+        const ids = await Application.distinct('_id', parentFilter);
+        return { [scope.field]: { $in: ids } };
+    }
+
+    const permissions = await getRolePermissions(user.role);
+    if (permissions.has(`${resourceType}.read.all`)) return {};
+
+    const conditions = [];
+    if (scope.assigned && permissions.has(`${resourceType}.read.assigned`)) {
+        conditions.push(typeof scope.assigned === 'string'
+            ? { [scope.assigned]: user._id }
+            : await scope.assigned.filter(user._id));
+    }
+    if (scope.own && permissions.has(`${resourceType}.read.own`)) {
+        conditions.push({ [scope.own]: user._id });
+    }
+
+    if (conditions.length === 0) return null;
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+module.exports = {
+    isKnownPermission,
+    getRolePermissions,
+    invalidateRolePermissions,
+    hasPermission,
+    canAccess,
+    scopeFilter
+};
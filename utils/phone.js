@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { User } = require('../models');
+const { sendMessage } = require('./messaging');
+
+// Calling code assumed for national numbers such as 021 123 4567
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE || '64').replace(/\D/g, '');
+
+const VERIFICATION_CODE_MINUTES = 10;
+const MAX_VERIFICATION_ATTEMPTS = 5;
+
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalise a phone number to E.164, e.g. "021 123 4567" -> "+64211234567"
+ * @returns {string|null} - null when the number cannot be normalised
+ */
+const normalizePhone = (input) => {
+    if (!input || typeof input !== 'string') return null;
+
+    let phone = input.trim().replace(/[\s().-]/g, '');
+    if (phone.startsWith('00')) {
+        phone = `+${phone.slice(2)}`;
+    } else if (!phone.startsWith('+')) {
+        phone = `+${DEFAULT_COUNTRY_CODE}${phone.replace(/^0+/, '')}`;
+    }
+
+    return E164.test(phone) ? phone : null;
+};
+
+// Last digits only, for responses and logs
+const maskPhone = (phone) => (phone ? `${'*'.repeat(Math.max(phone.length - 4, 0))}${phone.slice(-4)}` : null);
+
+const hashCode = (userId, phone, code) => crypto
+    .createHash('sha256')
+    .update(`${userId}:${phone}:${code}`)
+    .digest('hex');
+
+/**
+ * Text a verification code to a phone number. The number becomes the
+ * user's verified phone once the code is confirmed.
+ * @returns {Promise<Object>} - { phone } or { error, message }
+ */
+const startPhoneVerification = async (user, phoneInput) => {
+    const phone = normalizePhone(phoneInput);
+    if (!phone) {
+        return { error: 'INVALID_PHONE', message: 'Enter a valid phone number including the country code' };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    await User.updateOne({ _id: user._id }, {
+        phoneVerification: {
+            phone,
+            codeHash: hashCode(user._id, phone, code),
+            expiresAt: new Date(Date.now() + VERIFICATION_CODE_MINUTES * 60 * 1000),
+            attempts: 0
+        }
+    });
+
+    await sendMessage({
+        to: phone,
+        body: `Your Migrantifly verification code is ${code}. It expires in ${VERIFICATION_CODE_MINUTES} minutes.`,
+        channel: 'sms'
+    });
+
+    return { phone };
+};
+
+/**
+ * Confirm a verification code and mark its number as the user's verified phone.
+ * The attempt is counted before the code is checked, so parallel guesses
+ * cannot exceed the limit.
+ * @returns {Promise<Object>} - { user } or { error, message }
+ */
+const confirmPhoneVerification = async (userId, code) => {
+    const user = await User.findOneAndUpdate(
+        {
+            _id: userId,
+            'phoneVerification.expiresAt': { $gt: new Date() },
+            'phoneVerification.attempts': { $not: { $gte: MAX_VERIFICATION_ATTEMPTS } }
+        },
+        { $inc: { 'phoneVerification.attempts': 1 } },
+        { new: true }
+    ).select('+phoneVerification.codeHash');
+    const pending = user?.phoneVerification;
+
+    if (!pending?.codeHash) {
+        const current = await User.findById(userId);
+        if (current?.phoneVerification?.expiresAt > new Date()) {
+            return { error: 'TOO_MANY_ATTEMPTS', message: 'Too many incorrect codes. Request a new one.' };
+        }
+        return { error: 'VERIFICATION_EXPIRED', message: 'Verification code expired. Request a new one.' };
+    }
+
+    const expected = Buffer.from(pending.codeHash, 'hex');
+    const actual = Buffer.from(hashCode(user._id, pending.phone, String(code || '')), 'hex');
+    if (!crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'INVALID_CODE', message: 'Invalid verification code' };
+    }
+
+    // A code requested in the meantime replaces this one
+    const verified = await User.findOneAndUpdate(
+        { _id: user._id, 'phoneVerification.codeHash': pending.codeHash },
+        {
+            $set: { 'profile.phone': pending.phone, isPhoneVerified: true, phoneVerifiedAt: new Date() },
+            $unset: { phoneVerification: 1 }
+        },
+        { new: true }
+    ).select('-password');
+    if (!verified) {
+        return { error: 'VERIFICATION_EXPIRED', message: 'Verification code expired. Request a new one.' };
+    }
+
+    return { user: verified };
+};
+
+module.exports = {
+    normalizePhone,
+    maskPhone,
+    startPhoneVerification,
+    confirmPhoneVerification
+};
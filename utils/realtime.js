@@ -0,0 +1,208 @@
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const { Application, Notification } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { touchSession } = require('./sessions');
+const { canAccess } = require('./permissions');
+const logger = require('./logger');
+
+// Set once the HTTP server starts; emits are no-ops without it (cron jobs, scripts)
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const applicationRoom = (applicationId) => `application:${applicationId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+
+const idOf = (value) => (value?._id || value)?.toString();
+
+// Access token from the handshake auth payload, or a Bearer header for non-browser clients
+const handshakeToken = (handshake) => handshake.auth?.token
+    || handshake.headers.authorization?.replace('Bearer ', '');
+
+const ack = (callback, payload) => {
+    if (typeof callback === 'function') callback(payload);
+};
+
+/**
+ * Join an application's room after checking the user can reach it. The
+ * session is re-checked so a revoked session cannot subscribe to more data.
+ */
+const subscribeToApplication = async (socket, { applicationId } = {}) => {
+    const { user, sessionId } = socket.data;
+
+    if (!(await touchSession(sessionId, { ip: socket.handshake.address }))) {
+        socket.disconnect(true);
+        return { success: false, message: 'Session expired or revoked. Please log in again.' };
+    }
+    if (!mongoose.isValidObjectId(applicationId)) {
+        return { success: false, message: 'Application not found' };
+    }
+
+    const application = await Application.findById(applicationId).select('clientId adviserId');
+    if (!application) {
+        return { success: false, message: 'Application not found' };
+    }
+    if (!(await canAccess(user, 'application', application))) {
+        return { success: false, message: 'Access denied to this application' };
+    }
+
+    socket.join(applicationRoom(applicationId));
+    return { success: true };
+};
+
+/**
+ * Attach the Socket.IO gateway to the HTTP server. Sockets authenticate with
+ * the same access tokens as the REST API and join their user's room; clients
+ * subscribe to application rooms they can reach.
+ * @param {import('http').Server} server
+ * @returns {Server}
+ */
+const initRealtime = (server) => {
+    io = new Server(server, {
+        cors: { origin: '*', methods: ['GET', 'POST'] }
+    });
+
+    io.use(async (socket, next) => {
+        try {
+            const result = await authenticateToken(handshakeToken(socket.handshake), { ip: socket.handshake.address });
+            if (result.error) {
+                const err = new Error(result.message);
+                err.data = { code: result.error };
+                return next(err);
+            }
+
+            socket.data.user = result.user;
+            socket.data.sessionId = result.session._id.toString();
+            next();
+        } catch (error) {
+            next(new Error('Invalid token.'));
+        }
+    });
+
+    io.on('connection', (socket) => {
+        const { user, sessionId } = socket.data;
+        socket.join([userRoom(user._id), sessionRoom(sessionId)]);
+
+        socket.on('application:subscribe', async (payload, callback) => {
+            try {
+                ack(callback, await subscribeToApplication(socket, payload));
+            } catch (error) {
+                logger.error(`Socket subscribe failed: ${error.message}`);
+                ack(callback, { success: false, message: 'Error subscribing to application' });
+            }
+        });
+
+        socket.on('application:unsubscribe', ({ applicationId } = {}, callback) => {
+            if (applicationId) socket.leave(applicationRoom(applicationId));
+            ack(callback, { success: true });
+        });
+
+        // Start the client off with the current badge count
+        pushUnreadCount(user._id);
+    });
+
+    logger.info('Realtime gateway attached');
+    return io;
+};
+
+const emitToUser = (userId, event, payload) => {
+    if (!io || !userId) return;
+    io.to(userRoom(idOf(userId))).emit(event, payload);
+};
+
+// Everyone subscribed to the application, plus its client wherever they are in the portal
+const emitToApplication = (application, event, payload) => {
+    if (!io || !application) return;
+    const rooms = [applicationRoom(idOf(application))];
+    if (application.clientId) rooms.push(userRoom(idOf(application.clientId)));
+    io.to(rooms).emit(event, payload);
+};
+
+/**
+ * Send a user their unread notification count
+ */
+const pushUnreadCount = async (userId) => {
+    if (!io || !userId) return;
+    try {
+        const count = await Notification.countDocuments({ ...Notification.inAppFilter(userId), isRead: false });
+        emitToUser(userId, 'notification:unread_count', { count });
+    } catch (error) {
+        logger.error(`Unread count push failed: ${error.message}`);
+    }
+};
+
+const emitNotification = (notification) => {
+    emitToUser(notification.userId, 'notification:new', notification);
+    return pushUnreadCount(notification.userId);
+};
+
+const emitApplicationUpdate = (application) => {
+    emitToApplication(application, 'application:updated', {
+        applicationId: idOf(application),
+        stage: application.stage,
+        progress: application.progress,
+        outcome: application.outcome,
+        inzReference: application.inzReference,
+        updatedAt: application.updatedAt
+    });
+};
+
+// document.applicationId may be populated with the application's clientId
+const emitDocumentReviewed = (document) => {
+    emitToApplication(document.applicationId, 'document:reviewed', {
+        documentId: idOf(document),
+        applicationId: idOf(document.applicationId),
+        type: document.type,
+        status: document.status,
+        reviewNotes: document.reviewNotes,
+        reviewedAt: document.reviewedAt
+    });
+};
+
+const emitPaymentUpdate = (payment) => {
+    const payload = {
+        paymentId: idOf(payment),
+        applicationId: idOf(payment.applicationId),
+        type: payment.type,
+        status: payment.status,
+        amount: payment.amount,
+        currency: payment.currency
+    };
+    if (payment.applicationId) {
+        emitToApplication({ _id: payment.applicationId, clientId: payment.clientId }, 'payment:updated', payload);
+    } else {
+        emitToUser(payment.clientId, 'payment:updated', payload);
+    }
+};
+
+/**
+ * Disconnect the sockets opened with a session, e.g. when it is revoked
+ */
+const disconnectSession = (sessionId) => {
+    if (!io || !sessionId) return;
+    io.in(sessionRoom(idOf(sessionId))).disconnectSockets(true);
+};
+
+/**
+ * Disconnect a user's sockets, optionally keeping those of one session
+ */
+const disconnectUser = async (userId, { exceptSessionId } = {}) => {
+    if (!io || !userId) return;
+    const sockets = await io.in(userRoom(idOf(userId))).fetchSockets();
+    sockets
+        .filter(socket => socket.data.sessionId !== idOf(exceptSessionId))
+        .forEach(socket => socket.disconnect(true));
+};
+
+module.exports = {
+    initRealtime,
+    emitToUser,
+    emitToApplication,
+    pushUnreadCount,
+    emitNotification,
+    emitApplicationUpdate,
+    emitDocumentReviewed,
+    emitPaymentUpdate,
+    disconnectSession,
+    disconnectUser
+};
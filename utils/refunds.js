@@ -0,0 +1,263 @@
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { Payment } = require('../models');
+const { issueCreditNote } = require('./invoiceGenerator');
+const { sendNotification } = require('./notifications');
+const { roundAmount, toMinorUnits, fromMinorUnits, formatMoney } = require('./currency');
+
+const REFUNDABLE_STATUSES = ['completed', 'partial_refund'];
+// Refund entries that count against the refundable balance
+const ACTIVE_REFUND_STATUSES = ['pending', 'completed'];
+
+const STRIPE_REFUND_STATUS = {
+    succeeded: 'completed',
+    pending: 'pending',
+    requires_action: 'pending',
+    failed: 'failed',
+    canceled: 'failed'
+};
+
+/**
+ * Recompute a payment's refund totals and status from its refund entries
+ * @returns {Promise<Object|null>} - The updated payment
+ */
+const syncRefundTotals = async (paymentId) => {
+    const payment = await Payment.findById(paymentId);
+    if (!payment) return null;
+
+    const refunds = await Payment.find({
+        refundOf: payment._id,
+        status: { $in: ACTIVE_REFUND_STATUSES }
+    }).sort({ createdAt: 1 });
+
+    const refundAmount = roundAmount(refunds.reduce((sum, r) => sum + r.amount, 0), payment.currency);
+    const latest = refunds[refunds.length - 1];
+
+    payment.refundAmount = refundAmount;
+    if (['completed', 'partial_refund', 'refunded'].includes(payment.status)) {
+        if (refundAmount <= 0) payment.status = 'completed';
+        else payment.status = refundAmount >= payment.amount ? 'refunded' : 'partial_refund';
+    }
+    if (latest) {
+        payment.refundReason = latest.refundReason;
+        payment.refundedAt = latest.refundedAt || latest.createdAt;
+    }
+    await payment.save();
+
+    return payment;
+};
+
+/**
+ * Mark a refund entry completed, then issue its credit note and notify the
+ * client. The side effects run once even if the API and webhook race.
+ */
+const completeRefund = async (refundId) => {
+    const refund = await Payment.findOneAndUpdate(
+        { _id: refundId, status: { $ne: 'completed' } },
+        { $set: { status: 'completed', refundedAt: new Date() } },
+        { new: true }
+    );
+    if (!refund) return Payment.findById(refundId);
+
+    const payment = await syncRefundTotals(refund.refundOf);
+
+    try {
+        await issueCreditNote(refund, payment);
+    } catch (err) {
+        console.error('Credit note generation failed:', err?.message);
+    }
+
+    try {
+        await sendNotification({
+            userId: refund.clientId,
+            applicationId: refund.applicationId,
+            type: 'payment_refunded',
+            title: 'Payment Refunded',
+            message: `A refund of ${formatMoney(refund.amount, refund.currency)} for your ${payment.type.replace('_', ' ')} payment has been processed.${refund.refundReason ? ` Reason: ${refund.refundReason}` : ''}`,
+            priority: 'high'
+        });
+    } catch (notifyErr) {
+        console.error('Notification error (refund):', notifyErr?.message);
+    }
+
+    return refund;
+};
+
+// Move a refund entry to the state Stripe reports
+const applyStripeStatus = async (refund, stripeRefund) => {
+    const status = STRIPE_REFUND_STATUS[stripeRefund.status] || 'pending';
+
+    if (!refund.gatewayReference) {
+        refund.gatewayReference = stripeRefund.id;
+        await refund.save();
+    }
+
+    if (status === 'completed') {
+        return completeRefund(refund._id);
+    }
+
+    if (refund.status !== status) {
+        refund.status = status;
+        if (status === 'failed') {
+            refund.notes = stripeRefund.failure_reason || stripeRefund.status;
+        }
+        await refund.save();
+        await syncRefundTotals(refund.refundOf);
+    }
+    return refund;
+};
+
+/**
+ * Refund all or part of a completed Stripe payment. Each call with a new
+ * idempotency key records its own refund entry; retrying with the same key
+ * returns the existing entry instead of refunding again.
+ * @param {Object} payment
+ * @param {Object} options
+ * @param {number} [options.amount] - Defaults to the remaining refundable amount
+ * @param {string} [options.reason]
+ * @param {string} options.idempotencyKey
+ * @returns {Promise<Object>} - { refund, payment, duplicate } or { error, message }
+ */
+const issueRefund = async (payment, { amount, reason, idempotencyKey }) => {
+    if (payment.type === 'refund' || !REFUNDABLE_STATUSES.includes(payment.status)) {
+        return { error: 'PAYMENT_NOT_REFUNDABLE', message: `A ${payment.status} payment cannot be refunded` };
+    }
+    if (!payment.gatewayReference) {
+        return { error: 'NO_GATEWAY_REFERENCE', message: 'Payment has no Stripe reference to refund against' };
+    }
+
+    const existing = await Payment.findOne({ refundOf: payment._id, idempotencyKey });
+    if (existing) {
+        return { refund: existing, payment, duplicate: true };
+    }
+
+    const remaining = roundAmount(payment.amount - (payment.refundAmount || 0), payment.currency);
+    const refundAmount = amount === undefined ? remaining : roundAmount(amount, payment.currency);
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+        return {
+            error: 'INVALID_REFUND_AMOUNT',
+            message: `Refund amount must be greater than zero and at most the remaining ${formatMoney(remaining, payment.currency)}`
+        };
+    }
+
+    // Reserve the amount against the balance we just read. Stripe also rejects
+    // refunds above the unrefunded charge amount, so this is not the only guard.
+    const reserved = await Payment.findOneAndUpdate(
+        { _id: payment._id, status: { $in: REFUNDABLE_STATUSES }, refundAmount: payment.refundAmount || 0 },
+        { $inc: { refundAmount } },
+        { new: true }
+    );
+    if (!reserved) {
+        return { error: 'REFUND_CONFLICT', message: 'Payment changed while refunding. Please retry.' };
+    }
+
+    let refund;
+    try {
+        refund = await Payment.create({
+            type: 'refund',
+            status: 'pending',
+            refundOf: payment._id,
+            clientId: payment.clientId,
+            applicationId: payment.applicationId,
+            consultationId: payment.consultationId,
+            amount: refundAmount,
+            currency: payment.currency,
+            paymentMethod: 'stripe',
+            refundReason: reason,
+            idempotencyKey
+        });
+    } catch (err) {
+        await Payment.updateOne({ _id: payment._id }, { $inc: { refundAmount: -refundAmount } });
+        if (err.code === 11000) {
+            // A concurrent request with the same key got there first
+            const winner = await Payment.findOne({ refundOf: payment._id, idempotencyKey });
+            return { refund: winner, payment, duplicate: true };
+        }
+        throw err;
+    }
+
+    let stripeRefund;
+    try {
+        stripeRefund = await stripe.refunds.create(
+            {
+                payment_intent: payment.gatewayReference,
+                amount: toMinorUnits(refundAmount, payment.currency),
+                reason: 'requested_by_customer',
+                metadata: { paymentId: payment._id.toString(), refundId: refund._id.toString() }
+            },
+            { idempotencyKey: `refund-${payment._id}-${idempotencyKey}` }
+        );
+    } catch (err) {
+        refund.status = 'failed';
+        refund.notes = err.message;
+        await refund.save();
+        await syncRefundTotals(payment._id);
+        return { error: 'STRIPE_REFUND_FAILED', message: err.message, refund };
+    }
+
+    refund = await applyStripeStatus(refund, stripeRefund);
+
+    return { refund, payment: await syncRefundTotals(payment._id), duplicate: false };
+};
+
+/**
+ * Reconcile a Stripe refund (from charge.refunded or charge.refund.updated)
+ * with the ledger. Refunds made outside the API, e.g. in the Stripe
+ * dashboard, get an entry here.
+ * @returns {Promise<Object|null>} - The refund entry, or null for unknown payments
+ */
+const reconcileStripeRefund = async (stripeRefund) => {
+    const paymentIntentId = stripeRefund.payment_intent?.toString();
+    const payment = paymentIntentId && await Payment.findOne({
+        gatewayReference: paymentIntentId,
+        type: { $ne: 'refund' }
+    });
+    if (!payment) return null;
+
+    let refund = await Payment.findOne({ refundOf: payment._id, gatewayReference: stripeRefund.id });
+    if (!refund && stripeRefund.metadata?.refundId) {
+        refund = await Payment.findOne({ _id: stripeRefund.metadata.refundId, refundOf: payment._id });
+    }
+    if (!refund) {
+        refund = await Payment.findOneAndUpdate(
+            { refundOf: payment._id, idempotencyKey: `stripe-${stripeRefund.id}` },
+            {
+                $setOnInsert: {
+                    type: 'refund',
+                    status: 'pending',
+                    clientId: payment.clientId,
+                    applicationId: payment.applicationId,
+                    consultationId: payment.consultationId,
+                    amount: fromMinorUnits(stripeRefund.amount, stripeRefund.currency || payment.currency),
+                    currency: payment.currency,
+                    paymentMethod: 'stripe',
+                    gatewayReference: stripeRefund.id,
+                    refundReason: stripeRefund.reason || 'Refunded in Stripe'
+                }
+            },
+            { upsert: true, new: true }
+        );
+    }
+
+    return applyStripeStatus(refund, stripeRefund);
+};
+
+/**
+ * Reconcile every refund on a charge (charge.refunded webhook)
+ */
+const reconcileChargeRefunds = async (charge) => {
+    if (!charge.payment_intent) return [];
+
+    const refunds = await stripe.refunds.list({ payment_intent: charge.payment_intent.toString(), limit: 100 });
+    const results = [];
+    for (const stripeRefund of refunds.data) {
+        results.push(await reconcileStripeRefund(stripeRefund));
+    }
+    return results;
+};
+
+module.exports = {
+    issueRefund,
+    reconcileStripeRefund,
+    reconcileChargeRefunds,
+    syncRefundTotals
+};
@@ -0,0 +1,182 @@
+const { RequirementTemplate } = require('../models');
+
+// Built-in requirements used when no active template matches.
+// Admins replace these by publishing RequirementTemplate versions.
+const DEFAULT_COMMON_DOCS = [
+    { type: 'passport', name: 'Passport Copy', description: 'Clear copy of passport information page', required: true, formats: ['PDF', 'JPG', 'PNG'] },
+    { type: 'photo', name: 'Passport Photos', description: 'Recent passport-sized photographs', required: true, formats: ['JPG', 'PNG'] }
+];
+
+const DEFAULT_COUNTRY_DOCS = {
+    NZ: [
+        { type: 'police_clearance', name: 'Police Clearance Certificate', description: 'Police clearance from all countries lived in for 12+ months', required: true, formats: ['PDF'] }
+    ],
+    AU: [
+        { type: 'police_clearance', name: 'Police Clearance Certificate', description: 'Police clearance from all countries lived in for 12+ months', required: true, formats: ['PDF'] },
+        { type: 'health_examination', name: 'Health Examination', required: true, formats: ['PDF'] }
+    ],
+    CA: [
+        { type: 'police_clearance', name: 'Police Certificate', required: true, formats: ['PDF'] },
+        { type: 'biometrics', name: 'Biometrics', required: true, formats: ['PDF'] }
+    ]
+};
+
+const DEFAULT_VISA_DOCS = {
+    work: [
+        { type: 'job_offer', name: 'Job Offer Letter', description: 'Official job offer from employer', required: true, formats: ['PDF', 'DOC', 'DOCX'] },
+        { type: 'employment_contract', name: 'Employment Contract', description: 'Signed employment agreement', required: true, formats: ['PDF', 'DOC', 'DOCX'] },
+        { type: 'qualification_documents', name: 'Qualification Documents', description: 'Educational certificates and transcripts', required: true, formats: ['PDF'] }
+    ],
+    partner: [
+        { type: 'marriage_certificate', name: 'Marriage/Partnership Certificate', description: 'Official marriage or civil union certificate', required: true, formats: ['PDF'] },
+        { type: 'relationship_evidence', name: 'Relationship Evidence', required: true, formats: ['PDF', 'JPG', 'PNG'] },
+        { type: 'financial_records', name: 'Financial Evidence', description: 'Bank statements, employment letters, tax returns', required: true, formats: ['PDF'] }
+    ],
+    student: [
+        { type: 'offer_of_place', name: 'Offer of Place', required: true, formats: ['PDF'] },
+        { type: 'qualification_documents', name: 'Academic Qualifications', description: 'Certificates, diplomas, transcripts', required: true, formats: ['PDF'] },
+        { type: 'financial_records', name: 'Financial Evidence', description: 'Proof of funds for study and living costs', required: true, formats: ['PDF'] }
+    ],
+    residence: [
+        { type: 'financial_records', name: 'Financial Evidence', required: true, formats: ['PDF'] },
+        { type: 'medical_certificate', name: 'Medical Certificate', required: true, formats: ['PDF'] },
+        { type: 'character_references', name: 'Character References', required: false, formats: ['PDF', 'DOC', 'DOCX'] }
+    ],
+    visitor: [
+        { type: 'travel_itinerary', name: 'Travel Itinerary', required: true, formats: ['PDF'] },
+        { type: 'financial_records', name: 'Financial Evidence', required: true, formats: ['PDF'] },
+        { type: 'accommodation_proof', name: 'Accommodation Proof', required: false, formats: ['PDF'] }
+    ],
+    business: [
+        { type: 'business_plan', name: 'Business Plan', required: true, formats: ['PDF', 'DOC', 'DOCX'] },
+        { type: 'financial_records', name: 'Financial Evidence', required: true, formats: ['PDF'] },
+        { type: 'business_registration', name: 'Business Registration', required: true, formats: ['PDF'] }
+    ]
+};
+
+// Pinned on applications built from the defaults, so activating a template
+// later does not change their requirements
+const DEFAULT_REQUIREMENT_TEMPLATE = { templateKey: 'default', version: 0 };
+
+const getDefaultDocuments = (visaType, countryCode = 'NZ') => {
+    return [
+        ...DEFAULT_COMMON_DOCS,
+        ...(DEFAULT_COUNTRY_DOCS[countryCode] || []),
+        ...(DEFAULT_VISA_DOCS[visaType] || [])
+    ];
+};
+
+/**
+ * Find the active template that best matches the applicant.
+ * Templates with criteria only match applicants sharing those attributes;
+ * among matches the most specific one wins.
+ * @returns {Promise<Object|null>}
+ */
+const resolveRequirementTemplate = async ({ countryCode = 'NZ', visaType, nationality, partnerStatus }) => {
+    const candidates = await RequirementTemplate.find({
+        countryCode: countryCode.toUpperCase(),
+        visaType,
+        status: 'active'
+    });
+
+    const applicant = {
+        nationality: nationality ? nationality.toUpperCase() : undefined,
+        partnerStatus
+    };
+
+    let best = null;
+    let bestScore = -1;
+
+    for (const template of candidates) {
+        const criteria = template.criteria || {};
+        let score = 0;
+        let matches = true;
+
+        for (const field of ['nationality', 'partnerStatus']) {
+            if (!criteria[field]) continue;
+            if (criteria[field] !== applicant[field]) {
+                matches = false;
+                break;
+            }
+            score++;
+        }
+
+        if (matches && score > bestScore) {
+            best = template;
+            bestScore = score;
+        }
+    }
+
+    return best;
+};
+
+const formatChecklist = ({ visaType, countryCode, template, documents }) => ({
+    visaType,
+    countryCode,
+    template: template
+        ? { id: template._id, templateKey: template.templateKey, version: template.version }
+        : null,
+    documents: documents.map(doc => ({
+        type: doc.type,
+        name: doc.name,
+        description: doc.description,
+        required: doc.required,
+        formats: doc.formats
+    }))
+});
+
+const pinnedToDefaults = (pinned) => Boolean(pinned)
+    && !pinned.templateId
+    && pinned.templateKey === DEFAULT_REQUIREMENT_TEMPLATE.templateKey
+    && pinned.version === DEFAULT_REQUIREMENT_TEMPLATE.version;
+
+/**
+ * Build a document checklist. An application's pinned template version (or
+ * the pinned defaults) always wins, so it keeps the rules it was created
+ * under after newer versions go live.
+ * @param {Object} [params.requirementTemplate] - The application's pinned template
+ */
+const getChecklist = async ({ visaType, countryCode = 'NZ', nationality, partnerStatus, requirementTemplate }) => {
+    let template = null;
+
+    if (!pinnedToDefaults(requirementTemplate)) {
+        if (requirementTemplate?.templateId) {
+            template = await RequirementTemplate.findById(requirementTemplate.templateId);
+        }
+        if (!template) {
+            template = await resolveRequirementTemplate({ countryCode, visaType, nationality, partnerStatus });
+        }
+    }
+
+    return formatChecklist({
+        visaType,
+        countryCode,
+        template,
+        documents: template ? template.documents : getDefaultDocuments(visaType, countryCode)
+    });
+};
+
+/**
+ * Make a template version the live one for its key, retiring the previous active version.
+ */
+const activateRequirementTemplate = async (template) => {
+    await RequirementTemplate.updateMany(
+        { templateKey: template.templateKey, status: 'active', _id: { $ne: template._id } },
+        { status: 'retired', retiredAt: new Date() }
+    );
+
+    template.status = 'active';
+    template.activatedAt = new Date();
+    template.retiredAt = undefined;
+    await template.save();
+
+    return template;
+};
+
+module.exports = {
+    DEFAULT_REQUIREMENT_TEMPLATE,
+    getDefaultDocuments,
+    activateRequirementTemplate,
+    resolveRequirementTemplate,
+    getChecklist
+};
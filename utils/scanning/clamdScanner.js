@@ -0,0 +1,75 @@
+const fs = require('fs');
+const net = require('net');
+const { once } = require('events');
+
+// Talks to a ClamAV daemon over its socket. Files are streamed with
+// INSTREAM, so clamd does not need access to the API's temp directory.
+const CHUNK_SIZE = 64 * 1024;
+const TIMEOUT_MS = parseInt(process.env.CLAMD_TIMEOUT_MS || '60000', 10);
+
+const connect = () => (process.env.CLAMD_SOCKET
+    ? net.createConnection({ path: process.env.CLAMD_SOCKET })
+    : net.createConnection({
+        host: process.env.CLAMD_HOST || '127.0.0.1',
+        port: parseInt(process.env.CLAMD_PORT || '3310', 10)
+    }));
+
+// Send one command and read clamd's NUL-terminated reply
+const command = (name, writeBody) => new Promise((resolve, reject) => {
+    const socket = connect();
+    const chunks = [];
+
+    socket.setTimeout(TIMEOUT_MS, () => socket.destroy(new Error('clamd did not respond in time')));
+    socket.on('connect', async () => {
+        try {
+            socket.write(`z${name}\0`);
+            if (writeBody) await writeBody(socket);
+        } catch (error) {
+            socket.destroy(error);
+        }
+    });
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => resolve(Buffer.concat(chunks).toString().replace(/\0/g, '').trim()));
+    socket.on('error', reject);
+});
+
+// INSTREAM takes length-prefixed chunks ended by a zero-length one
+const streamFile = (filePath) => async (socket) => {
+    for await (const chunk of fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE })) {
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        if (!socket.write(Buffer.concat([size, chunk]))) {
+            await once(socket, 'drain');
+        }
+    }
+    socket.write(Buffer.alloc(4));
+};
+
+/**
+ * @returns {Promise<{ infected: boolean, threats: string[] }>}
+ */
+const scanFile = async (filePath) => {
+    const reply = await command('INSTREAM', streamFile(filePath));
+
+    // "stream: OK", "stream: <signature> FOUND" or "<reason> ERROR"
+    if (/: OK$/.test(reply)) return { infected: false, threats: [] };
+
+    const found = reply.match(/: (.+) FOUND$/);
+    if (found) return { infected: true, threats: [found[1]] };
+
+    throw new Error(`clamd scan failed: ${reply || 'no reply'}`);
+};
+
+// "ClamAV 1.2.1/27100/Mon Oct 19 08:24:02 2026": the middle part is the signature database version
+const getSignatureVersion = async () => {
+    const reply = await command('VERSION');
+    const [, database] = reply.split('/');
+    if (!database) throw new Error(`Unexpected clamd version reply: ${reply}`);
+    return database;
+};
+
+module.exports = {
+    name: 'clamd',
+    scanFile,
+    getSignatureVersion
+};
@@ -0,0 +1,50 @@
+const clamdScanner = require('./clamdScanner');
+const stubScanner = require('./stubScanner');
+
+/**
+ * Virus scanners. Each one implements:
+ *   scanFile(filePath) -> { infected, threats }
+ *   getSignatureVersion() -> string identifying the loaded signatures
+ * Both throw when the scanner cannot be reached.
+ */
+const SCANNERS = {
+    [clamdScanner.name]: clamdScanner,
+    [stubScanner.name]: stubScanner
+};
+
+// Production scans with clamd unless told otherwise; elsewhere the stub is the default
+const getScanner = () => {
+    const name = process.env.VIRUS_SCAN_PROVIDER || (process.env.NODE_ENV === 'production' ? 'clamd' : 'stub');
+    const scanner = SCANNERS[name];
+    if (!scanner) {
+        throw new Error(`Unknown virus scanner: ${name}`);
+    }
+    return scanner;
+};
+
+const getSignatureVersion = () => getScanner().getSignatureVersion();
+
+/**
+ * Scan a local file. Scanner failures are reported in the result rather
+ * than thrown, so callers can keep the file quarantined and retry later.
+ * @returns {Promise<Object>} - { status: 'clean'|'infected'|'error', scanner, signatureVersion, threats, scannedAt, error }
+ */
+const scanFile = async (filePath) => {
+    const scanner = getScanner();
+    const result = { scanner: scanner.name, threats: [], scannedAt: new Date() };
+
+    try {
+        const signatureVersion = await scanner.getSignatureVersion();
+        const { infected, threats } = await scanner.scanFile(filePath);
+        return { ...result, status: infected ? 'infected' : 'clean', signatureVersion, threats };
+    } catch (error) {
+        console.error(`Virus scan of ${filePath} failed:`, error.message);
+        return { ...result, status: 'error', error: error.message };
+    }
+};
+
+module.exports = {
+    getScanner,
+    getSignatureVersion,
+    scanFile
+};
@@ -0,0 +1,22 @@
+const fs = require('fs').promises;
+
+// Deterministic stand-in for development and tests: a file is infected when
+// it contains the EICAR test string, and clean otherwise. Changing
+// STUB_SCAN_SIGNATURES acts like a signature update and triggers a rescan.
+// The string is assembled here so this file is not flagged itself.
+const EICAR = ['X5O!P%@AP[4\\PZX54(P^)7CC)7}$', 'EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*'].join('');
+
+const scanFile = async (filePath) => {
+    const content = await fs.readFile(filePath);
+    return content.includes(EICAR)
+        ? { infected: true, threats: ['Eicar-Test-Signature'] }
+        : { infected: false, threats: [] };
+};
+
+const getSignatureVersion = async () => process.env.STUB_SCAN_SIGNATURES || 'stub-1';
+
+module.exports = {
+    name: 'stub',
+    scanFile,
+    getSignatureVersion
+};
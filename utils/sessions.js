@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Session, User } = require('../models');
+const { generateToken } = require('./tokenGenerator');
+
+const ACCESS_TOKEN_EXPIRE = process.env.JWT_ACCESS_EXPIRE || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS || '30', 10);
+// Avoid a write on every request just to bump lastSeenAt
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const parseRefreshToken = (refreshToken) => {
+    if (!refreshToken || typeof refreshToken !== 'string') return null;
+    const [sessionId, secret] = refreshToken.split('.');
+    if (!sessionId || !secret || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+    return { sessionId, secret };
+};
+
+const signAccessToken = (user, session) => jwt.sign(
+    { userId: user._id, role: user.role, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRE }
+);
+
+const issueTokens = (user, session, secret) => ({
+    accessToken: signAccessToken(user, session),
+    refreshToken: `${session._id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_EXPIRE,
+    sessionId: session._id
+});
+
+/**
+ * Start a new session (token family) for a user
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified] - The login passed a second factor
+ * @returns {Promise<{ accessToken, refreshToken, expiresIn, sessionId }>}
+ */
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+    const secret = generateToken();
+    const session = await Session.create({
+        userId: user._id,
+        refreshTokenHash: hashToken(secret),
+        device: {
+            userAgent: req.get('User-Agent'),
+            name: req.body?.deviceName
+        },
+        ipAddress: req.ip,
+        lastSeenIp: req.ip,
+        twoFactorVerified,
+        expiresAt: refreshExpiry()
+    });
+
+    return issueTokens(user, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. Presenting a refresh
+ * token that was already rotated revokes the whole session.
+ * @returns {Promise<Object>} - Tokens, or { error, message } on failure
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    const parsed = parseRefreshToken(refreshToken);
+    if (!parsed) {
+        return { error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token' };
+    }
+
+    const secret = generateToken();
+    const now = new Date();
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: parsed.sessionId,
+            refreshTokenHash: hashToken(parsed.secret),
+            revokedAt: { $exists: false },
+            expiresAt: { $gt: now }
+        },
+        {
+            $set: {
+                refreshTokenHash: hashToken(secret),
+                lastSeenAt: now,
+                lastSeenIp: req.ip,
+                expiresAt: refreshExpiry()
+            },
+            $inc: { rotationCount: 1 }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const existing = await Session.findById(parsed.sessionId);
+        if (!existing || !existing.isActive()) {
+            return { error: 'SESSION_REVOKED', message: 'Session has expired or been revoked' };
+        }
+
+        // The token matched a live session but not its latest secret: it was stolen or replayed
+        await revokeSession(existing._id, 'refresh_token_reuse');
+        return { error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected. Please log in again.' };
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+        await revokeSession(session._id, 'user_inactive');
+        return { error: 'USER_INACTIVE', message: 'Account is deactivated' };
+    }
+
+    return { ...issueTokens(user, session, secret), user };
+};
+
+/**
+ * Check the session behind an access token and record activity
+ * @returns {Promise<Object|null>} - The live session, or null when revoked/expired
+ */
+const touchSession = async (sessionId, req) => {
+    const session = await Session.findById(sessionId);
+    if (!session || !session.isActive()) return null;
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+        session.lastSeenAt = new Date();
+        session.lastSeenIp = req.ip;
+        await Session.updateOne(
+            { _id: session._id },
+            { $set: { lastSeenAt: session.lastSeenAt, lastSeenIp: session.lastSeenIp } }
+        );
+    }
+
+    return session;
+};
+
+const revokeSession = async (sessionId, reason = 'revoked') => {
+    const result = await Session.updateOne(
+        { _id: sessionId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    // Required lazily: the realtime gateway authenticates through this module
+    require('./realtime').disconnectSession(sessionId);
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every live session of a user
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - Keep this session (e.g. the caller's)
+ * @returns {Promise<number>} - Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, { exceptSessionId, reason = 'revoke_all' } = {}) => {
+    const filter = { userId, revokedAt: { $exists: false } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const result = await Session.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+    await require('./realtime').disconnectUser(userId, { exceptSessionId });
+    return result.modifiedCount;
+};
+
+const listActiveSessions = (userId) => Session.find({
+    userId,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: new Date() }
+}).sort({ lastSeenAt: -1 });
+
+module.exports = {
+    ACCESS_TOKEN_EXPIRE,
+    createSession,
+    rotateRefreshToken,
+    touchSession,
+    revokeSession,
+    revokeAllSessions,
+    listActiveSessions
+};
@@ -0,0 +1,159 @@
+const { Consultation } = require('../models');
+const { issueRefund } = require('./refunds');
+const { SLOT_DURATION } = require('./availability');
+
+// Consultation statuses that count as a confirmed booking
+const CONFIRMED_STATUSES = ['scheduled', 'rescheduled', 'completed'];
+
+// Slots are claimed in granules this long, so bookings of different lengths
+// that overlap always share a key
+const SLOT_GRANULE_MS = 5 * 60 * 1000;
+
+const buildSlotKey = (adviserId, start) => `${adviserId}:${new Date(start).toISOString()}`;
+
+/**
+ * One key per granule the consultation covers, starting with the granule it starts in
+ * @example buildSlotKeys(adviserId, '2024-05-01T10:00:00Z', 30) // 10:00, 10:05 ... 10:25
+ */
+const buildSlotKeys = (adviserId, start, duration = SLOT_DURATION) => {
+    const startMs = new Date(start).getTime();
+    const endMs = startMs + duration * 60 * 1000;
+    const keys = [];
+    for (let granule = Math.floor(startMs / SLOT_GRANULE_MS) * SLOT_GRANULE_MS; granule < endMs; granule += SLOT_GRANULE_MS) {
+        keys.push(buildSlotKey(adviserId, granule));
+    }
+    return keys;
+};
+
+const isDuplicateKeyError = (error) => error && error.code === 11000;
+
+// Free slots held by unpaid reservations whose hold window has passed.
+// The TTL monitor only runs once a minute, so we cannot rely on it alone.
+// The expired holds themselves are left for the TTL index to delete.
+const releaseExpiredHolds = async (slotKeys) => {
+    const released = await Consultation.updateMany(
+        { slotKey: { $in: slotKeys }, status: 'pending_payment', expiresAt: { $lte: new Date() } },
+        { $unset: { slotKey: '' } }
+    );
+    return released.modifiedCount > 0;
+};
+
+/**
+ * Atomically create a consultation that holds an adviser's slot
+ * @param {Object} data - Consultation fields; adviserId and scheduledDate are required
+ * @returns {Promise<Object|null>} - The consultation, or null when the slot overlaps another booking
+ */
+const reserveSlot = async (data) => {
+    const slotKey = buildSlotKeys(data.adviserId, data.scheduledDate, data.duration);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            return await Consultation.create({ ...data, slotKey });
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+            if (!(await releaseExpiredHolds(slotKey))) return null;
+        }
+    }
+    return null;
+};
+
+/**
+ * Move an existing consultation to another adviser slot, or change its length
+ * @returns {Promise<boolean>} - false when the target slot overlaps another booking
+ */
+const moveSlot = async (consultation, { adviserId, scheduledDate, duration = consultation.duration }) => {
+    const slotKey = buildSlotKeys(adviserId, scheduledDate, duration);
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            await Consultation.updateOne(
+                { _id: consultation._id },
+                { $set: { slotKey, adviserId, scheduledDate, duration } }
+            );
+            consultation.slotKey = slotKey;
+            consultation.adviserId = adviserId;
+            consultation.scheduledDate = scheduledDate;
+            consultation.duration = duration;
+            return true;
+        } catch (error) {
+            if (!isDuplicateKeyError(error)) throw error;
+            if (!(await releaseExpiredHolds(slotKey))) return false;
+        }
+    }
+    return false;
+};
+
+/**
+ * Free a consultation's adviser slot, saving any other changes in the same write
+ * @example await releaseSlot(consultation, { status: 'cancelled' })
+ */
+const releaseSlot = async (consultation, changes = {}) => {
+    Object.assign(consultation, changes);
+    consultation.slotKey = undefined;
+    return consultation.save();
+};
+
+/**
+ * Confirm a paid hold. A hold past its expiresAt is still honoured as long as
+ * nobody else has claimed the slot in the meantime.
+ * @returns {Promise<{ confirmed: boolean, consultation: Object|null, code?: string }>}
+ */
+const confirmHold = async (consultationId) => {
+    const confirmed = await Consultation.findOneAndUpdate(
+        { _id: consultationId, status: 'pending_payment', slotKey: { $exists: true } },
+        { $set: { status: 'scheduled' }, $unset: { expiresAt: '' } },
+        { new: true }
+    );
+    if (confirmed) return { confirmed: true, consultation: confirmed };
+
+    const consultation = await Consultation.findById(consultationId);
+    if (consultation && CONFIRMED_STATUSES.includes(consultation.status)) {
+        return { confirmed: true, consultation };
+    }
+
+    // The hold expired and its slot was released (or it predates slot keys):
+    // it can still be confirmed if nobody else has claimed the slot
+    if (consultation && consultation.status === 'pending_payment' && !consultation.slotKey) {
+        const claimed = !consultation.adviserId || await moveSlot(consultation, {
+            adviserId: consultation.adviserId,
+            scheduledDate: consultation.scheduledDate
+        });
+        if (claimed) {
+            consultation.status = 'scheduled';
+            consultation.expiresAt = undefined;
+            await consultation.save();
+            return { confirmed: true, consultation };
+        }
+    }
+
+    return { confirmed: false, consultation, code: 'SLOT_LOST' };
+};
+
+/**
+ * Refund a consultation payment that completed after its slot was lost
+ * @param {Object} payment - Completed Payment document
+ */
+const refundLostSlotPayment = async (payment) => {
+    if (!payment || payment.status !== 'completed' || !payment.gatewayReference) {
+        return payment;
+    }
+
+    const result = await issueRefund(payment, {
+        reason: 'Consultation slot was no longer available when payment completed. Please book another time.',
+        idempotencyKey: 'slot-lost'
+    });
+    if (result.error) {
+        throw new Error(result.message);
+    }
+
+    return result.payment;
+};
+
+module.exports = {
+    buildSlotKeys,
+    reserveSlot,
+    moveSlot,
+    releaseSlot,
+    confirmHold,
+    refundLostSlotPayment
+};
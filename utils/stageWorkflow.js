@@ -0,0 +1,105 @@
+const { Payment, Document, Agreement } = require('../models');
+const { STAGES, STAGE_TRANSITIONS } = require('../constants/applicationConstants');
+
+// Guards run before entering a stage. Each resolves to null when satisfied,
+// or to a short description of the unmet requirement.
+const depositPaid = async (application) => {
+    const deposit = await Payment.exists({
+        applicationId: application._id,
+        type: 'deposit',
+        status: 'completed'
+    });
+    return deposit ? null : 'Deposit payment has not been completed';
+};
+
+const serviceAgreementSigned = async (application) => {
+    const signed = await Agreement.exists({
+        applicationId: application._id,
+        type: 'service_agreement',
+        status: 'signed'
+    });
+    return signed ? null : 'Service agreement has not been signed';
+};
+
+const requiredDocumentsApproved = async (application) => {
+    const pending = await Document.find({
+        applicationId: application._id,
+        isRequired: true,
+        status: { $ne: 'approved' }
+    }).select('type');
+
+    return pending.length === 0
+        ? null
+        : `Required documents not approved: ${pending.map(doc => doc.type).join(', ')}`;
+};
+
+const inzReferencePresent = async (application) => {
+    return application.inzReference ? null : 'Immigration reference (inzReference) is missing';
+};
+
+const STAGE_GUARDS = {
+    [STAGES.DEPOSIT_PAID]: [serviceAgreementSigned, depositPaid],
+    [STAGES.DOCUMENTS_COMPLETED]: [depositPaid, requiredDocumentsApproved],
+    [STAGES.SUBMITTED_TO_INZ]: [requiredDocumentsApproved, inzReferencePresent],
+    [STAGES.INZ_PROCESSING]: [inzReferencePresent],
+    [STAGES.RFI_RECEIVED]: [inzReferencePresent],
+    [STAGES.PPI_RECEIVED]: [inzReferencePresent],
+    [STAGES.DECISION]: [inzReferencePresent]
+};
+
+const isKnownStage = (stage) => Object.values(STAGES).includes(stage);
+
+const getAllowedNextStages = (currentStage) => STAGE_TRANSITIONS[currentStage] || [];
+
+/**
+ * Check whether an application may move to the target stage.
+ * @param {Object} application - Application document
+ * @param {string} toStage - Requested stage
+ * @returns {Promise<Object>} - { isValid } or { isValid: false, code, error, allowedStages, unmetRequirements }
+ */
+const validateStageTransition = async (application, toStage) => {
+    const fromStage = application.stage;
+    const allowedStages = getAllowedNextStages(fromStage);
+
+    if (!isKnownStage(toStage)) {
+        return {
+            isValid: false,
+            code: 'UNKNOWN_STAGE',
+            error: `Unknown stage: ${toStage}`,
+            allowedStages,
+            unmetRequirements: []
+        };
+    }
+
+    if (!allowedStages.includes(toStage)) {
+        return {
+            isValid: false,
+            code: 'INVALID_STAGE_TRANSITION',
+            error: `Cannot move application from ${fromStage} to ${toStage}`,
+            allowedStages,
+            unmetRequirements: []
+        };
+    }
+
+    const guards = STAGE_GUARDS[toStage] || [];
+    const results = await Promise.all(guards.map(guard => guard(application)));
+    const unmetRequirements = results.filter(Boolean);
+
+    if (unmetRequirements.length > 0) {
+        return {
+            isValid: false,
+            code: 'STAGE_REQUIREMENTS_NOT_MET',
+            error: `Requirements for ${toStage} are not met`,
+            allowedStages,
+            unmetRequirements
+        };
+    }
+
+    return { isValid: true };
+};
+
+module.exports = {
+    isKnownStage,
+    getAllowedNextStages,
+    validateStageTransition
+};
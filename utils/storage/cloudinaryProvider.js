@@ -0,0 +1,125 @@
+const path = require('path');
+const url = require('url');
+const { Readable } = require('stream');
+const { v2: cloudinary } = require('cloudinary');
+const { contentTypeFor } = require('./common');
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+    secure: true,
+});
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.gif', '.webp']);
+
+// Cloudinary addresses a private asset by resource type and public id. The
+// public id is the key without its extension; images keep it as their format.
+const locate = (key) => {
+    const extension = path.posix.extname(key);
+    const isImage = IMAGE_EXTENSIONS.has(extension.toLowerCase());
+    return {
+        publicId: key.slice(0, key.length - extension.length),
+        resourceType: isImage ? 'image' : 'raw',
+        format: isImage ? extension.slice(1) : ''
+    };
+};
+
+const isNotFound = (error) => (error.error?.http_code || error.http_code) === 404;
+
+const uploadSource = async (source, key) => {
+    const { publicId, resourceType } = locate(key);
+    return cloudinary.uploader.upload(source, {
+        resource_type: resourceType,
+        public_id: publicId,
+        type: 'private',
+        overwrite: true,
+        invalidate: true,
+    });
+};
+
+const upload = async (localPath, key) => {
+    const result = await uploadSource(localPath, key);
+    return { key, size: result.bytes };
+};
+
+const getSignedUrl = (key, { expiresInSeconds = 3600, attachment = true } = {}) => {
+    const { publicId, resourceType, format } = locate(key);
+    return cloudinary.utils.private_download_url(publicId, format, {
+        resource_type: resourceType,
+        expires_at: Math.floor(Date.now() / 1000) + Math.max(1, expiresInSeconds),
+        attachment,
+    });
+};
+
+const createReadStream = async (key) => {
+    const response = await fetch(getSignedUrl(key, { expiresInSeconds: 300 }));
+    if (!response.ok) {
+        throw new Error(`Download of ${key} failed with status ${response.status}`);
+    }
+    return Readable.fromWeb(response.body);
+};
+
+const remove = async (key) => {
+    const { publicId, resourceType } = locate(key);
+    const result = await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        type: 'private',
+        invalidate: true,
+    });
+    // Some raw assets need API delete
+    if (result.result === 'not found' && resourceType === 'raw') {
+        await cloudinary.api.delete_resources([publicId], { resource_type: 'raw', type: 'private' });
+    }
+};
+
+// Private assets are not fetchable from this URL; downloads need a signed link
+const getUrl = (key) => {
+    const { publicId, resourceType, format } = locate(key);
+    return cloudinary.url(publicId, { resource_type: resourceType, type: 'private', format: format || undefined });
+};
+
+const head = async (key) => {
+    const { publicId, resourceType } = locate(key);
+    try {
+        const result = await cloudinary.api.resource(publicId, { resource_type: resourceType, type: 'private' });
+        return { size: result.bytes, contentType: contentTypeFor(key), lastModified: new Date(result.created_at) };
+    } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+    }
+};
+
+// Cloudinary has no copy, so the destination is uploaded from a signed link to the source
+const copy = async (sourceKey, destinationKey) => {
+    await uploadSource(getSignedUrl(sourceKey, { expiresInSeconds: 300 }), destinationKey);
+};
+
+/**
+ * The key of a file stored before keys were recorded, from its Cloudinary
+ * URL. Used to serve such files until scripts/migrateStorage.js backfills their keys.
+ * @param {string} extension - The original file's extension, which raw asset URLs lack
+ */
+const keyFromUrl = (fileUrl, extension = '') => {
+    const parts = new url.URL(fileUrl).pathname.split('/').filter(Boolean);
+
+    // .../<resource type>/<delivery type>/v<version>/<public id>
+    const typeIndex = parts.findIndex(part => ['image', 'video', 'raw'].includes(part));
+    const afterType = parts.slice(typeIndex + 2);
+    const withoutVersion = /^v\d+$/i.test(afterType[0] || '') ? afterType.slice(1) : afterType;
+
+    const key = decodeURIComponent(withoutVersion.join('/'));
+    return path.posix.extname(key) ? key : `${key}${extension}`;
+};
+
+module.exports = {
+    name: 'cloudinary',
+    upload,
+    createReadStream,
+    delete: remove,
+    getSignedUrl,
+    getUrl,
+    head,
+    copy,
+    keyFromUrl
+};
@@ -0,0 +1,25 @@
+const path = require('path');
+
+const CONTENT_TYPES = {
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.pdf': 'application/pdf',
+    '.doc': 'application/msword',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+};
+
+const contentTypeFor = (key) => CONTENT_TYPES[path.posix.extname(key).toLowerCase()] || 'application/octet-stream';
+
+// Content-Disposition for a download, with a UTF-8 filename for non-ASCII names
+const contentDisposition = (filename, attachment = true) => {
+    const type = attachment ? 'attachment' : 'inline';
+    if (!filename) return type;
+
+    const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+module.exports = { contentTypeFor, contentDisposition };
@@ -0,0 +1,37 @@
+const localProvider = require('./localProvider');
+const s3Provider = require('./s3Provider');
+const cloudinaryProvider = require('./cloudinaryProvider');
+
+/**
+ * File storage providers. Files are addressed by a provider-neutral key
+ * such as "applications/<id>/documents/passport-1700000000000.pdf", so the
+ * same key finds a file in any provider it has been copied to. Each one implements:
+ *   upload(localPath, key, { contentType }) -> { key, size }
+ *   createReadStream(key) -> Readable
+ *   delete(key)
+ *   getSignedUrl(key, { expiresInSeconds, filename, attachment }) -> string
+ *   getUrl(key) -> permanent, unsigned address of the file
+ *   head(key) -> { size, contentType, lastModified }, or null when missing
+ *   copy(sourceKey, destinationKey)
+ */
+const PROVIDERS = {
+    [localProvider.name]: localProvider,
+    [s3Provider.name]: s3Provider,
+    [cloudinaryProvider.name]: cloudinaryProvider
+};
+
+/**
+ * @param {string} [name] - Defaults to STORAGE_PROVIDER
+ */
+const getStorageProvider = (name = process.env.STORAGE_PROVIDER || 'cloudinary') => {
+    const provider = PROVIDERS[name];
+    if (!provider) {
+        throw new Error(`Unknown storage provider: ${name}`);
+    }
+    return provider;
+};
+
+module.exports = {
+    PROVIDERS,
+    getStorageProvider
+};
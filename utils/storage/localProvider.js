@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { contentTypeFor } = require('./common');
+
+const fsp = fs.promises;
+
+// Files on the API server's own disk, for development and single-server
+// installs. Signed links point at /api/storage/files, served by routes/storage.js.
+const ROOT = path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../storage'));
+
+// A key resolved inside the storage root; keys that would escape it are refused
+const resolveKey = (key) => {
+    const filePath = path.resolve(ROOT, key);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+};
+
+const baseUrl = () => (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const signingSecret = () => {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) throw new Error('STORAGE_SIGNING_SECRET is not set');
+    return secret;
+};
+
+const sign = ({ key, expires, disposition, filename = '' }) => crypto
+    .createHmac('sha256', signingSecret())
+    .update([key, expires, disposition, filename].join('\n'))
+    .digest('hex');
+
+const upload = async (localPath, key) => {
+    const target = resolveKey(key);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.copyFile(localPath, target);
+
+    const { size } = await fsp.stat(target);
+    return { key, size };
+};
+
+const createReadStream = async (key) => {
+    const filePath = resolveKey(key);
+    // Fail here for a missing file rather than later on the stream
+    await fsp.access(filePath);
+    return fs.createReadStream(filePath);
+};
+
+const remove = async (key) => {
+    await fsp.unlink(resolveKey(key)).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+    });
+};
+
+const getSignedUrl = (key, { expiresInSeconds = 3600, filename, attachment = true } = {}) => {
+    const params = {
+        key,
+        expires: String(Math.floor(Date.now() / 1000) + Math.max(1, expiresInSeconds)),
+        disposition: attachment ? 'attachment' : 'inline'
+    };
+    if (filename) params.filename = filename;
+
+    const query = new URLSearchParams({ ...params, signature: sign(params) });
+    return `${baseUrl()}/api/storage/files?${query}`;
+};
+
+/**
+ * Check a signed link's query string
+ * @returns {Object|null} - { key, disposition, filename }, or null when invalid or expired
+ */
+const verifySignedUrl = (query = {}) => {
+    const { key, expires, disposition, filename, signature } = query;
+    if (!key || !expires || !signature || !['attachment', 'inline'].includes(disposition)) return null;
+    if (parseInt(expires, 10) * 1000 < Date.now()) return null;
+
+    const expected = Buffer.from(sign({ key, expires, disposition, filename }));
+    const actual = Buffer.from(String(signature));
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    return { key, disposition, filename };
+};
+
+// Not fetchable on its own; downloads need a signed link
+const getUrl = (key) => `${baseUrl()}/api/storage/files?${new URLSearchParams({ key })}`;
+
+const head = async (key) => {
+    try {
+        const stats = await fsp.stat(resolveKey(key));
+        return { size: stats.size, contentType: contentTypeFor(key), lastModified: stats.mtime };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+};
+
+const copy = async (sourceKey, destinationKey) => {
+    const target = resolveKey(destinationKey);
+    await fsp.mkdir(path.dirname(target), { recursive: true });
+    await fsp.copyFile(resolveKey(sourceKey), target);
+};
+
+module.exports = {
+    name: 'local',
+    upload,
+    createReadStream,
+    delete: remove,
+    getSignedUrl,
+    getUrl,
+    head,
+    copy,
+    resolveKey,
+    verifySignedUrl
+};
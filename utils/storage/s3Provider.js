@@ -0,0 +1,101 @@
+const fs = require('fs');
+const { contentTypeFor, contentDisposition } = require('./common');
+
+// Amazon S3, or an S3-compatible store such as MinIO when AWS_S3_ENDPOINT is set
+let client;
+const getClient = () => {
+    if (!client) {
+        // Loaded on first use; the SDK is only needed when S3 is the provider
+        const AWS = require('aws-sdk');
+        client = new AWS.S3({
+            accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+            secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            region: process.env.AWS_REGION || 'ap-southeast-2',
+            signatureVersion: 'v4',
+            ...(process.env.AWS_S3_ENDPOINT && {
+                endpoint: process.env.AWS_S3_ENDPOINT,
+                s3ForcePathStyle: true
+            })
+        });
+    }
+    return client;
+};
+
+const bucket = () => {
+    if (!process.env.AWS_S3_BUCKET) {
+        throw new Error('AWS_S3_BUCKET is not set');
+    }
+    return process.env.AWS_S3_BUCKET;
+};
+
+// Server-side encryption; set AWS_S3_SSE to an empty value for stores without it
+const encryption = () => {
+    const sse = process.env.AWS_S3_SSE ?? 'AES256';
+    return sse ? { ServerSideEncryption: sse } : {};
+};
+
+const isNotFound = (error) => error.code === 'NotFound' || error.code === 'NoSuchKey' || error.statusCode === 404;
+
+const upload = async (localPath, key, { contentType } = {}) => {
+    const { size } = await fs.promises.stat(localPath);
+    await getClient().upload({
+        Bucket: bucket(),
+        Key: key,
+        Body: fs.createReadStream(localPath),
+        ContentType: contentType || contentTypeFor(key),
+        ...encryption()
+    }).promise();
+    return { key, size };
+};
+
+const createReadStream = async (key) => {
+    if (!(await head(key))) {
+        throw new Error(`File not found: ${key}`);
+    }
+    return getClient().getObject({ Bucket: bucket(), Key: key }).createReadStream();
+};
+
+const remove = async (key) => {
+    await getClient().deleteObject({ Bucket: bucket(), Key: key }).promise();
+};
+
+const getSignedUrl = (key, { expiresInSeconds = 3600, filename, attachment = true } = {}) => getClient()
+    .getSignedUrl('getObject', {
+        Bucket: bucket(),
+        Key: key,
+        Expires: Math.max(1, expiresInSeconds),
+        ResponseContentDisposition: contentDisposition(filename, attachment)
+    });
+
+// Objects are private, so this only identifies the file; downloads need a signed link
+const getUrl = (key) => `${getClient().endpoint.href.replace(/\/$/, '')}/${bucket()}/${key}`;
+
+const head = async (key) => {
+    try {
+        const result = await getClient().headObject({ Bucket: bucket(), Key: key }).promise();
+        return { size: result.ContentLength, contentType: result.ContentType, lastModified: result.LastModified };
+    } catch (error) {
+        if (isNotFound(error)) return null;
+        throw error;
+    }
+};
+
+const copy = async (sourceKey, destinationKey) => {
+    await getClient().copyObject({
+        Bucket: bucket(),
+        Key: destinationKey,
+        CopySource: encodeURI(`${bucket()}/${sourceKey}`),
+        ...encryption()
+    }).promise();
+};
+
+module.exports = {
+    name: 's3',
+    upload,
+    createReadStream,
+    delete: remove,
+    getSignedUrl,
+    getUrl,
+    head,
+    copy
+};
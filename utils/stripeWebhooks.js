@@ -0,0 +1,243 @@
+const { Payment, Application, Consultation } = require('../models');
+const { issueInvoice } = require('./invoiceGenerator');
+const { sendNotification } = require('./notifications');
+const { sendEmail } = require('./email');
+const { confirmHold, refundLostSlotPayment } = require('./slotReservation');
+const { reconcileStripeRefund, reconcileChargeRefunds } = require('./refunds');
+const { raiseStagePayments } = require('./billing');
+const { emitPaymentUpdate, emitApplicationUpdate } = require('./realtime');
+
+// Checkout payments raised against an application's billing plan
+const BILLING_PAYMENT_TYPES = ['deposit', 'additional', 'final'];
+
+// Payments that can still be marked paid; a failed PaymentIntent may be retried
+const COMPLETABLE_STATUSES = ['pending', 'failed'];
+
+/**
+ * Mark a payment completed unless it was already processed, so a replayed
+ * event or a repeated verify never turns a refunded payment back to completed
+ * @param {Object} filter - Identifies the payment
+ * @param {Object} fields - Gateway references to record with the completion
+ * @returns {Promise<{ payment: Object|null, completed: boolean }>} - completed is false when nothing changed
+ */
+async function completePayment(filter, fields = {}) {
+    const payment = await Payment.findOneAndUpdate(
+        { ...filter, status: { $in: COMPLETABLE_STATUSES } },
+        { $set: { ...fields, status: 'completed' } },
+        { new: true }
+    );
+    if (payment) {
+        emitPaymentUpdate(payment);
+        return { payment, completed: true };
+    }
+    return { payment: await Payment.findOne(filter), completed: false };
+}
+
+// Stripe webhook event handlers. They throw on failure so the event store
+// (utils/webhookEvents.js) can record the error and retry the event.
+
+// Helper function to handle successful payments
+async function handlePaymentSuccess(paymentIntent) {
+    const { payment, completed } = await completePayment(
+        {
+            $or: [
+                { transactionId: paymentIntent.id },     // PaymentIntent flow
+                { gatewayReference: paymentIntent.id }    // Checkout flow: stored here
+            ]
+        },
+        { gatewayReference: paymentIntent.id }
+    );
+
+    if (completed) {
+        // Send notification
+        await sendNotification({
+            userId: payment.clientId,
+            applicationId: payment.applicationId,
+            type: 'payment_received',
+            title: 'Payment Received',
+            message: `Your ${payment.type} payment of ${payment.currency} ${payment.amount} has been processed successfully`,
+            priority: 'medium'
+        });
+    }
+}
+
+// Helper function to handle successful checkout
+async function handleCheckoutSessionCompleted(session) {
+    const paymentType = session.metadata.type;
+
+    if (BILLING_PAYMENT_TYPES.includes(paymentType)) {
+        const paymentId = session.metadata.paymentId;
+        const applicationId = session.metadata.applicationId;
+
+        const { payment } = await completePayment(
+            { _id: paymentId },
+            { transactionId: session.id, gatewayReference: session.payment_intent }
+        );
+
+        if (!payment) {
+            console.error(`${paymentType} payment not found:`, paymentId);
+            return;
+        }
+        // Already processed and since refunded: a replay must not redo anything.
+        // An already completed payment goes on, since the steps below are idempotent
+        // and a retry after a failure still has to finish them.
+        if (payment.status !== 'completed') {
+            return;
+        }
+
+        // A paid deposit moves the application on, which may raise the next milestone
+        const application = paymentType === 'deposit' && await Application.findById(applicationId);
+        if (application && application.stage === 'consultation') {
+            application.stage = 'deposit_paid';
+            application.progress = 20;
+            application.timeline.push({
+                stage: 'deposit_paid',
+                date: new Date(),
+                notes: 'Deposit payment received (Checkout)',
+                updatedBy: payment.clientId
+            });
+            await application.save();
+            emitApplicationUpdate(application);
+        }
+        if (application) {
+            await raiseStagePayments(application);
+        }
+
+        // A retried event must not issue a second invoice or confirmation email
+        if (payment.invoiceUrl) {
+            return;
+        }
+
+        // Issue the tax invoice; a concurrent verify call may already be issuing it
+        const invoiced = await issueInvoice(payment);
+        if (!invoiced.invoiceUrl) {
+            return;
+        }
+
+        // Optional: send confirmation email using your existing email util
+        try {
+            await sendEmail({
+                to: session.customer_details?.email || session.customer_email,
+                subject: 'Payment Confirmation - Migrantifly',
+                template: 'payment-confirmation',
+                data: {
+                    clientName: session.customer_details?.name || 'Client',
+                    amount: payment.amount,
+                    currency: payment.currency,
+                    invoiceUrl: invoiced.invoiceUrl,
+                    invoiceNumber: invoiced.invoiceNumber,
+                    paymentType: payment.type
+                }
+            });
+        } catch (emailErr) {
+            console.error('Failed to send deposit confirmation email:', emailErr?.message);
+        }
+
+        console.log(`✅ ${paymentType} payment completed for application ${applicationId}`);
+        return;
+    }
+
+    const paymentId = session.metadata.paymentId;
+    const consultationId = session.metadata.consultationId;
+    const email = session.metadata.clientEmail;
+
+    const { payment } = await completePayment(
+        { _id: paymentId },
+        { transactionId: session.id, gatewayReference: session.payment_intent }
+    );
+
+    if (!payment) {
+        console.error('Payment not found:', paymentId);
+        return;
+    }
+    // Refunded since it completed: nothing left to do for a replayed event
+    if (payment.status !== 'completed') {
+        return;
+    }
+
+    // Confirm consultation booking, re-validating the hold first. This also runs for an
+    // already completed payment, since a retry may follow a failure before the hold was confirmed.
+    const hold = await confirmHold(consultationId);
+    if (!hold.confirmed) {
+        console.error(`Consultation slot lost before payment completed: ${consultationId}`);
+        await refundLostSlotPayment(payment);
+        return;
+    }
+
+    // Claim the confirmation email, so a replayed event does not send it again
+    const consultation = await Consultation.findOneAndUpdate(
+        { _id: hold.consultation._id, confirmationSentAt: { $exists: false } },
+        { $set: { confirmationSentAt: new Date() } },
+        { new: true }
+    ).populate('clientId');
+    if (!consultation) {
+        return;
+    }
+
+    // Send confirmation emails
+    try {
+        await sendEmail({
+            to: email,
+            subject: 'Payment Confirmed - Your Consultation is Booked!',
+            template: 'consultation-payment-confirmed',
+            data: {
+                clientName: consultation.clientId.profile.firstName,
+                consultationDate: consultation.scheduledDate.toLocaleString(),
+                consultationTime: consultation.scheduledDate.toLocaleTimeString(),
+                method: consultation.method,
+                consultationId: consultation._id,
+                amount: payment.amount,
+                meetingLink: consultation.meetingLink || 'Will be sent 24 hours before consultation'
+            }
+        });
+    } catch (emailErr) {
+        console.error('Failed to send confirmation email:', emailErr.message);
+    }
+
+    console.log(`✅ Payment completed for consultation ${consultationId}`);
+}
+
+// Helper function to handle failed payments
+async function handlePaymentFailure(paymentIntent) {
+    // Only a pending payment can fail; a late or replayed event must not undo a completion
+    const payment = await Payment.findOneAndUpdate(
+        { transactionId: paymentIntent.id, status: 'pending' },
+        { $set: { status: 'failed' } },
+        { new: true }
+    );
+
+    if (payment) {
+        emitPaymentUpdate(payment);
+
+        // Send notification
+        await sendNotification({
+            userId: payment.clientId,
+            applicationId: payment.applicationId,
+            type: 'payment_failed',
+            title: 'Payment Failed',
+            message: `Your ${payment.type} payment could not be processed. Please try again.`,
+            priority: 'high',
+            actionRequired: true
+        });
+    }
+}
+
+// Reconcile refunds on a charge, including ones made in the Stripe dashboard
+async function handleChargeRefunded(charge) {
+    await reconcileChargeRefunds(charge);
+}
+
+// A refund moved between pending, succeeded, failed or canceled
+async function handleRefundUpdated(stripeRefund) {
+    await reconcileStripeRefund(stripeRefund);
+}
+
+const STRIPE_EVENT_HANDLERS = {
+    'payment_intent.succeeded': handlePaymentSuccess,
+    'payment_intent.payment_failed': handlePaymentFailure,
+    'checkout.session.completed': handleCheckoutSessionCompleted,
+    'charge.refunded': handleChargeRefunded,
+    'charge.refund.updated': handleRefundUpdated
+};
+
+module.exports = { STRIPE_EVENT_HANDLERS, completePayment };
@@ -0,0 +1,107 @@
+// IANA time zone helpers built on Intl, so no tz database dependency is needed.
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Wall-clock parts of an instant in a time zone
+ * @returns {{ year, month, day, hour, minute, second }}
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+};
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+const getOffsetMs = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * Convert a local date and time in a zone to a UTC Date
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} timeZone - IANA zone, e.g. Pacific/Auckland
+ * @returns {Date}
+ */
+const zonedTimeToUtc = (date, time, timeZone) => {
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+    // Two passes settle the offset across DST changes
+    let utc = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+    utc = wallClock - getOffsetMs(new Date(utc), timeZone);
+    return new Date(utc);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Format an instant as local date and time in a zone
+ * @returns {{ date: string, time: string }} - YYYY-MM-DD and HH:MM
+ */
+const formatInTimeZone = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return {
+        date: `${p.year}-${pad(p.month)}-${pad(p.day)}`,
+        time: `${pad(p.hour)}:${pad(p.minute)}`
+    };
+};
+
+// Shift a YYYY-MM-DD calendar date by whole days
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+// 0 (Sunday) - 6 (Saturday) for a YYYY-MM-DD calendar date
+const getDayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+const timeToMinutes = (time) => {
+    const [hour, minute] = time.split(':').map(Number);
+    return hour * 60 + minute;
+};
+
+const minutesToTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+module.exports = {
+    isValidTimeZone,
+    zonedTimeToUtc,
+    formatInTimeZone,
+    addDays,
+    getDayOfWeek,
+    timeToMinutes,
+    minutesToTime
+};
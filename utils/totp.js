@@ -0,0 +1,168 @@
+// RFC 6238 TOTP helpers built on crypto, so no OTP library is needed.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Accept codes one step either side to allow for clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const clean = input.replace(/=+$/, '').replace(/\s/g, '').toUpperCase();
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) throw new Error('Invalid base32 secret');
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, as recommended by RFC 4226
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateHotp = (secret, counter) => {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Check a TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - 6-digit code from the authenticator app
+ * @param {number} [lastUsedStep] - Reject codes from this step or earlier (replay protection)
+ * @returns {number|null} - The matched time step, or null when invalid
+ */
+const verifyTotp = (secret, code, lastUsedStep) => {
+    if (!secret || !/^\d{6}$/.test(String(code || '').trim())) return null;
+
+    const candidate = Buffer.from(String(code).trim());
+    const currentStep = getTimeStep();
+
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        if (lastUsedStep !== undefined && lastUsedStep !== null && step <= lastUsedStep) continue;
+        if (crypto.timingSafeEqual(candidate, Buffer.from(generateHotp(secret, step)))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * otpauth:// URI for authenticator apps; clients render it as a QR code
+ */
+const buildOtpauthUrl = ({ secret, accountName, issuer = process.env.TWO_FACTOR_ISSUER || 'Migrantifly' }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Secrets are encrypted at rest with AES-256-GCM
+const getEncryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '')
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('hex')).join(':');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {Promise<{ codes: string[], hashes: string[] }>} - Show codes once; store only hashes
+ */
+const generateRecoveryCodes = async (count = RECOVERY_CODE_COUNT) => {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+    return { codes, hashes };
+};
+
+const normalizeRecoveryCode = (code) => {
+    const raw = String(code || '').toLowerCase().replace(/[^a-f\d]/g, '');
+    return raw.length === 10 ? `${raw.slice(0, 5)}-${raw.slice(5)}` : null;
+};
+
+/**
+ * Find the unused recovery code entry matching a code
+ * @param {Array<{ hash, usedAt }>} recoveryCodes
+ * @returns {Promise<Object|null>}
+ */
+const findRecoveryCode = async (recoveryCodes, code) => {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return null;
+
+    for (const entry of recoveryCodes || []) {
+        if (!entry.usedAt && await bcrypt.compare(normalized, entry.hash)) {
+            return entry;
+        }
+    }
+    return null;
+};
+
+module.exports = {
+    generateSecret,
+    verifyTotp,
+    buildOtpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    findRecoveryCode
+};
@@ -0,0 +1,243 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const {
+    generateSecret,
+    verifyTotp,
+    buildOtpauthUrl,
+    encryptSecret,
+    decryptSecret,
+    generateRecoveryCodes,
+    findRecoveryCode
+} = require('./totp');
+
+// Roles that must use 2FA; everyone else may opt in
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES ?? 'admin,adviser')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+const CHALLENGE_EXPIRE = {
+    '2fa_login': '5m',
+    '2fa_enrol': '15m'
+};
+
+// Challenge tokens share the JWT secret with access tokens, so they carry
+// their own audience and are never accepted in place of one another
+const CHALLENGE_AUDIENCE = 'two_factor_challenge';
+
+// Wrong codes allowed per user before code checks are locked for the rest of the window
+const MAX_FAILED_ATTEMPTS = 5;
+const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const isTwoFactorRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+/**
+ * Short-lived token proving the password step of a login passed
+ * @param {'2fa_login'|'2fa_enrol'} purpose
+ */
+const signChallengeToken = (user, purpose) => jwt.sign(
+    { userId: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_EXPIRE[purpose], audience: CHALLENGE_AUDIENCE }
+);
+
+// @returns {string|null} - userId when the token is valid for this purpose
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+        return decoded.purpose === purpose ? decoded.userId : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * When code checks for this user unlock, after too many wrong codes
+ * @returns {Date|null} - null when codes can be checked
+ */
+const secondFactorLockedUntil = (user) => {
+    const { failedAttempts = 0, lastFailedAt } = user.twoFactor || {};
+    if (failedAttempts < MAX_FAILED_ATTEMPTS || !lastFailedAt) return null;
+
+    const unlocksAt = new Date(lastFailedAt.getTime() + FAILED_ATTEMPT_WINDOW_MS);
+    return unlocksAt > new Date() ? unlocksAt : null;
+};
+
+/**
+ * Count an attempt before its code is checked, so parallel guesses cannot
+ * exceed the limit. A new count starts once the window has passed.
+ * @returns {Promise<boolean>} - false when the user is locked out
+ */
+const claimAttempt = async (userId) => {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - FAILED_ATTEMPT_WINDOW_MS);
+
+    const claimed = await User.updateOne(
+        {
+            _id: userId,
+            $or: [
+                { 'twoFactor.failedAttempts': { $not: { $gte: MAX_FAILED_ATTEMPTS } } },
+                { 'twoFactor.lastFailedAt': { $not: { $gt: windowStart } } }
+            ]
+        },
+        [{
+            $set: {
+                'twoFactor.failedAttempts': {
+                    $cond: [
+                        { $gt: ['$twoFactor.lastFailedAt', windowStart] },
+                        { $add: [{ $ifNull: ['$twoFactor.failedAttempts', 0] }, 1] },
+                        1
+                    ]
+                },
+                'twoFactor.lastFailedAt': now
+            }
+        }]
+    );
+    return claimed.modifiedCount > 0;
+};
+
+const clearFailedAttempts = (userId) => User.updateOne(
+    { _id: userId },
+    { $unset: { 'twoFactor.failedAttempts': '', 'twoFactor.lastFailedAt': '' } }
+);
+
+/**
+ * Start enrolment with a fresh secret; it only takes effect once a code is verified
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+const startEnrolment = async (user) => {
+    const secret = generateSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    return {
+        secret,
+        otpauthUrl: buildOtpauthUrl({ secret, accountName: user.email })
+    };
+};
+
+/**
+ * Verify the first code from the authenticator app and switch 2FA on
+ * @returns {Promise<string[]|null>} - Recovery codes to show once, or null when the code is wrong
+ */
+const completeEnrolment = async (userId, code) => {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user?.twoFactor?.pendingSecret) return null;
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) return null;
+
+    const { codes, hashes } = await generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = hashes.map(hash => ({ hash }));
+    await user.save();
+
+    return codes;
+};
+
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+    if (code) {
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, user.twoFactor.lastUsedStep);
+        if (step === null) return null;
+
+        // Only one request can claim a time step
+        const claimed = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $exists: false } },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return claimed.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const entry = await findRecoveryCode(user.twoFactor.recoveryCodes, recoveryCode);
+        if (!entry) return null;
+
+        const claimed = await User.updateOne(
+            {
+                _id: user._id,
+                'twoFactor.recoveryCodes': { $elemMatch: { _id: entry._id, usedAt: { $exists: false } } }
+            },
+            { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+        );
+        return claimed.modifiedCount > 0 ? 'recovery_code' : null;
+    }
+
+    return null;
+};
+
+/**
+ * Check a TOTP code or a recovery code and consume it. Every attempt counts
+ * towards the lockout until one succeeds.
+ * @returns {Promise<'totp'|'recovery_code'|null>} - Which factor matched, or null
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return null;
+    if (!(await claimAttempt(user._id))) return null;
+
+    const factor = await checkSecondFactor(user, { code, recoveryCode });
+    if (factor) await clearFailedAttempts(user._id);
+    return factor;
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+    const { codes, hashes } = await generateRecoveryCodes();
+    await User.updateOne(
+        { _id: userId },
+        { $set: { 'twoFactor.recoveryCodes': hashes.map(hash => ({ hash })) } }
+    );
+    return codes;
+};
+
+const disableTwoFactor = async (userId) => {
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: { 'twoFactor.enabled': false },
+            $unset: {
+                'twoFactor.enabledAt': '',
+                'twoFactor.secret': '',
+                'twoFactor.pendingSecret': '',
+                'twoFactor.lastUsedStep': '',
+                'twoFactor.recoveryCodes': ''
+            }
+        }
+    );
+};
+
+const getTwoFactorStatus = async (user) => {
+    const withCodes = await User.findById(user._id).select('+twoFactor.recoveryCodes');
+    const recoveryCodes = withCodes?.twoFactor?.recoveryCodes || [];
+
+    return {
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt || null,
+        required: isTwoFactorRequired(user),
+        recoveryCodesRemaining: recoveryCodes.filter(entry => !entry.usedAt).length
+    };
+};
+
+module.exports = {
+    isTwoFactorRequired,
+    signChallengeToken,
+    verifyChallengeToken,
+    secondFactorLockedUntil,
+    startEnrolment,
+    completeEnrolment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    getTwoFactorStatus
+};
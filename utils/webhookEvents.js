@@ -0,0 +1,158 @@
+const { WebhookEvent } = require('../models');
+const { STRIPE_EVENT_HANDLERS } = require('./stripeWebhooks');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10);
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+// A worker that crashes mid-event loses its claim after this long
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+const ERROR_LOG_LIMIT = 20;
+
+// 30s, 1m, 2m, 4m ... capped at an hour
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Store a verified Stripe event. Duplicate deliveries return the existing record.
+ * @returns {Promise<{ event: Object, isNew: boolean }>}
+ */
+const recordEvent = async (stripeEvent) => {
+    const handled = Boolean(STRIPE_EVENT_HANDLERS[stripeEvent.type]);
+    try {
+        const event = await WebhookEvent.create({
+            eventId: stripeEvent.id,
+            type: stripeEvent.type,
+            payload: stripeEvent,
+            livemode: stripeEvent.livemode,
+            status: handled ? 'pending' : 'ignored'
+        });
+        return { event, isNew: true };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return { event: await WebhookEvent.findOne({ eventId: stripeEvent.id }), isNew: false };
+    }
+};
+
+// Take the processing lease on an event that is due (or whose lease expired)
+const claimEvent = (eventId) => {
+    const now = new Date();
+    return WebhookEvent.findOneAndUpdate(
+        {
+            eventId,
+            $or: [
+                { status: 'pending', nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedUntil: { $lte: now } }
+            ]
+        },
+        {
+            $set: { status: 'processing', lockedUntil: new Date(now.getTime() + PROCESSING_LEASE_MS) },
+            $inc: { attempts: 1 }
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Run an event's handler once. Only the worker holding the lease runs it;
+ * failures are scheduled for retry with exponential backoff until
+ * MAX_ATTEMPTS, after which the event is marked failed for manual replay.
+ * @returns {Promise<Object|null>} - The updated event, or null if it was not claimable
+ */
+const processEvent = async (eventId) => {
+    const event = await claimEvent(eventId);
+    if (!event) return null;
+
+    try {
+        await STRIPE_EVENT_HANDLERS[event.type](event.payload.data.object, event.payload);
+
+        return await WebhookEvent.findByIdAndUpdate(
+            event._id,
+            {
+                $set: { status: 'processed', processedAt: new Date() },
+                $unset: { lockedUntil: '', lastError: '' }
+            },
+            { new: true }
+        );
+    } catch (error) {
+        const exhausted = event.attempts >= MAX_ATTEMPTS;
+        console.error(`Webhook event ${event.eventId} (${event.type}) failed on attempt ${event.attempts}:`, error.message);
+
+        return WebhookEvent.findByIdAndUpdate(
+            event._id,
+            {
+                $set: {
+                    status: exhausted ? 'failed' : 'pending',
+                    nextAttemptAt: new Date(Date.now() + retryDelay(event.attempts)),
+                    lastError: error.message
+                },
+                $unset: { lockedUntil: '' },
+                $push: {
+                    errorLog: {
+                        $each: [{ attempt: event.attempts, message: error.message, at: new Date() }],
+                        $slice: -ERROR_LOG_LIMIT
+                    }
+                }
+            },
+            { new: true }
+        );
+    }
+};
+
+/**
+ * Process events whose retry is due, including ones abandoned by a crashed worker
+ * @returns {Promise<number>} - Number of events attempted
+ */
+const processDueEvents = async (limit = 50) => {
+    const now = new Date();
+    const due = await WebhookEvent.find({
+        $or: [
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { status: 'processing', lockedUntil: { $lte: now } }
+        ]
+    })
+        .sort({ nextAttemptAt: 1 })
+        .limit(limit)
+        .select('eventId');
+
+    for (const { eventId } of due) {
+        await processEvent(eventId);
+    }
+    return due.length;
+};
+
+/**
+ * Queue a failed (or waiting) event for immediate reprocessing with a fresh
+ * attempt budget, then process it
+ * @returns {Promise<Object>} - { event } or { error, message }
+ */
+const replayEvent = async (id, userId) => {
+    const event = await WebhookEvent.findOneAndUpdate(
+        { _id: id, status: { $in: ['failed', 'pending'] } },
+        {
+            $set: {
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: new Date(),
+                replayedBy: userId,
+                replayedAt: new Date()
+            }
+        },
+        { new: true }
+    );
+
+    if (!event) {
+        const existing = await WebhookEvent.findById(id);
+        if (!existing) {
+            return { error: 'NOT_FOUND', message: 'Webhook event not found' };
+        }
+        return { error: 'NOT_REPLAYABLE', message: `A ${existing.status} event cannot be replayed` };
+    }
+
+    return { event: await processEvent(event.eventId) || event };
+};
+
+module.exports = {
+    recordEvent,
+    processEvent,
+    processDueEvents,
+    replayEvent
+};